@@ -0,0 +1,152 @@
+jest.mock('../connection', () => ({ query: jest.fn(), pool: { connect: jest.fn() } }));
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pool } = require('../connection');
+const { loadMigrations, migrateUp, migrateDown } = require('../migrate');
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+// Serve these files instead of the real migrations directory
+const useMigrationFiles = (files) => {
+  jest.spyOn(fs, 'readdirSync').mockReturnValue(Object.keys(files));
+  jest.spyOn(fs, 'readFileSync').mockImplementation((filePath) => files[path.basename(filePath)]);
+};
+
+// A client whose ledger holds the given rows; records every statement it runs
+const createClient = (appliedRows) => {
+  const client = {
+    statements: [],
+    release: jest.fn(),
+    query: jest.fn(async (sql, params) => {
+      client.statements.push(params ? [sql, params] : sql);
+      return sql.startsWith('SELECT version') ? { rows: appliedRows } : { rows: [] };
+    })
+  };
+  pool.connect.mockResolvedValue(client);
+  return client;
+};
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+describe('loadMigrations', () => {
+  it('reads the real migrations as a gap-free, version-ordered list', () => {
+    jest.restoreAllMocks();
+    const migrations = loadMigrations();
+
+    expect(migrations.length).toBeGreaterThan(0);
+    migrations.forEach((migration, index) => {
+      expect(migration.version).toBe(index + 1);
+      expect(migration.checksum).toBe(sha256(migration.up));
+      expect(migration.down).toEqual(expect.any(String));
+    });
+  });
+
+  it('orders by version number and ignores other files', () => {
+    useMigrationFiles({
+      '010_tenth.up.sql': 'CREATE TABLE ten ();',
+      '010_tenth.down.sql': 'DROP TABLE ten;',
+      '002_second.down.sql': 'DROP TABLE two;',
+      '002_second.up.sql': 'CREATE TABLE two ();',
+      'README.md': '# Migrations'
+    });
+
+    expect(loadMigrations().map(({ version, name }) => [version, name])).toEqual([[2, 'second'], [10, 'tenth']]);
+  });
+
+  it('checksums only the up file', () => {
+    useMigrationFiles({ '001_first.up.sql': 'CREATE TABLE one ();', '001_first.down.sql': 'DROP TABLE one;' });
+    expect(loadMigrations()[0].checksum).toBe(sha256('CREATE TABLE one ();'));
+  });
+
+  it('rejects two migrations with the same version', () => {
+    useMigrationFiles({
+      '003_users.up.sql': '', '003_users.down.sql': '',
+      '003_courses.up.sql': '', '003_courses.down.sql': ''
+    });
+    expect(() => loadMigrations()).toThrow('Duplicate migration version 003: users and courses');
+  });
+
+  it('rejects a migration without a down file', () => {
+    useMigrationFiles({ '004_orphan.up.sql': 'SELECT 1;' });
+    expect(() => loadMigrations()).toThrow('Migration 004_orphan must have both an up and a down file');
+  });
+});
+
+describe('migrateUp', () => {
+  const files = {
+    '001_first.up.sql': 'CREATE TABLE one ();', '001_first.down.sql': 'DROP TABLE one;',
+    '002_second.up.sql': 'CREATE TABLE two ();', '002_second.down.sql': 'DROP TABLE two;',
+    '003_third.up.sql': 'CREATE TABLE three ();', '003_third.down.sql': 'DROP TABLE three;'
+  };
+
+  it('applies pending migrations in order, each with its ledger row', async () => {
+    useMigrationFiles(files);
+    const client = createClient([{ version: 1, name: 'first', checksum: sha256('CREATE TABLE one ();') }]);
+
+    await expect(migrateUp()).resolves.toEqual(['002_second', '003_third']);
+
+    const applied = client.statements.filter((statement) => typeof statement === 'string' && statement.startsWith('CREATE TABLE '));
+    expect(applied).toEqual(['CREATE TABLE two ();', 'CREATE TABLE three ();']);
+    expect(client.statements).toContainEqual([
+      'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)', [3, 'third', sha256('CREATE TABLE three ();')]
+    ]);
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('stops after the requested number of steps', async () => {
+    useMigrationFiles(files);
+    createClient([]);
+    await expect(migrateUp(2)).resolves.toEqual(['001_first', '002_second']);
+  });
+
+  it('refuses to run when an applied migration was edited', async () => {
+    useMigrationFiles(files);
+    const client = createClient([{ version: 1, name: 'first', checksum: sha256('CREATE TABLE one (id INT);') }]);
+
+    await expect(migrateUp()).rejects.toThrow('Checksum mismatch for 001_first');
+    expect(client.statements).not.toContain('CREATE TABLE two ();');
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('refuses to run when an applied migration is missing', async () => {
+    useMigrationFiles(files);
+    createClient([{ version: 4, name: 'gone', checksum: sha256('') }]);
+    await expect(migrateUp()).rejects.toThrow(/Applied migration 004_gone is missing/);
+  });
+
+  it('rolls back a failing migration and leaves later ones pending', async () => {
+    useMigrationFiles(files);
+    const client = createClient([]);
+    const run = client.query.getMockImplementation();
+    client.query.mockImplementation(async (sql, params) => {
+      if (sql === 'CREATE TABLE two ();') throw new Error('syntax error');
+      return run(sql, params);
+    });
+
+    await expect(migrateUp()).rejects.toThrow('syntax error');
+    expect(client.statements).toContain('ROLLBACK');
+    expect(client.statements).not.toContain('CREATE TABLE three ();');
+  });
+});
+
+describe('migrateDown', () => {
+  it('reverts the latest applied migrations newest first', async () => {
+    useMigrationFiles({
+      '001_first.up.sql': 'CREATE TABLE one ();', '001_first.down.sql': 'DROP TABLE one;',
+      '002_second.up.sql': 'CREATE TABLE two ();', '002_second.down.sql': 'DROP TABLE two;'
+    });
+    const client = createClient([
+      { version: 1, name: 'first', checksum: sha256('CREATE TABLE one ();') },
+      { version: 2, name: 'second', checksum: sha256('CREATE TABLE two ();') }
+    ]);
+
+    await expect(migrateDown(2)).resolves.toEqual(['002_second', '001_first']);
+    expect(client.statements.filter((statement) => typeof statement === 'string' && statement.startsWith('DROP')))
+      .toEqual(['DROP TABLE two;', 'DROP TABLE one;']);
+  });
+});
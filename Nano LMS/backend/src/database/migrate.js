@@ -1,173 +1,228 @@
-const { query } = require('./connection');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pool } = require('./connection');
 
-const createTables = async () => {
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Arbitrary key so two `migrate` processes never run against the same database at once
+const MIGRATION_LOCK_KEY = 872341;
+
+/**
+ * Read numbered migrations from disk
+ * @returns {Array<{version: number, name: string, up: string, down: string, checksum: string}>}
+ */
+const loadMigrations = () => {
+  const migrations = new Map();
+
+  for (const file of fs.readdirSync(MIGRATIONS_DIR)) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) {
+      continue;
+    }
+
+    const [, versionText, name, direction] = match;
+    const version = parseInt(versionText, 10);
+    const existing = migrations.get(version);
+
+    if (existing && existing.name !== name) {
+      throw new Error(`Duplicate migration version ${versionText}: ${existing.name} and ${name}`);
+    }
+
+    const migration = existing || { version, name };
+    migration[direction] = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+    migrations.set(version, migration);
+  }
+
+  return [...migrations.values()]
+    .map((migration) => {
+      if (!migration.up || !migration.down) {
+        throw new Error(`Migration ${formatMigration(migration)} must have both an up and a down file`);
+      }
+      return {
+        ...migration,
+        checksum: crypto.createHash('sha256').update(migration.up).digest('hex')
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+};
+
+const formatMigration = ({ version, name }) => `${String(version).padStart(3, '0')}_${name}`;
+
+const ensureLedger = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+const getAppliedMigrations = async (client) => {
+  const result = await client.query(
+    'SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version'
+  );
+  return result.rows;
+};
+
+// Refuse to continue when an applied migration was edited or removed after the fact
+const verifyChecksums = (migrations, applied) => {
+  for (const row of applied) {
+    const migration = migrations.find((m) => m.version === row.version);
+
+    if (!migration) {
+      throw new Error(`Applied migration ${formatMigration(row)} is missing from ${MIGRATIONS_DIR}`);
+    }
+
+    if (migration.checksum !== row.checksum) {
+      throw new Error(
+        `Checksum mismatch for ${formatMigration(migration)}: the file changed after it was applied. ` +
+        'Add a new migration instead of editing an applied one.'
+      );
+    }
+  }
+};
+
+const runInTransaction = async (client, sql, ledgerQuery, ledgerParams) => {
+  await client.query('BEGIN');
   try {
-    console.log('🔄 Starting database migration...');
-
-    // Users table
-    await query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id SERIAL PRIMARY KEY,
-        email VARCHAR(255) UNIQUE NOT NULL,
-        password_hash VARCHAR(255) NOT NULL,
-        first_name VARCHAR(100) NOT NULL,
-        last_name VARCHAR(100) NOT NULL,
-        role VARCHAR(20) NOT NULL DEFAULT 'learner' CHECK (role IN ('admin', 'trainer', 'learner')),
-        avatar_url VARCHAR(500),
-        is_active BOOLEAN DEFAULT true,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Courses table
-    await query(`
-      CREATE TABLE IF NOT EXISTS courses (
-        id SERIAL PRIMARY KEY,
-        title VARCHAR(255) NOT NULL,
-        description TEXT,
-        thumbnail_url VARCHAR(500),
-        instructor_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        category VARCHAR(100),
-        difficulty_level VARCHAR(20) DEFAULT 'beginner',
-        duration_minutes INTEGER DEFAULT 0,
-        is_published BOOLEAN DEFAULT false,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Lessons table
-    await query(`
-      CREATE TABLE IF NOT EXISTS lessons (
-        id SERIAL PRIMARY KEY,
-        course_id INTEGER REFERENCES courses(id) ON DELETE CASCADE,
-        title VARCHAR(255) NOT NULL,
-        description TEXT,
-        content TEXT,
-        video_url VARCHAR(500),
-        document_url VARCHAR(500),
-        duration_minutes INTEGER DEFAULT 0,
-        order_index INTEGER NOT NULL,
-        is_published BOOLEAN DEFAULT false,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Quizzes table
-    await query(`
-      CREATE TABLE IF NOT EXISTS quizzes (
-        id SERIAL PRIMARY KEY,
-        lesson_id INTEGER REFERENCES lessons(id) ON DELETE CASCADE,
-        title VARCHAR(255) NOT NULL,
-        description TEXT,
-        time_limit_minutes INTEGER DEFAULT 30,
-        passing_score INTEGER DEFAULT 70,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Quiz questions table
-    await query(`
-      CREATE TABLE IF NOT EXISTS quiz_questions (
-        id SERIAL PRIMARY KEY,
-        quiz_id INTEGER REFERENCES quizzes(id) ON DELETE CASCADE,
-        question TEXT NOT NULL,
-        question_type VARCHAR(20) NOT NULL DEFAULT 'multiple_choice' CHECK (question_type IN ('multiple_choice', 'true_false', 'short_answer')),
-        options JSONB,
-        correct_answer TEXT,
-        points INTEGER DEFAULT 1,
-        order_index INTEGER NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // User progress table
-    await query(`
-      CREATE TABLE IF NOT EXISTS user_progress (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        lesson_id INTEGER REFERENCES lessons(id) ON DELETE CASCADE,
-        progress INTEGER DEFAULT 0,
-        is_completed BOOLEAN DEFAULT false,
-        completed_at TIMESTAMP,
-        watch_time_seconds INTEGER DEFAULT 0,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(user_id, lesson_id)
-      )
-    `);
-
-    // Quiz attempts table
-    await query(`
-      CREATE TABLE IF NOT EXISTS quiz_attempts (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        quiz_id INTEGER REFERENCES quizzes(id) ON DELETE CASCADE,
-        score INTEGER,
-        total_questions INTEGER,
-        correct_answers INTEGER,
-        time_taken_seconds INTEGER,
-        is_passed BOOLEAN DEFAULT false,
-        started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        completed_at TIMESTAMP,
-        answers JSONB
-      )
-    `);
-
-    // Certificates table
-    await query(`
-      CREATE TABLE IF NOT EXISTS certificates (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        course_id INTEGER REFERENCES courses(id) ON DELETE CASCADE,
-        certificate_number VARCHAR(100) UNIQUE NOT NULL,
-        issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        pdf_url VARCHAR(500)
-      )
-    `);
-
-    // Course enrollments table
-    await query(`
-      CREATE TABLE IF NOT EXISTS course_enrollments (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        course_id INTEGER REFERENCES courses(id) ON DELETE CASCADE,
-        enrolled_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        completed_at TIMESTAMP,
-        progress_percentage INTEGER DEFAULT 0,
-        UNIQUE(user_id, course_id)
-      )
-    `);
-
-    // Create indexes for better performance
-    await query('CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)');
-    await query('CREATE INDEX IF NOT EXISTS idx_courses_instructor ON courses(instructor_id)');
-    await query('CREATE INDEX IF NOT EXISTS idx_lessons_course ON lessons(course_id)');
-    await query('CREATE INDEX IF NOT EXISTS idx_user_progress_user_lesson ON user_progress(user_id, lesson_id)');
-    await query('CREATE INDEX IF NOT EXISTS idx_quiz_attempts_user_quiz ON quiz_attempts(user_id, quiz_id)');
-    await query('CREATE INDEX IF NOT EXISTS idx_enrollments_user_course ON course_enrollments(user_id, course_id)');
-
-    console.log('✅ Database migration completed successfully!');
+    await client.query(sql);
+    await client.query(ledgerQuery, ledgerParams);
+    await client.query('COMMIT');
   } catch (error) {
-    console.error('❌ Database migration failed:', error);
+    await client.query('ROLLBACK');
     throw error;
   }
 };
 
-// Run migration if this file is executed directly
+// Run a migration command on a dedicated client holding the migration lock
+const withMigrationClient = async (callback) => {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    await ensureLedger(client);
+
+    const migrations = loadMigrations();
+    const applied = await getAppliedMigrations(client);
+    verifyChecksums(migrations, applied);
+
+    return await callback(client, migrations, applied);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+};
+
+/**
+ * Apply pending migrations in version order
+ * @param {number} [steps] - Maximum number of migrations to apply (default: all)
+ * @returns {Promise<string[]>} - Names of the applied migrations
+ */
+const migrateUp = (steps = Infinity) => withMigrationClient(async (client, migrations, applied) => {
+  const appliedVersions = new Set(applied.map((row) => row.version));
+  const pending = migrations.filter((m) => !appliedVersions.has(m.version)).slice(0, steps);
+  const done = [];
+
+  for (const migration of pending) {
+    console.log(`⬆️  Applying ${formatMigration(migration)}...`);
+    await runInTransaction(
+      client,
+      migration.up,
+      'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+      [migration.version, migration.name, migration.checksum]
+    );
+    done.push(formatMigration(migration));
+  }
+
+  return done;
+});
+
+/**
+ * Revert the most recently applied migrations
+ * @param {number} [steps] - Number of migrations to revert (default: 1)
+ * @returns {Promise<string[]>} - Names of the reverted migrations
+ */
+const migrateDown = (steps = 1) => withMigrationClient(async (client, migrations, applied) => {
+  const toRevert = applied.slice(-steps).reverse();
+  const done = [];
+
+  for (const row of toRevert) {
+    const migration = migrations.find((m) => m.version === row.version);
+    console.log(`⬇️  Reverting ${formatMigration(migration)}...`);
+    await runInTransaction(
+      client,
+      migration.down,
+      'DELETE FROM schema_migrations WHERE version = $1',
+      [migration.version]
+    );
+    done.push(formatMigration(migration));
+  }
+
+  return done;
+});
+
+/**
+ * List every migration on disk with its applied state
+ * @returns {Promise<Array<{migration: string, applied_at: Date|null}>>}
+ */
+const getStatus = () => withMigrationClient(async (client, migrations, applied) => {
+  return migrations.map((migration) => {
+    const row = applied.find((a) => a.version === migration.version);
+    return {
+      migration: formatMigration(migration),
+      applied_at: row ? row.applied_at : null
+    };
+  });
+});
+
+const parseSteps = (value, fallback) => {
+  if (value === undefined) {
+    return fallback;
+  }
+  const steps = parseInt(value, 10);
+  if (!Number.isInteger(steps) || steps < 1) {
+    throw new Error(`Invalid step count "${value}"`);
+  }
+  return steps;
+};
+
+// Usage: node src/database/migrate.js [status|up|down] [steps]
+const run = async (command = 'up', stepsArg) => {
+  switch (command) {
+    case 'up': {
+      const done = await migrateUp(parseSteps(stepsArg, Infinity));
+      console.log(done.length ? `✅ Applied ${done.length} migration(s)` : '✅ Database is up to date');
+      break;
+    }
+    case 'down': {
+      const done = await migrateDown(parseSteps(stepsArg, 1));
+      console.log(done.length ? `✅ Reverted ${done.length} migration(s)` : 'ℹ️  No migrations to revert');
+      break;
+    }
+    case 'status': {
+      const status = await getStatus();
+      for (const { migration, applied_at } of status) {
+        console.log(`${applied_at ? '✔' : '✘'} ${migration}${applied_at ? `  (applied ${applied_at.toISOString()})` : '  (pending)'}`);
+      }
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}". Use status, up or down.`);
+  }
+};
+
+// Run migration command if this file is executed directly
 if (require.main === module) {
-  createTables()
-    .then(() => {
-      console.log('🎉 Database setup complete!');
-      process.exit(0);
-    })
+  run(process.argv[2], process.argv[3])
+    .then(() => pool.end())
+    .then(() => process.exit(0))
     .catch((error) => {
-      console.error('💥 Database setup failed:', error);
+      console.error('💥 Migration failed:', error.message);
       process.exit(1);
     });
 }
 
-module.exports = { createTables };
+module.exports = { loadMigrations, migrateUp, migrateDown, getStatus };
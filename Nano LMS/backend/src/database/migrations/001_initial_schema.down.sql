@@ -0,0 +1,9 @@
+DROP TABLE IF EXISTS course_enrollments;
+DROP TABLE IF EXISTS certificates;
+DROP TABLE IF EXISTS quiz_attempts;
+DROP TABLE IF EXISTS user_progress;
+DROP TABLE IF EXISTS quiz_questions;
+DROP TABLE IF EXISTS quizzes;
+DROP TABLE IF EXISTS lessons;
+DROP TABLE IF EXISTS courses;
+DROP TABLE IF EXISTS users;
@@ -0,0 +1,13 @@
+-- Replaces the ad-hoc add_approval_status.js script. The column starts without a default so that,
+-- when this migration adds it, every existing account is NULL and can be told apart from
+-- registrations already waiting for approval on databases where the script ran.
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS approval_status VARCHAR(20)
+  CHECK (approval_status IN ('pending', 'approved', 'rejected'));
+
+-- Accounts that existed before approvals were introduced stay usable
+UPDATE users
+SET approval_status = 'approved'
+WHERE approval_status IS NULL;
+
+ALTER TABLE users ALTER COLUMN approval_status SET DEFAULT 'pending';
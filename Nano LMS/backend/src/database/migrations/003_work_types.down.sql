@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_courses_work_type;
+ALTER TABLE courses DROP COLUMN IF EXISTS work_type;
+ALTER TABLE users DROP COLUMN IF EXISTS work_type;
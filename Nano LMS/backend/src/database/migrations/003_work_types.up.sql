@@ -0,0 +1,7 @@
+-- Work type targeting used by course visibility filtering
+ALTER TABLE users ADD COLUMN IF NOT EXISTS work_type VARCHAR(50);
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS work_type VARCHAR(50) DEFAULT 'All';
+
+UPDATE courses SET work_type = 'All' WHERE work_type IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_courses_work_type ON courses(work_type);
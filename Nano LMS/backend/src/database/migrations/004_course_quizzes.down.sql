@@ -0,0 +1,14 @@
+ALTER TABLE certificates DROP COLUMN IF EXISTS score;
+ALTER TABLE certificates DROP COLUMN IF EXISTS quiz_id;
+
+UPDATE quiz_questions SET order_index = 0 WHERE order_index IS NULL;
+ALTER TABLE quiz_questions ALTER COLUMN order_index SET NOT NULL;
+ALTER TABLE quiz_questions ALTER COLUMN order_index DROP DEFAULT;
+ALTER TABLE quiz_questions RENAME COLUMN question_text TO question;
+
+DROP INDEX IF EXISTS idx_quizzes_course;
+
+ALTER TABLE quizzes ADD COLUMN IF NOT EXISTS passing_score INTEGER DEFAULT 70;
+UPDATE quizzes SET passing_score = passing_percentage WHERE passing_percentage IS NOT NULL;
+ALTER TABLE quizzes DROP COLUMN IF EXISTS passing_percentage;
+ALTER TABLE quizzes DROP COLUMN IF EXISTS course_id;
@@ -0,0 +1,40 @@
+-- Quizzes belong to courses and are scored by percentage
+ALTER TABLE quizzes ADD COLUMN IF NOT EXISTS course_id INTEGER REFERENCES courses(id) ON DELETE CASCADE;
+ALTER TABLE quizzes ADD COLUMN IF NOT EXISTS passing_percentage INTEGER DEFAULT 70;
+ALTER TABLE quizzes ALTER COLUMN lesson_id DROP NOT NULL;
+
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'quizzes' AND column_name = 'passing_score'
+  ) THEN
+    UPDATE quizzes SET passing_percentage = passing_score WHERE passing_score IS NOT NULL;
+    ALTER TABLE quizzes DROP COLUMN passing_score;
+  END IF;
+END $$;
+
+UPDATE quizzes q
+SET course_id = l.course_id
+FROM lessons l
+WHERE q.lesson_id = l.id AND q.course_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_quizzes_course ON quizzes(course_id);
+
+-- Questions are stored as question_text and created without an explicit order
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'quiz_questions' AND column_name = 'question'
+  ) THEN
+    ALTER TABLE quiz_questions RENAME COLUMN question TO question_text;
+  END IF;
+END $$;
+
+ALTER TABLE quiz_questions ALTER COLUMN order_index SET DEFAULT 0;
+ALTER TABLE quiz_questions ALTER COLUMN order_index DROP NOT NULL;
+
+-- Certificates issued from a quiz remember which quiz and score
+ALTER TABLE certificates ADD COLUMN IF NOT EXISTS quiz_id INTEGER REFERENCES quizzes(id) ON DELETE SET NULL;
+ALTER TABLE certificates ADD COLUMN IF NOT EXISTS score INTEGER;
@@ -0,0 +1,3 @@
+DROP TRIGGER IF EXISTS trigger_update_lesson_media_updated_at ON lesson_media;
+DROP FUNCTION IF EXISTS update_lesson_media_updated_at();
+DROP TABLE IF EXISTS lesson_media;
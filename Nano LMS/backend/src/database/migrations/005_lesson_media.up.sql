@@ -30,6 +30,8 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
+DROP TRIGGER IF EXISTS trigger_update_lesson_media_updated_at ON lesson_media;
+
 CREATE TRIGGER trigger_update_lesson_media_updated_at
   BEFORE UPDATE ON lesson_media
   FOR EACH ROW
@@ -0,0 +1,6 @@
+DROP INDEX IF EXISTS idx_quizzes_lesson;
+DROP INDEX IF EXISTS idx_quizzes_one_final_per_course;
+ALTER TABLE quizzes DROP CONSTRAINT IF EXISTS quizzes_final_not_lesson;
+ALTER TABLE quizzes DROP CONSTRAINT IF EXISTS quizzes_practice_not_counted;
+ALTER TABLE quizzes DROP COLUMN IF EXISTS counts_toward_completion;
+ALTER TABLE quizzes DROP COLUMN IF EXISTS kind;
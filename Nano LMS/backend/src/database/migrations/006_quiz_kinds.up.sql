@@ -0,0 +1,23 @@
+-- A course can hold several quizzes: knowledge checks after lessons and a final exam
+ALTER TABLE quizzes
+  ADD COLUMN IF NOT EXISTS kind VARCHAR(20) NOT NULL DEFAULT 'final'
+  CHECK (kind IN ('practice', 'graded', 'final'));
+
+-- Only quizzes flagged here gate course completion and certificates
+ALTER TABLE quizzes ADD COLUMN IF NOT EXISTS counts_toward_completion BOOLEAN NOT NULL DEFAULT true;
+
+-- Existing lesson-level quizzes become graded knowledge checks
+UPDATE quizzes SET kind = 'graded' WHERE lesson_id IS NOT NULL;
+
+ALTER TABLE quizzes
+  ADD CONSTRAINT quizzes_practice_not_counted
+  CHECK (kind <> 'practice' OR counts_toward_completion = false);
+
+ALTER TABLE quizzes
+  ADD CONSTRAINT quizzes_final_not_lesson
+  CHECK (kind <> 'final' OR lesson_id IS NULL);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_quizzes_one_final_per_course
+  ON quizzes(course_id) WHERE kind = 'final';
+
+CREATE INDEX IF NOT EXISTS idx_quizzes_lesson ON quizzes(lesson_id);
@@ -0,0 +1,6 @@
+ALTER TABLE quiz_attempts DROP COLUMN IF EXISTS questions;
+ALTER TABLE quizzes DROP COLUMN IF EXISTS shuffle_options;
+
+DROP TABLE IF EXISTS quiz_question_pools;
+
+DROP TABLE IF EXISTS question_bank;
@@ -0,0 +1,33 @@
+-- Reusable questions shared by every quiz in a course, organised by tags
+CREATE TABLE IF NOT EXISTS question_bank (
+  id SERIAL PRIMARY KEY,
+  course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+  question_text TEXT NOT NULL,
+  question_type VARCHAR(20) NOT NULL DEFAULT 'multiple_choice' CHECK (question_type IN ('multiple_choice', 'true_false', 'short_answer')),
+  options JSONB,
+  correct_answer TEXT,
+  points INTEGER DEFAULT 1,
+  tags TEXT[] NOT NULL DEFAULT '{}',
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_question_bank_course ON question_bank(course_id);
+CREATE INDEX IF NOT EXISTS idx_question_bank_tags ON question_bank USING GIN (tags);
+
+-- "Draw N random questions tagged X" rules; a NULL tag draws from the whole course bank
+CREATE TABLE IF NOT EXISTS quiz_question_pools (
+  id SERIAL PRIMARY KEY,
+  quiz_id INTEGER NOT NULL REFERENCES quizzes(id) ON DELETE CASCADE,
+  tag VARCHAR(100),
+  draw_count INTEGER NOT NULL CHECK (draw_count > 0),
+  order_index INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_quiz_question_pools_quiz ON quiz_question_pools(quiz_id);
+
+ALTER TABLE quizzes ADD COLUMN IF NOT EXISTS shuffle_options BOOLEAN NOT NULL DEFAULT true;
+
+-- The exact questions (and option order) served for an attempt, graded on submit
+ALTER TABLE quiz_attempts ADD COLUMN IF NOT EXISTS questions JSONB;
@@ -0,0 +1,7 @@
+DROP INDEX IF EXISTS idx_quiz_attempts_user_quiz;
+
+ALTER TABLE quiz_attempts DROP COLUMN IF EXISTS expires_at;
+ALTER TABLE quiz_attempts DROP COLUMN IF EXISTS status;
+
+ALTER TABLE quizzes DROP COLUMN IF EXISTS cooldown_minutes;
+ALTER TABLE quizzes DROP COLUMN IF EXISTS max_attempts;
@@ -0,0 +1,13 @@
+-- Attempt policy: NULL max_attempts means unlimited
+ALTER TABLE quizzes ADD COLUMN IF NOT EXISTS max_attempts INTEGER CHECK (max_attempts IS NULL OR max_attempts > 0);
+ALTER TABLE quizzes ADD COLUMN IF NOT EXISTS cooldown_minutes INTEGER NOT NULL DEFAULT 0 CHECK (cooldown_minutes >= 0);
+
+-- Attempts are server-timed sessions: opened, then submitted or expired
+ALTER TABLE quiz_attempts
+  ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'in_progress'
+  CHECK (status IN ('in_progress', 'submitted', 'expired'));
+ALTER TABLE quiz_attempts ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP;
+
+UPDATE quiz_attempts SET status = 'submitted' WHERE completed_at IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_quiz_attempts_user_quiz ON quiz_attempts(user_id, quiz_id, status);
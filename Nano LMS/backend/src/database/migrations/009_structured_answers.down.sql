@@ -0,0 +1,7 @@
+ALTER TABLE question_bank
+  ALTER COLUMN correct_answer TYPE TEXT
+  USING correct_answer #>> '{}';
+
+ALTER TABLE quiz_questions
+  ALTER COLUMN correct_answer TYPE TEXT
+  USING correct_answer #>> '{}';
@@ -0,0 +1,19 @@
+-- Correct answers are typed per question: an option index, a boolean, or short-answer rules
+-- such as {"accepted": ["Paris"], "patterns": ["^par"], "case_sensitive": false}
+ALTER TABLE quiz_questions
+  ALTER COLUMN correct_answer TYPE JSONB
+  USING CASE
+    WHEN correct_answer IS NULL THEN NULL
+    WHEN correct_answer ~ '^\s*-?\d+\s*$' THEN to_jsonb(trim(correct_answer)::int)
+    WHEN lower(trim(correct_answer)) IN ('true', 'false') THEN to_jsonb(lower(trim(correct_answer))::boolean)
+    ELSE to_jsonb(correct_answer)
+  END;
+
+ALTER TABLE question_bank
+  ALTER COLUMN correct_answer TYPE JSONB
+  USING CASE
+    WHEN correct_answer IS NULL THEN NULL
+    WHEN correct_answer ~ '^\s*-?\d+\s*$' THEN to_jsonb(trim(correct_answer)::int)
+    WHEN lower(trim(correct_answer)) IN ('true', 'false') THEN to_jsonb(lower(trim(correct_answer))::boolean)
+    ELSE to_jsonb(correct_answer)
+  END;
@@ -0,0 +1,11 @@
+-- Questions of the new types cannot be represented by the older types, so they are removed
+DELETE FROM quiz_questions WHERE question_type IN ('multi_select', 'ordering', 'matching', 'numeric');
+DELETE FROM question_bank WHERE question_type IN ('multi_select', 'ordering', 'matching', 'numeric');
+
+ALTER TABLE question_bank DROP CONSTRAINT IF EXISTS question_bank_question_type_check;
+ALTER TABLE question_bank ADD CONSTRAINT question_bank_question_type_check
+  CHECK (question_type IN ('multiple_choice', 'true_false', 'short_answer'));
+
+ALTER TABLE quiz_questions DROP CONSTRAINT IF EXISTS quiz_questions_question_type_check;
+ALTER TABLE quiz_questions ADD CONSTRAINT quiz_questions_question_type_check
+  CHECK (question_type IN ('multiple_choice', 'true_false', 'short_answer'));
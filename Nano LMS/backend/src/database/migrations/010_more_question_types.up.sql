@@ -0,0 +1,8 @@
+-- Multi-select, ordering, matching and numeric questions
+ALTER TABLE quiz_questions DROP CONSTRAINT IF EXISTS quiz_questions_question_type_check;
+ALTER TABLE quiz_questions ADD CONSTRAINT quiz_questions_question_type_check
+  CHECK (question_type IN ('multiple_choice', 'true_false', 'short_answer', 'multi_select', 'ordering', 'matching', 'numeric'));
+
+ALTER TABLE question_bank DROP CONSTRAINT IF EXISTS question_bank_question_type_check;
+ALTER TABLE question_bank ADD CONSTRAINT question_bank_question_type_check
+  CHECK (question_type IN ('multiple_choice', 'true_false', 'short_answer', 'multi_select', 'ordering', 'matching', 'numeric'));
@@ -0,0 +1,22 @@
+DROP INDEX IF EXISTS idx_quiz_attempts_pending_review;
+
+ALTER TABLE quiz_attempts DROP COLUMN IF EXISTS reviewed_at;
+ALTER TABLE quiz_attempts DROP COLUMN IF EXISTS reviewed_by;
+ALTER TABLE quiz_attempts DROP COLUMN IF EXISTS manual_grades;
+
+-- Attempts still awaiting review keep their provisional automatic score
+UPDATE quiz_attempts SET status = 'submitted', is_passed = false WHERE status = 'pending_review';
+ALTER TABLE quiz_attempts DROP CONSTRAINT IF EXISTS quiz_attempts_status_check;
+ALTER TABLE quiz_attempts ADD CONSTRAINT quiz_attempts_status_check
+  CHECK (status IN ('in_progress', 'submitted', 'expired'));
+
+DELETE FROM question_bank WHERE question_type = 'essay';
+DELETE FROM quiz_questions WHERE question_type = 'essay';
+
+ALTER TABLE question_bank DROP CONSTRAINT IF EXISTS question_bank_question_type_check;
+ALTER TABLE question_bank ADD CONSTRAINT question_bank_question_type_check
+  CHECK (question_type IN ('multiple_choice', 'true_false', 'short_answer', 'multi_select', 'ordering', 'matching', 'numeric'));
+
+ALTER TABLE quiz_questions DROP CONSTRAINT IF EXISTS quiz_questions_question_type_check;
+ALTER TABLE quiz_questions ADD CONSTRAINT quiz_questions_question_type_check
+  CHECK (question_type IN ('multiple_choice', 'true_false', 'short_answer', 'multi_select', 'ordering', 'matching', 'numeric'));
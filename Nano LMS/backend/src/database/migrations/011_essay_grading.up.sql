@@ -0,0 +1,20 @@
+-- Essay questions are scored by a trainer after the attempt is submitted
+ALTER TABLE quiz_questions DROP CONSTRAINT IF EXISTS quiz_questions_question_type_check;
+ALTER TABLE quiz_questions ADD CONSTRAINT quiz_questions_question_type_check
+  CHECK (question_type IN ('multiple_choice', 'true_false', 'short_answer', 'multi_select', 'ordering', 'matching', 'numeric', 'essay'));
+
+ALTER TABLE question_bank DROP CONSTRAINT IF EXISTS question_bank_question_type_check;
+ALTER TABLE question_bank ADD CONSTRAINT question_bank_question_type_check
+  CHECK (question_type IN ('multiple_choice', 'true_false', 'short_answer', 'multi_select', 'ordering', 'matching', 'numeric', 'essay'));
+
+-- Attempts with essays wait in pending_review; is_passed stays NULL until they are graded
+ALTER TABLE quiz_attempts DROP CONSTRAINT IF EXISTS quiz_attempts_status_check;
+ALTER TABLE quiz_attempts ADD CONSTRAINT quiz_attempts_status_check
+  CHECK (status IN ('in_progress', 'submitted', 'expired', 'pending_review'));
+
+-- Trainer scores and feedback keyed by attempt question key: {"quiz-12": {"score": 3, "feedback": "..."}}
+ALTER TABLE quiz_attempts ADD COLUMN IF NOT EXISTS manual_grades JSONB;
+ALTER TABLE quiz_attempts ADD COLUMN IF NOT EXISTS reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE quiz_attempts ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_quiz_attempts_pending_review ON quiz_attempts(quiz_id) WHERE status = 'pending_review';
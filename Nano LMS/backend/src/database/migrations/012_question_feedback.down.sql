@@ -0,0 +1,7 @@
+ALTER TABLE quizzes DROP COLUMN IF EXISTS show_correct_answers;
+
+ALTER TABLE question_bank DROP COLUMN IF EXISTS option_feedback;
+ALTER TABLE question_bank DROP COLUMN IF EXISTS explanation;
+
+ALTER TABLE quiz_questions DROP COLUMN IF EXISTS option_feedback;
+ALTER TABLE quiz_questions DROP COLUMN IF EXISTS explanation;
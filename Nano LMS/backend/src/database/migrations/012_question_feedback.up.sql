@@ -0,0 +1,11 @@
+-- Why the answer is right, plus optional feedback per option (same order as options)
+ALTER TABLE quiz_questions ADD COLUMN IF NOT EXISTS explanation TEXT;
+ALTER TABLE quiz_questions ADD COLUMN IF NOT EXISTS option_feedback JSONB;
+
+ALTER TABLE question_bank ADD COLUMN IF NOT EXISTS explanation TEXT;
+ALTER TABLE question_bank ADD COLUMN IF NOT EXISTS option_feedback JSONB;
+
+-- When learners may see correct answers, explanations and option feedback after submitting
+ALTER TABLE quizzes
+  ADD COLUMN IF NOT EXISTS show_correct_answers VARCHAR(20) NOT NULL DEFAULT 'after_pass'
+  CHECK (show_correct_answers IN ('never', 'after_pass', 'always'));
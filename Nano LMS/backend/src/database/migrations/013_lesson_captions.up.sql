@@ -0,0 +1,2 @@
+-- Caption/transcript file (WebVTT, SRT or plain text) attached to a lesson's video
+ALTER TABLE lessons ADD COLUMN IF NOT EXISTS caption_url VARCHAR(500);
@@ -0,0 +1,3 @@
+-- Lesson an AI-generated question was drawn from, so trainers can review coverage
+ALTER TABLE quiz_questions
+  ADD COLUMN IF NOT EXISTS source_lesson_id INTEGER REFERENCES lessons(id) ON DELETE SET NULL;
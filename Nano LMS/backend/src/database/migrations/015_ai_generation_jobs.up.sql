@@ -0,0 +1,26 @@
+-- Background AI quiz generation jobs: the request, progress, and (partial) results
+CREATE TABLE IF NOT EXISTS ai_generation_jobs (
+  id SERIAL PRIMARY KEY,
+  course_id INTEGER REFERENCES courses(id) ON DELETE CASCADE,
+  requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  generation_type VARCHAR(10) NOT NULL CHECK (generation_type IN ('text', 'course')),
+  num_questions INTEGER NOT NULL,
+  lesson_ids INTEGER[],
+  content TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'running', 'completed', 'failed', 'cancelled')),
+  progress_completed INTEGER NOT NULL DEFAULT 0,
+  progress_total INTEGER NOT NULL DEFAULT 0,
+  questions JSONB NOT NULL DEFAULT '[]',
+  rejected JSONB NOT NULL DEFAULT '[]',
+  coverage JSONB NOT NULL DEFAULT '[]',
+  repair_attempts INTEGER NOT NULL DEFAULT 0,
+  content_length INTEGER,
+  error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  started_at TIMESTAMP,
+  finished_at TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_generation_jobs_course ON ai_generation_jobs(course_id, created_at DESC);
@@ -0,0 +1,40 @@
+-- One row per LLM request: who asked, for which course/job, how big it was, what it used and how it went
+CREATE TABLE IF NOT EXISTS ai_usage_log (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  course_id INTEGER REFERENCES courses(id) ON DELETE SET NULL,
+  job_id INTEGER REFERENCES ai_generation_jobs(id) ON DELETE SET NULL,
+  task VARCHAR(50) NOT NULL,
+  provider VARCHAR(50),
+  model VARCHAR(255),
+  prompt_chars INTEGER NOT NULL DEFAULT 0,
+  prompt_tokens INTEGER,
+  completion_tokens INTEGER,
+  total_tokens INTEGER,
+  estimated_cost NUMERIC(12, 6),
+  latency_ms INTEGER NOT NULL,
+  outcome VARCHAR(10) NOT NULL CHECK (outcome IN ('success', 'error')),
+  error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_log_created ON ai_usage_log(created_at);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_log_user ON ai_usage_log(user_id, created_at);
+
+-- Generation quotas for a single user or for everyone with a role; a user quota replaces their role's.
+-- NULL limits are unlimited.
+CREATE TABLE IF NOT EXISTS ai_quotas (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  role VARCHAR(20) CHECK (role IN ('admin', 'trainer', 'learner')),
+  daily_generations INTEGER CHECK (daily_generations >= 0),
+  monthly_generations INTEGER CHECK (monthly_generations >= 0),
+  daily_tokens INTEGER CHECK (daily_tokens >= 0),
+  monthly_tokens INTEGER CHECK (monthly_tokens >= 0),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK ((user_id IS NULL) <> (role IS NULL))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ai_quotas_user ON ai_quotas(user_id) WHERE user_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ai_quotas_role ON ai_quotas(role) WHERE role IS NOT NULL;
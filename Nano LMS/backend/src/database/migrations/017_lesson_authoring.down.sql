@@ -0,0 +1,3 @@
+ALTER TABLE lessons DROP COLUMN IF EXISTS glossary;
+ALTER TABLE lessons DROP COLUMN IF EXISTS learning_objectives;
+ALTER TABLE lessons DROP COLUMN IF EXISTS summary;
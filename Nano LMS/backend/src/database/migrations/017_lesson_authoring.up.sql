@@ -0,0 +1,4 @@
+-- Lesson summary, learning objectives (["..."]) and glossary ([{"term": "...", "definition": "..."}])
+ALTER TABLE lessons ADD COLUMN IF NOT EXISTS summary TEXT;
+ALTER TABLE lessons ADD COLUMN IF NOT EXISTS learning_objectives JSONB;
+ALTER TABLE lessons ADD COLUMN IF NOT EXISTS glossary JSONB;
@@ -0,0 +1,2 @@
+ALTER TABLE certificates DROP COLUMN IF EXISTS revocation_reason;
+ALTER TABLE certificates DROP COLUMN IF EXISTS revoked_at;
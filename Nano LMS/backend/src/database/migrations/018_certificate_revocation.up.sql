@@ -0,0 +1,3 @@
+-- A revoked certificate stays on record but no longer verifies as valid
+ALTER TABLE certificates ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP;
+ALTER TABLE certificates ADD COLUMN IF NOT EXISTS revocation_reason TEXT;
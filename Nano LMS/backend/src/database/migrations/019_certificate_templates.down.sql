@@ -0,0 +1,2 @@
+ALTER TABLE courses DROP COLUMN IF EXISTS certificate_template_id;
+DROP TABLE IF EXISTS certificate_templates;
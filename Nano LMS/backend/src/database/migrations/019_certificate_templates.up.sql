@@ -0,0 +1,29 @@
+-- Branded certificate layouts. Text fields may contain placeholders such as {{learner_name}};
+-- signatures is a list of {"name", "title", "image_url"}.
+CREATE TABLE IF NOT EXISTS certificate_templates (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  is_default BOOLEAN NOT NULL DEFAULT false,
+  orientation VARCHAR(20) NOT NULL DEFAULT 'landscape' CHECK (orientation IN ('landscape', 'portrait')),
+  background_url VARCHAR(500),
+  logo_url VARCHAR(500),
+  primary_color VARCHAR(7) NOT NULL DEFAULT '#111827',
+  accent_color VARCHAR(7) NOT NULL DEFAULT '#111827',
+  text_color VARCHAR(7) NOT NULL DEFAULT '#111827',
+  heading_font VARCHAR(50) NOT NULL DEFAULT 'Helvetica',
+  body_font VARCHAR(50) NOT NULL DEFAULT 'Helvetica',
+  title VARCHAR(255) NOT NULL DEFAULT 'Certificate of Completion',
+  intro_text TEXT,
+  completion_text TEXT,
+  details_text TEXT,
+  signatures JSONB NOT NULL DEFAULT '[]',
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- At most one organisation-wide default
+CREATE UNIQUE INDEX IF NOT EXISTS idx_certificate_templates_default ON certificate_templates (is_default) WHERE is_default;
+
+-- Courses without a template use the default, or the built-in layout when there is none
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS certificate_template_id INTEGER REFERENCES certificate_templates(id) ON DELETE SET NULL;
@@ -0,0 +1,5 @@
+DROP INDEX IF EXISTS idx_certificates_expires_at;
+ALTER TABLE certificates DROP COLUMN IF EXISTS replaced_by;
+ALTER TABLE certificates DROP COLUMN IF EXISTS revoked_by;
+ALTER TABLE certificates DROP COLUMN IF EXISTS expires_at;
+ALTER TABLE courses DROP COLUMN IF EXISTS certificate_validity_months;
@@ -0,0 +1,9 @@
+-- Certificates for a course expire this many months after issue; NULL means they never expire
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS certificate_validity_months INTEGER CHECK (certificate_validity_months > 0);
+
+ALTER TABLE certificates ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP;
+ALTER TABLE certificates ADD COLUMN IF NOT EXISTS revoked_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+-- Set when a learner recertifies: the expired certificate stays on record, pointing at its renewal
+ALTER TABLE certificates ADD COLUMN IF NOT EXISTS replaced_by INTEGER REFERENCES certificates(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_certificates_expires_at ON certificates (expires_at) WHERE expires_at IS NOT NULL;
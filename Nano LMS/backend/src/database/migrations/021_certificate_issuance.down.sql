@@ -0,0 +1,6 @@
+-- Back to the foreign key 020 created, checked on every statement
+ALTER TABLE certificates DROP CONSTRAINT IF EXISTS certificates_replaced_by_fkey;
+ALTER TABLE certificates ADD CONSTRAINT certificates_replaced_by_fkey
+  FOREIGN KEY (replaced_by) REFERENCES certificates(id) ON DELETE SET NULL NOT DEFERRABLE;
+DROP INDEX IF EXISTS idx_certificates_current;
+ALTER TABLE courses DROP COLUMN IF EXISTS certificate_rule;
@@ -0,0 +1,25 @@
+-- What earns a course's certificate: every published lesson, every quiz that counts toward completion, or both
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS certificate_rule VARCHAR(20) NOT NULL DEFAULT 'both'
+  CHECK (certificate_rule IN ('lessons', 'quiz', 'both'));
+
+-- Concurrent issuance could create duplicates: keep each learner's earliest current certificate and supersede the rest
+UPDATE certificates duplicate
+SET replaced_by = kept.id
+FROM (
+  SELECT DISTINCT ON (user_id, course_id) id, user_id, course_id
+  FROM certificates
+  WHERE replaced_by IS NULL
+  ORDER BY user_id, course_id, issued_at, id
+) kept
+WHERE duplicate.replaced_by IS NULL
+  AND duplicate.user_id = kept.user_id
+  AND duplicate.course_id = kept.course_id
+  AND duplicate.id <> kept.id;
+
+-- One current certificate per learner and course; certificates superseded by recertification stay on record
+CREATE UNIQUE INDEX IF NOT EXISTS idx_certificates_current ON certificates (user_id, course_id) WHERE replaced_by IS NULL;
+
+-- Recertification points the expired certificate at its renewal before inserting the renewal
+ALTER TABLE certificates DROP CONSTRAINT IF EXISTS certificates_replaced_by_fkey;
+ALTER TABLE certificates ADD CONSTRAINT certificates_replaced_by_fkey
+  FOREIGN KEY (replaced_by) REFERENCES certificates(id) ON DELETE SET NULL DEFERRABLE INITIALLY DEFERRED;
@@ -0,0 +1,24 @@
+ALTER TABLE users ADD COLUMN IF NOT EXISTS work_type VARCHAR(50);
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS work_type VARCHAR(50) DEFAULT 'All';
+
+UPDATE users u
+SET work_type = d.name
+FROM departments d
+WHERE d.id = u.department_id;
+
+-- A course can only keep one work type; courses for several departments become open to all
+UPDATE courses c
+SET work_type = COALESCE((
+  SELECT MIN(d.name)
+  FROM course_departments cd
+  JOIN departments d ON d.id = cd.department_id
+  WHERE cd.course_id = c.id
+  HAVING COUNT(*) = 1
+), 'All');
+
+CREATE INDEX IF NOT EXISTS idx_courses_work_type ON courses(work_type);
+
+DROP TABLE IF EXISTS course_departments;
+DROP INDEX IF EXISTS idx_users_department;
+ALTER TABLE users DROP COLUMN IF EXISTS department_id;
+DROP TABLE IF EXISTS departments;
@@ -0,0 +1,50 @@
+-- Departments replace the fixed work_type list on users and courses
+CREATE TABLE IF NOT EXISTS departments (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_departments_name ON departments (LOWER(name));
+
+-- The former work types, plus any other values already stored
+INSERT INTO departments (name)
+SELECT DISTINCT ON (LOWER(name)) name FROM (
+  SELECT unnest(ARRAY['Operations', 'Sales', 'Marketing', 'Tech']) as name
+  UNION
+  SELECT work_type FROM users WHERE TRIM(work_type) <> ''
+  UNION
+  SELECT work_type FROM courses WHERE TRIM(work_type) <> '' AND work_type <> 'All'
+) work_types
+WHERE NOT EXISTS (SELECT 1 FROM departments d WHERE LOWER(d.name) = LOWER(work_types.name))
+ORDER BY LOWER(name), name;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS department_id INTEGER REFERENCES departments(id) ON DELETE SET NULL;
+
+UPDATE users u
+SET department_id = d.id
+FROM departments d
+WHERE LOWER(d.name) = LOWER(u.work_type);
+
+-- The departments a course is for; a course with none is open to every department (formerly 'All')
+CREATE TABLE IF NOT EXISTS course_departments (
+  course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+  department_id INTEGER NOT NULL REFERENCES departments(id) ON DELETE CASCADE,
+  PRIMARY KEY (course_id, department_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_course_departments_department ON course_departments (department_id);
+
+INSERT INTO course_departments (course_id, department_id)
+SELECT c.id, d.id
+FROM courses c
+JOIN departments d ON LOWER(d.name) = LOWER(c.work_type)
+ON CONFLICT DO NOTHING;
+
+CREATE INDEX IF NOT EXISTS idx_users_department ON users (department_id);
+
+DROP INDEX IF EXISTS idx_courses_work_type;
+ALTER TABLE courses DROP COLUMN IF EXISTS work_type;
+ALTER TABLE users DROP COLUMN IF EXISTS work_type;
@@ -0,0 +1,15 @@
+DROP INDEX IF EXISTS idx_users_manager;
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_not_own_manager;
+ALTER TABLE users DROP COLUMN IF EXISTS manager_id;
+
+DELETE FROM ai_quotas WHERE role = 'manager';
+ALTER TABLE ai_quotas DROP CONSTRAINT IF EXISTS ai_quotas_role_check;
+ALTER TABLE ai_quotas ADD CONSTRAINT ai_quotas_role_check
+  CHECK (role IN ('admin', 'trainer', 'learner'));
+
+-- Managers go back to being learners
+UPDATE users SET role = 'learner' WHERE role = 'manager';
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users ADD CONSTRAINT users_role_check
+  CHECK (role IN ('admin', 'trainer', 'learner'));
@@ -0,0 +1,15 @@
+-- Line managers: a manager role, and each user's direct manager
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users ADD CONSTRAINT users_role_check
+  CHECK (role IN ('admin', 'trainer', 'manager', 'learner'));
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS manager_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_not_own_manager;
+ALTER TABLE users ADD CONSTRAINT users_not_own_manager CHECK (manager_id <> id);
+
+CREATE INDEX IF NOT EXISTS idx_users_manager ON users(manager_id);
+
+-- Managers can be given a role AI quota like every other role
+ALTER TABLE ai_quotas DROP CONSTRAINT IF EXISTS ai_quotas_role_check;
+ALTER TABLE ai_quotas ADD CONSTRAINT ai_quotas_role_check
+  CHECK (role IN ('admin', 'trainer', 'manager', 'learner'));
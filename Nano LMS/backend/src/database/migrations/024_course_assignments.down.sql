@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_enrollments_assignment;
+ALTER TABLE course_enrollments DROP COLUMN IF EXISTS assignment_id;
+DROP TABLE IF EXISTS course_assignments;
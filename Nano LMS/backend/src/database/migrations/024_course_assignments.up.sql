@@ -0,0 +1,22 @@
+-- Mandatory courses: an assignment targets one user, everyone in a department or everyone with a role
+CREATE TABLE IF NOT EXISTS course_assignments (
+  id SERIAL PRIMARY KEY,
+  course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  department_id INTEGER REFERENCES departments(id) ON DELETE CASCADE,
+  role VARCHAR(20) CHECK (role IN ('admin', 'trainer', 'manager', 'learner')),
+  due_date DATE NOT NULL,
+  assigned_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (num_nonnulls(user_id, department_id, role) = 1)
+);
+
+CREATE INDEX IF NOT EXISTS idx_course_assignments_course ON course_assignments(course_id);
+CREATE INDEX IF NOT EXISTS idx_course_assignments_user ON course_assignments(user_id) WHERE user_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_course_assignments_department ON course_assignments(department_id) WHERE department_id IS NOT NULL;
+
+-- Enrollments made by an assignment point at it (the one due soonest when several apply);
+-- self-enrollments leave it NULL
+ALTER TABLE course_enrollments ADD COLUMN IF NOT EXISTS assignment_id INTEGER REFERENCES course_assignments(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_enrollments_assignment ON course_enrollments(assignment_id) WHERE assignment_id IS NOT NULL;
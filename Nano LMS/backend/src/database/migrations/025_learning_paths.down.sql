@@ -0,0 +1,8 @@
+DELETE FROM certificates WHERE learning_path_id IS NOT NULL;
+DROP INDEX IF EXISTS idx_certificates_current_path;
+ALTER TABLE certificates DROP CONSTRAINT IF EXISTS certificates_course_or_path;
+ALTER TABLE certificates DROP COLUMN IF EXISTS learning_path_id;
+DROP TABLE IF EXISTS learning_path_enrollments;
+DROP TABLE IF EXISTS learning_path_prerequisites;
+DROP TABLE IF EXISTS learning_path_courses;
+DROP TABLE IF EXISTS learning_paths;
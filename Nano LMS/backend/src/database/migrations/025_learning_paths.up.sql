@@ -0,0 +1,50 @@
+-- Multi-course programs such as onboarding: an ordered list of courses with its own certificate
+CREATE TABLE IF NOT EXISTS learning_paths (
+  id SERIAL PRIMARY KEY,
+  title VARCHAR(255) NOT NULL,
+  description TEXT,
+  is_published BOOLEAN NOT NULL DEFAULT false,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- The path's steps, in order
+CREATE TABLE IF NOT EXISTS learning_path_courses (
+  learning_path_id INTEGER NOT NULL REFERENCES learning_paths(id) ON DELETE CASCADE,
+  course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  PRIMARY KEY (learning_path_id, course_id),
+  UNIQUE (learning_path_id, position)
+);
+
+CREATE INDEX IF NOT EXISTS idx_learning_path_courses_course ON learning_path_courses (course_id);
+
+-- Earlier steps a step is locked behind; steps without any are open from the start
+CREATE TABLE IF NOT EXISTS learning_path_prerequisites (
+  learning_path_id INTEGER NOT NULL,
+  course_id INTEGER NOT NULL,
+  prerequisite_course_id INTEGER NOT NULL,
+  PRIMARY KEY (learning_path_id, course_id, prerequisite_course_id),
+  FOREIGN KEY (learning_path_id, course_id) REFERENCES learning_path_courses(learning_path_id, course_id) ON DELETE CASCADE,
+  FOREIGN KEY (learning_path_id, prerequisite_course_id) REFERENCES learning_path_courses(learning_path_id, course_id) ON DELETE CASCADE,
+  CHECK (course_id <> prerequisite_course_id)
+);
+
+CREATE TABLE IF NOT EXISTS learning_path_enrollments (
+  id SERIAL PRIMARY KEY,
+  learning_path_id INTEGER NOT NULL REFERENCES learning_paths(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  enrolled_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP,
+  UNIQUE (learning_path_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_learning_path_enrollments_user ON learning_path_enrollments (user_id);
+
+-- Path certificates live alongside course certificates: each certificate is for a course or a path
+ALTER TABLE certificates ADD COLUMN IF NOT EXISTS learning_path_id INTEGER REFERENCES learning_paths(id) ON DELETE CASCADE;
+ALTER TABLE certificates DROP CONSTRAINT IF EXISTS certificates_course_or_path;
+ALTER TABLE certificates ADD CONSTRAINT certificates_course_or_path CHECK (num_nonnulls(course_id, learning_path_id) = 1);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_certificates_current_path ON certificates (user_id, learning_path_id)
+  WHERE replaced_by IS NULL AND learning_path_id IS NOT NULL;
@@ -0,0 +1,3 @@
+ALTER TABLE quizzes DROP COLUMN IF EXISTS requires_all_lessons;
+ALTER TABLE lessons DROP COLUMN IF EXISTS requires_previous_lesson;
+DROP TABLE IF EXISTS course_prerequisites;
@@ -0,0 +1,15 @@
+-- Courses whose certificate a learner must hold before starting another course
+CREATE TABLE IF NOT EXISTS course_prerequisites (
+  course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+  prerequisite_course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+  PRIMARY KEY (course_id, prerequisite_course_id),
+  CHECK (course_id <> prerequisite_course_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_course_prerequisites_prerequisite ON course_prerequisites (prerequisite_course_id);
+
+-- A lesson that stays locked until the learner completes the published lesson before it
+ALTER TABLE lessons ADD COLUMN IF NOT EXISTS requires_previous_lesson BOOLEAN NOT NULL DEFAULT false;
+
+-- A final exam that stays locked until the learner completes every published lesson in the course
+ALTER TABLE quizzes ADD COLUMN IF NOT EXISTS requires_all_lessons BOOLEAN NOT NULL DEFAULT false;
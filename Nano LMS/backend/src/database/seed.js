@@ -9,8 +9,8 @@ const seedDatabase = async () => {
     // Create admin user
     const adminPassword = await bcrypt.hash('admin123', 12);
     const adminResult = await query(`
-      INSERT INTO users (email, password_hash, first_name, last_name, role)
-      VALUES ($1, $2, $3, $4, $5)
+      INSERT INTO users (email, password_hash, first_name, last_name, role, approval_status)
+      VALUES ($1, $2, $3, $4, $5, 'approved')
       ON CONFLICT (email) DO NOTHING
       RETURNING id
     `, ['admin@nanolms.com', adminPassword, 'Admin', 'User', 'admin']);
@@ -18,8 +18,8 @@ const seedDatabase = async () => {
     // Create trainer user
     const trainerPassword = await bcrypt.hash('trainer123', 12);
     const trainerResult = await query(`
-      INSERT INTO users (email, password_hash, first_name, last_name, role)
-      VALUES ($1, $2, $3, $4, $5)
+      INSERT INTO users (email, password_hash, first_name, last_name, role, approval_status)
+      VALUES ($1, $2, $3, $4, $5, 'approved')
       ON CONFLICT (email) DO NOTHING
       RETURNING id
     `, ['trainer@nanolms.com', trainerPassword, 'John', 'Trainer', 'trainer']);
@@ -27,8 +27,8 @@ const seedDatabase = async () => {
     // Create sample learner
     const learnerPassword = await bcrypt.hash('learner123', 12);
     const learnerResult = await query(`
-      INSERT INTO users (email, password_hash, first_name, last_name, role)
-      VALUES ($1, $2, $3, $4, $5)
+      INSERT INTO users (email, password_hash, first_name, last_name, role, approval_status)
+      VALUES ($1, $2, $3, $4, $5, 'approved')
       ON CONFLICT (email) DO NOTHING
       RETURNING id
     `, ['learner@nanolms.com', learnerPassword, 'Jane', 'Learner', 'learner']);
@@ -150,7 +150,7 @@ const seedDatabase = async () => {
       true
     ]);
 
-    // Create a sample quiz for the first lesson
+    // Create a sample quiz for the first lesson of the first course
     const lesson1Result = await query(`
       SELECT id FROM lessons WHERE course_id = $1 AND order_index = 1 LIMIT 1
     `, [course1Id]);
@@ -159,49 +159,49 @@ const seedDatabase = async () => {
       const lesson1Id = lesson1Result.rows[0].id;
       
       const quizResult = await query(`
-        INSERT INTO quizzes (lesson_id, title, description, time_limit_minutes, passing_score)
-        VALUES ($1, $2, $3, $4, $5)
+        INSERT INTO quizzes (course_id, lesson_id, title, description, time_limit_minutes, passing_percentage)
+        VALUES ($1, $2, $3, $4, $5, $6)
         RETURNING id
-      `, [lesson1Id, 'HTML Basics Quiz', 'Test your knowledge of HTML fundamentals', 15, 70]);
+      `, [course1Id, lesson1Id, 'HTML Basics Quiz', 'Test your knowledge of HTML fundamentals', 15, 70]);
 
       const quizId = quizResult.rows[0].id;
 
       // Add quiz questions
       await query(`
-        INSERT INTO quiz_questions (quiz_id, question, question_type, options, correct_answer, points, order_index)
+        INSERT INTO quiz_questions (quiz_id, question_text, question_type, options, correct_answer, points, order_index)
         VALUES ($1, $2, $3, $4, $5, $6, $7)
       `, [
         quizId,
         'What does HTML stand for?',
         'multiple_choice',
         JSON.stringify(['HyperText Markup Language', 'High Tech Modern Language', 'Home Tool Markup Language', 'Hyperlink and Text Markup Language']),
-        'HyperText Markup Language',
+        '0',
         1,
         1
       ]);
 
       await query(`
-        INSERT INTO quiz_questions (quiz_id, question, question_type, options, correct_answer, points, order_index)
+        INSERT INTO quiz_questions (quiz_id, question_text, question_type, options, correct_answer, points, order_index)
         VALUES ($1, $2, $3, $4, $5, $6, $7)
       `, [
         quizId,
         'Which HTML tag is used to define a paragraph?',
         'multiple_choice',
         JSON.stringify(['<p>', '<paragraph>', '<text>', '<para>']),
-        '<p>',
+        '0',
         1,
         2
       ]);
 
       await query(`
-        INSERT INTO quiz_questions (quiz_id, question, question_type, options, correct_answer, points, order_index)
+        INSERT INTO quiz_questions (quiz_id, question_text, question_type, options, correct_answer, points, order_index)
         VALUES ($1, $2, $3, $4, $5, $6, $7)
       `, [
         quizId,
         'What is the correct HTML element for inserting a line break?',
         'multiple_choice',
         JSON.stringify(['<break>', '<lb>', '<br>', '<linebreak>']),
-        '<br>',
+        '2',
         1,
         3
       ]);
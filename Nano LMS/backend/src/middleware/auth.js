@@ -17,7 +17,7 @@ const authenticateToken = async (req, res, next) => {
     
     // Get user from database to ensure they still exist and are active
     const userResult = await query(
-      'SELECT id, email, first_name, last_name, role, work_type, is_active FROM users WHERE id = $1',
+      'SELECT id, email, first_name, last_name, role, department_id, is_active FROM users WHERE id = $1',
       [decoded.userId]
     );
 
@@ -61,6 +61,8 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+const USER_ROLES = ['admin', 'trainer', 'manager', 'learner'];
+
 const requireRole = (roles) => {
   return (req, res, next) => {
     if (!req.user) {
@@ -83,12 +85,15 @@ const requireRole = (roles) => {
 
 const requireAdmin = requireRole(['admin']);
 const requireTrainer = requireRole(['admin', 'trainer']);
-const requireLearner = requireRole(['admin', 'trainer', 'learner']);
+const requireLearner = requireRole(['admin', 'trainer', 'manager', 'learner']);
+const requireManager = requireRole(['admin', 'manager']);
 
 module.exports = {
+  USER_ROLES,
   authenticateToken,
   requireRole,
   requireAdmin,
   requireTrainer,
-  requireLearner
+  requireLearner,
+  requireManager
 };
@@ -0,0 +1,241 @@
+jest.mock('../../database/connection', () => ({ query: jest.fn(), pool: {} }));
+jest.mock('../../middleware/auth', () => ({
+  ...jest.requireActual('../../middleware/auth'),
+  // The signed-in user comes from a test header instead of a JWT
+  authenticateToken: (req, res, next) => {
+    req.user = JSON.parse(req.get('x-test-user'));
+    next();
+  }
+}));
+
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+const CONTENT = 'Always check the weight of a load before lifting it. Bend your knees and keep your back straight. ' +
+  'Ask a colleague for help with awkward loads. Report damaged equipment to your supervisor immediately.';
+
+// Load the generation helpers against the fixture provider, optionally with canned responses
+const loadGenerator = (fixture = null) => {
+  process.env.LLM_PROVIDER = 'fixture';
+  process.env.LLM_FIXTURE_PATH = fixture ? path.join(__dirname, 'fixtures', fixture) : '';
+  jest.resetModules();
+
+  const { query } = require('../../database/connection');
+  query.mockResolvedValue({ rows: [] });
+  const llm = require('../../utils/llm');
+  jest.spyOn(llm, 'complete');
+  return { query, llm, ...require('../aiQuiz') };
+};
+
+// Tasks recorded in the AI usage log, in order
+const loggedTasks = (query) => query.mock.calls
+  .filter(([sql]) => sql.includes('INSERT INTO ai_usage_log'))
+  .map(([, params]) => params[3]);
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete process.env.LLM_PROVIDER;
+  delete process.env.LLM_FIXTURE_PATH;
+});
+
+describe('generateQuizQuestions', () => {
+  it('returns valid questions from the built-in fixture responses without repairs', async () => {
+    const { query, generateQuizQuestions } = loadGenerator();
+
+    const result = await generateQuizQuestions(CONTENT, 3, { userId: 1 });
+
+    expect(result.questions).toHaveLength(3);
+    expect(result.rejected).toEqual([]);
+    expect(result.repairAttempts).toBe(0);
+    for (const question of result.questions) {
+      expect(Object.keys(question.options)).toEqual(['A', 'B', 'C', 'D']);
+      expect(question.options[question.correctAnswer]).toEqual(expect.any(String));
+    }
+    expect(loggedTasks(query)).toEqual(['quiz_questions']);
+  });
+
+  it('sends only the malformed items back and keeps the repaired ones', async () => {
+    const { query, generateQuizQuestions } = loadGenerator('repairable.json');
+
+    const result = await generateQuizQuestions(CONTENT, 3, { userId: 1 });
+
+    expect(result.questions.map((q) => q.question)).toEqual([
+      'What should you do before lifting a heavy box?',
+      'Which posture protects your back when lifting?'
+    ]);
+    expect(result.questions[1].options.D).toBe('Leaning forward');
+    expect(result.rejected).toEqual([
+      { question: 'What should you do before lifting a heavy box?', reason: 'Duplicate of another generated question' }
+    ]);
+    expect(result.repairAttempts).toBe(1);
+    expect(loggedTasks(query)).toEqual(['quiz_questions', 'quiz_questions_repair']);
+  });
+
+  it('gives up on items that stay malformed after the repair limit', async () => {
+    const { query, generateQuizQuestions } = loadGenerator('unrepairable.json');
+
+    const result = await generateQuizQuestions(CONTENT, 2, { userId: 1 });
+
+    expect(result.questions).toEqual([expect.objectContaining({ question: 'Where is the nearest fire exit marked?', correctAnswer: 'A' })]);
+    expect(result.rejected).toEqual([{ question: 'Who leads an evacuation?', reason: 'Question has two identical options' }]);
+    expect(result.repairAttempts).toBe(2);
+    expect(loggedTasks(query)).toEqual(['quiz_questions', 'quiz_questions_repair', 'quiz_questions_repair']);
+  });
+
+  it('retries a response that is not JSON and fails when it never is', async () => {
+    const { query, generateQuizQuestions } = loadGenerator('not-json.json');
+
+    await expect(generateQuizQuestions(CONTENT, 2, { userId: 1 }))
+      .rejects.toThrow('Failed to generate quiz questions: AI response is not in valid JSON format');
+    expect(loggedTasks(query)).toEqual(['quiz_questions', 'quiz_questions', 'quiz_questions']);
+  });
+
+  it('stops with a quota error once the user is out of tokens', async () => {
+    const { query, generateQuizQuestions } = loadGenerator();
+    query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM ai_quotas')) {
+        return { rows: [{ daily_generations: 1, monthly_generations: null, daily_tokens: 1000, monthly_tokens: null }] };
+      }
+      if (sql.includes('as daily_generations')) {
+        return { rows: [{ daily_generations: 1, monthly_generations: 1, daily_tokens: 1000, monthly_tokens: 1000 }] };
+      }
+      return { rows: [] };
+    });
+
+    await expect(generateQuizQuestions(CONTENT, 2, { userId: 1, user: { id: 1, role: 'trainer' } }))
+      .rejects.toMatchObject({ code: 'AI_QUOTA_EXCEEDED', message: 'AI quota exceeded: You have reached your daily token limit of 1000' });
+    expect(loggedTasks(query)).toEqual([]);
+  });
+});
+
+describe('generateFromSections', () => {
+  it('shares questions out by section length and tags them with their lesson', async () => {
+    const { generateFromSections } = loadGenerator();
+    const sections = [
+      { lessonId: 1, lessonTitle: 'Lifting', heading: 'Lesson: Lifting\n\n', text: CONTENT },
+      { lessonId: 2, lessonTitle: 'Reporting', heading: 'Lesson: Reporting\n\n', text: 'Report damaged equipment to your supervisor immediately.' }
+    ];
+
+    const result = await generateFromSections(sections, 4);
+
+    expect(result.coverage).toEqual([
+      { lessonId: 1, lessonTitle: 'Lifting', requested: 3, generated: 3 },
+      { lessonId: 2, lessonTitle: 'Reporting', requested: 1, generated: 1 }
+    ]);
+    expect(result.questions.map((q) => q.lessonId)).toEqual([1, 1, 1, 2]);
+  });
+
+  it('records a failed section against its lesson and keeps the rest', async () => {
+    const { llm, generateFromSections } = loadGenerator();
+    llm.complete.mockRejectedValueOnce(new Error('Provider unavailable'));
+    const sections = [
+      { lessonId: 1, lessonTitle: 'Lifting', heading: '', text: CONTENT },
+      { lessonId: 2, lessonTitle: 'Reporting', heading: '', text: CONTENT }
+    ];
+
+    const result = await generateFromSections(sections, 2);
+
+    expect(result.questions.map((q) => q.lessonId)).toEqual([2]);
+    expect(result.rejected).toEqual([
+      { question: null, reason: 'Failed to generate quiz questions: Provider unavailable', lessonId: 1, lessonTitle: 'Lifting' }
+    ]);
+    expect(result.coverage.map((entry) => entry.generated)).toEqual([0, 1]);
+  });
+
+  it('reports progress before the first request and after each one', async () => {
+    const { generateFromSections } = loadGenerator();
+    const sections = [
+      { lessonId: 1, lessonTitle: 'Lifting', heading: '', text: CONTENT },
+      { lessonId: 2, lessonTitle: 'Reporting', heading: '', text: CONTENT }
+    ];
+    const progress = [];
+
+    const result = await generateFromSections(sections, 2, {
+      onProgress: ({ completed, total }) => { progress.push([completed, total]); }
+    });
+
+    expect(result.stopped).toBe(false);
+    expect(progress).toEqual([[0, 2], [1, 2], [2, 2]]);
+  });
+
+  it('stops early when progress reporting says so', async () => {
+    const { llm, generateFromSections } = loadGenerator();
+    const sections = [
+      { lessonId: 1, lessonTitle: 'Lifting', heading: '', text: CONTENT },
+      { lessonId: 2, lessonTitle: 'Reporting', heading: '', text: CONTENT }
+    ];
+
+    const result = await generateFromSections(sections, 2, { onProgress: ({ completed }) => completed === 0 });
+
+    expect(result.stopped).toBe(true);
+    expect(result.questions).toHaveLength(1);
+    expect(llm.complete).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('course ownership', () => {
+  const OTHER_TRAINER = { id: 7, role: 'trainer' };
+
+  // The router as server.js mounts it, with course 5 (taught by user 42), no other courses and no AI usage yet
+  const createApp = () => {
+    const { query, router } = loadGenerator();
+    query.mockImplementation(async (sql, params) => {
+      if (sql.includes('FROM courses WHERE id') && String(params[0]) === '5') {
+        return { rows: [{ id: 5, instructor_id: 42 }] };
+      }
+      if (sql.includes('as daily_generations')) {
+        return { rows: [{ daily_generations: 0, monthly_generations: 0, daily_tokens: 0, monthly_tokens: 0 }] };
+      }
+      return { rows: [] };
+    });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/ai-quiz', router);
+    return { app, query };
+  };
+
+  it("refuses to preview another trainer's course content", async () => {
+    const { app, query } = createApp();
+
+    const res = await request(app).get('/api/ai-quiz/course/5/content').set('x-test-user', JSON.stringify(OTHER_TRAINER));
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Access denied');
+    expect(query.mock.calls.filter(([sql]) => /FROM lessons/.test(sql))).toEqual([]);
+  });
+
+  it("refuses to generate from another trainer's course", async () => {
+    const { app, query } = createApp();
+
+    const res = await request(app).post('/api/ai-quiz/generate').set('x-test-user', JSON.stringify(OTHER_TRAINER))
+      .send({ course_id: 5, numQuestions: 3, generationType: 'course' });
+
+    expect(res.status).toBe(403);
+    expect(query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO ai_generation_jobs'))).toEqual([]);
+  });
+
+  it('reports a course that does not exist', async () => {
+    const { app } = createApp();
+
+    const res = await request(app).get('/api/ai-quiz/course/6/content').set('x-test-user', JSON.stringify(OTHER_TRAINER));
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Course not found');
+  });
+
+  it("lets the course's trainer and admins preview its content", async () => {
+    const { app } = createApp();
+
+    for (const user of [{ id: 42, role: 'trainer' }, { id: 1, role: 'admin' }]) {
+      const res = await request(app).get('/api/ai-quiz/course/5/content').set('x-test-user', JSON.stringify(user));
+      expect(res.status).toBe(200);
+    }
+  });
+});
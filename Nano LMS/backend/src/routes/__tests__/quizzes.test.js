@@ -0,0 +1,149 @@
+jest.mock('../../database/connection', () => ({ query: jest.fn(), pool: { connect: jest.fn() } }));
+
+const express = require('express');
+const request = require('supertest');
+const { query, pool } = require('../../database/connection');
+const quizRoutes = require('../quizzes');
+
+const LEARNER = { id: 7, role: 'learner' };
+
+const QUIZ = {
+  id: 3, course_id: 1, lesson_id: null, passing_percentage: 70, counts_toward_completion: true, requires_all_lessons: false,
+  shuffle_options: false, time_limit_minutes: 30, max_attempts: 2, cooldown_minutes: 0, show_correct_answers: 'never',
+  instructor_id: 99
+};
+
+const QUESTION = { id: 11, question_text: 'Pick one', question_type: 'multiple_choice', options: ['A', 'B'], correct_answer: 1, points: 1 };
+
+// Stored ordering items are in their correct order, so the options alone give the answer away
+const ORDERING_QUESTION = {
+  id: 12, question_text: 'Put these in order', question_type: 'ordering', options: ['First', 'Second', 'Third'],
+  correct_answer: [0, 1, 2], points: 1, order_index: 1
+};
+
+// Return only the columns a question query selects, as Postgres would
+const selectColumns = (sql, row) => {
+  const columns = sql.match(/SELECT\s+([\s\S]*?)\s+FROM quiz_questions/)[1].split(',').map((column) => column.trim());
+  return Object.fromEntries(columns.filter((column) => column in row).map((column) => [column, row[column]]));
+};
+
+// The app as server.js mounts it, with the signed-in user taken from a test header
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = JSON.parse(req.get('x-test-user'));
+    next();
+  });
+  app.use('/api/quizzes', quizRoutes);
+  return app;
+};
+
+// Answer queries by what they select; anything else gets no rows
+const answerQueries = ({ attemptsUsed = 0 } = {}) => async (sql) => {
+  if (/FROM quizzes/.test(sql)) return { rows: [QUIZ] };
+  if (/COUNT\(\*\) as attempts_used/.test(sql)) return { rows: [{ attempts_used: String(attemptsUsed), last_completed_at: null }] };
+  if (/points, order_index/.test(sql)) return { rows: [selectColumns(sql, ORDERING_QUESTION)] };
+  if (/FROM quiz_questions/.test(sql)) return { rows: [QUESTION] };
+  if (/INSERT INTO quiz_attempts/.test(sql)) {
+    return { rows: [{ id: 40, started_at: new Date(), expires_at: new Date(), questions: [], answers: {}, server_time: new Date() }] };
+  }
+  return { rows: [] };
+};
+
+let client;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  query.mockImplementation(answerQueries());
+  client = { query: jest.fn(answerQueries()), release: jest.fn() };
+  pool.connect.mockResolvedValue(client);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const sqlOf = (mock) => mock.mock.calls.map(([sql]) => sql);
+
+describe('GET /api/quizzes/:id', () => {
+  it('gives a learner no options or answers', async () => {
+    const res = await request(createApp()).get('/api/quizzes/3').set('x-test-user', JSON.stringify(LEARNER));
+
+    expect(res.status).toBe(200);
+    expect(res.body.questions).toEqual([
+      { id: 12, question_text: 'Put these in order', question_type: 'ordering', points: 1, order_index: 1 }
+    ]);
+    expect(res.body.quiz.question_pools).toBeUndefined();
+    expect(JSON.stringify(res.body)).not.toMatch(/"First"|"correct_answer"|"options"/);
+  });
+
+  it('gives the course trainer the options and answers', async () => {
+    const res = await request(createApp()).get('/api/quizzes/3').set('x-test-user', JSON.stringify({ id: 99, role: 'trainer' }));
+
+    expect(res.status).toBe(200);
+    expect(res.body.questions[0]).toMatchObject({ options: ['First', 'Second', 'Third'], correct_answer: [0, 1, 2] });
+    expect(res.body.quiz.question_pools).toEqual([]);
+  });
+});
+
+describe('POST /api/quizzes/:id/attempt', () => {
+  it('checks the limits and draws questions on the locked client', async () => {
+    const res = await request(createApp()).post('/api/quizzes/3/attempt').set('x-test-user', JSON.stringify(LEARNER));
+
+    expect(res.status).toBe(201);
+    const clientSql = sqlOf(client.query);
+    expect(clientSql[0]).toBe('BEGIN');
+    expect(clientSql[1]).toMatch(/pg_advisory_xact_lock\(hashtextextended\(format\('quiz_attempt:/);
+    expect(client.query.mock.calls[1][1]).toEqual([7, 3]);
+    expect(clientSql).toEqual(expect.arrayContaining([
+      expect.stringMatching(/COUNT\(\*\) as attempts_used/),
+      expect.stringMatching(/FROM quiz_questions/),
+      expect.stringMatching(/INSERT INTO quiz_attempts/)
+    ]));
+    expect(clientSql[clientSql.length - 1]).toBe('COMMIT');
+    expect(client.release).toHaveBeenCalled();
+
+    // Nothing needed under the lock goes through a second pooled connection
+    expect(sqlOf(query).filter((sql) => /attempts_used|expires_at <= NOW\(\)|FROM quiz_questions|FROM question_bank/.test(sql))).toEqual([]);
+  });
+
+  it('rolls back and refuses once the attempt cap is reached', async () => {
+    client.query.mockImplementation(answerQueries({ attemptsUsed: 2 }));
+
+    const res = await request(createApp()).post('/api/quizzes/3/attempt').set('x-test-user', JSON.stringify(LEARNER));
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Attempt limit reached');
+    expect(sqlOf(client.query)).toContain('ROLLBACK');
+    expect(sqlOf(client.query)).not.toEqual(expect.arrayContaining([expect.stringMatching(/INSERT INTO quiz_attempts/)]));
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('only counts attempts since an expired certificate when recertifying', async () => {
+    const expiredAt = new Date('2026-01-01T00:00:00Z');
+    const answer = answerQueries({ attemptsUsed: 0 });
+    client.query.mockImplementation(async (sql, params) => (
+      /FROM certificates/.test(sql) ? { rows: [{ expires_at: expiredAt }] } : answer(sql, params)
+    ));
+
+    const res = await request(createApp()).post('/api/quizzes/3/attempt').set('x-test-user', JSON.stringify(LEARNER));
+
+    expect(res.status).toBe(201);
+    const usageCall = client.query.mock.calls.find(([sql]) => /attempts_used/.test(sql));
+    expect(usageCall[1]).toEqual([7, 3, expiredAt]);
+  });
+});
+
+describe('POST /api/quizzes/:quizId/submit', () => {
+  it.each([
+    ['missing', {}],
+    ['zero', { attempt_id: 0 }],
+    ['not a number', { attempt_id: 'latest' }]
+  ])('rejects an attempt_id that is %s', async (_, body) => {
+    const res = await request(createApp()).post('/api/quizzes/3/submit').set('x-test-user', JSON.stringify(LEARNER)).send(body);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation failed');
+    expect(query).not.toHaveBeenCalled();
+  });
+});
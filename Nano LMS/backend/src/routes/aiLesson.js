@@ -0,0 +1,168 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query } = require('../database/connection');
+const { requireTrainer } = require('../middleware/auth');
+const llm = require('../utils/llm');
+const { auditedComplete, getQuotaStatus } = require('../utils/aiUsage');
+const { parseJsonObject } = require('../utils/aiQuestionSchema');
+const { MIN_OBJECTIVES, MAX_OBJECTIVES, validateLessonDraft } = require('../utils/aiLessonDraftSchema');
+const { extractLessonAttachments } = require('../utils/contentExtraction');
+const { CHARS_PER_TOKEN } = require('../utils/contentChunking');
+
+const router = express.Router();
+
+// Room left in the context window for the instructions and the JSON draft itself
+const PROMPT_OVERHEAD_TOKENS = 500;
+const DRAFT_RESPONSE_TOKENS = 1200;
+
+// Validation middleware for lesson draft requests
+const validateDraftRequest = [
+  body('course_id').isInt({ min: 1 }).withMessage('Course ID must be a positive integer'),
+  body('title').trim().isLength({ min: 1, max: 255 }).withMessage('Lesson title is required'),
+  body('content').optional({ nullable: true }).isString().withMessage('Content must be a string'),
+  body('documentUrl').optional({ nullable: true }).isString().withMessage('Document URL must be a string'),
+  body('captionUrl').optional({ nullable: true }).isString().withMessage('Caption URL must be a string')
+];
+
+const SYSTEM_PROMPT = 'You are an instructional designer helping a trainer write a lesson. Use only the lesson material you are given; never invent facts, figures or procedures. Write in plain, direct language for adult learners. Always respond with a single valid JSON object.';
+
+const buildDraftPrompt = (title, material) => `Draft authoring material for the lesson "${title}" from the lesson material below.
+
+Provide:
+1. "summary": a summary of the lesson in 2-4 short paragraphs
+2. "objectives": ${MIN_OBJECTIVES} to ${MAX_OBJECTIVES} learning objectives, each starting with a measurable verb (e.g. "Identify", "Explain", "Apply")
+3. "glossary": the key terms a learner needs, each with a one-sentence definition taken from the material
+4. "description": a one or two sentence description for the course outline
+
+Respond with JSON in this structure:
+{
+  "summary": "...",
+  "objectives": ["...", "..."],
+  "glossary": [{ "term": "...", "definition": "..." }],
+  "description": "..."
+}
+
+Lesson material:
+${material}`;
+
+// Characters of lesson material that fit alongside the instructions and the response
+const getMaterialBudget = () => {
+  const { contextTokens } = llm.getLLMConfig();
+  return Math.max(contextTokens - PROMPT_OVERHEAD_TOKENS - DRAFT_RESPONSE_TOKENS, 500) * CHARS_PER_TOKEN;
+};
+
+// POST /api/ai-lesson/draft - Draft a summary, objectives, glossary and description for a lesson.
+// Nothing is saved: the trainer reviews and edits the draft in the lesson form before saving.
+router.post('/draft', requireTrainer, validateDraftRequest, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Please check your input',
+        details: errors.array()
+      });
+    }
+
+    const { course_id, title, content, documentUrl, captionUrl } = req.body;
+
+    const courseResult = await query('SELECT instructor_id FROM courses WHERE id = $1', [course_id]);
+    if (courseResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Course not found',
+        message: 'Course with this ID does not exist'
+      });
+    }
+    if (req.user.role !== 'admin' && courseResult.rows[0].instructor_id !== req.user.id) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only draft lessons for courses you created'
+      });
+    }
+
+    const quotaStatus = await getQuotaStatus(req.user);
+    if (quotaStatus.exceeded) {
+      return res.status(429).json({
+        error: 'AI quota exceeded',
+        message: quotaStatus.exceeded,
+        quota: quotaStatus.quota,
+        usage: quotaStatus.usage
+      });
+    }
+
+    const warnings = [];
+    const parts = [];
+    if (content && content.trim()) {
+      parts.push(content.trim());
+    }
+    for (const attachment of await extractLessonAttachments({ document_url: documentUrl, caption_url: captionUrl })) {
+      if (attachment.text) {
+        parts.push(`[${attachment.kind === 'captions' ? 'Video transcript' : 'Lesson document'}]\n${attachment.text}`);
+      } else {
+        warnings.push(`The ${attachment.kind === 'captions' ? 'video captions' : 'lesson document'} could not be used: ${attachment.error}`);
+      }
+    }
+
+    let material = parts.join('\n\n');
+    if (!material) {
+      return res.status(400).json({
+        error: 'No lesson material',
+        message: 'Add lesson content, a document or video captions before drafting'
+      });
+    }
+
+    const budget = getMaterialBudget();
+    if (material.length > budget) {
+      material = material.slice(0, budget);
+      warnings.push(`Only the first ${budget.toLocaleString()} characters of the lesson material were used`);
+    }
+
+    const prompt = buildDraftPrompt(title, material);
+    let result = null;
+    let lastError = null;
+
+    // One retry: a draft is cheap to regenerate, unlike a batch of quiz questions
+    for (let attempt = 0; attempt < 2 && !result; attempt++) {
+      const completion = await auditedComplete(
+        { userId: req.user.id, courseId: parseInt(course_id) },
+        {
+          task: 'lesson_draft',
+          input: { title, content: material },
+          system: SYSTEM_PROMPT,
+          prompt,
+          maxTokens: DRAFT_RESPONSE_TOKENS
+        }
+      );
+
+      const parsed = parseJsonObject(completion.content);
+      const validated = parsed.error ? parsed : validateLessonDraft(parsed.value);
+      if (validated.error) {
+        lastError = validated.error;
+      } else {
+        result = validated;
+      }
+    }
+
+    if (!result) {
+      return res.status(502).json({
+        error: 'Draft generation failed',
+        message: `The AI response could not be used: ${lastError}`
+      });
+    }
+
+    res.json({
+      success: true,
+      draft: result.draft,
+      warnings: [...warnings, ...result.warnings]
+    });
+
+  } catch (error) {
+    console.error('AI lesson draft error:', error);
+    res.status(500).json({
+      error: 'Failed to draft lesson',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -2,26 +2,41 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { query } = require('../database/connection');
 const { requireTrainer, authenticateToken } = require('../middleware/auth');
-const axios = require('axios');
+const llm = require('../utils/llm');
+const { QUOTA_EXCEEDED, auditedComplete, getQuotaStatus } = require('../utils/aiUsage');
+const { parseQuestionArray, validateGeneratedQuestion, isNearDuplicate } = require('../utils/aiQuestionSchema');
+const { extractLessonAttachments } = require('../utils/contentExtraction');
+const { CHARS_PER_TOKEN, chunkText, allocateProportionally } = require('../utils/contentChunking');
 const fs = require('fs').promises;
 const path = require('path');
 
 const router = express.Router();
 
-// OpenRouter configuration
-const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY || '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';
-const OPENROUTER_BASE_URL = 'https://openrouter.ai/api/v1';
+// How many times malformed AI output is sent back to the model for repair
+const MAX_REPAIR_ATTEMPTS = 2;
+
+// Token budgeting for one generation request: output needed per question plus a fixed allowance,
+// and the instructions wrapped around the content. Chunks never shrink below MIN_CHUNK_CHARS.
+const TOKENS_PER_QUESTION = 250;
+const RESPONSE_OVERHEAD_TOKENS = 200;
+const PROMPT_OVERHEAD_TOKENS = 700;
+const MIN_CHUNK_CHARS = 2000;
 
 // Validation middleware for AI quiz generation
 const validateAIQuizRequest = [
   body('course_id').optional().isInt({ min: 1 }).withMessage('Course ID must be a positive integer'),
   body('content').optional().isString().withMessage('Content must be a string'),
   body('numQuestions').isInt({ min: 1, max: 20 }).withMessage('Number of questions must be between 1 and 20'),
-  body('generationType').isIn(['text', 'course']).withMessage('Generation type must be either "text" or "course"')
+  body('generationType').isIn(['text', 'course']).withMessage('Generation type must be either "text" or "course"'),
+  body('lesson_ids').optional().isArray().withMessage('Lesson IDs must be an array'),
+  body('lesson_ids.*').isInt({ min: 1 }).withMessage('Lesson IDs must be positive integers')
 ];
 
-// Function to generate quiz questions using OpenRouter
-async function generateQuizQuestions(content, numQuestions) {
+// Function to generate quiz questions with the configured LLM provider (see utils/llm).
+// Returns the valid, de-duplicated questions plus the rejected ones with the reason for each.
+// Every request is recorded in the AI usage log against usageContext ({userId, courseId, jobId, user}).
+// Running out of quota is rethrown unchanged so the caller can stop the whole job.
+async function generateQuizQuestions(content, numQuestions, usageContext = {}) {
   try {
     const prompt = `Generate ${numQuestions} high-quality multiple choice quiz questions based on the following content. 
     
@@ -59,59 +74,184 @@ async function generateQuizQuestions(content, numQuestions) {
     
     Focus on creating questions that test understanding of key concepts, principles, and practical applications from the content.`;
 
-    const response = await axios.post(`${OPENROUTER_BASE_URL}/chat/completions`, {
-      model: 'openai/gpt-3.5-turbo', // Using GPT-3.5-turbo as it's more reliable for structured output
-      messages: [
-        {
-          role: 'system',
-          content: 'You are an expert educational quiz generator. Your job is to create meaningful, concept-focused questions that test understanding of educational content. NEVER create questions about URLs, file names, technical metadata, or external references. Focus on testing knowledge, comprehension, and application of concepts. Always respond with valid JSON.'
-        },
-        {
-          role: 'user',
-          content: prompt
+    const system = 'You are an expert educational quiz generator. Your job is to create meaningful, concept-focused questions that test understanding of educational content. NEVER create questions about URLs, file names, technical metadata, or external references. Focus on testing knowledge, comprehension, and application of concepts. Always respond with valid JSON.';
+
+    const questions = [];
+    const rejected = [];
+    let repairAttempts = 0;
+
+    let response = await auditedComplete(usageContext, {
+      task: 'quiz_questions',
+      input: { content, numQuestions },
+      system,
+      prompt
+    });
+
+    // Validate every item; send only the malformed ones back for a bounded number of repairs.
+    // A repair response answers the pending items in order, and anything it leaves out stays broken.
+    let pending = [];
+    for (;;) {
+      const isRepair = pending.length > 0;
+      const parsed = parseQuestionArray(response.content);
+      let malformed = [];
+
+      if (parsed.error) {
+        console.log('Raw AI response:', response.content);
+        malformed = pending;
+      } else {
+        const items = isRepair ? pending.map((entry, i) => parsed.items[i] ?? entry.item) : parsed.items;
+        for (const item of items) {
+          const result = validateGeneratedQuestion(item);
+          if (result.error) {
+            malformed.push({ item, problem: result.error });
+          } else if (questions.some((existing) => isNearDuplicate(existing.question, result.question.question))) {
+            rejected.push({ question: result.question.question, reason: 'Duplicate of another generated question' });
+          } else if (questions.length < numQuestions) {
+            questions.push(result.question);
+          }
         }
-      ],
-      temperature: 0.7,
-      max_tokens: 2000
-    }, {
-      headers: {
-        'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
-        'Content-Type': 'application/json',
-        'HTTP-Referer': 'http://localhost:6001',
-        'X-Title': 'Nano LMS AI Quiz Generator'
       }
-    });
 
-    const generatedContent = response.data.choices[0].message.content;
-    
-    // Try to parse the JSON response
-    try {
-      const questions = JSON.parse(generatedContent);
-      return questions;
-    } catch (parseError) {
-      console.error('Failed to parse AI response as JSON:', parseError);
-      console.log('Raw AI response:', generatedContent);
-      
-      // Fallback: try to extract JSON from the response
-      const jsonMatch = generatedContent.match(/\[[\s\S]*\]/);
-      if (jsonMatch) {
-        try {
-          return JSON.parse(jsonMatch[0]);
-        } catch (e) {
-          throw new Error('Failed to parse AI response');
+      const needsFullRetry = Boolean(parsed.error) && !isRepair;
+      if ((!needsFullRetry && malformed.length === 0) || repairAttempts >= MAX_REPAIR_ATTEMPTS) {
+        if (needsFullRetry && questions.length === 0) {
+          throw new Error(`AI response is not in valid JSON format: ${parsed.error}`);
         }
+        rejected.push(...malformed.map(({ item, problem }) => ({
+          question: typeof item?.question === 'string' ? item.question : null,
+          reason: `Question ${problem}`
+        })));
+        break;
       }
-      
-      throw new Error('AI response is not in valid JSON format');
+
+      repairAttempts++;
+      pending = needsFullRetry ? [] : malformed;
+      response = await auditedComplete(usageContext, {
+        task: needsFullRetry ? 'quiz_questions' : 'quiz_questions_repair',
+        input: { content, numQuestions, malformed },
+        system,
+        prompt: needsFullRetry
+          ? `${prompt}\n\nYour previous response could not be used (${parsed.error}). Respond with ONLY the JSON array, no other text.`
+          : buildRepairPrompt(malformed),
+        temperature: needsFullRetry ? undefined : 0
+      });
+    }
+
+    if (questions.length === 0) {
+      throw new Error('The AI did not return any usable questions');
     }
+
+    return { questions, rejected, repairAttempts };
   } catch (error) {
     console.error('Error generating quiz questions:', error);
+    if (error.code === QUOTA_EXCEEDED) throw error;
     throw new Error(`Failed to generate quiz questions: ${error.message}`);
   }
 }
 
-// Function to extract content from course materials
-async function extractCourseContent(courseId) {
+// Ask the model to fix only the items that failed validation, telling it what was wrong with each
+function buildRepairPrompt(malformed) {
+  const items = malformed.map(({ item, problem }, index) =>
+    `Item ${index + 1} (problem: question ${problem}):\n${JSON.stringify(item)}`
+  ).join('\n\n');
+
+  return `Some quiz questions you generated do not match the required format. Fix each item below.
+
+Each item must be an object with:
+- "question": non-empty question text
+- "options": an object with exactly the keys "A", "B", "C" and "D", each a different non-empty answer
+- "correctAnswer": one of "A", "B", "C" or "D"
+- "explanation": a short explanation of why the answer is correct
+
+${items}
+
+Respond with ONLY a JSON array containing the corrected items, in the same order.`;
+}
+
+// Work out how much content and how many questions fit in one request for the configured model
+function getGenerationBudget() {
+  const { maxTokens, contextTokens } = llm.getLLMConfig();
+  return {
+    questionsPerCall: Math.max(1, Math.floor((maxTokens - RESPONSE_OVERHEAD_TOKENS) / TOKENS_PER_QUESTION)),
+    chunkChars: Math.max(MIN_CHUNK_CHARS, (contextTokens - maxTokens - PROMPT_OVERHEAD_TOKENS) * CHARS_PER_TOKEN)
+  };
+}
+
+// Generate questions section by section (a lesson, or the pasted text), sharing the requested number out
+// in proportion to each section's content and splitting long sections into chunks that fit the model.
+// Every question and rejection is tagged with the lesson it came from. onProgress (optional) is called
+// before the first request and after each one; returning false stops early with the results so far.
+// A quota error stops generation and is thrown, since every further request would be refused too.
+async function generateFromSections(sections, numQuestions, { onProgress = null, usageContext = {} } = {}) {
+  const { questionsPerCall, chunkChars } = getGenerationBudget();
+  const quotas = allocateProportionally(sections.map((section) => section.text.length), numQuestions);
+
+  // Plan every request up front so progress can be reported against a known total
+  const coverage = [];
+  const calls = [];
+  sections.forEach((section, i) => {
+    if (quotas[i] === 0) return;
+
+    const entry = { lessonId: section.lessonId, lessonTitle: section.lessonTitle, requested: quotas[i], generated: 0 };
+    coverage.push(entry);
+
+    const chunks = chunkText(section.text, chunkChars);
+    allocateProportionally(chunks.map((chunk) => chunk.length), quotas[i]).forEach((quota, c) => {
+      for (let remaining = quota; remaining > 0; remaining -= questionsPerCall) {
+        calls.push({ entry, content: `${section.heading}${chunks[c]}`, count: Math.min(remaining, questionsPerCall) });
+      }
+    });
+  });
+
+  const questions = [];
+  const rejected = [];
+  let repairAttempts = 0;
+
+  const report = async (completed) => !onProgress ||
+    (await onProgress({ completed, total: calls.length, questions, rejected, repairAttempts, coverage })) !== false;
+
+  if (!(await report(0))) {
+    return { questions, rejected, repairAttempts, coverage, stopped: true };
+  }
+
+  for (let i = 0; i < calls.length; i++) {
+    const { entry, content, count } = calls[i];
+    const source = { lessonId: entry.lessonId, lessonTitle: entry.lessonTitle };
+
+    try {
+      const result = await generateQuizQuestions(content, count, usageContext);
+      repairAttempts += result.repairAttempts;
+      rejected.push(...result.rejected.map((item) => ({ ...item, ...source })));
+
+      for (const question of result.questions) {
+        if (questions.some((existing) => isNearDuplicate(existing.question, question.question))) {
+          rejected.push({ question: question.question, reason: 'Duplicate of another generated question', ...source });
+        } else {
+          questions.push({ ...question, ...source });
+          entry.generated++;
+        }
+      }
+    } catch (error) {
+      if (error.code === QUOTA_EXCEEDED) throw error;
+      rejected.push({ question: null, reason: error.message, ...source });
+    }
+
+    if (!(await report(i + 1))) {
+      return { questions, rejected, repairAttempts, coverage, stopped: true };
+    }
+  }
+
+  if (questions.length === 0) {
+    throw new Error(rejected.length > 0 ? rejected[rejected.length - 1].reason : 'The AI did not return any usable questions');
+  }
+
+  return { questions, rejected, repairAttempts, coverage, stopped: false };
+}
+
+// Function to extract content from course materials: lesson text plus the text of uploaded
+// documents and video captions. Returns each lesson's text, the combined content for preview
+// and a per-file report of what was read. lessonIds narrows it to selected lessons.
+async function extractCourseContent(courseId, lessonIds = null) {
   try {
     // Get course details
     const courseResult = await query(
@@ -125,42 +265,193 @@ async function extractCourseContent(courseId) {
 
     const course = courseResult.rows[0];
     let content = `Course Title: ${course.title}\nCourse Description: ${course.description}\n\n`;
+    const lessons = [];
+    const sources = [];
 
     // Get lessons content
     const lessonsResult = await query(
-      `SELECT title, content, video_url, document_url FROM lessons WHERE course_id = $1 AND is_published = true ORDER BY order_index`,
-      [courseId]
+      `SELECT id, title, content, video_url, document_url, caption_url
+       FROM lessons
+       WHERE course_id = $1 AND is_published = true AND ($2::int[] IS NULL OR id = ANY($2::int[]))
+       ORDER BY order_index`,
+      [courseId, lessonIds]
     );
 
     for (const lesson of lessonsResult.rows) {
-      content += `Lesson: ${lesson.title}\n`;
+      const parts = [];
       if (lesson.content) {
-        // Clean the content by removing URLs and focusing on educational content
-        let cleanContent = lesson.content;
-        // Remove URLs from content
-        cleanContent = cleanContent.replace(/https?:\/\/[^\s]+/g, '');
-        // Remove file extensions and technical references
-        cleanContent = cleanContent.replace(/\.[a-zA-Z0-9]{2,4}/g, '');
-        content += `Content: ${cleanContent}\n`;
-      }
-      // Only include video/document info if there's meaningful content, not just URLs
-      if (lesson.video_url && lesson.content && lesson.content.length > 50) {
-        content += `(This lesson includes video content)\n`;
+        // Drop bare URLs so questions focus on the educational content rather than links
+        parts.push(`Content: ${lesson.content.replace(/https?:\/\/[^\s]+/g, '')}`);
       }
-      if (lesson.document_url && lesson.content && lesson.content.length > 50) {
-        content += `(This lesson includes document content)\n`;
+
+      for (const attachment of await extractLessonAttachments(lesson)) {
+        sources.push({
+          lesson_id: lesson.id,
+          lesson_title: lesson.title,
+          kind: attachment.kind,
+          url: attachment.url,
+          characters: attachment.text ? attachment.text.length : 0,
+          error: attachment.error
+        });
+        if (attachment.text) {
+          parts.push(`${attachment.kind === 'captions' ? 'Video transcript' : 'Document'}: ${attachment.text}`);
+        }
       }
-      content += '\n';
+
+      const text = parts.join('\n\n');
+      lessons.push({ id: lesson.id, title: lesson.title, text });
+      content += `Lesson: ${lesson.title}\n${text}\n\n`;
     }
 
-    return content;
+    return { course, lessons, content, sources };
   } catch (error) {
     console.error('Error extracting course content:', error);
     throw new Error(`Failed to extract course content: ${error.message}`);
   }
 }
 
-// POST /api/ai-quiz/generate - Generate quiz questions
+// Parse ?lesson_ids=1,2,3 into an array of ids, or null when no lessons were selected
+const parseLessonIds = (value) => {
+  if (!value) return null;
+  const ids = String(value).split(',').map((id) => parseInt(id, 10)).filter((id) => id > 0);
+  return ids.length > 0 ? ids : null;
+};
+
+// Job columns returned to clients (the pasted text content is not echoed back)
+const JOB_COLUMNS = `id, course_id, requested_by, generation_type, num_questions, lesson_ids, status,
+       progress_completed, progress_total, questions, rejected, coverage, repair_attempts,
+       content_length, error, created_at, started_at, finished_at, updated_at`;
+
+const ACTIVE_JOB_STATUSES = ['queued', 'running'];
+
+// Turn a job's request into generation sections: the pasted text, or the selected course lessons
+async function buildJobSections(job) {
+  if (job.generation_type === 'text') {
+    return [{ lessonId: null, lessonTitle: null, heading: '', text: job.content }];
+  }
+
+  const { course, lessons } = await extractCourseContent(job.course_id, job.lesson_ids);
+  if (job.lesson_ids && lessons.length === 0) {
+    throw new Error('None of the selected lessons are published lessons of this course');
+  }
+
+  return lessons.map((lesson) => ({
+    lessonId: lesson.id,
+    lessonTitle: lesson.title,
+    heading: `Course: ${course.title}\nLesson: ${lesson.title}\n\n`,
+    text: lesson.text
+  }));
+}
+
+// Run a queued job to the end, saving progress and partial results after every LLM request.
+// A cancelled job is noticed at the next progress update, because updates only apply while it is running.
+async function runGenerationJob(jobId) {
+  try {
+    const claimed = await query(
+      `UPDATE ai_generation_jobs SET status = 'running', started_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND status = 'queued'
+       RETURNING *`,
+      [jobId]
+    );
+    if (claimed.rows.length === 0) return;
+
+    const job = claimed.rows[0];
+    const sections = await buildJobSections(job);
+    const contentLength = sections.reduce((total, section) => total + section.text.trim().length, 0);
+    if (contentLength === 0) {
+      throw new Error('No content available for quiz generation');
+    }
+
+    // The requester's role decides their quota, so look it up for the per-request quota checks
+    const requester = await query('SELECT id, role FROM users WHERE id = $1', [job.requested_by]);
+    const usageContext = { userId: job.requested_by, courseId: job.course_id, jobId: job.id, user: requester.rows[0] };
+    const onProgress = async (progress) => {
+      const updated = await query(
+        `UPDATE ai_generation_jobs
+         SET progress_completed = $2, progress_total = $3, questions = $4, rejected = $5, coverage = $6,
+             repair_attempts = $7, content_length = $8, updated_at = NOW()
+         WHERE id = $1 AND status = 'running'`,
+        [jobId, progress.completed, progress.total, JSON.stringify(progress.questions), JSON.stringify(progress.rejected),
+          JSON.stringify(progress.coverage), progress.repairAttempts, contentLength]
+      );
+      return updated.rowCount > 0;
+    };
+
+    const result = await generateFromSections(sections, job.num_questions, { onProgress, usageContext });
+
+    if (!result.stopped) {
+      await query(
+        `UPDATE ai_generation_jobs
+         SET status = 'completed', questions = $2, rejected = $3, coverage = $4, repair_attempts = $5,
+             finished_at = NOW(), updated_at = NOW()
+         WHERE id = $1 AND status = 'running'`,
+        [jobId, JSON.stringify(result.questions), JSON.stringify(result.rejected), JSON.stringify(result.coverage), result.repairAttempts]
+      );
+    }
+  } catch (error) {
+    console.error(`AI generation job ${jobId} failed:`, error);
+    await query(
+      `UPDATE ai_generation_jobs SET status = 'failed', error = $2, finished_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND status IN ('queued', 'running')`,
+      [jobId, error.message]
+    ).catch((updateError) => console.error(`Failed to record failure of AI generation job ${jobId}:`, updateError));
+  }
+}
+
+// Jobs run inside the server process, so any still active at startup were cut off by a restart
+async function failInterruptedJobs() {
+  try {
+    const result = await query(
+      `UPDATE ai_generation_jobs
+       SET status = 'failed', error = 'Interrupted by a server restart', finished_at = NOW(), updated_at = NOW()
+       WHERE status = ANY($1)`,
+      [ACTIVE_JOB_STATUSES]
+    );
+    if (result.rowCount > 0) {
+      console.log(`Marked ${result.rowCount} interrupted AI generation job(s) as failed`);
+    }
+  } catch (error) {
+    console.error('Error failing interrupted AI generation jobs:', error);
+  }
+}
+
+// Load a job the user may see: their own, any job on a course they teach, or any job for admins
+async function getAccessibleJob(jobId, user) {
+  const result = await query(
+    `SELECT j.*, c.instructor_id
+     FROM ai_generation_jobs j
+     LEFT JOIN courses c ON c.id = j.course_id
+     WHERE j.id = $1`,
+    [jobId]
+  );
+
+  if (result.rows.length === 0) {
+    return { error: { status: 404, error: 'Job not found', message: 'Generation job with this ID does not exist' } };
+  }
+
+  const { instructor_id, content, ...job } = result.rows[0];
+  if (user.role !== 'admin' && job.requested_by !== user.id && instructor_id !== user.id) {
+    return { error: { status: 403, error: 'Access denied', message: 'You do not have access to this generation job' } };
+  }
+
+  return { job };
+}
+
+// Load a course the user may generate quizzes from: one they teach, or any course for admins
+async function getOwnedCourse(courseId, user) {
+  const result = await query('SELECT id, instructor_id FROM courses WHERE id = $1', [courseId]);
+
+  if (result.rows.length === 0) {
+    return { error: { status: 404, error: 'Course not found', message: 'Course with this ID does not exist' } };
+  }
+  if (user.role !== 'admin' && result.rows[0].instructor_id !== user.id) {
+    return { error: { status: 403, error: 'Access denied', message: 'You can only generate quizzes for courses you created' } };
+  }
+
+  return { course: result.rows[0] };
+}
+
+// POST /api/ai-quiz/generate - Start a background quiz generation job
 router.post('/generate', authenticateToken, requireTrainer, validateAIQuizRequest, async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -171,62 +462,190 @@ router.post('/generate', authenticateToken, requireTrainer, validateAIQuizReques
       });
     }
 
-    const { course_id, content, numQuestions, generationType } = req.body;
+    const { course_id, content, numQuestions, generationType, lesson_ids } = req.body;
 
-    let quizContent = '';
-
-    if (generationType === 'text') {
-      if (!content || content.trim().length === 0) {
-        return res.status(400).json({
-          error: 'Content is required for text-based quiz generation'
-        });
-      }
-      quizContent = content;
-    } else if (generationType === 'course') {
-      if (!course_id) {
-        return res.status(400).json({
-          error: 'Course ID is required for course-based quiz generation'
-        });
-      }
-      quizContent = await extractCourseContent(course_id);
+    if (generationType === 'text' && (!content || content.trim().length === 0)) {
+      return res.status(400).json({
+        error: 'Content is required for text-based quiz generation'
+      });
     }
-
-    if (quizContent.trim().length === 0) {
+    if (generationType === 'course' && !course_id) {
       return res.status(400).json({
-        error: 'No content available for quiz generation'
+        error: 'Course ID is required for course-based quiz generation'
       });
     }
 
-    // Generate quiz questions
-    const questions = await generateQuizQuestions(quizContent, numQuestions);
+    const quotaStatus = await getQuotaStatus(req.user);
+    if (quotaStatus.exceeded) {
+      return res.status(429).json({
+        error: 'AI quota exceeded',
+        message: quotaStatus.exceeded,
+        quota: quotaStatus.quota,
+        usage: quotaStatus.usage
+      });
+    }
 
-    res.json({
+    if (course_id) {
+      const access = await getOwnedCourse(course_id, req.user);
+      if (access.error) {
+        const { status, ...body } = access.error;
+        return res.status(status).json(body);
+      }
+    }
+
+    const jobResult = await query(
+      `INSERT INTO ai_generation_jobs (course_id, requested_by, generation_type, num_questions, lesson_ids, content)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING ${JOB_COLUMNS}`,
+      [
+        course_id || null,
+        req.user.id,
+        generationType,
+        numQuestions,
+        generationType === 'course' && lesson_ids && lesson_ids.length > 0 ? lesson_ids.map(Number) : null,
+        generationType === 'text' ? content : null
+      ]
+    );
+
+    const job = jobResult.rows[0];
+    setImmediate(() => runGenerationJob(job.id));
+
+    res.status(202).json({
       success: true,
-      questions,
-      contentLength: quizContent.length,
-      generationType
+      message: 'Quiz generation started',
+      job
     });
 
   } catch (error) {
     console.error('AI Quiz generation error:', error);
     res.status(500).json({
-      error: 'Failed to generate quiz questions',
+      error: 'Failed to start quiz generation',
       message: error.message
     });
   }
 });
 
-// GET /api/ai-quiz/course/:courseId/content - Get course content for preview
+// GET /api/ai-quiz/usage - The current user's AI usage today and this month, and their quota
+router.get('/usage', authenticateToken, requireTrainer, async (req, res) => {
+  try {
+    const { quota, usage, exceeded } = await getQuotaStatus(req.user);
+
+    res.json({ quota, usage, exceeded });
+
+  } catch (error) {
+    console.error('Get AI usage error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch AI usage',
+      message: 'An error occurred while fetching your AI usage'
+    });
+  }
+});
+
+// GET /api/ai-quiz/jobs/:id - Job status, progress and (partial) results
+router.get('/jobs/:id', authenticateToken, requireTrainer, async (req, res) => {
+  try {
+    const access = await getAccessibleJob(req.params.id, req.user);
+    if (access.error) {
+      const { status, ...body } = access.error;
+      return res.status(status).json(body);
+    }
+
+    res.json({ job: access.job });
+
+  } catch (error) {
+    console.error('Get AI generation job error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch generation job',
+      message: 'An error occurred while fetching the generation job'
+    });
+  }
+});
+
+// POST /api/ai-quiz/jobs/:id/cancel - Stop a queued or running job, keeping any questions generated so far
+router.post('/jobs/:id/cancel', authenticateToken, requireTrainer, async (req, res) => {
+  try {
+    const access = await getAccessibleJob(req.params.id, req.user);
+    if (access.error) {
+      const { status, ...body } = access.error;
+      return res.status(status).json(body);
+    }
+
+    const result = await query(
+      `UPDATE ai_generation_jobs SET status = 'cancelled', finished_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND status = ANY($2)
+       RETURNING ${JOB_COLUMNS}`,
+      [access.job.id, ACTIVE_JOB_STATUSES]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({
+        error: 'Job already finished',
+        message: `This generation job is already ${access.job.status}`
+      });
+    }
+
+    res.json({
+      message: 'Generation job cancelled',
+      job: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Cancel AI generation job error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel generation job',
+      message: 'An error occurred while cancelling the generation job'
+    });
+  }
+});
+
+// GET /api/ai-quiz/course/:courseId/jobs - Earlier generation jobs for a course, newest first
+router.get('/course/:courseId/jobs', authenticateToken, requireTrainer, async (req, res) => {
+  try {
+    const { courseId } = req.params;
+
+    const result = await query(
+      `SELECT j.id, j.generation_type, j.num_questions, j.lesson_ids, j.status, j.progress_completed, j.progress_total,
+              jsonb_array_length(j.questions) as question_count, j.error, j.created_at, j.finished_at,
+              u.first_name as requested_by_first_name, u.last_name as requested_by_last_name
+       FROM ai_generation_jobs j
+       JOIN courses c ON c.id = j.course_id
+       LEFT JOIN users u ON u.id = j.requested_by
+       WHERE j.course_id = $1 AND ($2 = 'admin' OR c.instructor_id = $3 OR j.requested_by = $3)
+       ORDER BY j.created_at DESC
+       LIMIT 50`,
+      [courseId, req.user.role, req.user.id]
+    );
+
+    res.json({ jobs: result.rows });
+
+  } catch (error) {
+    console.error('Get AI generation jobs error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch generation jobs',
+      message: 'An error occurred while fetching generation jobs'
+    });
+  }
+});
+
+// GET /api/ai-quiz/course/:courseId/content - Get course content for preview (optionally ?lesson_ids=1,2)
 router.get('/course/:courseId/content', authenticateToken, requireTrainer, async (req, res) => {
   try {
     const { courseId } = req.params;
 
-    const content = await extractCourseContent(courseId);
+    const access = await getOwnedCourse(courseId, req.user);
+    if (access.error) {
+      const { status, ...body } = access.error;
+      return res.status(status).json(body);
+    }
+
+    const { content, lessons, sources } = await extractCourseContent(courseId, parseLessonIds(req.query.lesson_ids));
 
     res.json({
       success: true,
       content,
-      contentLength: content.length
+      contentLength: content.length,
+      lessons: lessons.map((lesson) => ({ id: lesson.id, title: lesson.title, characters: lesson.text.length })),
+      sources
     });
 
   } catch (error) {
@@ -238,4 +657,9 @@ router.get('/course/:courseId/content', authenticateToken, requireTrainer, async
   }
 });
 
-module.exports = router;
+module.exports = {
+  router,
+  failInterruptedJobs,
+  generateQuizQuestions,
+  generateFromSections
+};
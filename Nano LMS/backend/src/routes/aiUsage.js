@@ -0,0 +1,328 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const { query: dbQuery } = require('../database/connection');
+const { USER_ROLES, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+const QUOTA_LIMIT_FIELDS = ['daily_generations', 'monthly_generations', 'daily_tokens', 'monthly_tokens'];
+
+const validateReportRange = [
+  query('from').optional().isISO8601().withMessage('From must be a date'),
+  query('to').optional().isISO8601().withMessage('To must be a date')
+];
+
+const validateQuota = [
+  body('user_id').optional({ nullable: true }).isInt({ min: 1 }).withMessage('User ID must be a positive integer'),
+  body('role').optional({ nullable: true }).isIn(USER_ROLES).withMessage(`Role must be one of: ${USER_ROLES.join(', ')}`),
+  ...QUOTA_LIMIT_FIELDS.map((field) =>
+    body(field).optional({ nullable: true }).isInt({ min: 0 }).withMessage(`${field} must be a non-negative integer or empty`)
+  )
+];
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    error: 'Validation failed',
+    message: 'Please check your input',
+    details: errors.array()
+  });
+  return true;
+};
+
+// Report window: ?from and ?to, defaulting to the last 30 days
+const reportRange = (req) => ({
+  from: req.query.from ? new Date(req.query.from) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
+  to: req.query.to ? new Date(req.query.to) : new Date()
+});
+
+// Limits from the request body; blank values mean unlimited
+const quotaLimits = (source) => QUOTA_LIMIT_FIELDS.map((field) =>
+  source[field] === undefined || source[field] === null || source[field] === '' ? null : parseInt(source[field])
+);
+
+const QUOTA_SELECT = `SELECT q.id, q.user_id, q.role, q.daily_generations, q.monthly_generations, q.daily_tokens,
+              q.monthly_tokens, q.created_at, q.updated_at,
+              u.first_name, u.last_name, u.email, u.role as user_role
+       FROM ai_quotas q
+       LEFT JOIN users u ON u.id = q.user_id`;
+
+// @route   GET /api/ai-usage/report
+// @desc    AI usage across the organisation: totals, and breakdowns by user, course, model and day
+// @access  Private/Admin
+router.get('/report', requireAdmin, validateReportRange, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { from, to } = reportRange(req);
+    const range = [from, to];
+
+    const totalsResult = await dbQuery(
+      `SELECT COUNT(*) as requests,
+              COUNT(*) FILTER (WHERE outcome = 'error') as errors,
+              COALESCE(SUM(prompt_tokens), 0) as prompt_tokens,
+              COALESCE(SUM(completion_tokens), 0) as completion_tokens,
+              COALESCE(SUM(total_tokens), 0) as total_tokens,
+              SUM(estimated_cost) as estimated_cost,
+              ROUND(AVG(latency_ms)) as avg_latency_ms,
+              (SELECT COUNT(*) FROM ai_generation_jobs WHERE created_at BETWEEN $1 AND $2) +
+                COUNT(*) FILTER (WHERE task = 'lesson_draft') as generations
+       FROM ai_usage_log
+       WHERE created_at BETWEEN $1 AND $2`,
+      range
+    );
+
+    const byUserResult = await dbQuery(
+      `SELECT u.id as user_id, u.first_name, u.last_name, u.email, u.role,
+              COUNT(l.id) as requests,
+              COUNT(l.id) FILTER (WHERE l.outcome = 'error') as errors,
+              COALESCE(SUM(l.total_tokens), 0) as total_tokens,
+              SUM(l.estimated_cost) as estimated_cost,
+              COUNT(DISTINCT l.job_id) as generations
+       FROM ai_usage_log l
+       JOIN users u ON u.id = l.user_id
+       WHERE l.created_at BETWEEN $1 AND $2
+       GROUP BY u.id
+       ORDER BY total_tokens DESC, requests DESC`,
+      range
+    );
+
+    const byCourseResult = await dbQuery(
+      `SELECT c.id as course_id, c.title,
+              COUNT(l.id) as requests,
+              COALESCE(SUM(l.total_tokens), 0) as total_tokens,
+              SUM(l.estimated_cost) as estimated_cost,
+              COUNT(DISTINCT l.job_id) as generations
+       FROM ai_usage_log l
+       JOIN courses c ON c.id = l.course_id
+       WHERE l.created_at BETWEEN $1 AND $2
+       GROUP BY c.id
+       ORDER BY total_tokens DESC, requests DESC`,
+      range
+    );
+
+    const byModelResult = await dbQuery(
+      `SELECT provider, model,
+              COUNT(*) as requests,
+              COUNT(*) FILTER (WHERE outcome = 'error') as errors,
+              COALESCE(SUM(total_tokens), 0) as total_tokens,
+              ROUND(AVG(latency_ms)) as avg_latency_ms
+       FROM ai_usage_log
+       WHERE created_at BETWEEN $1 AND $2
+       GROUP BY provider, model
+       ORDER BY requests DESC`,
+      range
+    );
+
+    const byDayResult = await dbQuery(
+      `SELECT DATE(created_at) as day,
+              COUNT(*) as requests,
+              COALESCE(SUM(total_tokens), 0) as total_tokens
+       FROM ai_usage_log
+       WHERE created_at BETWEEN $1 AND $2
+       GROUP BY DATE(created_at)
+       ORDER BY day`,
+      range
+    );
+
+    res.json({
+      from,
+      to,
+      totals: totalsResult.rows[0],
+      byUser: byUserResult.rows,
+      byCourse: byCourseResult.rows,
+      byModel: byModelResult.rows,
+      byDay: byDayResult.rows
+    });
+
+  } catch (error) {
+    console.error('Get AI usage report error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch AI usage report',
+      message: 'An error occurred while building the AI usage report'
+    });
+  }
+});
+
+// @route   GET /api/ai-usage/log
+// @desc    Audit log of individual LLM requests, newest first (filter by user_id, course_id, outcome)
+// @access  Private/Admin
+router.get('/log', requireAdmin, [
+  ...validateReportRange,
+  query('user_id').optional().isInt({ min: 1 }).withMessage('User ID must be a positive integer'),
+  query('course_id').optional().isInt({ min: 1 }).withMessage('Course ID must be a positive integer'),
+  query('outcome').optional().isIn(['success', 'error']).withMessage('Outcome must be success or error'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { from, to } = reportRange(req);
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+
+    const conditions = ['l.created_at BETWEEN $1 AND $2'];
+    const params = [from, to];
+    for (const [field, column] of [['user_id', 'l.user_id'], ['course_id', 'l.course_id'], ['outcome', 'l.outcome']]) {
+      if (req.query[field]) {
+        params.push(req.query[field]);
+        conditions.push(`${column} = $${params.length}`);
+      }
+    }
+    const whereClause = conditions.join(' AND ');
+
+    const countResult = await dbQuery(`SELECT COUNT(*) FROM ai_usage_log l WHERE ${whereClause}`, params);
+
+    const logResult = await dbQuery(
+      `SELECT l.id, l.user_id, u.first_name, u.last_name, l.course_id, c.title as course_title, l.job_id, l.task,
+              l.provider, l.model, l.prompt_chars, l.prompt_tokens, l.completion_tokens, l.total_tokens,
+              l.estimated_cost, l.latency_ms, l.outcome, l.error, l.created_at
+       FROM ai_usage_log l
+       LEFT JOIN users u ON u.id = l.user_id
+       LEFT JOIN courses c ON c.id = l.course_id
+       WHERE ${whereClause}
+       ORDER BY l.created_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    const total = parseInt(countResult.rows[0].count);
+
+    res.json({
+      entries: logResult.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get AI usage log error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch AI usage log',
+      message: 'An error occurred while fetching the AI usage log'
+    });
+  }
+});
+
+// @route   GET /api/ai-usage/quotas
+// @desc    All role and user quotas
+// @access  Private/Admin
+router.get('/quotas', requireAdmin, async (req, res) => {
+  try {
+    const result = await dbQuery(`${QUOTA_SELECT} ORDER BY q.role NULLS LAST, u.last_name, u.first_name`);
+
+    res.json({ quotas: result.rows });
+
+  } catch (error) {
+    console.error('Get AI quotas error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch AI quotas',
+      message: 'An error occurred while fetching AI quotas'
+    });
+  }
+});
+
+// @route   POST /api/ai-usage/quotas
+// @desc    Set the quota for a role or a user (replaces any existing one for the same target)
+// @access  Private/Admin
+router.post('/quotas', requireAdmin, validateQuota, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const userId = req.body.user_id ? parseInt(req.body.user_id) : null;
+    const role = req.body.role || null;
+
+    if ((userId === null) === (role === null)) {
+      return res.status(400).json({
+        error: 'Invalid quota target',
+        message: 'A quota applies to either a user or a role'
+      });
+    }
+
+    if (userId) {
+      const userResult = await dbQuery('SELECT id FROM users WHERE id = $1', [userId]);
+      if (userResult.rows.length === 0) {
+        return res.status(404).json({
+          error: 'User not found',
+          message: 'User with this ID does not exist'
+        });
+      }
+    }
+
+    const limits = quotaLimits(req.body);
+    const existing = await dbQuery(
+      'SELECT id FROM ai_quotas WHERE ($1::int IS NOT NULL AND user_id = $1) OR ($2::varchar IS NOT NULL AND role = $2)',
+      [userId, role]
+    );
+
+    let quotaId;
+    if (existing.rows.length > 0) {
+      quotaId = existing.rows[0].id;
+      await dbQuery(
+        `UPDATE ai_quotas
+         SET daily_generations = $2, monthly_generations = $3, daily_tokens = $4, monthly_tokens = $5, updated_at = NOW()
+         WHERE id = $1`,
+        [quotaId, ...limits]
+      );
+    } else {
+      const insertResult = await dbQuery(
+        `INSERT INTO ai_quotas (user_id, role, daily_generations, monthly_generations, daily_tokens, monthly_tokens)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING id`,
+        [userId, role, ...limits]
+      );
+      quotaId = insertResult.rows[0].id;
+    }
+
+    const quotaResult = await dbQuery(`${QUOTA_SELECT} WHERE q.id = $1`, [quotaId]);
+
+    res.status(existing.rows.length > 0 ? 200 : 201).json({
+      message: 'AI quota saved successfully',
+      quota: quotaResult.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Save AI quota error:', error);
+    res.status(500).json({
+      error: 'Failed to save AI quota',
+      message: 'An error occurred while saving the AI quota'
+    });
+  }
+});
+
+// @route   DELETE /api/ai-usage/quotas/:id
+// @desc    Remove a quota (the user falls back to their role's quota, or none)
+// @access  Private/Admin
+router.delete('/quotas/:id', requireAdmin, param('id').isInt({ min: 1 }), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const result = await dbQuery('DELETE FROM ai_quotas WHERE id = $1 RETURNING id', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Quota not found',
+        message: 'AI quota with this ID does not exist'
+      });
+    }
+
+    res.json({
+      message: 'AI quota removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete AI quota error:', error);
+    res.status(500).json({
+      error: 'Failed to remove AI quota',
+      message: 'An error occurred while removing the AI quota'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,337 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { query, pool } = require('../database/connection');
+const { USER_ROLES, requireManager } = require('../middleware/auth');
+const {
+  ASSIGNMENT_TARGETS,
+  assignmentStatusSql,
+  assignmentTargetsUserSql,
+  syncAssignments,
+  getUserAssignments
+} = require('../utils/courseAssignments');
+
+const router = express.Router();
+
+const dueDate = body('dueDate')
+  .isISO8601({ strict: true })
+  .withMessage('Due date must be a date (YYYY-MM-DD)')
+  .bail()
+  .custom((value) => value.substring(0, 10) >= new Date().toISOString().substring(0, 10))
+  .withMessage('Due date cannot be in the past');
+
+const validateAssignment = [
+  body('courseId').isInt({ min: 1 }).withMessage('Course ID must be a positive integer'),
+  body('targetType').isIn(ASSIGNMENT_TARGETS).withMessage(`Target type must be one of: ${ASSIGNMENT_TARGETS.join(', ')}`),
+  body('userId').if(body('targetType').equals('user')).isInt({ min: 1 }).withMessage('Choose the user to assign'),
+  body('departmentId').if(body('targetType').equals('department')).isInt({ min: 1 }).withMessage('Choose the department to assign'),
+  body('role').if(body('targetType').equals('role')).isIn(USER_ROLES).withMessage(`Role must be one of: ${USER_ROLES.join(', ')}`),
+  dueDate
+];
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    error: 'Validation failed',
+    message: 'Please check your input',
+    details: errors.array()
+  });
+  return true;
+};
+
+// Assignment rows with what they target and how their learners are getting on. Counts cover every
+// active user the assignment applies to, measured against this assignment's due date.
+const ASSIGNMENT_SELECT = `SELECT ca.id, ca.course_id, c.title as course_title, ca.due_date::text as due_date,
+              CASE WHEN ca.user_id IS NOT NULL THEN 'user' WHEN ca.department_id IS NOT NULL THEN 'department' ELSE 'role' END as target_type,
+              ca.user_id, tu.first_name as user_first_name, tu.last_name as user_last_name,
+              ca.department_id, d.name as department_name, ca.role,
+              ca.assigned_by, ab.first_name as assigned_by_first_name, ab.last_name as assigned_by_last_name,
+              ca.created_at,
+              COALESCE(counts.assigned, 0)::int as assigned,
+              COALESCE(counts.not_started, 0)::int as not_started,
+              COALESCE(counts.in_progress, 0)::int as in_progress,
+              COALESCE(counts.completed, 0)::int as completed,
+              COALESCE(counts.overdue, 0)::int as overdue
+       FROM course_assignments ca
+       JOIN courses c ON ca.course_id = c.id
+       LEFT JOIN users tu ON ca.user_id = tu.id
+       LEFT JOIN departments d ON ca.department_id = d.id
+       LEFT JOIN users ab ON ca.assigned_by = ab.id
+       LEFT JOIN LATERAL (
+         SELECT COUNT(*) as assigned,
+                COUNT(*) FILTER (WHERE s.status = 'not_started') as not_started,
+                COUNT(*) FILTER (WHERE s.status = 'in_progress') as in_progress,
+                COUNT(*) FILTER (WHERE s.status = 'completed') as completed,
+                COUNT(*) FILTER (WHERE s.status = 'overdue') as overdue
+         FROM (
+           SELECT ${assignmentStatusSql('ce', 'ca')} as status
+           FROM users u
+           JOIN course_enrollments ce ON ce.user_id = u.id AND ce.course_id = ca.course_id
+           WHERE ${assignmentTargetsUserSql('u', 'ca')} AND u.is_active = true
+         ) s
+       ) counts ON true`;
+
+// Users an assignment currently applies to
+const getTargetedUserIds = async (db, assignmentId) => {
+  const result = await db.query(
+    `SELECT u.id FROM course_assignments ca
+     JOIN users u ON ${assignmentTargetsUserSql('u', 'ca')}
+     WHERE ca.id = $1`,
+    [assignmentId]
+  );
+  return result.rows.map((row) => row.id);
+};
+
+// Admins manage every assignment; managers manage the ones they made
+const findManagedAssignment = async (req, res) => {
+  const result = await query('SELECT id, assigned_by FROM course_assignments WHERE id = $1', [req.params.id]);
+  const assignment = result.rows[0];
+
+  if (!assignment || (req.user.role !== 'admin' && assignment.assigned_by !== req.user.id)) {
+    res.status(404).json({
+      error: 'Assignment not found',
+      message: 'Assignment with this ID does not exist'
+    });
+    return null;
+  }
+  return assignment;
+};
+
+// @route   GET /api/assignments/mine
+// @desc    Courses assigned to the current user, with due dates and statuses (soonest due first)
+// @access  Private
+router.get('/mine', async (req, res) => {
+  try {
+    res.json({
+      assignments: await getUserAssignments(req.user.id)
+    });
+
+  } catch (error) {
+    console.error('Get my assignments error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch assignments',
+      message: 'An error occurred while fetching your assignments'
+    });
+  }
+});
+
+// @route   GET /api/assignments
+// @desc    Course assignments with learner status counts (admins see all, managers their own)
+// @access  Private/Manager
+router.get('/', requireManager, async (req, res) => {
+  try {
+    const isAdmin = req.user.role === 'admin';
+    const result = await query(
+      `${ASSIGNMENT_SELECT}
+       ${isAdmin ? '' : 'WHERE ca.assigned_by = $1'}
+       ORDER BY ca.due_date, c.title`,
+      isAdmin ? [] : [req.user.id]
+    );
+
+    res.json({
+      assignments: result.rows
+    });
+
+  } catch (error) {
+    console.error('Get assignments error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch assignments',
+      message: 'An error occurred while fetching assignments'
+    });
+  }
+});
+
+// @route   GET /api/assignments/:id/users
+// @desc    Each user an assignment applies to, with their status
+// @access  Private/Manager
+router.get('/:id/users', requireManager, param('id').isInt({ min: 1 }), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+    if (!(await findManagedAssignment(req, res))) return;
+
+    const result = await query(
+      `SELECT u.id, u.first_name, u.last_name, u.email, ce.enrolled_at,
+              ${assignmentStatusSql('ce', 'ca')} as status
+       FROM course_assignments ca
+       JOIN users u ON ${assignmentTargetsUserSql('u', 'ca')}
+       JOIN course_enrollments ce ON ce.user_id = u.id AND ce.course_id = ca.course_id
+       WHERE ca.id = $1 AND u.is_active = true
+       ORDER BY u.last_name, u.first_name`,
+      [req.params.id]
+    );
+
+    res.json({
+      users: result.rows
+    });
+
+  } catch (error) {
+    console.error('Get assignment users error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch assigned users',
+      message: 'An error occurred while fetching assigned users'
+    });
+  }
+});
+
+// @route   POST /api/assignments
+// @desc    Assign a course to a user, a department or a role with a due date. Managers can only
+//          assign to their direct reports.
+// @access  Private/Manager
+router.post('/', requireManager, validateAssignment, async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const { courseId, targetType, dueDate: due } = req.body;
+  const userId = targetType === 'user' ? parseInt(req.body.userId) : null;
+  const departmentId = targetType === 'department' ? parseInt(req.body.departmentId) : null;
+  const role = targetType === 'role' ? req.body.role : null;
+
+  const client = await pool.connect();
+  try {
+    const courseResult = await client.query('SELECT id, is_published FROM courses WHERE id = $1', [courseId]);
+    if (courseResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Course not found',
+        message: 'Course with this ID does not exist'
+      });
+    }
+    if (!courseResult.rows[0].is_published) {
+      return res.status(400).json({
+        error: 'Course not published',
+        message: 'Only published courses can be assigned'
+      });
+    }
+
+    if (req.user.role !== 'admin' && targetType !== 'user') {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Managers can only assign courses to their direct reports'
+      });
+    }
+
+    if (userId) {
+      const userResult = await client.query('SELECT manager_id FROM users WHERE id = $1', [userId]);
+      if (userResult.rows.length === 0) {
+        return res.status(404).json({
+          error: 'User not found',
+          message: 'User with this ID does not exist'
+        });
+      }
+      if (req.user.role !== 'admin' && userResult.rows[0].manager_id !== req.user.id) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'Managers can only assign courses to their direct reports'
+        });
+      }
+    }
+
+    if (departmentId) {
+      const departmentResult = await client.query('SELECT id FROM departments WHERE id = $1', [departmentId]);
+      if (departmentResult.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Department not found',
+          message: 'Department with this ID does not exist'
+        });
+      }
+    }
+
+    await client.query('BEGIN');
+
+    const assignmentResult = await client.query(
+      `INSERT INTO course_assignments (course_id, user_id, department_id, role, due_date, assigned_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id`,
+      [courseId, userId, departmentId, role, due.substring(0, 10), req.user.id]
+    );
+    const assignmentId = assignmentResult.rows[0].id;
+
+    const userIds = await getTargetedUserIds(client, assignmentId);
+    await syncAssignments(userIds, client);
+
+    await client.query('COMMIT');
+
+    const result = await query(`${ASSIGNMENT_SELECT} WHERE ca.id = $1`, [assignmentId]);
+
+    res.status(201).json({
+      message: `Course assigned to ${result.rows[0].assigned} user(s)`,
+      assignment: result.rows[0]
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Create assignment error:', error);
+    res.status(500).json({
+      error: 'Failed to assign course',
+      message: 'An error occurred while assigning the course'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// @route   PUT /api/assignments/:id
+// @desc    Change an assignment's due date
+// @access  Private/Manager
+router.put('/:id', requireManager, param('id').isInt({ min: 1 }), dueDate, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+    if (!(await findManagedAssignment(req, res))) return;
+
+    await query(
+      'UPDATE course_assignments SET due_date = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [req.body.dueDate.substring(0, 10), req.params.id]
+    );
+
+    // Which assignment is due soonest for each learner may have changed
+    await syncAssignments(await getTargetedUserIds(pool, req.params.id));
+
+    const result = await query(`${ASSIGNMENT_SELECT} WHERE ca.id = $1`, [req.params.id]);
+
+    res.json({
+      message: 'Assignment updated successfully',
+      assignment: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Update assignment error:', error);
+    res.status(500).json({
+      error: 'Failed to update assignment',
+      message: 'An error occurred while updating the assignment'
+    });
+  }
+});
+
+// @route   DELETE /api/assignments/:id
+// @desc    Remove an assignment. Learners stay enrolled and keep their progress; the course just
+//          stops being mandatory for them unless another assignment covers it.
+// @access  Private/Manager
+router.delete('/:id', requireManager, param('id').isInt({ min: 1 }), async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const client = await pool.connect();
+  try {
+    if (!(await findManagedAssignment(req, res))) return;
+
+    await client.query('BEGIN');
+    const userIds = await getTargetedUserIds(client, req.params.id);
+    await client.query('DELETE FROM course_assignments WHERE id = $1', [req.params.id]);
+    await syncAssignments(userIds, client);
+    await client.query('COMMIT');
+
+    res.json({
+      message: 'Assignment removed successfully'
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Delete assignment error:', error);
+    res.status(500).json({
+      error: 'Failed to remove assignment',
+      message: 'An error occurred while removing the assignment'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,7 @@ const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const { query } = require('../database/connection');
 const { authenticateToken } = require('../middleware/auth');
+const { syncAssignments } = require('../utils/courseAssignments');
 
 const router = express.Router();
 
@@ -156,6 +157,9 @@ router.post('/register', validateRegister, async (req, res) => {
 
     const newUser = newUserResult.rows[0];
 
+    // Courses assigned to their role are waiting for them once they're approved
+    await syncAssignments([newUser.id]);
+
     res.status(201).json({
       message: 'Registration successful! Your account is pending admin approval. You will be able to login once approved.',
       user: newUser
@@ -186,7 +190,11 @@ router.post('/logout', authenticateToken, (req, res) => {
 router.get('/me', authenticateToken, async (req, res) => {
   try {
     const userResult = await query(
-      'SELECT id, email, first_name, last_name, role, work_type, avatar_url, created_at FROM users WHERE id = $1',
+      `SELECT u.id, u.email, u.first_name, u.last_name, u.role, u.department_id, d.name as department_name,
+              u.avatar_url, u.created_at
+       FROM users u
+       LEFT JOIN departments d ON u.department_id = d.id
+       WHERE u.id = $1`,
       [req.user.id]
     );
 
@@ -0,0 +1,163 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const {
+  getVerificationType,
+  buildIssuer,
+  buildPublicKey,
+  buildRevocationList,
+  getBadgeClass,
+  buildAssertion,
+  getBadgeCertificate,
+  renderBadgeImage
+} = require('../utils/openBadges');
+
+const router = express.Router();
+
+// Hosted Open Badges documents are public; badge wallets and verifiers fetch them without credentials
+
+// Assertions are looked up by certificate number, so slow down enumeration like certificate verification
+const assertionLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 100,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    error: 'Too many requests',
+    message: 'Too many badge requests, please try again later'
+  }
+});
+
+// @route   GET /api/badges/issuer
+// @desc    Issuer profile
+// @access  Public
+router.get('/issuer', (req, res) => {
+  res.json(buildIssuer());
+});
+
+// @route   GET /api/badges/issuer/key
+// @desc    Public key for verifying signed assertions
+// @access  Public
+router.get('/issuer/key', (req, res) => {
+  const key = buildPublicKey();
+
+  if (!key) {
+    return res.status(404).json({
+      error: 'Key not found',
+      message: 'This issuer does not sign its badges'
+    });
+  }
+
+  res.json(key);
+});
+
+// @route   GET /api/badges/issuer/revocations
+// @desc    Revoked assertions
+// @access  Public
+router.get('/issuer/revocations', async (req, res) => {
+  try {
+    res.json(await buildRevocationList());
+  } catch (error) {
+    console.error('Get badge revocation list error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch revocation list',
+      message: 'An error occurred while fetching the revocation list'
+    });
+  }
+});
+
+// @route   GET /api/badges/classes/:courseId
+// @desc    Badge class for a course
+// @access  Public
+router.get('/classes/:courseId', async (req, res) => {
+  try {
+    const badgeClass = await getBadgeClass(req.params.courseId);
+
+    if (!badgeClass) {
+      return res.status(404).json({
+        error: 'Badge not found',
+        message: 'Course with this ID does not exist'
+      });
+    }
+
+    res.json(badgeClass);
+
+  } catch (error) {
+    console.error('Get badge class error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch badge',
+      message: 'An error occurred while fetching the badge'
+    });
+  }
+});
+
+// @route   GET /api/badges/classes/:courseId/image
+// @desc    Badge image for a course (PNG)
+// @access  Public
+router.get('/classes/:courseId/image', async (req, res) => {
+  try {
+    const badgeClass = await getBadgeClass(req.params.courseId);
+
+    if (!badgeClass) {
+      return res.status(404).json({
+        error: 'Badge not found',
+        message: 'Course with this ID does not exist'
+      });
+    }
+
+    res.setHeader('Content-Type', 'image/png');
+    res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+    res.send(await renderBadgeImage(req.params.courseId));
+
+  } catch (error) {
+    console.error('Get badge image error:', error);
+    res.status(500).json({
+      error: 'Failed to render badge image',
+      message: 'An error occurred while rendering the badge image'
+    });
+  }
+});
+
+// @route   GET /api/badges/assertions/:certificateNumber
+// @desc    Hosted assertion for an issued certificate; revoked assertions answer 410 Gone
+// @access  Public
+router.get('/assertions/:certificateNumber', assertionLimiter, async (req, res) => {
+  try {
+    if (!getVerificationType()) {
+      return res.status(503).json({
+        error: 'Badge export not configured',
+        message: 'Set BADGE_SIGNING_KEY to sign badges, or BADGE_HOSTED_VERIFICATION=true to issue hosted badges'
+      });
+    }
+
+    const certificate = await getBadgeCertificate({ certificateNumber: req.params.certificateNumber.trim() });
+
+    if (!certificate) {
+      return res.status(404).json({
+        error: 'Assertion not found',
+        message: 'No certificate with this number has been issued'
+      });
+    }
+
+    const assertion = buildAssertion(certificate);
+
+    if (certificate.revoked_at) {
+      return res.status(410).json({
+        '@context': assertion['@context'],
+        id: assertion.id,
+        revoked: true,
+        revocationReason: certificate.revocation_reason
+      });
+    }
+
+    res.json(assertion);
+
+  } catch (error) {
+    console.error('Get badge assertion error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch assertion',
+      message: 'An error occurred while fetching the assertion'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,344 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { query } = require('../database/connection');
+const { requireAdmin } = require('../middleware/auth');
+const { FONT_FAMILIES, PLACEHOLDERS, DEFAULT_TEMPLATE, renderCertificate, getCertificateTemplate } = require('../utils/certificateRenderer');
+
+const router = express.Router();
+
+const MAX_SIGNATURES = 3;
+
+const TEMPLATE_FIELDS = [
+  'name', 'is_default', 'orientation', 'background_url', 'logo_url', 'primary_color', 'accent_color', 'text_color',
+  'heading_font', 'body_font', 'title', 'intro_text', 'completion_text', 'details_text', 'signatures'
+];
+
+const TEMPLATE_COLUMNS = ['id', ...TEMPLATE_FIELDS, 'created_at', 'updated_at'];
+
+const hexColor = (field) => body(field).optional().matches(/^#[0-9a-fA-F]{6}$/).withMessage(`${field} must be a hex colour like #1f2937`);
+
+// Template settings shared by saving and previewing
+const validateTemplateSettings = [
+  body('orientation').optional().isIn(['landscape', 'portrait']).withMessage('Orientation must be landscape or portrait'),
+  body('background_url').optional({ nullable: true }).isString().withMessage('Background must be an uploaded image URL'),
+  body('logo_url').optional({ nullable: true }).isString().withMessage('Logo must be an uploaded image URL'),
+  hexColor('primary_color'),
+  hexColor('accent_color'),
+  hexColor('text_color'),
+  body('heading_font').optional().isIn(Object.keys(FONT_FAMILIES)).withMessage(`Heading font must be one of ${Object.keys(FONT_FAMILIES).join(', ')}`),
+  body('body_font').optional().isIn(Object.keys(FONT_FAMILIES)).withMessage(`Body font must be one of ${Object.keys(FONT_FAMILIES).join(', ')}`),
+  body('title').optional().trim().isLength({ min: 1, max: 255 }).withMessage('Title must be 1-255 characters'),
+  body('intro_text').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('Intro text must be at most 500 characters'),
+  body('completion_text').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('Completion text must be at most 500 characters'),
+  body('details_text').optional({ nullable: true }).isString().isLength({ max: 1000 }).withMessage('Details must be at most 1000 characters'),
+  body('signatures').optional().isArray({ max: MAX_SIGNATURES }).withMessage(`A certificate can have at most ${MAX_SIGNATURES} signatures`),
+  body('signatures.*.name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Each signature needs a name (max 100 characters)'),
+  body('signatures.*.title').optional({ nullable: true }).isString().isLength({ max: 100 }).withMessage('Signature titles must be at most 100 characters'),
+  body('signatures.*.image_url').optional({ nullable: true }).isString().withMessage('Signature image must be an uploaded image URL')
+];
+
+const validateTemplate = [
+  body('name').trim().isLength({ min: 1, max: 255 }).withMessage('Template name is required'),
+  body('is_default').optional().isBoolean().withMessage('is_default must be true or false'),
+  ...validateTemplateSettings
+];
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    error: 'Validation failed',
+    message: 'Please check your input',
+    details: errors.array()
+  });
+  return true;
+};
+
+// Column values for INSERT/UPDATE, in TEMPLATE_FIELDS order; unset settings take the built-in layout's value
+const templateValues = (source) => TEMPLATE_FIELDS.map((field) => {
+  if (field === 'is_default') return source.is_default === true || source.is_default === 'true';
+  if (field === 'signatures') {
+    return JSON.stringify((source.signatures || []).map((signature) => ({
+      name: signature.name.trim(),
+      title: signature.title || null,
+      image_url: signature.image_url || null
+    })));
+  }
+  const value = source[field];
+  if (value === undefined) {
+    return field in DEFAULT_TEMPLATE ? DEFAULT_TEMPLATE[field] : null;
+  }
+  return value;
+});
+
+// Only one template can be the organisation default
+const clearDefault = (exceptId = null) => query(
+  'UPDATE certificate_templates SET is_default = false, updated_at = NOW() WHERE is_default = true AND id IS DISTINCT FROM $1::int',
+  [exceptId]
+);
+
+// @route   GET /api/certificate-templates
+// @desc    All certificate templates, with the courses using each, plus the available fonts and placeholders
+// @access  Private/Admin
+router.get('/', requireAdmin, async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT ${TEMPLATE_COLUMNS.map((column) => `t.${column}`).join(', ')},
+              COALESCE(json_agg(json_build_object('id', c.id, 'title', c.title) ORDER BY c.title)
+                FILTER (WHERE c.id IS NOT NULL), '[]') as courses
+       FROM certificate_templates t
+       LEFT JOIN courses c ON c.certificate_template_id = t.id
+       GROUP BY t.id
+       ORDER BY t.is_default DESC, t.name`
+    );
+
+    res.json({
+      templates: result.rows,
+      fonts: Object.keys(FONT_FAMILIES),
+      placeholders: PLACEHOLDERS,
+      defaults: DEFAULT_TEMPLATE
+    });
+
+  } catch (error) {
+    console.error('Get certificate templates error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch certificate templates',
+      message: 'An error occurred while fetching certificate templates'
+    });
+  }
+});
+
+// @route   POST /api/certificate-templates
+// @desc    Create a certificate template
+// @access  Private/Admin
+router.post('/', requireAdmin, validateTemplate, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const values = templateValues(req.body);
+    if (values[TEMPLATE_FIELDS.indexOf('is_default')]) {
+      await clearDefault();
+    }
+
+    const result = await query(
+      `INSERT INTO certificate_templates (${TEMPLATE_FIELDS.join(', ')}, created_by)
+       VALUES (${TEMPLATE_FIELDS.map((_, i) => `$${i + 1}`).join(', ')}, $${TEMPLATE_FIELDS.length + 1})
+       RETURNING ${TEMPLATE_COLUMNS.join(', ')}`,
+      [...values, req.user.id]
+    );
+
+    res.status(201).json({
+      message: 'Certificate template created successfully',
+      template: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Create certificate template error:', error);
+    res.status(500).json({
+      error: 'Failed to create certificate template',
+      message: 'An error occurred while creating the certificate template'
+    });
+  }
+});
+
+// @route   PUT /api/certificate-templates/:id
+// @desc    Update a certificate template (certificates already issued keep their PDF)
+// @access  Private/Admin
+router.put('/:id', requireAdmin, param('id').isInt({ min: 1 }), validateTemplate, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { id } = req.params;
+    const values = templateValues(req.body);
+    if (values[TEMPLATE_FIELDS.indexOf('is_default')]) {
+      await clearDefault(parseInt(id));
+    }
+
+    const result = await query(
+      `UPDATE certificate_templates
+       SET ${TEMPLATE_FIELDS.map((field, i) => `${field} = $${i + 1}`).join(', ')}, updated_at = NOW()
+       WHERE id = $${TEMPLATE_FIELDS.length + 1}
+       RETURNING ${TEMPLATE_COLUMNS.join(', ')}`,
+      [...values, id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Template not found',
+        message: 'Certificate template with this ID does not exist'
+      });
+    }
+
+    res.json({
+      message: 'Certificate template updated successfully',
+      template: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Update certificate template error:', error);
+    res.status(500).json({
+      error: 'Failed to update certificate template',
+      message: 'An error occurred while updating the certificate template'
+    });
+  }
+});
+
+// @route   DELETE /api/certificate-templates/:id
+// @desc    Delete a certificate template (its courses fall back to the default)
+// @access  Private/Admin
+router.delete('/:id', requireAdmin, param('id').isInt({ min: 1 }), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const result = await query('DELETE FROM certificate_templates WHERE id = $1 RETURNING id', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Template not found',
+        message: 'Certificate template with this ID does not exist'
+      });
+    }
+
+    res.json({
+      message: 'Certificate template deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete certificate template error:', error);
+    res.status(500).json({
+      error: 'Failed to delete certificate template',
+      message: 'An error occurred while deleting the certificate template'
+    });
+  }
+});
+
+// @route   PUT /api/certificate-templates/course/:courseId
+// @desc    Assign a template to a course (template_id null to use the default)
+// @access  Private/Admin
+router.put('/course/:courseId', requireAdmin, [
+  param('courseId').isInt({ min: 1 }),
+  body('template_id').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Template ID must be a positive integer')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const templateId = req.body.template_id || null;
+    if (templateId) {
+      const templateResult = await query('SELECT id FROM certificate_templates WHERE id = $1', [templateId]);
+      if (templateResult.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Template not found',
+          message: 'Certificate template with this ID does not exist'
+        });
+      }
+    }
+
+    const result = await query(
+      `UPDATE courses SET certificate_template_id = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING id, title, certificate_template_id`,
+      [templateId, req.params.courseId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Course not found',
+        message: 'Course with this ID does not exist'
+      });
+    }
+
+    res.json({
+      message: 'Certificate template assigned successfully',
+      course: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Assign certificate template error:', error);
+    res.status(500).json({
+      error: 'Failed to assign certificate template',
+      message: 'An error occurred while assigning the certificate template'
+    });
+  }
+});
+
+// @route   POST /api/certificate-templates/preview
+// @desc    Render a sample certificate as PDF. Send template settings to preview unsaved changes,
+//          or template_id / course_id to preview what a course's learners will receive.
+// @access  Private/Admin
+router.post('/preview', requireAdmin, [
+  body('template_id').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Template ID must be a positive integer'),
+  body('course_id').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Course ID must be a positive integer'),
+  ...validateTemplateSettings
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const fields = {
+      learner_name: 'Alex Sample',
+      course_title: 'Sample Course',
+      course_category: 'General',
+      score: '92%',
+      issue_date: new Date().toLocaleDateString(),
+      expiry_date: new Date(new Date().setFullYear(new Date().getFullYear() + 1)).toLocaleDateString(),
+      certificate_number: 'CERT-PREVIEW',
+      instructor_name: `${req.user.first_name} ${req.user.last_name}`
+    };
+
+    let courseTemplateId = null;
+    if (req.body.course_id) {
+      const courseResult = await query(
+        `SELECT c.title, c.category, c.certificate_template_id, u.first_name, u.last_name,
+                NOW() + make_interval(months => c.certificate_validity_months) as expires_at
+         FROM courses c
+         LEFT JOIN users u ON u.id = c.instructor_id
+         WHERE c.id = $1`,
+        [req.body.course_id]
+      );
+      if (courseResult.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Course not found',
+          message: 'Course with this ID does not exist'
+        });
+      }
+      const course = courseResult.rows[0];
+      fields.course_title = course.title;
+      fields.course_category = course.category;
+      fields.expiry_date = course.expires_at ? new Date(course.expires_at).toLocaleDateString() : null;
+      if (course.first_name) fields.instructor_name = `${course.first_name} ${course.last_name}`;
+      courseTemplateId = course.certificate_template_id;
+    }
+
+    let template;
+    if (req.body.title !== undefined) {
+      template = req.body;
+    } else if (req.body.template_id) {
+      const templateResult = await query('SELECT * FROM certificate_templates WHERE id = $1', [req.body.template_id]);
+      if (templateResult.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Template not found',
+          message: 'Certificate template with this ID does not exist'
+        });
+      }
+      template = templateResult.rows[0];
+    } else {
+      template = await getCertificateTemplate(courseTemplateId);
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', 'inline; filename="certificate-preview.pdf"');
+    await renderCertificate(template, fields, res, { preview: true });
+
+  } catch (error) {
+    console.error('Preview certificate template error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      error: 'Failed to preview certificate',
+      message: 'An error occurred while rendering the certificate preview'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,94 @@
 const express = require('express');
+const { body, validationResult } = require('express-validator');
 const { query } = require('../database/connection');
-const { authenticateToken } = require('../middleware/auth');
-const { v4: uuidv4 } = require('uuid');
-const PDFDocument = require('pdfkit');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const rateLimit = require('express-rate-limit');
 const fs = require('fs');
 const path = require('path');
+const { EXPIRING_SOON_DAYS, certificateStatusSql, expiringSoonSql } = require('../utils/certificateStatus');
+const { issueCertificateIfCourseComplete } = require('../utils/courseCompletion');
+const {
+  getVerificationType,
+  buildAssertion,
+  getBadgeCertificate,
+  signAssertion,
+  renderBadgeImage,
+  bakeBadge
+} = require('../utils/openBadges');
 
 const router = express.Router();
 
+// Verification is public, so slow down anyone trying to enumerate certificate numbers
+const verifyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 100,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    error: 'Too many requests',
+    message: 'Too many verification requests, please try again later'
+  }
+});
+
+const CERTIFICATE_STATUSES = ['valid', 'expired', 'revoked'];
+
+// Status, expiry and revocation columns shared by the certificate lists
+const CERTIFICATE_STATUS_COLUMNS = `c.expires_at, c.revoked_at, c.revocation_reason,
+              ${certificateStatusSql('c')} as status,
+              ${expiringSoonSql('c')} as expiring_soon`;
+
+// @route   GET /api/certificates/verify/:certificateNumber
+// @desc    Confirm a certificate is genuine (holder, course, issue and expiry dates, and status)
+// @access  Public
+router.get('/verify/:certificateNumber', verifyLimiter, async (req, res) => {
+  try {
+    const certificateResult = await query(
+      `SELECT c.certificate_number, c.issued_at, c.expires_at, c.revoked_at,
+              ${certificateStatusSql('c')} as status,
+              COALESCE(co.title, lp.title) as course_title, c.learning_path_id,
+              u.first_name, u.last_name
+       FROM certificates c
+       LEFT JOIN courses co ON c.course_id = co.id
+       LEFT JOIN learning_paths lp ON c.learning_path_id = lp.id
+       JOIN users u ON c.user_id = u.id
+       WHERE c.certificate_number = $1`,
+      [req.params.certificateNumber.trim()]
+    );
+
+    if (certificateResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Certificate not found',
+        message: 'No certificate with this number has been issued'
+      });
+    }
+
+    const certificate = certificateResult.rows[0];
+
+    res.json({
+      certificate: {
+        certificateNumber: certificate.certificate_number,
+        holderName: `${certificate.first_name} ${certificate.last_name}`,
+        courseTitle: certificate.course_title,
+        isLearningPath: certificate.learning_path_id !== null,
+        issuedAt: certificate.issued_at,
+        expiresAt: certificate.expires_at,
+        status: certificate.status,
+        revokedAt: certificate.revoked_at
+      }
+    });
+
+  } catch (error) {
+    console.error('Verify certificate error:', error);
+    res.status(500).json({
+      error: 'Failed to verify certificate',
+      message: 'An error occurred while verifying the certificate'
+    });
+  }
+});
+
 // @route   GET /api/certificates
-// @desc    Get all certificates (Admin only)
+// @desc    Get all current certificates (Admin only). Filter with ?status=valid|expired|revoked,
+//          or ?expiring=true for valid certificates expiring within the next 30 days.
 // @access  Private/Admin
 router.get('/', authenticateToken, async (req, res) => {
   try {
@@ -21,19 +100,55 @@ router.get('/', authenticateToken, async (req, res) => {
       });
     }
 
+    const { status, expiring } = req.query;
+
+    if (status && !CERTIFICATE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        message: `Status must be one of: ${CERTIFICATE_STATUSES.join(', ')}`
+      });
+    }
+
+    // Certificates superseded by a recertification are history, not current credentials
     const certificatesResult = await query(
-      `SELECT c.id, c.certificate_number, c.issued_at, c.pdf_url,
-              co.title as course_title, co.category as course_category,
-              u.first_name, u.last_name, u.email
-       FROM certificates c
-       JOIN courses co ON c.course_id = co.id
-       JOIN users u ON c.user_id = u.id
-       ORDER BY c.issued_at DESC`
+      `SELECT * FROM (
+         SELECT c.id, c.certificate_number, c.issued_at, c.pdf_url, c.course_id, c.user_id,
+                ${CERTIFICATE_STATUS_COLUMNS},
+                COALESCE(co.title, lp.title) as course_title, c.learning_path_id, co.category as course_category,
+                u.first_name, u.last_name, u.email
+         FROM certificates c
+         LEFT JOIN courses co ON c.course_id = co.id
+         LEFT JOIN learning_paths lp ON c.learning_path_id = lp.id
+         JOIN users u ON c.user_id = u.id
+         WHERE c.replaced_by IS NULL
+       ) certificate
+       WHERE ($1::text IS NULL OR status = $1)
+       AND ($2::boolean IS NOT TRUE OR expiring_soon)
+       ORDER BY ${expiring === 'true' ? 'expires_at ASC' : 'issued_at DESC'}`,
+      [status || null, expiring === 'true']
+    );
+
+    const summaryResult = await query(
+      `SELECT COUNT(*) FILTER (WHERE revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())) as valid,
+              COUNT(*) FILTER (WHERE revoked_at IS NULL AND expires_at <= NOW()) as expired,
+              COUNT(*) FILTER (WHERE revoked_at IS NOT NULL) as revoked,
+              COUNT(*) FILTER (WHERE revoked_at IS NULL AND expires_at > NOW()
+                AND expires_at <= NOW() + make_interval(days => ${EXPIRING_SOON_DAYS})) as expiring_soon
+       FROM certificates
+       WHERE replaced_by IS NULL`
     );
+    const summary = summaryResult.rows[0];
 
     res.json({
       certificates: certificatesResult.rows,
-      totalCertificates: certificatesResult.rows.length
+      totalCertificates: certificatesResult.rows.length,
+      summary: {
+        valid: parseInt(summary.valid),
+        expired: parseInt(summary.expired),
+        revoked: parseInt(summary.revoked),
+        expiringSoon: parseInt(summary.expiring_soon),
+        expiringSoonDays: EXPIRING_SOON_DAYS
+      }
     });
 
   } catch (error) {
@@ -61,13 +176,15 @@ router.get('/user/:userId', authenticateToken, async (req, res) => {
     }
 
     const certificatesResult = await query(
-      `SELECT c.id, c.certificate_number, c.issued_at, c.pdf_url, c.quiz_id,
-              co.title as course_title, co.category as course_category,
+      `SELECT c.id, c.certificate_number, c.issued_at, c.pdf_url, c.quiz_id, c.course_id,
+              ${CERTIFICATE_STATUS_COLUMNS},
+              COALESCE(co.title, lp.title) as course_title, c.learning_path_id, co.category as course_category,
               u.first_name, u.last_name
        FROM certificates c
-       JOIN courses co ON c.course_id = co.id
+       LEFT JOIN courses co ON c.course_id = co.id
+       LEFT JOIN learning_paths lp ON c.learning_path_id = lp.id
        JOIN users u ON c.user_id = u.id
-       WHERE c.user_id = $1
+       WHERE c.user_id = $1 AND c.replaced_by IS NULL
        ORDER BY c.issued_at DESC`,
       [userId]
     );
@@ -90,64 +207,25 @@ router.get('/user/:userId', authenticateToken, async (req, res) => {
 // @access  Private
 router.post('/generate-all', authenticateToken, async (req, res) => {
   try {
-    // Get all courses where user has completed all lessons
-    const completedCoursesResult = await query(
-      `SELECT DISTINCT c.id, c.title, c.category
-       FROM courses c
-       JOIN lessons l ON c.id = l.course_id
-       WHERE l.is_published = true
-       AND c.id NOT IN (
-         SELECT DISTINCT cert.course_id 
-         FROM certificates cert 
-         WHERE cert.user_id = $1
-       )
-       AND c.id IN (
-         SELECT ce.course_id 
-         FROM course_enrollments ce 
-         WHERE ce.user_id = $1
-       )
-       AND (
-         SELECT COUNT(*) 
-         FROM lessons l2 
-         WHERE l2.course_id = c.id AND l2.is_published = true
-       ) = (
-         SELECT COUNT(*) 
-         FROM user_progress up
-         JOIN lessons l3 ON up.lesson_id = l3.id
-         WHERE up.user_id = $1 AND l3.course_id = c.id AND up.is_completed = true
+    // Enrolled courses without a current certificate, or whose certificate has expired
+    const coursesResult = await query(
+      `SELECT ce.course_id
+       FROM course_enrollments ce
+       WHERE ce.user_id = $1
+       AND NOT EXISTS (
+         SELECT 1 FROM certificates cert
+         WHERE cert.user_id = $1 AND cert.course_id = ce.course_id AND cert.replaced_by IS NULL
+         AND (cert.revoked_at IS NOT NULL OR cert.expires_at IS NULL OR cert.expires_at > NOW())
        )`,
       [req.user.id]
     );
 
     const generatedCertificates = [];
 
-    for (const course of completedCoursesResult.rows) {
-      try {
-        // Get user details
-        const userResult = await query(
-          'SELECT first_name, last_name FROM users WHERE id = $1',
-          [req.user.id]
-        );
-
-        if (userResult.rows.length > 0) {
-          const user = userResult.rows[0];
-          const certificateNumber = `CERT-${req.user.id}-${course.id}-${Date.now()}`;
-
-          // Generate PDF certificate
-          const pdfPath = await generateCertificatePDF(certificateNumber, user, course);
-
-          // Save certificate to database
-          const certificateResult = await query(
-            `INSERT INTO certificates (user_id, course_id, certificate_number, pdf_url, issued_at)
-             VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
-             RETURNING id, certificate_number, issued_at, pdf_url`,
-            [req.user.id, course.id, certificateNumber, pdfPath]
-          );
-
-          generatedCertificates.push(certificateResult.rows[0]);
-        }
-      } catch (error) {
-        console.error(`Error generating certificate for course ${course.id}:`, error);
+    for (const { course_id: courseId } of coursesResult.rows) {
+      const { certificate, issued } = await issueCertificateIfCourseComplete(req.user.id, courseId);
+      if (issued) {
+        generatedCertificates.push(certificate);
       }
     }
 
@@ -168,86 +246,53 @@ router.post('/generate-all', authenticateToken, async (req, res) => {
 // @route   POST /api/certificates/generate
 // @desc    Generate certificate for course completion
 // @access  Private
-router.post('/generate', authenticateToken, async (req, res) => {
+router.post('/generate', authenticateToken, [
+  body('courseId').isInt({ min: 1 }).withMessage('Course ID must be a positive integer')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Please check your input',
+        details: errors.array()
+      });
+    }
+
     const { courseId } = req.body;
 
-    // Check if user has completed the course
-    const completionResult = await query(
-      `SELECT COUNT(*) as total_lessons,
-              COUNT(CASE WHEN up.is_completed = true THEN 1 END) as completed_lessons
-       FROM lessons l
-       LEFT JOIN user_progress up ON l.id = up.lesson_id AND up.user_id = $1
-       WHERE l.course_id = $2 AND l.is_published = true`,
-      [req.user.id, courseId]
-    );
+    const courseResult = await query('SELECT id FROM courses WHERE id = $1', [courseId]);
 
-    if (completionResult.rows.length === 0) {
+    if (courseResult.rows.length === 0) {
       return res.status(404).json({
         error: 'Course not found',
         message: 'Course with this ID does not exist'
       });
     }
 
-    const { total_lessons, completed_lessons } = completionResult.rows[0];
+    const { courseCompleted, certificate, issued } = await issueCertificateIfCourseComplete(req.user.id, courseId);
 
-    if (completed_lessons < total_lessons) {
+    if (!courseCompleted) {
       return res.status(400).json({
         error: 'Course not completed',
-        message: 'You must complete all lessons before generating a certificate'
+        message: 'You must meet the course completion requirements before generating a certificate'
       });
     }
 
-    // Check if certificate already exists
-    const existingCertificate = await query(
-      'SELECT id FROM certificates WHERE user_id = $1 AND course_id = $2',
-      [req.user.id, courseId]
-    );
+    if (!certificate) {
+      return res.status(500).json({
+        error: 'Failed to generate certificate',
+        message: 'An error occurred while generating the certificate'
+      });
+    }
 
-    if (existingCertificate.rows.length > 0) {
+    if (!issued) {
       return res.status(409).json({
         error: 'Certificate already exists',
         message: 'A certificate for this course already exists'
       });
     }
 
-    // Get course and user details
-    const courseResult = await query(
-      'SELECT title, category FROM courses WHERE id = $1',
-      [courseId]
-    );
-
-    const userResult = await query(
-      'SELECT first_name, last_name FROM users WHERE id = $1',
-      [req.user.id]
-    );
-
-    if (courseResult.rows.length === 0 || userResult.rows.length === 0) {
-      return res.status(404).json({
-        error: 'Course or user not found',
-        message: 'Course or user with this ID does not exist'
-      });
-    }
-
-    const course = courseResult.rows[0];
-    const user = userResult.rows[0];
-
-    // Generate certificate number
-    const certificateNumber = `CERT-${uuidv4().substring(0, 8).toUpperCase()}`;
-
-    // Create PDF certificate
-    const pdfPath = await generateCertificatePDF(certificateNumber, user, course);
-
-    // Save certificate to database
-    const certificateResult = await query(
-      `INSERT INTO certificates (user_id, course_id, certificate_number, pdf_url)
-       VALUES ($1, $2, $3, $4)
-       RETURNING id, certificate_number, issued_at, pdf_url`,
-      [req.user.id, courseId, certificateNumber, pdfPath]
-    );
-
-    const certificate = certificateResult.rows[0];
-
     res.status(201).json({
       message: 'Certificate generated successfully',
       certificate
@@ -271,7 +316,7 @@ router.get('/:id/download', authenticateToken, async (req, res) => {
 
     // Get certificate details
     const certificateResult = await query(
-      `SELECT c.pdf_url, c.user_id, u.first_name, u.last_name
+      `SELECT c.pdf_url, c.user_id, c.revoked_at, u.first_name, u.last_name
        FROM certificates c
        JOIN users u ON c.user_id = u.id
        WHERE c.id = $1`,
@@ -295,6 +340,13 @@ router.get('/:id/download', authenticateToken, async (req, res) => {
       });
     }
 
+    if (certificate.revoked_at && req.user.role !== 'admin') {
+      return res.status(403).json({
+        error: 'Certificate revoked',
+        message: 'This certificate has been revoked and can no longer be downloaded'
+      });
+    }
+
     const pdfPath = path.join(__dirname, '..', '..', certificate.pdf_url);
 
     if (!fs.existsSync(pdfPath)) {
@@ -322,77 +374,172 @@ router.get('/:id/download', authenticateToken, async (req, res) => {
   }
 });
 
-// Helper function to generate PDF certificate
-async function generateCertificatePDF(certificateNumber, user, course) {
-  return new Promise((resolve, reject) => {
-    try {
-      const doc = new PDFDocument({
-        size: 'A4',
-        layout: 'landscape'
+// @route   GET /api/certificates/:id/badge
+// @desc    Download a certificate as an Open Badge: ?format=png for the baked image (default), json for the assertion
+// @access  Private
+router.get('/:id/badge', authenticateToken, async (req, res) => {
+  try {
+    const format = req.query.format || 'png';
+
+    if (!['png', 'json'].includes(format)) {
+      return res.status(400).json({
+        error: 'Invalid format',
+        message: 'Format must be png or json'
       });
+    }
 
-      // Create uploads directory if it doesn't exist
-      const uploadsDir = path.join(__dirname, '..', '..', 'uploads', 'certificates');
-      if (!fs.existsSync(uploadsDir)) {
-        fs.mkdirSync(uploadsDir, { recursive: true });
-      }
+    if (!getVerificationType()) {
+      return res.status(503).json({
+        error: 'Badge export not configured',
+        message: 'Set BADGE_SIGNING_KEY to sign badges, or BADGE_HOSTED_VERIFICATION=true to issue hosted badges'
+      });
+    }
 
-      const filename = `certificate-${certificateNumber}.pdf`;
-      const filepath = path.join(uploadsDir, filename);
-      const writeStream = fs.createWriteStream(filepath);
+    const certificate = await getBadgeCertificate({ id: req.params.id });
 
-      doc.pipe(writeStream);
+    if (!certificate) {
+      return res.status(404).json({
+        error: 'Certificate not found',
+        message: 'Certificate with this ID does not exist'
+      });
+    }
 
-      // Add certificate content
-      doc.fontSize(40)
-         .font('Helvetica-Bold')
-         .text('Certificate of Completion', 0, 100, { align: 'center' });
+    // Users can only download their own badges unless they're admin
+    if (req.user.role !== 'admin' && req.user.id !== certificate.user_id) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only download your own badges'
+      });
+    }
 
-      doc.fontSize(16)
-         .font('Helvetica')
-         .text('This is to certify that', 0, 180, { align: 'center' });
+    if (certificate.revoked_at) {
+      return res.status(403).json({
+        error: 'Certificate revoked',
+        message: 'This certificate has been revoked and can no longer be exported'
+      });
+    }
 
-      doc.fontSize(24)
-         .font('Helvetica-Bold')
-         .text(`${user.first_name} ${user.last_name}`, 0, 220, { align: 'center' });
+    const assertion = buildAssertion(certificate);
+    const filename = `badge-${certificate.first_name}-${certificate.last_name}-${certificate.certificate_number}`;
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition');
 
-      doc.fontSize(16)
-         .font('Helvetica')
-         .text('has successfully completed the course', 0, 260, { align: 'center' });
+    if (format === 'json') {
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+      return res.json(assertion);
+    }
 
-      doc.fontSize(20)
-         .font('Helvetica-Bold')
-         .text(course.title, 0, 300, { align: 'center' });
+    // Signed badges carry the JWS; hosted ones carry the assertion itself
+    const bakedData = signAssertion(assertion) || JSON.stringify(assertion);
+    const image = bakeBadge(await renderBadgeImage(certificate.course_id), bakedData);
 
-      doc.fontSize(14)
-         .font('Helvetica')
-         .text(`Category: ${course.category}`, 0, 350, { align: 'center' });
+    res.setHeader('Content-Type', 'image/png');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.png"`);
+    res.send(image);
 
-      doc.fontSize(12)
-         .font('Helvetica')
-         .text(`Certificate Number: ${certificateNumber}`, 0, 380, { align: 'center' });
+  } catch (error) {
+    console.error('Download badge error:', error);
+    res.status(500).json({
+      error: 'Failed to export badge',
+      message: 'An error occurred while exporting the badge'
+    });
+  }
+});
 
-      doc.fontSize(10)
-         .font('Helvetica')
-         .text(`Issued on: ${new Date().toLocaleDateString()}`, 0, 410, { align: 'center' });
+// @route   POST /api/certificates/:id/revoke
+// @desc    Revoke a certificate, recording why
+// @access  Private/Admin
+router.post('/:id/revoke', authenticateToken, requireAdmin, [
+  body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('Reason must be between 3 and 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Please check your input',
+        details: errors.array()
+      });
+    }
 
-      // Add decorative border
-      doc.rect(20, 20, doc.page.width - 40, doc.page.height - 40)
-         .lineWidth(3)
-         .stroke();
+    const existingResult = await query('SELECT id, revoked_at FROM certificates WHERE id = $1', [req.params.id]);
 
-      doc.end();
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Certificate not found',
+        message: 'Certificate with this ID does not exist'
+      });
+    }
 
-      writeStream.on('finish', () => {
-        resolve(`uploads/certificates/${filename}`);
+    if (existingResult.rows[0].revoked_at) {
+      return res.status(409).json({
+        error: 'Certificate already revoked',
+        message: 'This certificate has already been revoked'
       });
+    }
+
+    const certificateResult = await query(
+      `UPDATE certificates
+       SET revoked_at = NOW(), revoked_by = $1, revocation_reason = $2
+       WHERE id = $3
+       RETURNING id, certificate_number, revoked_at, revocation_reason`,
+      [req.user.id, req.body.reason, req.params.id]
+    );
+
+    res.json({
+      message: 'Certificate revoked successfully',
+      certificate: certificateResult.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Revoke certificate error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke certificate',
+      message: 'An error occurred while revoking the certificate'
+    });
+  }
+});
 
-      writeStream.on('error', reject);
+// @route   POST /api/certificates/:id/reinstate
+// @desc    Lift a revocation made in error
+// @access  Private/Admin
+router.post('/:id/reinstate', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const existingResult = await query('SELECT id, revoked_at FROM certificates WHERE id = $1', [req.params.id]);
 
-    } catch (error) {
-      reject(error);
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Certificate not found',
+        message: 'Certificate with this ID does not exist'
+      });
+    }
+
+    if (!existingResult.rows[0].revoked_at) {
+      return res.status(409).json({
+        error: 'Certificate not revoked',
+        message: 'Only revoked certificates can be reinstated'
+      });
     }
-  });
-}
 
-module.exports = { router, generateCertificatePDF };
+    const certificateResult = await query(
+      `UPDATE certificates
+       SET revoked_at = NULL, revoked_by = NULL, revocation_reason = NULL
+       WHERE id = $1
+       RETURNING id, certificate_number, expires_at`,
+      [req.params.id]
+    );
+
+    res.json({
+      message: 'Certificate reinstated successfully',
+      certificate: certificateResult.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Reinstate certificate error:', error);
+    res.status(500).json({
+      error: 'Failed to reinstate certificate',
+      message: 'An error occurred while reinstating the certificate'
+    });
+  }
+});
+
+module.exports = router;
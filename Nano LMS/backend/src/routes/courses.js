@@ -1,17 +1,59 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { query } = require('../database/connection');
+const { query, pool } = require('../database/connection');
 const { requireTrainer, authenticateToken } = require('../middleware/auth');
+const { CERTIFICATE_RULES } = require('../utils/courseCompletion');
+const { findMissingDepartments, setCourseDepartments } = require('../utils/departments');
+const {
+  bypassesPrerequisites,
+  findPrerequisiteError,
+  setCoursePrerequisites,
+  getPrerequisiteState,
+  getCourseLock,
+  getLessonLock,
+  getQuizLock
+} = require('../utils/prerequisites');
 
 const router = express.Router();
 
+// Departments a course is aimed at, as [{id, name}]; empty means every department
+const COURSE_DEPARTMENTS_SQL = `COALESCE((
+  SELECT json_agg(json_build_object('id', d.id, 'name', d.name) ORDER BY d.name)
+  FROM course_departments cd
+  JOIN departments d ON cd.department_id = d.id
+  WHERE cd.course_id = c.id
+), '[]') as departments`;
+
+// Courses a learner needs a certificate in before starting this one, as [{id, title}]
+const COURSE_PREREQUISITES_SQL = `COALESCE((
+  SELECT json_agg(json_build_object('id', pc.id, 'title', pc.title) ORDER BY pc.title)
+  FROM course_prerequisites cp
+  JOIN courses pc ON cp.prerequisite_course_id = pc.id
+  WHERE cp.course_id = c.id
+), '[]') as prerequisites`;
+
+const sendUnknownDepartments = (res, missing) => res.status(400).json({
+  error: 'Department not found',
+  message: `Department(s) ${missing.join(', ')} do not exist`
+});
+
+const sendInvalidPrerequisites = (res, message) => res.status(400).json({
+  error: 'Invalid prerequisites',
+  message
+});
+
 // Validation middleware
 const validateCourse = [
   body('title').trim().isLength({ min: 3, max: 255 }).withMessage('Title must be between 3 and 255 characters'),
   body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description must be less than 1000 characters'),
   body('category').optional().trim().isLength({ max: 100 }).withMessage('Category must be less than 100 characters'),
   body('difficultyLevel').optional().isIn(['beginner', 'intermediate', 'advanced']).withMessage('Difficulty level must be beginner, intermediate, or advanced'),
-     body('work_type').optional().isIn(['All', 'Operations', 'Sales', 'Marketing', 'Tech']).withMessage('Work type must be All, Operations, Sales, Marketing, or Tech')
+  body('departmentIds').optional().isArray().withMessage('Departments must be a list of department IDs'),
+  body('departmentIds.*').isInt({ min: 1 }).withMessage('Departments must be a list of department IDs'),
+  body('prerequisiteCourseIds').optional().isArray().withMessage('Prerequisites must be a list of course IDs'),
+  body('prerequisiteCourseIds.*').isInt({ min: 1 }).withMessage('Prerequisites must be a list of course IDs'),
+  body('certificateValidityMonths').optional({ checkFalsy: true }).isInt({ min: 1, max: 120 }).withMessage('Certificate validity must be between 1 and 120 months'),
+  body('certificateRule').optional().isIn(CERTIFICATE_RULES).withMessage(`Certificate rule must be one of: ${CERTIFICATE_RULES.join(', ')}`)
 ];
 
 // @route   GET /api/courses
@@ -38,10 +80,16 @@ router.get('/', authenticateToken, async (req, res) => {
     } else {
       // Learners and public users can only see published courses
       whereClause = 'WHERE c.is_published = true';
-      
-      // Add work type filtering for learners
-      if (req.user.work_type) {
-        whereClause += ` AND (c.work_type = 'All' OR c.work_type = '${req.user.work_type}')`;
+
+      // Learners see courses aimed at their department plus courses aimed at no department in particular,
+      // and anything assigned to them whatever department it's aimed at
+      if (req.user.department_id) {
+        paramCount++;
+        whereClause += ` AND (NOT EXISTS (SELECT 1 FROM course_departments cd WHERE cd.course_id = c.id)
+          OR EXISTS (SELECT 1 FROM course_departments cd WHERE cd.course_id = c.id AND cd.department_id = $${paramCount})
+          OR EXISTS (SELECT 1 FROM course_enrollments ce WHERE ce.course_id = c.id AND ce.user_id = $${paramCount + 1} AND ce.assignment_id IS NOT NULL))`;
+        params.push(req.user.department_id, req.user.id);
+        paramCount++;
       }
     }
 
@@ -75,7 +123,7 @@ router.get('/', authenticateToken, async (req, res) => {
     const coursesResult = await query(
       `SELECT c.id, c.title, c.description, c.thumbnail_url, c.category, 
               c.difficulty_level, c.duration_minutes, c.is_published, c.created_at,
-              c.instructor_id, c.work_type,
+              c.instructor_id, ${COURSE_DEPARTMENTS_SQL},
               u.first_name as instructor_first_name, u.last_name as instructor_last_name,
               COALESCE(lesson_counts.lesson_count, 0) as lesson_count,
               COALESCE(quiz_counts.quiz_count, 0) as quiz_count
@@ -130,10 +178,12 @@ router.get('/enrollments', authenticateToken, async (req, res) => {
   try {
     const enrollmentsResult = await query(
       `SELECT ce.*, c.title as course_title, c.description, c.thumbnail_url,
-              u.first_name as instructor_first_name, u.last_name as instructor_last_name
+              u.first_name as instructor_first_name, u.last_name as instructor_last_name,
+              ca.due_date::text as due_date
        FROM course_enrollments ce
        JOIN courses c ON ce.course_id = c.id
        JOIN users u ON c.instructor_id = u.id
+       LEFT JOIN course_assignments ca ON ce.assignment_id = ca.id
        WHERE ce.user_id = $1
        ORDER BY ce.enrolled_at DESC`,
       [req.user.id]
@@ -161,7 +211,7 @@ router.post('/:id/enroll', authenticateToken, async (req, res) => {
 
     // Check if course exists and is published
     const courseResult = await query(
-      'SELECT id, title FROM courses WHERE id = $1 AND is_published = true',
+      'SELECT id, title, instructor_id FROM courses WHERE id = $1 AND is_published = true',
       [id]
     );
 
@@ -172,6 +222,19 @@ router.post('/:id/enroll', authenticateToken, async (req, res) => {
       });
     }
 
+    const { instructor_id, ...course } = courseResult.rows[0];
+
+    if (!bypassesPrerequisites(req.user, instructor_id)) {
+      const lock = getCourseLock(await getPrerequisiteState(req.user.id, course.id));
+      if (lock) {
+        return res.status(403).json({
+          error: 'Course locked',
+          message: lock.message,
+          lock
+        });
+      }
+    }
+
     // Check if already enrolled
     const existingEnrollment = await query(
       'SELECT id FROM course_enrollments WHERE user_id = $1 AND course_id = $2',
@@ -193,7 +256,7 @@ router.post('/:id/enroll', authenticateToken, async (req, res) => {
 
     res.status(201).json({
       message: 'Successfully enrolled in course',
-      course: courseResult.rows[0]
+      course
     });
 
   } catch (error) {
@@ -216,7 +279,8 @@ router.get('/:id', authenticateToken, async (req, res) => {
     const courseResult = await query(
       `SELECT c.id, c.title, c.description, c.thumbnail_url, c.category, 
               c.difficulty_level, c.duration_minutes, c.is_published, c.created_at,
-              c.instructor_id, c.work_type,
+              c.instructor_id, c.certificate_template_id, c.certificate_validity_months,
+              c.certificate_rule, ${COURSE_DEPARTMENTS_SQL}, ${COURSE_PREREQUISITES_SQL},
               u.first_name as instructor_first_name, u.last_name as instructor_last_name
        FROM courses c
        LEFT JOIN users u ON c.instructor_id = u.id
@@ -254,7 +318,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
     // Show unpublished lessons to admins and course instructors
     let lessonsQuery = `
       SELECT id, title, description, content, video_url, document_url, duration_minutes, 
-             order_index, is_published, created_at
+             order_index, is_published, requires_previous_lesson, created_at
       FROM lessons 
       WHERE course_id = $1
     `;
@@ -276,24 +340,36 @@ router.get('/:id', authenticateToken, async (req, res) => {
 
     course.lessons = lessonsResult.rows;
 
-    // Get quiz for this course
+    // Get quizzes for this course (lesson knowledge checks and the final exam)
     const quizResult = await query(
-      `SELECT id, title, description, passing_percentage, time_limit_minutes, 
-              (SELECT COUNT(*) FROM quiz_questions WHERE quiz_id = q.id) as total_questions
+      `SELECT q.id, q.title, q.description, q.kind, q.lesson_id, q.counts_toward_completion,
+              q.requires_all_lessons, q.passing_percentage, q.time_limit_minutes, l.title as lesson_title,
+              (SELECT COUNT(*) FROM quiz_questions WHERE quiz_id = q.id)
+                + (SELECT COALESCE(SUM(draw_count), 0) FROM quiz_question_pools WHERE quiz_id = q.id) as total_questions
        FROM quizzes q
-       WHERE q.course_id = $1`,
+       LEFT JOIN lessons l ON q.lesson_id = l.id
+       WHERE q.course_id = $1
+       ORDER BY (q.kind = 'final'), l.order_index NULLS LAST, q.created_at`,
       [id]
     );
 
-    course.quiz = quizResult.rows.length > 0 ? quizResult.rows[0] : null;
+    course.quizzes = quizResult.rows;
+
+    // Tell learners what is locked and why, so the course page can show it before they try
+    const state = bypassesPrerequisites(req.user, course.instructor_id)
+      ? null
+      : await getPrerequisiteState(req.user.id, course.id);
+    course.lock = state && getCourseLock(state);
+    course.lessons.forEach((lesson) => { lesson.lock = state && getLessonLock(state, lesson.id); });
+    course.quizzes.forEach((quiz) => { quiz.lock = state && getQuizLock(state, quiz); });
 
     // Calculate total duration from lessons
     const totalLessonDuration = course.lessons.reduce((total, lesson) => {
       return total + (lesson.duration_minutes || 0);
     }, 0);
 
-    // Add quiz duration (10 minutes per quiz if quiz exists)
-    const quizDuration = course.quiz ? 10 : 0; // 10 minutes for quiz completion
+    // Add quiz duration (10 minutes per quiz)
+    const quizDuration = course.quizzes.length * 10;
 
     // Update course duration
     const totalDuration = totalLessonDuration + quizDuration;
@@ -334,16 +410,30 @@ router.post('/', authenticateToken, requireTrainer, validateCourse, async (req,
       });
     }
 
-    const { title, description, category, difficultyLevel, work_type = 'All' } = req.body;
+    const { title, description, category, difficultyLevel, departmentIds = [], prerequisiteCourseIds = [], certificateValidityMonths, certificateRule = 'both' } = req.body;
+
+    const missingDepartments = await findMissingDepartments(departmentIds);
+    if (missingDepartments.length > 0) {
+      return sendUnknownDepartments(res, missingDepartments);
+    }
+
+    const prerequisiteError = await findPrerequisiteError(null, prerequisiteCourseIds);
+    if (prerequisiteError) {
+      return sendInvalidPrerequisites(res, prerequisiteError);
+    }
 
     const newCourseResult = await query(
-      `INSERT INTO courses (title, description, category, difficulty_level, duration_minutes, instructor_id, is_published, work_type)
-       VALUES ($1, $2, $3, $4, 0, $5, true, $6)
-       RETURNING id, title, description, category, difficulty_level, duration_minutes, is_published, work_type, created_at`,
-      [title, description, category, difficultyLevel, req.user.id, work_type]
+      `INSERT INTO courses (title, description, category, difficulty_level, duration_minutes, instructor_id, is_published,
+                            certificate_validity_months, certificate_rule)
+       VALUES ($1, $2, $3, $4, 0, $5, true, $6, $7)
+       RETURNING id, title, description, category, difficulty_level, duration_minutes, is_published,
+                 certificate_validity_months, certificate_rule, created_at`,
+      [title, description, category, difficultyLevel, req.user.id, certificateValidityMonths || null, certificateRule]
     );
 
     const newCourse = newCourseResult.rows[0];
+    await setCourseDepartments(pool, newCourse.id, departmentIds);
+    await setCoursePrerequisites(pool, newCourse.id, prerequisiteCourseIds);
 
     res.status(201).json({
       message: 'Course created successfully',
@@ -374,7 +464,7 @@ router.put('/:id', authenticateToken, validateCourse, async (req, res) => {
     }
 
     const { id } = req.params;
-    const { title, description, category, difficultyLevel, durationMinutes, isPublished, work_type } = req.body;
+    const { title, description, category, difficultyLevel, durationMinutes, isPublished, departmentIds, prerequisiteCourseIds, certificateValidityMonths, certificateRule } = req.body;
 
     // Check if course exists and get instructor info
     const courseResult = await query(
@@ -416,15 +506,39 @@ router.put('/:id', authenticateToken, validateCourse, async (req, res) => {
       });
     }
 
+    if (departmentIds !== undefined) {
+      const missingDepartments = await findMissingDepartments(departmentIds);
+      if (missingDepartments.length > 0) {
+        return sendUnknownDepartments(res, missingDepartments);
+      }
+    }
+
+    if (prerequisiteCourseIds !== undefined) {
+      const prerequisiteError = await findPrerequisiteError(id, prerequisiteCourseIds);
+      if (prerequisiteError) {
+        return sendInvalidPrerequisites(res, prerequisiteError);
+      }
+    }
+
     const updateResult = await query(
       `UPDATE courses 
        SET title = $1, description = $2, category = $3, difficulty_level = $4, 
-           duration_minutes = $5, is_published = $6, work_type = $7, updated_at = CURRENT_TIMESTAMP
-       WHERE id = $8
-       RETURNING id, title, description, category, difficulty_level, duration_minutes, is_published, work_type, updated_at`,
-      [title, description, category, difficultyLevel, durationMinutes, isPublished, work_type, id]
+           duration_minutes = $5, is_published = $6, certificate_validity_months = $7,
+           certificate_rule = COALESCE($8, certificate_rule), updated_at = CURRENT_TIMESTAMP
+       WHERE id = $9
+       RETURNING id, title, description, category, difficulty_level, duration_minutes, is_published,
+                 certificate_validity_months, certificate_rule, updated_at`,
+      [title, description, category, difficultyLevel, durationMinutes, isPublished, certificateValidityMonths || null, certificateRule, id]
     );
 
+    // Leave the course's departments and prerequisites alone unless the request sets them
+    if (departmentIds !== undefined) {
+      await setCourseDepartments(pool, id, departmentIds);
+    }
+    if (prerequisiteCourseIds !== undefined) {
+      await setCoursePrerequisites(pool, id, prerequisiteCourseIds);
+    }
+
     res.json({
       message: 'Course updated successfully',
       course: updateResult.rows[0]
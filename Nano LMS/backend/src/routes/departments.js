@@ -0,0 +1,171 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { query } = require('../database/connection');
+const { requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+const validateDepartment = [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Department name must be 1-100 characters'),
+  body('description').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('Description must be at most 500 characters')
+];
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    error: 'Validation failed',
+    message: 'Please check your input',
+    details: errors.array()
+  });
+  return true;
+};
+
+// Names are unique regardless of case (idx_departments_name)
+const sendDuplicateName = (res) => res.status(409).json({
+  error: 'Department already exists',
+  message: 'A department with this name already exists'
+});
+
+// @route   GET /api/departments
+// @desc    All departments, with how many users and courses reference each
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT d.id, d.name, d.description, d.created_at, d.updated_at,
+              (SELECT COUNT(*) FROM users u WHERE u.department_id = d.id)::int as user_count,
+              (SELECT COUNT(*) FROM course_departments cd WHERE cd.department_id = d.id)::int as course_count
+       FROM departments d
+       ORDER BY d.name`
+    );
+
+    res.json({
+      departments: result.rows
+    });
+
+  } catch (error) {
+    console.error('Get departments error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch departments',
+      message: 'An error occurred while fetching departments'
+    });
+  }
+});
+
+// @route   POST /api/departments
+// @desc    Create a department
+// @access  Private/Admin
+router.post('/', requireAdmin, validateDepartment, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const result = await query(
+      `INSERT INTO departments (name, description)
+       VALUES ($1, $2)
+       RETURNING id, name, description, created_at, updated_at`,
+      [req.body.name, req.body.description || null]
+    );
+
+    res.status(201).json({
+      message: 'Department created successfully',
+      department: result.rows[0]
+    });
+
+  } catch (error) {
+    if (error.code === '23505') return sendDuplicateName(res);
+
+    console.error('Create department error:', error);
+    res.status(500).json({
+      error: 'Failed to create department',
+      message: 'An error occurred while creating the department'
+    });
+  }
+});
+
+// @route   PUT /api/departments/:id
+// @desc    Rename or describe a department
+// @access  Private/Admin
+router.put('/:id', requireAdmin, param('id').isInt({ min: 1 }), validateDepartment, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const result = await query(
+      `UPDATE departments SET name = $1, description = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3
+       RETURNING id, name, description, created_at, updated_at`,
+      [req.body.name, req.body.description || null, req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Department not found',
+        message: 'Department with this ID does not exist'
+      });
+    }
+
+    res.json({
+      message: 'Department updated successfully',
+      department: result.rows[0]
+    });
+
+  } catch (error) {
+    if (error.code === '23505') return sendDuplicateName(res);
+
+    console.error('Update department error:', error);
+    res.status(500).json({
+      error: 'Failed to update department',
+      message: 'An error occurred while updating the department'
+    });
+  }
+});
+
+// @route   DELETE /api/departments/:id
+// @desc    Delete a department that no user or course references. Removing a course's last department
+//          would open the course to everyone, so admins reassign first.
+// @access  Private/Admin
+router.delete('/:id', requireAdmin, param('id').isInt({ min: 1 }), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const usageResult = await query(
+      `SELECT d.id,
+              (SELECT COUNT(*) FROM users u WHERE u.department_id = d.id)::int as user_count,
+              (SELECT COUNT(*) FROM course_departments cd WHERE cd.department_id = d.id)::int as course_count
+       FROM departments d
+       WHERE d.id = $1`,
+      [req.params.id]
+    );
+
+    if (usageResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Department not found',
+        message: 'Department with this ID does not exist'
+      });
+    }
+
+    const { user_count: userCount, course_count: courseCount } = usageResult.rows[0];
+    if (userCount > 0 || courseCount > 0) {
+      return res.status(409).json({
+        error: 'Department in use',
+        message: `This department is assigned to ${userCount} user(s) and ${courseCount} course(s). Reassign them before deleting it.`
+      });
+    }
+
+    await query('DELETE FROM departments WHERE id = $1', [req.params.id]);
+
+    res.json({
+      message: 'Department deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete department error:', error);
+    res.status(500).json({
+      error: 'Failed to delete department',
+      message: 'An error occurred while deleting the department'
+    });
+  }
+});
+
+module.exports = router;
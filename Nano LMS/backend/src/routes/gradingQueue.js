@@ -0,0 +1,212 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query } = require('../database/connection');
+const { requireTrainer } = require('../middleware/auth');
+const { getGrader } = require('../utils/graders');
+const { gradeAttempt, reviewAttempt } = require('../utils/quizGrading');
+const { issueCertificateIfCourseComplete } = require('../utils/courseCompletion');
+
+const router = express.Router();
+
+const MAX_FEEDBACK_LENGTH = 2000;
+
+const isManualQuestion = (question) => Boolean(getGrader(question.question_type)?.manual);
+
+// Load an attempt with its quiz and course, limited to the trainer's own courses unless admin
+const getReviewableAttempt = async (attemptId, user) => {
+  const attemptResult = await query(
+    `SELECT qa.id, qa.user_id, qa.quiz_id, qa.status, qa.score, qa.questions, qa.answers, qa.manual_grades,
+            qa.started_at, qa.completed_at, qa.reviewed_at,
+            q.title as quiz_title, q.course_id, q.passing_percentage, q.counts_toward_completion,
+            c.title as course_title, c.instructor_id,
+            u.first_name, u.last_name, u.email
+     FROM quiz_attempts qa
+     JOIN quizzes q ON qa.quiz_id = q.id
+     JOIN courses c ON q.course_id = c.id
+     JOIN users u ON qa.user_id = u.id
+     WHERE qa.id = $1`,
+    [attemptId]
+  );
+
+  if (attemptResult.rows.length === 0) {
+    return { error: { status: 404, error: 'Attempt not found', message: 'Quiz attempt with this ID does not exist' } };
+  }
+
+  const attempt = attemptResult.rows[0];
+  if (user.role !== 'admin' && attempt.instructor_id !== user.id) {
+    return { error: { status: 403, error: 'Access denied', message: 'You can only grade attempts in courses you created' } };
+  }
+
+  return { attempt };
+};
+
+// @route   GET /api/grading-queue
+// @desc    List attempts waiting for a trainer to grade their written answers
+// @access  Private/Trainer
+router.get('/', requireTrainer, async (req, res) => {
+  try {
+    const isAdmin = req.user.role === 'admin';
+
+    const attemptsResult = await query(
+      `SELECT qa.id, qa.quiz_id, qa.questions, qa.completed_at,
+              q.title as quiz_title, q.course_id, c.title as course_title,
+              u.first_name, u.last_name, u.email
+       FROM quiz_attempts qa
+       JOIN quizzes q ON qa.quiz_id = q.id
+       JOIN courses c ON q.course_id = c.id
+       JOIN users u ON qa.user_id = u.id
+       WHERE qa.status = 'pending_review' AND ($1 OR c.instructor_id = $2)
+       ORDER BY qa.completed_at ASC`,
+      [isAdmin, req.user.id]
+    );
+
+    res.json({
+      attempts: attemptsResult.rows.map(({ questions, ...attempt }) => ({
+        ...attempt,
+        questions_to_grade: (questions || []).filter(isManualQuestion).length
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get grading queue error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch grading queue',
+      message: 'An error occurred while fetching attempts awaiting review'
+    });
+  }
+});
+
+// @route   GET /api/grading-queue/:attemptId
+// @desc    Get an attempt with every answer and the grading notes for its written questions
+// @access  Private/Trainer
+router.get('/:attemptId', requireTrainer, async (req, res) => {
+  try {
+    const lookup = await getReviewableAttempt(req.params.attemptId, req.user);
+    if (lookup.error) {
+      const { status, ...body } = lookup.error;
+      return res.status(status).json(body);
+    }
+
+    const { questions, answers, manual_grades, instructor_id, ...attempt } = lookup.attempt;
+    const snapshots = questions || [];
+    const review = reviewAttempt(snapshots, answers || {}, manual_grades || {});
+
+    res.json({
+      attempt,
+      questions: review.map((question, index) => ({
+        ...question,
+        manual: isManualQuestion(snapshots[index]),
+        guidance: isManualQuestion(snapshots[index]) ? snapshots[index].correct_answer?.guidance || null : null
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get attempt for grading error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch attempt',
+      message: 'An error occurred while fetching the attempt'
+    });
+  }
+});
+
+// @route   PUT /api/grading-queue/:attemptId
+// @desc    Score the written answers of a pending attempt and release its result
+// @access  Private/Trainer
+router.put('/:attemptId', requireTrainer, [
+  body('grades').isObject().withMessage('Grades must be an object keyed by question'),
+  body('grades.*.score').isFloat({ min: 0 }).withMessage('Each score must be zero or more'),
+  body('grades.*.feedback').optional({ nullable: true }).isString().isLength({ max: MAX_FEEDBACK_LENGTH })
+    .withMessage(`Feedback must be less than ${MAX_FEEDBACK_LENGTH} characters`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Please check your input',
+        details: errors.array()
+      });
+    }
+
+    const lookup = await getReviewableAttempt(req.params.attemptId, req.user);
+    if (lookup.error) {
+      const { status, ...body } = lookup.error;
+      return res.status(status).json(body);
+    }
+
+    const attempt = lookup.attempt;
+    if (attempt.status !== 'pending_review') {
+      return res.status(409).json({
+        error: 'Attempt already graded',
+        message: 'This attempt is not waiting for review'
+      });
+    }
+
+    // Keep only grades for this attempt's written questions, each within the question's points
+    const grades = {};
+    for (const question of (attempt.questions || []).filter(isManualQuestion)) {
+      const grade = req.body.grades[question.key];
+      if (!grade) {
+        return res.status(400).json({
+          error: 'Incomplete grading',
+          message: 'Score every written answer before releasing the result'
+        });
+      }
+
+      const score = Number(grade.score);
+      if (score > question.points) {
+        return res.status(400).json({
+          error: 'Invalid score',
+          message: `A score of ${score} is more than the ${question.points} points this question is worth`
+        });
+      }
+
+      grades[question.key] = {
+        score,
+        feedback: grade.feedback ? grade.feedback.trim() : null
+      };
+    }
+
+    const { score, correctAnswers } = gradeAttempt(attempt.questions || [], attempt.answers || {}, grades);
+    const passed = score >= attempt.passing_percentage;
+
+    const updateResult = await query(
+      `UPDATE quiz_attempts
+       SET score = $1, correct_answers = $2, is_passed = $3, manual_grades = $4, status = 'submitted',
+           reviewed_by = $5, reviewed_at = NOW()
+       WHERE id = $6 AND status = 'pending_review'
+       RETURNING id`,
+      [score, correctAnswers, passed, JSON.stringify(grades), req.user.id, attempt.id]
+    );
+
+    if (updateResult.rows.length === 0) {
+      return res.status(409).json({
+        error: 'Attempt already graded',
+        message: 'Another reviewer graded this attempt first'
+      });
+    }
+
+    const { courseCompleted, certificate } = passed && attempt.counts_toward_completion
+      ? await issueCertificateIfCourseComplete(attempt.user_id, attempt.course_id, { quizId: attempt.quiz_id, score })
+      : { courseCompleted: false, certificate: null };
+
+    res.json({
+      message: 'Attempt graded successfully',
+      attempt_id: attempt.id,
+      score,
+      correct_answers: correctAnswers,
+      passed,
+      course_completed: courseCompleted,
+      certificate_id: certificate ? certificate.id : null
+    });
+
+  } catch (error) {
+    console.error('Grade attempt error:', error);
+    res.status(500).json({
+      error: 'Failed to grade attempt',
+      message: 'An error occurred while grading the attempt'
+    });
+  }
+});
+
+module.exports = router;
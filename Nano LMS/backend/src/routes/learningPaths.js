@@ -0,0 +1,396 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { query, pool } = require('../database/connection');
+const { requireTrainer } = require('../middleware/auth');
+const { certificateStatusSql, hasValidCertificateSql } = require('../utils/certificateStatus');
+const { getCourseProgress } = require('../utils/learnerProgress');
+const { advanceLearningPath } = require('../utils/courseCompletion');
+const { findStepError, setLearningPathSteps, getLearningPathSteps } = require('../utils/learningPaths');
+
+const router = express.Router();
+
+const validateLearningPath = (required) => [
+  (required ? body('title') : body('title').optional())
+    .trim().isLength({ min: 1, max: 255 }).withMessage('Title must be 1-255 characters'),
+  body('description').optional({ nullable: true }).isString().withMessage('Description must be text'),
+  body('isPublished').optional().isBoolean().withMessage('isPublished must be true or false'),
+  (required ? body('steps') : body('steps').optional())
+    .isArray({ min: 1 }).withMessage('A learning path needs at least one course'),
+  body('steps.*.courseId').isInt({ min: 1 }).withMessage('Each step needs a course ID'),
+  body('steps.*.prerequisiteCourseIds').optional().isArray().withMessage('Prerequisites must be a list of course IDs'),
+  body('steps.*.prerequisiteCourseIds.*').isInt({ min: 1 }).withMessage('Prerequisites must be a list of course IDs')
+];
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    error: 'Validation failed',
+    message: 'Please check your input',
+    details: errors.array()
+  });
+  return true;
+};
+
+// Same visibility as courses: admins see everything, trainers published paths and their own drafts,
+// everyone else published paths
+const visibleToSql = (req, userParam) => {
+  if (req.user.role === 'admin') return 'true';
+  if (req.user.role === 'trainer') return `(lp.is_published = true OR lp.created_by = ${userParam})`;
+  return 'lp.is_published = true';
+};
+
+// Path rows with step counts and the current user's enrollment and progress
+const LEARNING_PATH_SELECT = `SELECT lp.id, lp.title, lp.description, lp.is_published, lp.created_by,
+              lp.created_at, lp.updated_at,
+              u.first_name as creator_first_name, u.last_name as creator_last_name,
+              (SELECT COUNT(*) FROM learning_path_courses lpc WHERE lpc.learning_path_id = lp.id)::int as course_count,
+              (SELECT COUNT(*) FROM learning_path_courses lpc
+               WHERE lpc.learning_path_id = lp.id AND ${hasValidCertificateSql('$1', 'lpc.course_id')})::int as completed_courses,
+              lpe.enrolled_at, lpe.completed_at
+       FROM learning_paths lp
+       LEFT JOIN users u ON lp.created_by = u.id
+       LEFT JOIN learning_path_enrollments lpe ON lpe.learning_path_id = lp.id AND lpe.user_id = $1`;
+
+/**
+ * Check the courses for a path's steps exist, and that a published path only contains published courses
+ * @returns {Promise<boolean>} - false when a response has been sent
+ */
+async function checkStepCourses(res, steps, isPublished) {
+  const stepError = findStepError(steps);
+  if (stepError) {
+    res.status(400).json({
+      error: 'Invalid steps',
+      message: stepError
+    });
+    return false;
+  }
+
+  const courseIds = steps.map((step) => parseInt(step.courseId));
+  const coursesResult = await query('SELECT id, title, is_published FROM courses WHERE id = ANY($1::int[])', [courseIds]);
+  const found = new Set(coursesResult.rows.map((course) => course.id));
+  const missing = courseIds.filter((id) => !found.has(id));
+
+  if (missing.length > 0) {
+    res.status(400).json({
+      error: 'Unknown courses',
+      message: `These courses do not exist: ${missing.join(', ')}`
+    });
+    return false;
+  }
+
+  const unpublished = coursesResult.rows.filter((course) => !course.is_published);
+  if (isPublished && unpublished.length > 0) {
+    res.status(400).json({
+      error: 'Unpublished courses',
+      message: `Publish these courses before publishing the learning path: ${unpublished.map((course) => course.title).join(', ')}`
+    });
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Load a path for editing. Like courses, admins can change any path; trainers only their own unpublished ones.
+ * @returns {Promise<Object|null>} - The path, or null when a response has been sent
+ */
+async function findEditableLearningPath(req, res, action) {
+  const result = await query('SELECT id, created_by, is_published FROM learning_paths WHERE id = $1', [req.params.id]);
+  const learningPath = result.rows[0];
+
+  if (!learningPath) {
+    res.status(404).json({
+      error: 'Learning path not found',
+      message: 'Learning path with this ID does not exist'
+    });
+    return null;
+  }
+
+  if (req.user.role !== 'admin') {
+    if (learningPath.created_by !== req.user.id) {
+      res.status(403).json({
+        error: 'Access denied',
+        message: `You can only ${action} learning paths you created`
+      });
+      return null;
+    }
+    if (learningPath.is_published) {
+      res.status(403).json({
+        error: 'Access denied',
+        message: `You can only ${action} unpublished learning paths`
+      });
+      return null;
+    }
+  }
+
+  return learningPath;
+}
+
+// @route   GET /api/learning-paths
+// @desc    Learning paths, with the current user's enrollment and how many steps they've completed
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const result = await query(
+      `${LEARNING_PATH_SELECT}
+       WHERE ${visibleToSql(req, '$1')}
+       ORDER BY lp.title`,
+      [req.user.id]
+    );
+
+    res.json({
+      learningPaths: result.rows
+    });
+
+  } catch (error) {
+    console.error('Get learning paths error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch learning paths',
+      message: 'An error occurred while fetching learning paths'
+    });
+  }
+});
+
+// @route   GET /api/learning-paths/:id
+// @desc    A learning path's steps in order, with the current user's status and progress on each and
+//          their path certificate
+// @access  Private
+router.get('/:id', param('id').isInt({ min: 1 }), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const pathResult = await query(
+      `${LEARNING_PATH_SELECT}
+       WHERE lp.id = $2 AND ${visibleToSql(req, '$1')}`,
+      [req.user.id, req.params.id]
+    );
+
+    if (pathResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Learning path not found',
+        message: 'Learning path with this ID does not exist'
+      });
+    }
+
+    const steps = await getLearningPathSteps(req.params.id, req.user.id);
+    const progress = new Map((await getCourseProgress([req.user.id], { enrolledOnly: true }))
+      .map((course) => [course.courseId, course.overallProgress]));
+
+    const certificateResult = await query(
+      `SELECT c.id, c.certificate_number, c.issued_at, c.expires_at, c.revoked_at, ${certificateStatusSql('c')} as status
+       FROM certificates c
+       WHERE c.user_id = $1 AND c.learning_path_id = $2 AND c.replaced_by IS NULL`,
+      [req.user.id, req.params.id]
+    );
+
+    res.json({
+      learningPath: pathResult.rows[0],
+      steps: steps.map((step) => ({
+        ...step,
+        enrolled: progress.has(step.course_id),
+        overallProgress: progress.get(step.course_id) || 0
+      })),
+      certificate: certificateResult.rows[0] || null
+    });
+
+  } catch (error) {
+    console.error('Get learning path error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch learning path',
+      message: 'An error occurred while fetching the learning path'
+    });
+  }
+});
+
+// @route   POST /api/learning-paths
+// @desc    Create a learning path from an ordered list of courses (Trainer/Admin only)
+// @access  Private/Trainer
+router.post('/', requireTrainer, validateLearningPath(true), async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const { title, description, isPublished = false, steps } = req.body;
+
+  const client = await pool.connect();
+  try {
+    if (!(await checkStepCourses(res, steps, isPublished))) return;
+
+    await client.query('BEGIN');
+
+    const pathResult = await client.query(
+      `INSERT INTO learning_paths (title, description, is_published, created_by)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id, title, description, is_published, created_by, created_at`,
+      [title, description || null, isPublished, req.user.id]
+    );
+    const learningPath = pathResult.rows[0];
+
+    await setLearningPathSteps(client, learningPath.id, steps);
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      message: 'Learning path created successfully',
+      learningPath
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Create learning path error:', error);
+    res.status(500).json({
+      error: 'Failed to create learning path',
+      message: 'An error occurred while creating the learning path'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// @route   PUT /api/learning-paths/:id
+// @desc    Update a learning path; steps, when given, replace the current ones
+//          (Admin can edit any path, Trainer can edit their unpublished paths)
+// @access  Private/Admin/Trainer
+router.put('/:id', requireTrainer, param('id').isInt({ min: 1 }), validateLearningPath(false), async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const client = await pool.connect();
+  try {
+    const existing = await findEditableLearningPath(req, res, 'edit');
+    if (!existing) return;
+
+    const { title, description, isPublished, steps } = req.body;
+    const publishing = isPublished !== undefined ? isPublished : existing.is_published;
+
+    if (steps) {
+      if (!(await checkStepCourses(res, steps, publishing))) return;
+    } else if (publishing && !existing.is_published) {
+      const currentSteps = await query(
+        'SELECT course_id as "courseId" FROM learning_path_courses WHERE learning_path_id = $1 ORDER BY position',
+        [req.params.id]
+      );
+      if (!(await checkStepCourses(res, currentSteps.rows, true))) return;
+    }
+
+    await client.query('BEGIN');
+
+    const pathResult = await client.query(
+      `UPDATE learning_paths
+       SET title = COALESCE($1, title),
+           description = CASE WHEN $2::boolean THEN $3 ELSE description END,
+           is_published = $4,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $5
+       RETURNING id, title, description, is_published, created_by, created_at, updated_at`,
+      [title, description !== undefined, description || null, publishing, req.params.id]
+    );
+
+    if (steps) {
+      await setLearningPathSteps(client, req.params.id, steps);
+    }
+
+    await client.query('COMMIT');
+
+    // New or reordered steps can unlock courses for learners already on the path, or complete it
+    if (steps) {
+      const enrollments = await query('SELECT user_id FROM learning_path_enrollments WHERE learning_path_id = $1', [req.params.id]);
+      for (const { user_id: userId } of enrollments.rows) {
+        await advanceLearningPath(userId, parseInt(req.params.id));
+      }
+    }
+
+    res.json({
+      message: 'Learning path updated successfully',
+      learningPath: pathResult.rows[0]
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('Update learning path error:', error);
+    res.status(500).json({
+      error: 'Failed to update learning path',
+      message: 'An error occurred while updating the learning path'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// @route   DELETE /api/learning-paths/:id
+// @desc    Delete a learning path (Admin can delete any path, Trainer can delete their unpublished paths).
+//          Learners stay enrolled in its courses.
+// @access  Private/Admin/Trainer
+router.delete('/:id', requireTrainer, param('id').isInt({ min: 1 }), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+    if (!(await findEditableLearningPath(req, res, 'delete'))) return;
+
+    await query('DELETE FROM learning_paths WHERE id = $1', [req.params.id]);
+
+    res.json({
+      message: 'Learning path deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete learning path error:', error);
+    res.status(500).json({
+      error: 'Failed to delete learning path',
+      message: 'An error occurred while deleting the learning path'
+    });
+  }
+});
+
+// @route   POST /api/learning-paths/:id/enroll
+// @desc    Enroll in a learning path. The learner is enrolled in each course as its step unlocks, and
+//          receives the path certificate once they hold a certificate for every course.
+// @access  Private
+router.post('/:id/enroll', param('id').isInt({ min: 1 }), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const pathResult = await query(
+      'SELECT id, title FROM learning_paths WHERE id = $1 AND is_published = true',
+      [req.params.id]
+    );
+
+    if (pathResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Learning path not found',
+        message: 'Learning path not found or not published'
+      });
+    }
+
+    const enrollmentResult = await query(
+      `INSERT INTO learning_path_enrollments (learning_path_id, user_id)
+       VALUES ($1, $2)
+       ON CONFLICT (learning_path_id, user_id) DO NOTHING
+       RETURNING id`,
+      [req.params.id, req.user.id]
+    );
+
+    if (enrollmentResult.rows.length === 0) {
+      return res.status(409).json({
+        error: 'Already enrolled',
+        message: 'You are already enrolled in this learning path'
+      });
+    }
+
+    // Courses already completed elsewhere count toward the path straight away
+    const { pathCompleted, certificate } = await advanceLearningPath(req.user.id, pathResult.rows[0].id);
+
+    res.status(201).json({
+      message: 'Successfully enrolled in learning path',
+      learningPath: pathResult.rows[0],
+      pathCompleted,
+      certificate
+    });
+
+  } catch (error) {
+    console.error('Enroll in learning path error:', error);
+    res.status(500).json({
+      error: 'Failed to enroll',
+      message: 'An error occurred while enrolling in the learning path'
+    });
+  }
+});
+
+module.exports = router;
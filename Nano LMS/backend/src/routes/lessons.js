@@ -3,6 +3,7 @@ const { body, validationResult } = require('express-validator');
 const { query } = require('../database/connection');
 const { requireTrainer, authenticateToken } = require('../middleware/auth');
 const { getVideoDuration, isYouTubeUrl, isVideoFile, isAnimakerUrl, isShowIoUrl } = require('../utils/videoDuration');
+const { bypassesPrerequisites, getPrerequisiteState, getLessonLock } = require('../utils/prerequisites');
 
 // YouTube API key for duration extraction
 const YOUTUBE_API_KEY = process.env.YOUTUBE_API_KEY;
@@ -21,7 +22,11 @@ const updateCourseDuration = async (courseId) => {
     const totalLessonDuration = parseInt(lessonsResult.rows[0].total_duration) || 0;
     
     // Add quiz duration (10 minutes per quiz)
-    const quizDuration = 10;
+    const quizzesResult = await query(
+      'SELECT COUNT(*) FROM quizzes WHERE course_id = $1',
+      [courseId]
+    );
+    const quizDuration = parseInt(quizzesResult.rows[0].count) * 10;
     
     const totalDuration = totalLessonDuration + quizDuration;
     
@@ -35,6 +40,22 @@ const updateCourseDuration = async (courseId) => {
   }
 };
 
+// Keep non-empty objectives and complete glossary entries; empty lists are stored as NULL
+const normalizeObjectives = (objectives) => {
+  const cleaned = (objectives || [])
+    .filter((objective) => typeof objective === 'string' && objective.trim())
+    .map((objective) => objective.trim());
+  return cleaned.length > 0 ? JSON.stringify(cleaned) : null;
+};
+
+const normalizeGlossary = (glossary) => {
+  const cleaned = (glossary || [])
+    .filter((entry) => entry && typeof entry.term === 'string' && typeof entry.definition === 'string')
+    .map((entry) => ({ term: entry.term.trim(), definition: entry.definition.trim() }))
+    .filter((entry) => entry.term && entry.definition);
+  return cleaned.length > 0 ? JSON.stringify(cleaned) : null;
+};
+
 // Validation middleware for creating lessons
 const validateCreateLesson = [
   body('courseId').isInt({ min: 1 }).withMessage('Course ID must be a positive integer'),
@@ -43,9 +64,14 @@ const validateCreateLesson = [
   body('content').optional().trim(),
   body('videoUrl').optional().trim(),
   body('documentUrl').optional().trim(),
+  body('captionUrl').optional().trim(),
+  body('summary').optional({ nullable: true }).isString().withMessage('Summary must be text'),
+  body('learningObjectives').optional({ nullable: true }).isArray().withMessage('Learning objectives must be a list'),
+  body('glossary').optional({ nullable: true }).isArray().withMessage('Glossary must be a list of terms'),
   body('durationMinutes').optional().isInt({ min: 0 }).withMessage('Duration must be a positive integer'),
   body('orderIndex').isInt({ min: 1 }).withMessage('Order index must be a positive integer'),
-  body('isPublished').optional().isBoolean().withMessage('isPublished must be a boolean')
+  body('isPublished').optional().isBoolean().withMessage('isPublished must be a boolean'),
+  body('requiresPreviousLesson').optional().isBoolean().withMessage('requiresPreviousLesson must be a boolean')
 ];
 
 // Validation middleware for updating lessons
@@ -55,13 +81,19 @@ const validateUpdateLesson = [
   body('content').optional().trim(),
   body('videoUrl').optional().trim(),
   body('documentUrl').optional().trim(),
+  body('captionUrl').optional().trim(),
+  body('summary').optional({ nullable: true }).isString().withMessage('Summary must be text'),
+  body('learningObjectives').optional({ nullable: true }).isArray().withMessage('Learning objectives must be a list'),
+  body('glossary').optional({ nullable: true }).isArray().withMessage('Glossary must be a list of terms'),
   body('durationMinutes').optional().isInt({ min: 0 }).withMessage('Duration must be a positive integer'),
   body('orderIndex').isInt({ min: 1 }).withMessage('Order index must be a positive integer'),
-  body('isPublished').optional().isBoolean().withMessage('isPublished must be a boolean')
+  body('isPublished').optional().isBoolean().withMessage('isPublished must be a boolean'),
+  body('requiresPreviousLesson').optional().isBoolean().withMessage('requiresPreviousLesson must be a boolean')
 ];
 
 // @route   GET /api/lessons/:id
-// @desc    Get lesson by ID
+// @desc    Get lesson by ID. Learners get a 403 with the lock reason while the course's prerequisites
+//          or the lesson before it are not completed.
 // @access  Private
 router.get('/:id', authenticateToken, async (req, res) => {
   try {
@@ -69,7 +101,8 @@ router.get('/:id', authenticateToken, async (req, res) => {
 
     const lessonResult = await query(
       `SELECT l.id, l.title, l.description, l.content, l.video_url, l.document_url,
-              l.duration_minutes, l.order_index, l.is_published, l.created_at,
+              l.caption_url, l.summary, l.learning_objectives, l.glossary, l.duration_minutes, l.order_index, l.is_published,
+              l.requires_previous_lesson, l.created_at,
               c.title as course_title, c.id as course_id, c.instructor_id
        FROM lessons l
        JOIN courses c ON l.course_id = c.id
@@ -84,8 +117,22 @@ router.get('/:id', authenticateToken, async (req, res) => {
       });
     }
 
+    const lesson = lessonResult.rows[0];
+
+    if (!bypassesPrerequisites(req.user, lesson.instructor_id)) {
+      const lock = getLessonLock(await getPrerequisiteState(req.user.id, lesson.course_id), lesson.id);
+      if (lock) {
+        return res.status(403).json({
+          error: 'Lesson locked',
+          message: lock.message,
+          lock,
+          lesson: { id: lesson.id, title: lesson.title, course_id: lesson.course_id, course_title: lesson.course_title }
+        });
+      }
+    }
+
     res.json({
-      lesson: lessonResult.rows[0]
+      lesson
     });
 
   } catch (error) {
@@ -111,7 +158,8 @@ router.post('/', authenticateToken, validateCreateLesson, async (req, res) => {
       });
     }
 
-    const { courseId, title, description, content, videoUrl, documentUrl, durationMinutes, orderIndex, isPublished } = req.body;
+    const { courseId, title, description, content, videoUrl, documentUrl, captionUrl, summary, learningObjectives, glossary,
+            durationMinutes, orderIndex, isPublished, requiresPreviousLesson } = req.body;
 
     // Verify course exists and user is instructor
     const courseResult = await query(
@@ -241,10 +289,13 @@ router.post('/', authenticateToken, validateCreateLesson, async (req, res) => {
     }
 
     const newLessonResult = await query(
-      `INSERT INTO lessons (course_id, title, description, content, video_url, document_url, duration_minutes, order_index, is_published)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-       RETURNING id, title, description, content, video_url, document_url, duration_minutes, order_index, is_published, created_at`,
-      [courseId, title, description, content, videoUrl, documentUrl, finalDurationMinutes, orderIndex, isPublished !== undefined ? isPublished : true]
+      `INSERT INTO lessons (course_id, title, description, content, video_url, document_url, caption_url, duration_minutes, order_index, is_published,
+                            summary, learning_objectives, glossary, requires_previous_lesson)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+       RETURNING id, title, description, content, video_url, document_url, caption_url, duration_minutes, order_index, is_published,
+                 summary, learning_objectives, glossary, requires_previous_lesson, created_at`,
+      [courseId, title, description, content, videoUrl, documentUrl, captionUrl || null, finalDurationMinutes, orderIndex, isPublished !== undefined ? isPublished : true,
+        (summary && summary.trim()) || null, normalizeObjectives(learningObjectives), normalizeGlossary(glossary), requiresPreviousLesson === true]
     );
 
     const newLesson = newLessonResult.rows[0];
@@ -281,7 +332,8 @@ router.put('/:id', authenticateToken, validateUpdateLesson, async (req, res) =>
     }
 
     const { id } = req.params;
-    const { title, description, content, videoUrl, durationMinutes, orderIndex, isPublished } = req.body;
+    const { title, description, content, videoUrl, captionUrl, summary, learningObjectives, glossary,
+            durationMinutes, orderIndex, isPublished, requiresPreviousLesson } = req.body;
 
     // Check if user is the instructor or admin
     const lessonResult = await query(
@@ -405,10 +457,19 @@ router.put('/:id', authenticateToken, validateUpdateLesson, async (req, res) =>
     const updateResult = await query(
       `UPDATE lessons 
        SET title = $1, description = $2, content = $3, video_url = $4, 
-           duration_minutes = $5, order_index = $6, is_published = $7, updated_at = CURRENT_TIMESTAMP
+           duration_minutes = $5, order_index = $6, is_published = $7, updated_at = CURRENT_TIMESTAMP,
+           caption_url = CASE WHEN $9::boolean THEN $10 ELSE caption_url END,
+           summary = CASE WHEN $11::boolean THEN $12 ELSE summary END,
+           learning_objectives = CASE WHEN $13::boolean THEN $14::jsonb ELSE learning_objectives END,
+           glossary = CASE WHEN $15::boolean THEN $16::jsonb ELSE glossary END,
+           requires_previous_lesson = COALESCE($17, requires_previous_lesson)
        WHERE id = $8
-       RETURNING id, title, description, content, video_url, duration_minutes, order_index, is_published, updated_at`,
-      [title, description, content, videoUrl, finalDurationMinutes, orderIndex, isPublished, id]
+       RETURNING id, title, description, content, video_url, caption_url, summary, learning_objectives, glossary,
+                 duration_minutes, order_index, is_published, requires_previous_lesson, updated_at`,
+      [title, description, content, videoUrl, finalDurationMinutes, orderIndex, isPublished, id, captionUrl !== undefined, captionUrl || null,
+        summary !== undefined, (summary && summary.trim()) || null,
+        learningObjectives !== undefined, normalizeObjectives(learningObjectives),
+        glossary !== undefined, normalizeGlossary(glossary), requiresPreviousLesson]
     );
 
     // Update course duration after lesson update
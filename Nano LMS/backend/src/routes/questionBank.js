@@ -0,0 +1,293 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query } = require('../database/connection');
+const { requireTrainer } = require('../middleware/auth');
+const { QUESTION_TYPES } = require('../utils/graders');
+const { normalizeQuestion } = require('../utils/quizGrading');
+
+const router = express.Router();
+
+// Validation middleware for bank questions
+const validateBankQuestion = [
+  body('question_text').trim().isLength({ min: 1 }).withMessage('Question text is required'),
+  body('question_type').optional().isIn(QUESTION_TYPES).withMessage('Invalid question type'),
+  body('options').optional().isArray().withMessage('Options must be an array'),
+  body('points').optional().isInt({ min: 1, max: 100 }).withMessage('Points must be between 1 and 100'),
+  body('tags').optional().isArray().withMessage('Tags must be an array'),
+  body('tags.*').trim().isLength({ min: 1, max: 100 }).withMessage('Tags must be between 1 and 100 characters')
+];
+
+// Tags are matched exactly, so store them trimmed and lowercase without duplicates
+const normalizeTags = (tags = []) => [...new Set(tags.map((tag) => tag.trim().toLowerCase()).filter(Boolean))];
+
+// Only the course instructor or an admin can manage a course's question bank
+const checkCourseAccess = async (courseId, user) => {
+  const courseResult = await query('SELECT id, instructor_id FROM courses WHERE id = $1', [courseId]);
+
+  if (courseResult.rows.length === 0) {
+    return { status: 404, error: 'Course not found', message: 'Course with this ID does not exist' };
+  }
+
+  if (user.role !== 'admin' && courseResult.rows[0].instructor_id !== user.id) {
+    return { status: 403, error: 'Access denied', message: 'You can only manage the question bank of courses you created' };
+  }
+
+  return null;
+};
+
+// @route   GET /api/question-bank/courses/:courseId
+// @desc    List a course's bank questions, optionally filtered by tag
+// @access  Private/Trainer
+router.get('/courses/:courseId', requireTrainer, async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const { tag } = req.query;
+
+    const accessError = await checkCourseAccess(courseId, req.user);
+    if (accessError) {
+      const { status, ...body } = accessError;
+      return res.status(status).json(body);
+    }
+
+    const questionsResult = await query(
+      `SELECT id, course_id, question_text, question_type, options, correct_answer, explanation, option_feedback,
+              points, tags, created_at, updated_at
+       FROM question_bank
+       WHERE course_id = $1 AND ($2::text IS NULL OR $2 = ANY(tags))
+       ORDER BY created_at DESC`,
+      [courseId, tag ? tag.trim().toLowerCase() : null]
+    );
+
+    res.json({
+      questions: questionsResult.rows
+    });
+
+  } catch (error) {
+    console.error('Get question bank error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch question bank',
+      message: 'An error occurred while fetching the question bank'
+    });
+  }
+});
+
+// @route   GET /api/question-bank/courses/:courseId/tags
+// @desc    List the tags used in a course's question bank with question counts
+// @access  Private/Trainer
+router.get('/courses/:courseId/tags', requireTrainer, async (req, res) => {
+  try {
+    const { courseId } = req.params;
+
+    const accessError = await checkCourseAccess(courseId, req.user);
+    if (accessError) {
+      const { status, ...body } = accessError;
+      return res.status(status).json(body);
+    }
+
+    const tagsResult = await query(
+      `SELECT tag, COUNT(*)::int as question_count
+       FROM question_bank, unnest(tags) as tag
+       WHERE course_id = $1
+       GROUP BY tag
+       ORDER BY tag`,
+      [courseId]
+    );
+
+    const totalResult = await query(
+      'SELECT COUNT(*)::int as total FROM question_bank WHERE course_id = $1',
+      [courseId]
+    );
+
+    res.json({
+      tags: tagsResult.rows,
+      total_questions: totalResult.rows[0].total
+    });
+
+  } catch (error) {
+    console.error('Get question bank tags error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch tags',
+      message: 'An error occurred while fetching the question bank tags'
+    });
+  }
+});
+
+// @route   POST /api/question-bank
+// @desc    Add a question to a course's question bank
+// @access  Private/Trainer
+router.post('/', requireTrainer, [
+  body('course_id').isInt({ min: 1 }).withMessage('Course ID is required'),
+  ...validateBankQuestion
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Please check your input',
+        details: errors.array()
+      });
+    }
+
+    const { course_id, tags } = req.body;
+
+    const question = normalizeQuestion(req.body);
+    if (question.error) {
+      return res.status(400).json({
+        error: 'Invalid question',
+        message: `This question ${question.error}`
+      });
+    }
+
+    const accessError = await checkCourseAccess(course_id, req.user);
+    if (accessError) {
+      const { status, ...body } = accessError;
+      return res.status(status).json(body);
+    }
+
+    const questionResult = await query(
+      `INSERT INTO question_bank (course_id, question_text, question_type, options, correct_answer, explanation, option_feedback,
+                                 points, tags, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING id, course_id, question_text, question_type, options, correct_answer, explanation, option_feedback,
+                 points, tags, created_at`,
+      [
+        course_id,
+        question.question_text,
+        question.question_type,
+        JSON.stringify(question.options),
+        JSON.stringify(question.correct_answer),
+        question.explanation,
+        question.option_feedback ? JSON.stringify(question.option_feedback) : null,
+        question.points,
+        normalizeTags(tags),
+        req.user.id
+      ]
+    );
+
+    res.status(201).json({
+      message: 'Question added to bank',
+      question: questionResult.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Create bank question error:', error);
+    res.status(500).json({
+      error: 'Failed to add question',
+      message: 'An error occurred while adding the question to the bank'
+    });
+  }
+});
+
+// @route   PUT /api/question-bank/:id
+// @desc    Update a bank question (attempts already started keep their own copy)
+// @access  Private/Trainer
+router.put('/:id', requireTrainer, validateBankQuestion, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Please check your input',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { tags } = req.body;
+
+    const question = normalizeQuestion(req.body);
+    if (question.error) {
+      return res.status(400).json({
+        error: 'Invalid question',
+        message: `This question ${question.error}`
+      });
+    }
+
+    const existingResult = await query('SELECT id, course_id FROM question_bank WHERE id = $1', [id]);
+
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Question not found',
+        message: 'Question with this ID does not exist'
+      });
+    }
+
+    const accessError = await checkCourseAccess(existingResult.rows[0].course_id, req.user);
+    if (accessError) {
+      const { status, ...body } = accessError;
+      return res.status(status).json(body);
+    }
+
+    const questionResult = await query(
+      `UPDATE question_bank
+       SET question_text = $1, question_type = $2, options = $3, correct_answer = $4,
+           explanation = $5, option_feedback = $6, points = $7, tags = $8, updated_at = NOW()
+       WHERE id = $9
+       RETURNING id, course_id, question_text, question_type, options, correct_answer, explanation, option_feedback,
+                 points, tags, updated_at`,
+      [
+        question.question_text,
+        question.question_type,
+        JSON.stringify(question.options),
+        JSON.stringify(question.correct_answer),
+        question.explanation,
+        question.option_feedback ? JSON.stringify(question.option_feedback) : null,
+        question.points,
+        normalizeTags(tags),
+        id
+      ]
+    );
+
+    res.json({
+      message: 'Question updated successfully',
+      question: questionResult.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Update bank question error:', error);
+    res.status(500).json({
+      error: 'Failed to update question',
+      message: 'An error occurred while updating the question'
+    });
+  }
+});
+
+// @route   DELETE /api/question-bank/:id
+// @desc    Remove a question from the bank
+// @access  Private/Trainer
+router.delete('/:id', requireTrainer, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingResult = await query('SELECT id, course_id FROM question_bank WHERE id = $1', [id]);
+
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Question not found',
+        message: 'Question with this ID does not exist'
+      });
+    }
+
+    const accessError = await checkCourseAccess(existingResult.rows[0].course_id, req.user);
+    if (accessError) {
+      const { status, ...body } = accessError;
+      return res.status(status).json(body);
+    }
+
+    await query('DELETE FROM question_bank WHERE id = $1', [id]);
+
+    res.json({
+      message: 'Question deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete bank question error:', error);
+    res.status(500).json({
+      error: 'Failed to delete question',
+      message: 'An error occurred while deleting the question'
+    });
+  }
+});
+
+module.exports = router;
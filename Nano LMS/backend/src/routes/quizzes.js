@@ -1,10 +1,19 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { query } = require('../database/connection');
+const { query, pool } = require('../database/connection');
 const { requireTrainer } = require('../middleware/auth');
+const { QUESTION_TYPES } = require('../utils/graders');
+const { drawAttemptQuestions, toLearnerQuestion } = require('../utils/questionDraw');
+const { gradeAttempt, normalizeQuestions, reviewAttempt } = require('../utils/quizGrading');
+const { issueCertificateIfCourseComplete } = require('../utils/courseCompletion');
+const { getRecertificationStart } = require('../utils/certificateStatus');
+const { bypassesPrerequisites, getPrerequisiteState, getQuizLock } = require('../utils/prerequisites');
 
 const router = express.Router();
 
+const QUIZ_KINDS = ['practice', 'graded', 'final'];
+const ANSWER_VISIBILITY = ['never', 'after_pass', 'always'];
+
 // Validation middleware for creating quizzes
 const validateQuiz = [
   body('title').trim().isLength({ min: 3, max: 255 }).withMessage('Title must be between 3 and 255 characters'),
@@ -12,7 +21,24 @@ const validateQuiz = [
   body('time_limit_minutes').optional().isInt({ min: 1, max: 180 }).withMessage('Time limit must be between 1 and 180 minutes'),
   body('passing_percentage').optional().isInt({ min: 0, max: 100 }).withMessage('Passing percentage must be between 0 and 100'),
   body('course_id').isInt({ min: 1 }).withMessage('Course ID is required'),
-  body('questions').isArray({ min: 1 }).withMessage('At least one question is required')
+  body('lesson_id').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Lesson ID must be a positive integer'),
+  body('kind').optional().isIn(QUIZ_KINDS).withMessage('Kind must be practice, graded, or final'),
+  body('counts_toward_completion').optional().isBoolean().withMessage('counts_toward_completion must be a boolean'),
+  body('requires_all_lessons').optional().isBoolean().withMessage('requires_all_lessons must be a boolean'),
+  body('shuffle_options').optional().isBoolean().withMessage('shuffle_options must be a boolean'),
+  body('show_correct_answers').optional().isIn(ANSWER_VISIBILITY).withMessage('show_correct_answers must be never, after_pass, or always'),
+  body('max_attempts').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1, max: 100 }).withMessage('Max attempts must be between 1 and 100'),
+  body('cooldown_minutes').optional().isInt({ min: 0, max: 10080 }).withMessage('Cooldown must be between 0 and 10080 minutes'),
+  body('questions').isArray().withMessage('Questions must be an array'),
+  body('questions.*.question_type').optional().isIn(QUESTION_TYPES).withMessage(`Question type must be one of ${QUESTION_TYPES.join(', ')}`),
+  body('questions.*.options').optional().isArray().withMessage('Question options must be an array'),
+  body('questions.*.points').optional().isInt({ min: 1, max: 100 }).withMessage('Question points must be between 1 and 100'),
+  body('questions.*.explanation').optional({ nullable: true }).isString().withMessage('Question explanations must be text'),
+  body('questions.*.option_feedback').optional({ nullable: true }).isArray().withMessage('Option feedback must be an array'),
+  body('questions.*.source_lesson_id').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Source lesson must be a lesson ID'),
+  body('question_pools').optional().isArray().withMessage('Question pools must be an array'),
+  body('question_pools.*.tag').optional({ nullable: true }).trim().isLength({ max: 100 }).withMessage('Pool tag must be less than 100 characters'),
+  body('question_pools.*.draw_count').isInt({ min: 1, max: 100 }).withMessage('Each pool must draw between 1 and 100 questions')
 ];
 
 // Validation middleware for updating quizzes
@@ -21,97 +47,431 @@ const validateQuizUpdate = [
   body('description').optional().trim().isLength({ max: 500 }).withMessage('Description must be less than 500 characters'),
   body('time_limit_minutes').optional().isInt({ min: 1, max: 180 }).withMessage('Time limit must be between 1 and 180 minutes'),
   body('passing_percentage').optional().isInt({ min: 0, max: 100 }).withMessage('Passing percentage must be between 0 and 100'),
-  body('questions').isArray({ min: 1 }).withMessage('At least one question is required')
+  body('lesson_id').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Lesson ID must be a positive integer'),
+  body('kind').optional().isIn(QUIZ_KINDS).withMessage('Kind must be practice, graded, or final'),
+  body('counts_toward_completion').optional().isBoolean().withMessage('counts_toward_completion must be a boolean'),
+  body('requires_all_lessons').optional().isBoolean().withMessage('requires_all_lessons must be a boolean'),
+  body('shuffle_options').optional().isBoolean().withMessage('shuffle_options must be a boolean'),
+  body('show_correct_answers').optional().isIn(ANSWER_VISIBILITY).withMessage('show_correct_answers must be never, after_pass, or always'),
+  body('max_attempts').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1, max: 100 }).withMessage('Max attempts must be between 1 and 100'),
+  body('cooldown_minutes').optional().isInt({ min: 0, max: 10080 }).withMessage('Cooldown must be between 0 and 10080 minutes'),
+  body('questions').isArray().withMessage('Questions must be an array'),
+  body('questions.*.question_type').optional().isIn(QUESTION_TYPES).withMessage(`Question type must be one of ${QUESTION_TYPES.join(', ')}`),
+  body('questions.*.options').optional().isArray().withMessage('Question options must be an array'),
+  body('questions.*.points').optional().isInt({ min: 1, max: 100 }).withMessage('Question points must be between 1 and 100'),
+  body('questions.*.explanation').optional({ nullable: true }).isString().withMessage('Question explanations must be text'),
+  body('questions.*.option_feedback').optional({ nullable: true }).isArray().withMessage('Option feedback must be an array'),
+  body('questions.*.source_lesson_id').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Source lesson must be a lesson ID'),
+  body('question_pools').optional().isArray().withMessage('Question pools must be an array'),
+  body('question_pools.*.tag').optional({ nullable: true }).trim().isLength({ max: 100 }).withMessage('Pool tag must be less than 100 characters'),
+  body('question_pools.*.draw_count').isInt({ min: 1, max: 100 }).withMessage('Each pool must draw between 1 and 100 questions')
 ];
 
+// Columns returned wherever a quiz is listed
+const QUIZ_SUMMARY_COLUMNS = `q.id, q.course_id, q.lesson_id, q.title, q.description, q.kind,
+       q.counts_toward_completion, q.requires_all_lessons, q.time_limit_minutes, q.passing_percentage, q.created_at,
+       l.title as lesson_title, l.order_index as lesson_order_index,
+       q.shuffle_options, q.max_attempts, q.cooldown_minutes, q.show_correct_answers,
+       (SELECT COUNT(*) FROM quiz_questions WHERE quiz_id = q.id)
+         + (SELECT COALESCE(SUM(draw_count), 0) FROM quiz_question_pools WHERE quiz_id = q.id) as total_questions`;
+
+// Work out where a quiz sits in its course, whether it gates completion and whether it waits for every lesson.
+// Returns either { error } or the normalized { lessonId, kind, countsTowardCompletion, requiresAllLessons }.
+const resolveQuizPlacement = async (courseId, { lesson_id, kind, counts_toward_completion, requires_all_lessons }) => {
+  const lessonId = lesson_id ? parseInt(lesson_id) : null;
+  const quizKind = kind || (lessonId ? 'graded' : 'final');
+
+  if (lessonId) {
+    const lessonResult = await query(
+      'SELECT id FROM lessons WHERE id = $1 AND course_id = $2',
+      [lessonId, courseId]
+    );
+
+    if (lessonResult.rows.length === 0) {
+      return { error: { status: 400, error: 'Invalid lesson', message: 'The lesson does not belong to this course' } };
+    }
+  }
+
+  if (quizKind === 'final' && lessonId) {
+    return { error: { status: 400, error: 'Invalid quiz placement', message: 'A final exam must be attached to the course, not a lesson' } };
+  }
+
+  if (quizKind === 'practice' && counts_toward_completion === true) {
+    return { error: { status: 400, error: 'Invalid quiz settings', message: 'Practice quizzes cannot count toward course completion' } };
+  }
+
+  if (quizKind !== 'final' && requires_all_lessons === true) {
+    return { error: { status: 400, error: 'Invalid quiz settings', message: 'Only a final exam can require all lessons to be completed' } };
+  }
+
+  return {
+    lessonId,
+    kind: quizKind,
+    countsTowardCompletion: quizKind === 'practice' ? false : counts_toward_completion !== false,
+    requiresAllLessons: requires_all_lessons === true
+  };
+};
+
+// Check that each "draw N from tag X" pool can be filled from the course question bank.
+// Returns either { error } or the normalized list of pools.
+const resolveQuestionPools = async (courseId, pools = []) => {
+  const normalized = [];
+
+  for (const pool of pools) {
+    const tag = pool.tag ? pool.tag.trim().toLowerCase() : null;
+    const drawCount = parseInt(pool.draw_count);
+
+    const availableResult = await query(
+      `SELECT COUNT(*) FROM question_bank
+       WHERE course_id = $1 AND ($2::text IS NULL OR $2 = ANY(tags))`,
+      [courseId, tag]
+    );
+    const available = parseInt(availableResult.rows[0].count);
+
+    if (available < drawCount) {
+      return {
+        error: {
+          status: 400,
+          error: 'Not enough questions',
+          message: `The question bank has ${available} question(s) ${tag ? `tagged "${tag}"` : 'in this course'}, but the quiz draws ${drawCount}`
+        }
+      };
+    }
+
+    normalized.push({ tag, drawCount });
+  }
+
+  return { pools: normalized };
+};
+
+// Insert questions already checked by normalizeQuestions, keeping their order.
+// A source lesson is only kept when it belongs to the quiz's course.
+const saveQuizQuestions = async (quizId, questions) => {
+  for (let i = 0; i < questions.length; i++) {
+    const question = questions[i];
+    await query(
+      `INSERT INTO quiz_questions (quiz_id, question_text, question_type, options, correct_answer, explanation, option_feedback,
+                                   points, order_index, source_lesson_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9,
+               (SELECT l.id FROM lessons l JOIN quizzes q ON q.course_id = l.course_id WHERE l.id = $10 AND q.id = $1))`,
+      [
+        quizId,
+        question.question_text,
+        question.question_type,
+        JSON.stringify(question.options),
+        JSON.stringify(question.correct_answer),
+        question.explanation,
+        question.option_feedback ? JSON.stringify(question.option_feedback) : null,
+        question.points,
+        i,
+        question.source_lesson_id
+      ]
+    );
+  }
+};
+
+const saveQuestionPools = async (quizId, pools) => {
+  await query('DELETE FROM quiz_question_pools WHERE quiz_id = $1', [quizId]);
+
+  for (let i = 0; i < pools.length; i++) {
+    await query(
+      'INSERT INTO quiz_question_pools (quiz_id, tag, draw_count, order_index) VALUES ($1, $2, $3, $4)',
+      [quizId, pools[i].tag, pools[i].drawCount, i]
+    );
+  }
+};
+
+// Validation middleware for submitting an attempt
+const validateSubmit = [
+  body('attempt_id').isInt({ min: 1 }).withMessage('Attempt ID must be a positive integer'),
+  body('answers').optional().isObject().withMessage('Answers must be an object')
+];
+
+// Quiz columns needed to run and grade attempts
+const ATTEMPT_QUIZ_COLUMNS = `id, course_id, lesson_id, passing_percentage, counts_toward_completion, requires_all_lessons,
+       shuffle_options, time_limit_minutes, max_attempts, cooldown_minutes, show_correct_answers`;
+
+// Whether a learner may see correct answers and explanations for an attempt with this outcome
+const canRevealAnswers = (quiz, passed) => {
+  if (quiz.show_correct_answers === 'always') {
+    return true;
+  }
+  return quiz.show_correct_answers === 'after_pass' && passed === true;
+};
+
+// Allowance for network latency on submissions made right at the deadline
+const SUBMIT_GRACE_SECONDS = 30;
+
+// How many attempts a learner has left and, during a cooldown, when the next one opens.
+// A learner recertifying after their certificate expired starts again with a full set of attempts.
+// Pass db to read inside a transaction.
+const getAttemptStatus = async (userId, quiz, db = { query }) => {
+  const recertificationStart = await getRecertificationStart(userId, quiz.course_id, db);
+
+  const usageResult = await db.query(
+    `SELECT COUNT(*) as attempts_used, MAX(completed_at) as last_completed_at
+     FROM quiz_attempts
+     WHERE user_id = $1 AND quiz_id = $2
+     AND ($3::timestamp IS NULL OR started_at >= $3)`,
+    [userId, quiz.id, recertificationStart]
+  );
+
+  const attemptsUsed = parseInt(usageResult.rows[0].attempts_used);
+  const lastCompletedAt = usageResult.rows[0].last_completed_at;
+
+  let availableAt = null;
+  if (quiz.cooldown_minutes > 0 && lastCompletedAt) {
+    const cooldownEnds = new Date(lastCompletedAt.getTime() + quiz.cooldown_minutes * 60 * 1000);
+    if (cooldownEnds > new Date()) {
+      availableAt = cooldownEnds;
+    }
+  }
+
+  return {
+    attempts_used: attemptsUsed,
+    max_attempts: quiz.max_attempts,
+    attempts_remaining: quiz.max_attempts ? Math.max(quiz.max_attempts - attemptsUsed, 0) : null,
+    available_at: availableAt
+  };
+};
+
+// Grade an open attempt and close it as 'submitted' or 'expired'. Time taken is measured by
+// the server and capped at the deadline. Returns null if the attempt was already closed.
+// Attempts with essays go to 'pending_review' instead, with the pass decision left to the trainer.
+const finalizeAttempt = async (attempt, quiz, answers, closedStatus) => {
+  const { score, correctAnswers, totalQuestions, pendingReview } = gradeAttempt(attempt.questions, answers);
+  const status = pendingReview > 0 ? 'pending_review' : closedStatus;
+  const passed = pendingReview > 0 ? null : score >= quiz.passing_percentage;
+
+  const updateResult = await query(
+    `UPDATE quiz_attempts
+     SET score = $1, correct_answers = $2, is_passed = $3, answers = $4, status = $5,
+         completed_at = LEAST(NOW(), COALESCE(expires_at, NOW())),
+         time_taken_seconds = EXTRACT(EPOCH FROM (LEAST(NOW(), COALESCE(expires_at, NOW())) - started_at))::int
+     WHERE id = $6 AND status = 'in_progress'
+     RETURNING time_taken_seconds`,
+    [score, correctAnswers, passed, JSON.stringify(answers), status, attempt.id]
+  );
+
+  if (updateResult.rows.length === 0) {
+    return null;
+  }
+
+  const revealAnswers = canRevealAnswers(quiz, passed);
+
+  // Only quizzes designated to count toward completion can unlock the certificate
+  const { courseCompleted, certificate } = passed && quiz.counts_toward_completion
+    ? await issueCertificateIfCourseComplete(attempt.user_id, quiz.course_id, { quizId: quiz.id, score })
+    : { courseCompleted: false, certificate: null };
+
+  return {
+    attempt_id: attempt.id,
+    status,
+    pending_review_questions: pendingReview,
+    score,
+    total_questions: totalQuestions,
+    correct_answers: correctAnswers,
+    passed,
+    time_taken_seconds: updateResult.rows[0].time_taken_seconds,
+    counts_toward_completion: quiz.counts_toward_completion,
+    course_completed: courseCompleted,
+    certificate_id: certificate ? certificate.id : null,
+    answers_revealed: revealAnswers,
+    questions: reviewAttempt(attempt.questions, answers, {}, revealAnswers)
+  };
+};
+
+// One learner's attempt openings on one quiz are serialized on this lock. It takes a single hashed key
+// so it can't share the two-key space of other advisory locks keyed by (user, id).
+const ATTEMPT_LOCK_SQL = `SELECT pg_advisory_xact_lock(hashtextextended(format('quiz_attempt:%s:%s', $1::int, $2::int), 0))`;
+
+// Resume the learner's unfinished attempt, or open a new one when the attempt cap and cooldown allow.
+// Runs on the client holding the learner's lock on the quiz. Returns either { error } or { attempt }.
+// Every query runs on that client, so the checks see the locked state and hold no second connection.
+const openAttempt = async (client, userId, quiz) => {
+  // Resuming means reloading the page can't re-roll the questions or reset the clock
+  const openAttemptResult = await client.query(
+    `SELECT id, started_at, expires_at, questions, answers, NOW()::timestamp as server_time
+     FROM quiz_attempts
+     WHERE user_id = $1 AND quiz_id = $2 AND status = 'in_progress' AND questions IS NOT NULL
+     ORDER BY started_at DESC
+     LIMIT 1`,
+    [userId, quiz.id]
+  );
+
+  if (openAttemptResult.rows.length > 0) {
+    return { attempt: openAttemptResult.rows[0] };
+  }
+
+  const status = await getAttemptStatus(userId, quiz, client);
+
+  if (status.attempts_remaining === 0) {
+    return {
+      error: {
+        status: 403,
+        error: 'Attempt limit reached',
+        message: `You have used all ${quiz.max_attempts} attempt(s) for this quiz`
+      }
+    };
+  }
+
+  if (status.available_at) {
+    return {
+      error: {
+        status: 429,
+        error: 'Cooldown active',
+        message: `You can retake this quiz after ${status.available_at.toISOString()}`,
+        available_at: status.available_at
+      }
+    };
+  }
+
+  const questions = await drawAttemptQuestions(quiz, client);
+
+  if (questions.length === 0) {
+    return { error: { status: 409, error: 'Quiz has no questions', message: 'This quiz has no questions to answer yet' } };
+  }
+
+  const attemptResult = await client.query(
+    `INSERT INTO quiz_attempts (user_id, quiz_id, total_questions, questions, started_at, expires_at)
+     VALUES ($1, $2, $3, $4, NOW(), NOW() + make_interval(mins => $5))
+     RETURNING id, started_at, expires_at, questions, answers, NOW()::timestamp as server_time`,
+    [userId, quiz.id, questions.length, JSON.stringify(questions), quiz.time_limit_minutes]
+  );
+
+  return { attempt: attemptResult.rows[0] };
+};
+
+// Close any of the learner's attempts whose time ran out, grading the answers saved so far
+const closeExpiredAttempts = async (userId, quiz) => {
+  const overdueResult = await query(
+    `SELECT id, user_id, questions, answers
+     FROM quiz_attempts
+     WHERE user_id = $1 AND quiz_id = $2 AND status = 'in_progress' AND questions IS NOT NULL
+       AND expires_at < NOW() - make_interval(secs => $3)`,
+    [userId, quiz.id, SUBMIT_GRACE_SECONDS]
+  );
+
+  for (const attempt of overdueResult.rows) {
+    await finalizeAttempt(attempt, quiz, attempt.answers || {}, 'expired');
+  }
+};
+
 // @route   GET /api/quizzes/lesson/:lessonId
-// @desc    Get quiz for a lesson
+// @desc    Get quizzes attached to a lesson
 // @access  Private
 router.get('/lesson/:lessonId', async (req, res) => {
   try {
     const { lessonId } = req.params;
 
-    const quizResult = await query(
-      `SELECT q.id, q.title, q.description, q.time_limit_minutes, q.passing_score, q.created_at
+    const quizzesResult = await query(
+      `SELECT ${QUIZ_SUMMARY_COLUMNS}
        FROM quizzes q
-       WHERE q.lesson_id = $1`,
+       LEFT JOIN lessons l ON q.lesson_id = l.id
+       WHERE q.lesson_id = $1
+       ORDER BY q.created_at`,
       [lessonId]
     );
 
-    if (quizResult.rows.length === 0) {
-      return res.status(404).json({
-        error: 'Quiz not found',
-        message: 'No quiz found for this lesson'
-      });
-    }
+    res.json({
+      quizzes: quizzesResult.rows
+    });
 
-    const quiz = quizResult.rows[0];
+  } catch (error) {
+    console.error('Get lesson quizzes error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch quizzes',
+      message: 'An error occurred while fetching the quizzes for this lesson'
+    });
+  }
+});
 
-    // Get questions for this quiz
-    const questionsResult = await query(
-      `SELECT id, question, question_type, options, points, order_index
-       FROM quiz_questions
-       WHERE quiz_id = $1
-       ORDER BY order_index`,
-      [quiz.id]
-    );
+// @route   GET /api/quizzes/courses/:courseId
+// @desc    Get all quizzes for a course (lesson knowledge checks first, final exam last)
+// @access  Private
+router.get('/courses/:courseId', async (req, res) => {
+  try {
+    const { courseId } = req.params;
 
-    quiz.questions = questionsResult.rows;
+    const quizzesResult = await query(
+      `SELECT ${QUIZ_SUMMARY_COLUMNS}
+       FROM quizzes q
+       LEFT JOIN lessons l ON q.lesson_id = l.id
+       WHERE q.course_id = $1
+       ORDER BY (q.kind = 'final'), l.order_index NULLS LAST, q.created_at`,
+      [courseId]
+    );
 
     res.json({
-      quiz
+      quizzes: quizzesResult.rows
     });
 
   } catch (error) {
-    console.error('Get quiz error:', error);
+    console.error('Get course quizzes error:', error);
     res.status(500).json({
-      error: 'Failed to fetch quiz',
-      message: 'An error occurred while fetching the quiz'
+      error: 'Failed to fetch quizzes',
+      message: 'An error occurred while fetching the quizzes for this course'
     });
   }
 });
 
-// @route   GET /api/quizzes/courses/:courseId
-// @desc    Get quiz for a course
+// @route   GET /api/quizzes/:id
+// @desc    Get a quiz with its questions (answers only for the course instructor/admin)
 // @access  Private
-router.get('/courses/:courseId', async (req, res) => {
+router.get('/:id', async (req, res) => {
   try {
-    const { courseId } = req.params;
+    const { id } = req.params;
 
     const quizResult = await query(
-      `SELECT q.id, q.title, q.description, q.time_limit_minutes, q.passing_percentage, q.created_at
+      `SELECT ${QUIZ_SUMMARY_COLUMNS}, c.instructor_id
        FROM quizzes q
-       WHERE q.course_id = $1`,
-      [courseId]
+       JOIN courses c ON q.course_id = c.id
+       LEFT JOIN lessons l ON q.lesson_id = l.id
+       WHERE q.id = $1`,
+      [id]
     );
 
     if (quizResult.rows.length === 0) {
       return res.status(404).json({
         error: 'Quiz not found',
-        message: 'No quiz found for this course'
+        message: 'Quiz with this ID does not exist'
       });
     }
 
-    const quiz = quizResult.rows[0];
+    const { instructor_id, ...quiz } = quizResult.rows[0];
+    const canManage = req.user.role === 'admin' || instructor_id === req.user.id;
 
-    // Get questions for this quiz
+    // Stored options give away the answer for ordering and matching questions, so learners only
+    // see them in an attempt, shuffled
     const questionsResult = await query(
-      `SELECT id, question_text, question_type, options, correct_answer, points
+      `SELECT id, question_text, question_type, points, order_index
+              ${canManage ? ', options, correct_answer, explanation, option_feedback, source_lesson_id' : ''}
        FROM quiz_questions
        WHERE quiz_id = $1
-       ORDER BY id`,
-      [quiz.id]
+       ORDER BY order_index, id`,
+      [id]
     );
 
     quiz.questions = questionsResult.rows;
 
+    if (canManage) {
+      const poolsResult = await query(
+        'SELECT id, tag, draw_count FROM quiz_question_pools WHERE quiz_id = $1 ORDER BY order_index, id',
+        [id]
+      );
+      quiz.question_pools = poolsResult.rows;
+    }
+
+    quiz.attempt_status = await getAttemptStatus(req.user.id, quiz);
+    quiz.lock = canManage ? null : getQuizLock(await getPrerequisiteState(req.user.id, quiz.course_id), quiz);
+
     res.json({
       quiz,
       questions: questionsResult.rows
     });
 
   } catch (error) {
-    console.error('Get course quiz error:', error);
+    console.error('Get quiz error:', error);
     res.status(500).json({
       error: 'Failed to fetch quiz',
       message: 'An error occurred while fetching the quiz'
@@ -133,7 +493,15 @@ router.post('/', requireTrainer, validateQuiz, async (req, res) => {
       });
     }
 
-    const { course_id, title, description, time_limit_minutes, passing_percentage, questions } = req.body;
+    const { course_id, title, description, time_limit_minutes, passing_percentage, shuffle_options, max_attempts, cooldown_minutes, show_correct_answers, questions, question_pools } = req.body;
+
+    const normalizedQuestions = normalizeQuestions(questions);
+    if (normalizedQuestions.error) {
+      return res.status(400).json({
+        error: 'Invalid question',
+        message: normalizedQuestions.error
+      });
+    }
 
     // Verify course exists and user is instructor
     const courseResult = await query(
@@ -157,47 +525,56 @@ router.post('/', requireTrainer, validateQuiz, async (req, res) => {
       });
     }
 
-    // Check if quiz already exists for this course
-    const existingQuizResult = await query(
-      `SELECT id FROM quizzes WHERE course_id = $1`,
-      [course_id]
-    );
+    const placement = await resolveQuizPlacement(course_id, req.body);
+    if (placement.error) {
+      const { status, ...body } = placement.error;
+      return res.status(status).json(body);
+    }
 
-    if (existingQuizResult.rows.length > 0) {
+    const poolResolution = await resolveQuestionPools(course_id, question_pools);
+    if (poolResolution.error) {
+      const { status, ...body } = poolResolution.error;
+      return res.status(status).json(body);
+    }
+
+    if (questions.length === 0 && poolResolution.pools.length === 0) {
       return res.status(400).json({
-        error: 'Quiz already exists',
-        message: 'A quiz already exists for this course'
+        error: 'Validation failed',
+        message: 'Add at least one question or draw questions from the question bank'
       });
     }
 
+    // A course has at most one final exam
+    if (placement.kind === 'final') {
+      const existingFinalResult = await query(
+        `SELECT id FROM quizzes WHERE course_id = $1 AND kind = 'final'`,
+        [course_id]
+      );
+
+      if (existingFinalResult.rows.length > 0) {
+        return res.status(409).json({
+          error: 'Final exam already exists',
+          message: 'This course already has a final exam'
+        });
+      }
+    }
+
     // Create quiz
     const newQuizResult = await query(
-      `INSERT INTO quizzes (course_id, title, description, time_limit_minutes, passing_percentage)
-       VALUES ($1, $2, $3, $4, $5)
-       RETURNING id, title, description, time_limit_minutes, passing_percentage, created_at`,
-      [course_id, title, description, time_limit_minutes, passing_percentage]
+      `INSERT INTO quizzes (course_id, lesson_id, kind, counts_toward_completion, title, description, time_limit_minutes, passing_percentage,
+                            shuffle_options, max_attempts, cooldown_minutes, show_correct_answers, requires_all_lessons)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+       RETURNING id, course_id, lesson_id, kind, counts_toward_completion, title, description, time_limit_minutes, passing_percentage,
+                 shuffle_options, max_attempts, cooldown_minutes, show_correct_answers, requires_all_lessons, created_at`,
+      [course_id, placement.lessonId, placement.kind, placement.countsTowardCompletion, title, description, time_limit_minutes, passing_percentage,
+       shuffle_options !== false, max_attempts || null, cooldown_minutes || 0, show_correct_answers || 'after_pass', placement.requiresAllLessons]
     );
 
     const newQuiz = newQuizResult.rows[0];
 
-    // Add questions if provided
-    if (questions && Array.isArray(questions)) {
-      for (let i = 0; i < questions.length; i++) {
-        const question = questions[i];
-        await query(
-          `INSERT INTO quiz_questions (quiz_id, question_text, question_type, options, correct_answer, points)
-           VALUES ($1, $2, $3, $4, $5, $6)`,
-          [
-            newQuiz.id,
-            question.question_text,
-            question.question_type,
-            JSON.stringify(question.options),
-            question.correct_answer,
-            1 // Default points per question
-          ]
-        );
-      }
-    }
+    await saveQuestionPools(newQuiz.id, poolResolution.pools);
+
+    await saveQuizQuestions(newQuiz.id, normalizedQuestions.questions);
 
     res.status(201).json({
       message: 'Quiz created successfully',
@@ -214,16 +591,16 @@ router.post('/', requireTrainer, validateQuiz, async (req, res) => {
 });
 
 // @route   POST /api/quizzes/:id/attempt
-// @desc    Submit quiz attempt
+// @desc    Open a server-timed attempt session and draw its questions. Learners get a 403 with the lock
+//          reason while the course's prerequisites or the lessons the quiz waits for are not completed.
 // @access  Private
 router.post('/:id/attempt', async (req, res) => {
   try {
     const { id } = req.params;
-    const { answers, timeTakenSeconds } = req.body;
 
-    // Get quiz details
     const quizResult = await query(
-      'SELECT id, passing_percentage FROM quizzes WHERE id = $1',
+      `SELECT ${ATTEMPT_QUIZ_COLUMNS}, (SELECT instructor_id FROM courses WHERE courses.id = quizzes.course_id) as instructor_id
+       FROM quizzes WHERE id = $1`,
       [id]
     );
 
@@ -234,61 +611,97 @@ router.post('/:id/attempt', async (req, res) => {
       });
     }
 
-    const quiz = quizResult.rows[0];
-
-    // Get questions and correct answers
-    const questionsResult = await query(
-      'SELECT id, correct_answer, points FROM quiz_questions WHERE quiz_id = $1',
-      [id]
-    );
+    const { instructor_id, ...quiz } = quizResult.rows[0];
 
-    const questions = questionsResult.rows;
-    let totalPoints = 0;
-    let earnedPoints = 0;
-    let correctAnswers = 0;
-
-    // Calculate score
-    for (const question of questions) {
-      totalPoints += question.points;
-      const userAnswer = answers[question.id];
-      
-      if (userAnswer && userAnswer === question.correct_answer) {
-        earnedPoints += question.points;
-        correctAnswers++;
+    if (!bypassesPrerequisites(req.user, instructor_id)) {
+      const lock = getQuizLock(await getPrerequisiteState(req.user.id, quiz.course_id), quiz);
+      if (lock) {
+        return res.status(403).json({
+          error: 'Quiz locked',
+          message: lock.message,
+          lock
+        });
       }
     }
 
-    const score = totalPoints > 0 ? Math.round((earnedPoints / totalPoints) * 100) : 0;
-    const isPassed = score >= quiz.passing_percentage;
+    await closeExpiredAttempts(req.user.id, quiz);
+
+    // Check the limits and open the attempt under one lock per learner and quiz, so parallel
+    // requests can't both pass the attempt cap or open two attempts
+    const client = await pool.connect();
+    let opened;
+    try {
+      await client.query('BEGIN');
+      await client.query(ATTEMPT_LOCK_SQL, [req.user.id, quiz.id]);
+      opened = await openAttempt(client, req.user.id, quiz);
+      await client.query(opened.error ? 'ROLLBACK' : 'COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
 
-    // Save attempt
-    const attemptResult = await query(
-      `INSERT INTO quiz_attempts (user_id, quiz_id, score, total_questions, correct_answers, 
-                                 time_taken_seconds, is_passed, answers)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-       RETURNING id, score, is_passed, completed_at`,
-      [req.user.id, id, score, questions.length, correctAnswers, timeTakenSeconds, isPassed, JSON.stringify(answers)]
-    );
+    if (opened.error) {
+      const { status, ...body } = opened.error;
+      return res.status(status).json(body);
+    }
 
-    const attempt = attemptResult.rows[0];
+    const { attempt } = opened;
 
-    res.json({
-      message: 'Quiz attempt submitted successfully',
+    res.status(201).json({
       attempt: {
         id: attempt.id,
-        score,
-        totalQuestions: questions.length,
-        correctAnswers,
-        isPassed,
-        completedAt: attempt.completed_at
-      }
+        started_at: attempt.started_at,
+        expires_at: attempt.expires_at,
+        server_time: attempt.server_time,
+        answers: attempt.answers || {}
+      },
+      questions: attempt.questions.map(toLearnerQuestion)
     });
 
   } catch (error) {
-    console.error('Submit quiz attempt error:', error);
+    console.error('Start quiz attempt error:', error);
     res.status(500).json({
-      error: 'Failed to submit quiz attempt',
-      message: 'An error occurred while submitting the quiz attempt'
+      error: 'Failed to start quiz attempt',
+      message: 'An error occurred while starting the quiz attempt'
+    });
+  }
+});
+
+// @route   PUT /api/quizzes/:quizId/attempts/:attemptId/answers
+// @desc    Save in-progress answers so they are graded if time runs out
+// @access  Private
+router.put('/:quizId/attempts/:attemptId/answers', async (req, res) => {
+  try {
+    const { quizId, attemptId } = req.params;
+    const { answers = {} } = req.body;
+
+    const saveResult = await query(
+      `UPDATE quiz_attempts
+       SET answers = $1
+       WHERE id = $2 AND user_id = $3 AND quiz_id = $4 AND status = 'in_progress'
+         AND (expires_at IS NULL OR expires_at > NOW())
+       RETURNING id`,
+      [JSON.stringify(answers), attemptId, req.user.id, quizId]
+    );
+
+    if (saveResult.rows.length === 0) {
+      return res.status(409).json({
+        error: 'Attempt closed',
+        message: 'This attempt has ended and can no longer be changed'
+      });
+    }
+
+    res.json({
+      message: 'Answers saved'
+    });
+
+  } catch (error) {
+    console.error('Save quiz answers error:', error);
+    res.status(500).json({
+      error: 'Failed to save answers',
+      message: 'An error occurred while saving your answers'
     });
   }
 });
@@ -300,11 +713,16 @@ router.get('/:id/attempts', async (req, res) => {
   try {
     const { id } = req.params;
 
+    const quizResult = await query(`SELECT ${ATTEMPT_QUIZ_COLUMNS} FROM quizzes WHERE id = $1`, [id]);
+    if (quizResult.rows.length > 0) {
+      await closeExpiredAttempts(req.user.id, quizResult.rows[0]);
+    }
+
     const attemptsResult = await query(
       `SELECT id, score, total_questions, correct_answers, time_taken_seconds, 
-              is_passed, started_at, completed_at
+              is_passed, status, started_at, completed_at
        FROM quiz_attempts
-       WHERE user_id = $1 AND quiz_id = $2
+       WHERE user_id = $1 AND quiz_id = $2 AND completed_at IS NOT NULL
        ORDER BY started_at DESC`,
       [req.user.id, id]
     );
@@ -322,19 +740,74 @@ router.get('/:id/attempts', async (req, res) => {
   }
 });
 
+// @route   GET /api/quizzes/:quizId/attempts/:attemptId
+// @desc    Review a finished attempt question by question
+// @access  Private
+router.get('/:quizId/attempts/:attemptId', async (req, res) => {
+  try {
+    const { quizId, attemptId } = req.params;
+
+    const attemptResult = await query(
+      `SELECT qa.id, qa.score, qa.total_questions, qa.correct_answers, qa.time_taken_seconds,
+              qa.is_passed, qa.status, qa.started_at, qa.completed_at, qa.reviewed_at,
+              qa.questions, qa.answers, qa.manual_grades, q.show_correct_answers
+       FROM quiz_attempts qa
+       JOIN quizzes q ON qa.quiz_id = q.id
+       WHERE qa.id = $1 AND qa.quiz_id = $2 AND qa.user_id = $3`,
+      [attemptId, quizId, req.user.id]
+    );
+
+    if (attemptResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Attempt not found',
+        message: 'Quiz attempt with this ID does not exist'
+      });
+    }
+
+    const { questions, answers, manual_grades, show_correct_answers, ...attempt } = attemptResult.rows[0];
+    const revealAnswers = canRevealAnswers({ show_correct_answers }, attempt.is_passed);
+
+    // Reviewing an open attempt would reveal its answers
+    if (attempt.status === 'in_progress') {
+      return res.status(409).json({
+        error: 'Attempt in progress',
+        message: 'Submit this attempt before reviewing it'
+      });
+    }
+
+    res.json({
+      attempt,
+      answers_revealed: revealAnswers,
+      questions: reviewAttempt(questions || [], answers || {}, manual_grades || {}, revealAnswers)
+    });
+
+  } catch (error) {
+    console.error('Get quiz attempt review error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch attempt',
+      message: 'An error occurred while fetching the quiz attempt'
+    });
+  }
+});
+
 // @route   POST /api/quizzes/:quizId/submit
-// @desc    Submit quiz attempt (alternative endpoint)
+// @desc    Submit answers for an open attempt and grade them
 // @access  Private
-router.post('/:quizId/submit', async (req, res) => {
+router.post('/:quizId/submit', validateSubmit, async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Please check your input',
+        details: errors.array()
+      });
+    }
+
     const { quizId } = req.params;
-    const { answers, time_taken_seconds } = req.body;
+    const { attempt_id, answers = {} } = req.body;
 
-    // Get quiz details
-    const quizResult = await query(
-      'SELECT id, passing_percentage FROM quizzes WHERE id = $1',
-      [quizId]
-    );
+    const quizResult = await query(`SELECT ${ATTEMPT_QUIZ_COLUMNS} FROM quizzes WHERE id = $1`, [quizId]);
 
     if (quizResult.rows.length === 0) {
       return res.status(404).json({
@@ -345,101 +818,47 @@ router.post('/:quizId/submit', async (req, res) => {
 
     const quiz = quizResult.rows[0];
 
-    // Get questions and correct answers
-    const questionsResult = await query(
-      'SELECT id, correct_answer, points FROM quiz_questions WHERE quiz_id = $1',
-      [quizId]
+    const attemptLookup = await query(
+      `SELECT id, user_id, questions, answers,
+              (expires_at IS NOT NULL AND expires_at < NOW() - make_interval(secs => $4)) as is_late
+       FROM quiz_attempts
+       WHERE id = $1 AND user_id = $2 AND quiz_id = $3 AND status = 'in_progress'`,
+      [attempt_id, req.user.id, quizId, SUBMIT_GRACE_SECONDS]
     );
 
-    const questions = questionsResult.rows;
-    let totalPoints = 0;
-    let earnedPoints = 0;
-    let correctAnswers = 0;
-
-    // Calculate score
-    for (const question of questions) {
-      totalPoints += question.points;
-      const userAnswer = answers[question.id];
-      
-      if (userAnswer !== undefined && userAnswer !== null && Number(userAnswer) === Number(question.correct_answer)) {
-        earnedPoints += question.points;
-        correctAnswers++;
-      }
+    if (attemptLookup.rows.length === 0 || !attemptLookup.rows[0].questions) {
+      return res.status(400).json({
+        error: 'Invalid attempt',
+        message: 'Start the quiz before submitting, or this attempt has already been submitted'
+      });
     }
 
-    const score = totalPoints > 0 ? Math.round((earnedPoints / totalPoints) * 100) : 0;
-    const passed = score >= quiz.passing_percentage;
+    const attempt = attemptLookup.rows[0];
 
-    // Save attempt
-    const attemptResult = await query(
-      `INSERT INTO quiz_attempts (user_id, quiz_id, score, total_questions, correct_answers, 
-                                 time_taken_seconds, is_passed, answers, completed_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
-       RETURNING id, score, is_passed, completed_at`,
-      [req.user.id, quizId, score, questions.length, correctAnswers, time_taken_seconds, passed, JSON.stringify(answers)]
-    );
+    // Past the time limit: discard the late answers and grade what was saved before expiry
+    if (attempt.is_late) {
+      const expired = await finalizeAttempt(attempt, quiz, attempt.answers || {}, 'expired');
+      return res.status(409).json({
+        error: 'Time limit exceeded',
+        message: 'The time limit for this attempt has passed. Your answers saved before the deadline were graded.',
+        ...expired
+      });
+    }
 
-    const attempt = attemptResult.rows[0];
+    const result = await finalizeAttempt(attempt, quiz, answers, 'submitted');
 
-    // Generate certificate if passed
-    let certificate = null;
-    if (passed) {
-      try {
-        // Get course ID for this quiz
-        const courseResult = await query('SELECT course_id FROM quizzes WHERE id = $1', [quizId]);
-        if (courseResult.rows.length === 0) {
-          throw new Error('Course not found for quiz');
-        }
-        
-        const courseId = courseResult.rows[0].course_id;
-        
-        // Check if certificate already exists for this user and course
-        const existingCertificate = await query(
-          'SELECT id FROM certificates WHERE user_id = $1 AND course_id = $2',
-          [req.user.id, courseId]
-        );
-        
-        if (existingCertificate.rows.length > 0) {
-          // Certificate already exists, don't create a new one
-          certificate = existingCertificate.rows[0];
-        } else {
-          // Get user and course details for certificate
-          const userResult = await query('SELECT first_name, last_name FROM users WHERE id = $1', [req.user.id]);
-          const courseDetailsResult = await query('SELECT title, category FROM courses WHERE id = $1', [courseId]);
-          
-          if (userResult.rows.length > 0 && courseDetailsResult.rows.length > 0) {
-            const user = userResult.rows[0];
-            const course = courseDetailsResult.rows[0];
-            const certificateNumber = `CERT-${Date.now()}-${req.user.id}`;
-            
-            // Generate PDF certificate
-            const { generateCertificatePDF } = require('./certificates');
-            const pdfUrl = await generateCertificatePDF(certificateNumber, user, course);
-            
-            // Insert certificate with PDF URL
-            const certificateResult = await query(
-              `INSERT INTO certificates (user_id, course_id, quiz_id, score, certificate_number, pdf_url, issued_at)
-               VALUES ($1, $2, $3, $4, $5, $6, NOW())
-               RETURNING id`,
-              [req.user.id, courseId, quizId, score, certificateNumber, pdfUrl]
-            );
-            certificate = certificateResult.rows[0];
-          }
-        }
-      } catch (certError) {
-        console.error('Certificate generation error:', certError);
-        // Continue without certificate if there's an error
-      }
+    if (!result) {
+      return res.status(409).json({
+        error: 'Attempt already submitted',
+        message: 'This attempt has already been graded'
+      });
     }
 
     res.json({
-      message: 'Quiz submitted successfully!',
-      score,
-      total_questions: questions.length,
-      correct_answers: correctAnswers,
-      passed,
-      time_taken_seconds,
-      certificate_id: certificate ? certificate.id : null
+      message: result.status === 'pending_review'
+        ? 'Quiz submitted! A trainer will review your written answers.'
+        : 'Quiz submitted successfully!',
+      ...result
     });
 
   } catch (error) {
@@ -456,12 +875,30 @@ router.post('/:quizId/submit', async (req, res) => {
 // @access  Private/Trainer
 router.put('/:id', requireTrainer, validateQuizUpdate, async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Please check your input',
+        details: errors.array()
+      });
+    }
+
     const { id } = req.params;
-    const { title, description, time_limit_minutes, passing_percentage, questions } = req.body;
+    const { title, description, time_limit_minutes, passing_percentage, shuffle_options, max_attempts, cooldown_minutes, show_correct_answers, questions, question_pools } = req.body;
+
+    const normalizedQuestions = normalizeQuestions(questions);
+    if (normalizedQuestions.error) {
+      return res.status(400).json({
+        error: 'Invalid question',
+        message: normalizedQuestions.error
+      });
+    }
 
     // Verify quiz exists and user is instructor
     const quizResult = await query(
-      `SELECT q.id, q.course_id, c.instructor_id 
+      `SELECT q.id, q.course_id, q.lesson_id, q.kind, q.counts_toward_completion, q.requires_all_lessons, q.shuffle_options,
+              q.max_attempts, q.cooldown_minutes, q.show_correct_answers, c.instructor_id
        FROM quizzes q
        JOIN courses c ON q.course_id = c.id
        WHERE q.id = $1`,
@@ -482,35 +919,73 @@ router.put('/:id', requireTrainer, validateQuizUpdate, async (req, res) => {
       });
     }
 
+    // Placement fields that are omitted keep their current values
+    const existingQuiz = quizResult.rows[0];
+    const placement = await resolveQuizPlacement(existingQuiz.course_id, {
+      lesson_id: req.body.lesson_id !== undefined ? req.body.lesson_id : existingQuiz.lesson_id,
+      kind: req.body.kind || existingQuiz.kind,
+      counts_toward_completion: req.body.counts_toward_completion !== undefined
+        ? req.body.counts_toward_completion
+        : existingQuiz.counts_toward_completion,
+      // Moving a final exam to a lesson drops the requirement rather than rejecting the move
+      requires_all_lessons: req.body.requires_all_lessons !== undefined
+        ? req.body.requires_all_lessons
+        : existingQuiz.requires_all_lessons && (req.body.kind || existingQuiz.kind) === 'final'
+    });
+    if (placement.error) {
+      const { status, ...body } = placement.error;
+      return res.status(status).json(body);
+    }
+
+    const poolResolution = await resolveQuestionPools(existingQuiz.course_id, question_pools);
+    if (poolResolution.error) {
+      const { status, ...body } = poolResolution.error;
+      return res.status(status).json(body);
+    }
+
+    if (questions.length === 0 && poolResolution.pools.length === 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Add at least one question or draw questions from the question bank'
+      });
+    }
+
+    if (placement.kind === 'final') {
+      const existingFinalResult = await query(
+        `SELECT id FROM quizzes WHERE course_id = $1 AND kind = 'final' AND id != $2`,
+        [existingQuiz.course_id, id]
+      );
+
+      if (existingFinalResult.rows.length > 0) {
+        return res.status(409).json({
+          error: 'Final exam already exists',
+          message: 'This course already has a final exam'
+        });
+      }
+    }
+
     // Update quiz
     await query(
       `UPDATE quizzes 
-       SET title = $1, description = $2, time_limit_minutes = $3, passing_percentage = $4, updated_at = NOW()
-       WHERE id = $5`,
-      [title, description, time_limit_minutes, passing_percentage, id]
+       SET title = $1, description = $2, time_limit_minutes = $3, passing_percentage = $4,
+           lesson_id = $5, kind = $6, counts_toward_completion = $7, shuffle_options = $8,
+           max_attempts = $9, cooldown_minutes = $10, show_correct_answers = $11, requires_all_lessons = $13,
+           updated_at = NOW()
+       WHERE id = $12`,
+      [title, description, time_limit_minutes, passing_percentage,
+       placement.lessonId, placement.kind, placement.countsTowardCompletion,
+       shuffle_options !== undefined ? shuffle_options : existingQuiz.shuffle_options,
+       max_attempts !== undefined ? max_attempts || null : existingQuiz.max_attempts,
+       cooldown_minutes !== undefined ? cooldown_minutes : existingQuiz.cooldown_minutes,
+       show_correct_answers || existingQuiz.show_correct_answers,
+       id, placement.requiresAllLessons]
     );
 
-    // Delete existing questions
-    await query('DELETE FROM quiz_questions WHERE quiz_id = $1', [id]);
+    await saveQuestionPools(id, poolResolution.pools);
 
-    // Add new questions if provided
-    if (questions && Array.isArray(questions)) {
-      for (let i = 0; i < questions.length; i++) {
-        const question = questions[i];
-        await query(
-          `INSERT INTO quiz_questions (quiz_id, question_text, question_type, options, correct_answer, points)
-           VALUES ($1, $2, $3, $4, $5, $6)`,
-          [
-            id,
-            question.question_text,
-            question.question_type,
-            JSON.stringify(question.options),
-            parseInt(question.correct_answer), // Convert to integer
-            1 // Default points per question
-          ]
-        );
-      }
-    }
+    // Replace existing questions
+    await query('DELETE FROM quiz_questions WHERE quiz_id = $1', [id]);
+    await saveQuizQuestions(id, normalizedQuestions.questions);
 
     res.json({
       message: 'Quiz updated successfully'
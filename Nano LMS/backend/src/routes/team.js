@@ -0,0 +1,161 @@
+const express = require('express');
+const { param, query: queryValidator, validationResult } = require('express-validator');
+const { query } = require('../database/connection');
+const { requireManager } = require('../middleware/auth');
+const { EXPIRING_SOON_DAYS, certificateStatusSql, expiringSoonSql } = require('../utils/certificateStatus');
+const { getCourseProgress, getLearnerSummaries } = require('../utils/learnerProgress');
+const { assignmentStatusSql, getUserAssignments } = require('../utils/courseAssignments');
+
+const router = express.Router();
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    error: 'Validation failed',
+    message: 'Please check your input',
+    details: errors.array()
+  });
+  return true;
+};
+
+// Managers see their own direct reports; admins pick the manager whose team to look at
+const getManagerId = (req) => (req.user.role === 'admin' ? parseInt(req.query.managerId) || null : req.user.id);
+
+// @route   GET /api/team
+// @desc    A manager's direct reports with enrollment, completion, certificate and overdue assignment figures, plus team totals
+// @access  Private/Manager (admins pass ?managerId)
+router.get('/', requireManager, queryValidator('managerId').optional().isInt({ min: 1 }), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const managerId = getManagerId(req);
+    if (!managerId) {
+      return res.status(400).json({
+        error: 'Manager required',
+        message: 'Choose the manager whose team to show'
+      });
+    }
+
+    const membersResult = await query(
+      `SELECT u.id, u.email, u.first_name, u.last_name, u.role, u.avatar_url, u.is_active,
+              d.name as department_name,
+              (SELECT MAX(up.updated_at) FROM user_progress up WHERE up.user_id = u.id) as last_activity_at,
+              (SELECT COUNT(*) FROM course_enrollments ce
+               JOIN course_assignments ca ON ce.assignment_id = ca.id
+               WHERE ce.user_id = u.id AND ${assignmentStatusSql('ce', 'ca')} = 'overdue') as overdue_assignments,
+              COUNT(c.id) FILTER (WHERE c.status = 'expired') as expired_certificates,
+              COUNT(c.id) FILTER (WHERE c.expiring_soon) as expiring_certificates
+       FROM users u
+       LEFT JOIN departments d ON u.department_id = d.id
+       LEFT JOIN (
+         SELECT cert.id, cert.user_id, ${certificateStatusSql('cert')} as status, ${expiringSoonSql('cert')} as expiring_soon
+         FROM certificates cert
+         WHERE cert.replaced_by IS NULL
+       ) c ON c.user_id = u.id
+       WHERE u.manager_id = $1
+       GROUP BY u.id, d.name
+       ORDER BY u.last_name, u.first_name`,
+      [managerId]
+    );
+
+    const summaries = new Map((await getLearnerSummaries({ managerId })).map((summary) => [summary.id, summary]));
+
+    const members = membersResult.rows.map(({ expired_certificates: expired, expiring_certificates: expiring, overdue_assignments: overdue, ...member }) => {
+      const summary = summaries.get(member.id);
+      return {
+        ...member,
+        enrolledCourses: summary.enrolledCourses,
+        completedCourses: summary.completedCourses,
+        certificates: summary.certificates,
+        progressPercentage: summary.progressPercentage,
+        expiredCertificates: parseInt(expired),
+        expiringCertificates: parseInt(expiring),
+        overdueAssignments: parseInt(overdue)
+      };
+    });
+
+    const totals = members.reduce((sum, member) => ({
+      members: sum.members + 1,
+      enrollments: sum.enrollments + member.enrolledCourses,
+      completions: sum.completions + member.completedCourses,
+      expiredCertificates: sum.expiredCertificates + member.expiredCertificates,
+      expiringCertificates: sum.expiringCertificates + member.expiringCertificates,
+      overdueAssignments: sum.overdueAssignments + member.overdueAssignments
+    }), { members: 0, enrollments: 0, completions: 0, expiredCertificates: 0, expiringCertificates: 0, overdueAssignments: 0 });
+
+    res.json({
+      members,
+      summary: {
+        ...totals,
+        completionRate: totals.enrollments > 0 ? Math.round((totals.completions / totals.enrollments) * 1000) / 10 : 0,
+        expiringSoonDays: EXPIRING_SOON_DAYS
+      }
+    });
+
+  } catch (error) {
+    console.error('Get team error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch team',
+      message: 'An error occurred while fetching your team'
+    });
+  }
+});
+
+// @route   GET /api/team/members/:userId
+// @desc    One direct report's course progress, assigned courses and certificates
+// @access  Private/Manager (admins can view anyone)
+router.get('/members/:userId', requireManager, param('userId').isInt({ min: 1 }), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { userId } = req.params;
+
+    const memberResult = await query(
+      `SELECT u.id, u.email, u.first_name, u.last_name, u.role, u.avatar_url, u.manager_id, d.name as department_name
+       FROM users u
+       LEFT JOIN departments d ON u.department_id = d.id
+       WHERE u.id = $1`,
+      [userId]
+    );
+
+    const member = memberResult.rows[0];
+    if (!member || (req.user.role !== 'admin' && member.manager_id !== req.user.id)) {
+      return res.status(404).json({
+        error: 'Team member not found',
+        message: 'This user is not one of your direct reports'
+      });
+    }
+
+    const courses = await getCourseProgress([member.id], { enrolledOnly: true });
+
+    const certificatesResult = await query(
+      `SELECT c.id, c.course_id, COALESCE(co.title, lp.title) as course_title, c.learning_path_id, c.certificate_number, c.issued_at, c.expires_at,
+              c.revoked_at, c.revocation_reason, ${certificateStatusSql('c')} as status,
+              ${expiringSoonSql('c')} as expiring_soon
+       FROM certificates c
+       LEFT JOIN courses co ON c.course_id = co.id
+       LEFT JOIN learning_paths lp ON c.learning_path_id = lp.id
+       WHERE c.user_id = $1 AND c.replaced_by IS NULL
+       ORDER BY c.issued_at DESC`,
+      [member.id]
+    );
+
+    res.json({
+      member,
+      courses,
+      assignments: await getUserAssignments(member.id),
+      certificates: certificatesResult.rows
+    });
+
+  } catch (error) {
+    console.error('Get team member error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch team member',
+      message: 'An error occurred while fetching the team member'
+    });
+  }
+});
+
+module.exports = router;
@@ -12,8 +12,9 @@ const uploadsDir = path.join(__dirname, '..', '..', 'uploads');
 const videosDir = path.join(uploadsDir, 'videos');
 const documentsDir = path.join(uploadsDir, 'documents');
 const imagesDir = path.join(uploadsDir, 'images');
+const captionsDir = path.join(uploadsDir, 'captions');
 
-[uploadsDir, videosDir, documentsDir, imagesDir].forEach(dir => {
+[uploadsDir, videosDir, documentsDir, imagesDir, captionsDir].forEach(dir => {
   if (!fs.existsSync(dir)) {
     fs.mkdirSync(dir, { recursive: true });
   }
@@ -30,6 +31,8 @@ const storage = multer.diskStorage({
       uploadPath = documentsDir;
     } else if (file.fieldname === 'image') {
       uploadPath = imagesDir;
+    } else if (file.fieldname === 'caption') {
+      uploadPath = captionsDir;
     }
     
     cb(null, uploadPath);
@@ -50,8 +53,11 @@ const storage = multer.diskStorage({
 // File filter function
 const fileFilter = (req, file, cb) => {
   const allowedVideoTypes = ['video/mp4', 'video/webm', 'video/ogg', 'video/avi', 'video/mov'];
-  const allowedDocumentTypes = ['application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'text/plain'];
+  // Only formats utils/contentExtraction can read; legacy .doc files have no text extractor
+  const allowedDocumentTypes = ['application/pdf', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'text/plain'];
   const allowedImageTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+  // Browsers report caption files inconsistently (text/vtt, application/x-subrip, octet-stream), so check the extension
+  const allowedCaptionExtensions = ['.vtt', '.srt', '.txt'];
 
   if (file.fieldname === 'video' && allowedVideoTypes.includes(file.mimetype)) {
     cb(null, true);
@@ -59,6 +65,10 @@ const fileFilter = (req, file, cb) => {
     cb(null, true);
   } else if (file.fieldname === 'image' && allowedImageTypes.includes(file.mimetype)) {
     cb(null, true);
+  } else if (file.fieldname === 'caption' && allowedCaptionExtensions.includes(path.extname(file.originalname).toLowerCase())) {
+    cb(null, true);
+  } else if (file.fieldname === 'document') {
+    cb(new Error('Unsupported document type. Supported: PDF, DOCX, TXT'), false);
   } else {
     cb(new Error('Invalid file type'), false);
   }
@@ -263,6 +273,57 @@ router.post('/image', authenticateToken, (req, res) => {
   });
 });
 
+// @route   POST /api/upload/caption
+// @desc    Upload caption/transcript file for a lesson video (WebVTT, SRT or TXT)
+// @access  Private/Admin/Trainer
+router.post('/caption', authenticateToken, (req, res) => {
+  // Check if user is admin or trainer
+  if (req.user.role !== 'admin' && req.user.role !== 'trainer') {
+    return res.status(403).json({
+      error: 'Access denied',
+      message: 'Only admins and trainers can upload files'
+    });
+  }
+
+  upload.single('caption')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        error: 'Upload failed',
+        message: err.message
+      });
+    }
+
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          error: 'No file uploaded',
+          message: 'Please select a caption file to upload'
+        });
+      }
+
+      const fileUrl = `/uploads/captions/${req.file.filename}`;
+
+      res.json({
+        message: 'Caption file uploaded successfully',
+        file: {
+          filename: req.file.filename,
+          originalname: req.file.originalname,
+          mimetype: req.file.mimetype,
+          size: req.file.size,
+          url: fileUrl
+        }
+      });
+
+    } catch (error) {
+      console.error('Caption upload error:', error);
+      res.status(500).json({
+        error: 'Upload failed',
+        message: 'An error occurred while uploading the caption file'
+      });
+    }
+  });
+});
+
 // @route   POST /api/upload/lesson-media
 // @desc    Upload lesson media (screen recordings)
 // @access  Private/Admin/Trainer
@@ -371,10 +432,13 @@ router.get('/check/:type/:filename', authenticateToken, (req, res) => {
       case 'image':
         filePath = path.join(imagesDir, filename);
         break;
+      case 'caption':
+        filePath = path.join(captionsDir, filename);
+        break;
       default:
         return res.status(400).json({
           error: 'Invalid file type',
-          message: 'File type must be video, document, or image'
+          message: 'File type must be video, document, image, or caption'
         });
     }
 
@@ -419,10 +483,13 @@ router.delete('/:type/:filename', authenticateToken, async (req, res) => {
       case 'image':
         filePath = path.join(imagesDir, filename);
         break;
+      case 'caption':
+        filePath = path.join(captionsDir, filename);
+        break;
       default:
         return res.status(400).json({
           error: 'Invalid file type',
-          message: 'File type must be video, document, or image'
+          message: 'File type must be video, document, image, or caption'
         });
     }
 
@@ -437,6 +504,8 @@ router.delete('/:type/:filename', authenticateToken, async (req, res) => {
         updateQuery = 'UPDATE lessons SET video_url = NULL WHERE video_url = $1';
       } else if (type === 'document') {
         updateQuery = 'UPDATE lessons SET document_url = NULL WHERE document_url = $1';
+      } else if (type === 'caption') {
+        updateQuery = 'UPDATE lessons SET caption_url = NULL WHERE caption_url = $1';
       }
       
       if (updateQuery) {
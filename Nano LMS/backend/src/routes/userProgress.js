@@ -2,10 +2,10 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { query } = require('../database/connection');
 const { authenticateToken } = require('../middleware/auth');
-const { v4: uuidv4 } = require('uuid');
-const PDFDocument = require('pdfkit');
-const fs = require('fs');
-const path = require('path');
+const { getRecertificationStart } = require('../utils/certificateStatus');
+const { issueCertificateIfCourseComplete } = require('../utils/courseCompletion');
+const { summarizeCourseProgress, getCourseProgress } = require('../utils/learnerProgress');
+const { bypassesPrerequisites, getPrerequisiteState, getLessonLock } = require('../utils/prerequisites');
 
 const router = express.Router();
 
@@ -105,79 +105,9 @@ router.get('/course/:courseId', authenticateToken, async (req, res) => {
 // @access  Private
 router.get('/courses/all', authenticateToken, async (req, res) => {
   try {
-    const userId = req.user.id;
-
-    // Get all courses with lesson and quiz counts
-    const coursesResult = await query(
-      `SELECT c.id, c.title,
-              COALESCE(lesson_counts.lesson_count, 0) as lesson_count,
-              COALESCE(quiz_counts.quiz_count, 0) as quiz_count
-       FROM courses c
-       LEFT JOIN (
-         SELECT course_id, COUNT(*) as lesson_count 
-         FROM lessons 
-         WHERE is_published = true 
-         GROUP BY course_id
-       ) lesson_counts ON c.id = lesson_counts.course_id
-       LEFT JOIN (
-         SELECT course_id, COUNT(*) as quiz_count 
-         FROM quizzes q 
-         WHERE q.course_id IS NOT NULL
-         GROUP BY course_id
-       ) quiz_counts ON c.id = quiz_counts.course_id
-       WHERE c.is_published = true
-       ORDER BY c.id`,
-      []
-    );
-
     const progressMap = {};
-
-    for (const course of coursesResult.rows) {
-      const courseId = course.id;
-      const totalLessons = parseInt(course.lesson_count);
-      const hasQuiz = parseInt(course.quiz_count) > 0;
-      const totalComponents = totalLessons + (hasQuiz ? 1 : 0);
-
-      // Get completed lessons for this course
-      const completedLessonsResult = await query(
-        `SELECT COUNT(*) as completed_count
-         FROM user_progress up
-         JOIN lessons l ON up.lesson_id = l.id
-         WHERE up.user_id = $1 AND l.course_id = $2 AND up.is_completed = true`,
-        [userId, courseId]
-      );
-
-      const completedLessons = parseInt(completedLessonsResult.rows[0].completed_count);
-
-      // Get quiz completion status
-      let quizPassed = false;
-      if (hasQuiz) {
-        const quizResult = await query(
-          `SELECT COUNT(*) as passed_count
-           FROM quiz_attempts qa
-           JOIN quizzes q ON qa.quiz_id = q.id
-           WHERE qa.user_id = $1 AND q.course_id = $2 AND qa.is_passed = true`,
-          [userId, courseId]
-        );
-        quizPassed = parseInt(quizResult.rows[0].passed_count) > 0;
-
-      }
-
-      const completedComponents = completedLessons + (quizPassed ? 1 : 0);
-      const overallProgress = totalComponents > 0 ? Math.round((completedComponents / totalComponents) * 100) : 0;
-
-      progressMap[courseId] = {
-        totalLessons,
-        completedLessons,
-        hasQuiz,
-        quizPassed,
-        totalComponents,
-        completedComponents,
-        overallProgress,
-        courseCompleted: completedComponents === totalComponents && totalComponents > 0
-      };
-      
-
+    for (const { userId, courseId, title, enrolledAt, ...progress } of await getCourseProgress([req.user.id])) {
+      progressMap[courseId] = progress;
     }
 
     res.json(progressMap);
@@ -192,7 +122,7 @@ router.get('/courses/all', authenticateToken, async (req, res) => {
 });
 
 // @route   GET /api/user-progress/course/:courseId/comprehensive
-// @desc    Get comprehensive course progress including lessons and quiz
+// @desc    Get comprehensive course progress including lessons and quizzes
 // @access  Private
 router.get('/course/:courseId/comprehensive', authenticateToken, async (req, res) => {
   try {
@@ -218,48 +148,51 @@ router.get('/course/:courseId/comprehensive', authenticateToken, async (req, res
     const totalLessons = parseInt(totalLessonsResult.rows[0].count);
     const completedLessons = lessonProgressResult.rows.filter(p => p.is_completed).length;
 
-    // Get quiz progress
+    // While recertifying after an expired certificate, earlier attempts no longer count
+    const recertificationStart = await getRecertificationStart(userId, courseId);
+
+    // Get progress on every quiz in the course
     const quizResult = await query(
-      `SELECT q.id, q.title, q.passing_percentage,
-              (SELECT COUNT(*) FROM quiz_questions WHERE quiz_id = q.id) as total_questions,
-              (SELECT COUNT(*) FROM quiz_attempts WHERE quiz_id = q.id AND user_id = $1 AND is_passed = true) as passed_attempts
+      `SELECT q.id, q.title, q.kind, q.lesson_id, q.counts_toward_completion, q.passing_percentage,
+              (SELECT COUNT(*) FROM quiz_questions WHERE quiz_id = q.id)
+                + (SELECT COALESCE(SUM(draw_count), 0) FROM quiz_question_pools WHERE quiz_id = q.id) as total_questions,
+              (SELECT COUNT(*) FROM quiz_attempts WHERE quiz_id = q.id AND user_id = $1 AND completed_at IS NOT NULL
+                 AND ($3::timestamp IS NULL OR started_at >= $3)) as attempts,
+              (SELECT COUNT(*) FROM quiz_attempts WHERE quiz_id = q.id AND user_id = $1 AND is_passed = true
+                 AND ($3::timestamp IS NULL OR started_at >= $3)) as passed_attempts
        FROM quizzes q
-       WHERE q.course_id = $2`,
-      [userId, courseId]
+       LEFT JOIN lessons l ON q.lesson_id = l.id
+       WHERE q.course_id = $2
+       ORDER BY (q.kind = 'final'), l.order_index NULLS LAST, q.created_at`,
+      [userId, courseId, recertificationStart]
     );
 
-    const hasQuiz = quizResult.rows.length > 0;
-    const quizPassed = hasQuiz ? quizResult.rows[0].passed_attempts > 0 : false;
-    const totalComponents = totalLessons + (hasQuiz ? 1 : 0);
-    const completedComponents = completedLessons + (quizPassed ? 1 : 0);
-
-    // Calculate overall course progress
-    let overallProgress = 0;
-    if (totalComponents > 0) {
-      // Each lesson contributes equally, quiz contributes equally
-      const lessonProgress = (completedLessons / totalLessons) * (totalLessons / totalComponents) * 100;
-      const quizProgress = hasQuiz ? (quizPassed ? (1 / totalComponents) * 100 : 0) : 0;
-      overallProgress = Math.round(lessonProgress + quizProgress);
-    }
+    const quizProgress = quizResult.rows.map(quiz => ({
+      id: quiz.id,
+      title: quiz.title,
+      kind: quiz.kind,
+      lessonId: quiz.lesson_id,
+      countsTowardCompletion: quiz.counts_toward_completion,
+      attempted: parseInt(quiz.attempts) > 0,
+      passed: parseInt(quiz.passed_attempts) > 0,
+      totalQuestions: parseInt(quiz.total_questions),
+      passingPercentage: quiz.passing_percentage
+    }));
+
+    // Only designated quizzes count as course components
+    const requiredQuizzes = quizProgress.filter(quiz => quiz.countsTowardCompletion);
 
     res.json({
       lessonProgress: lessonProgressResult.rows,
-      quizProgress: hasQuiz ? {
-        id: quizResult.rows[0].id,
-        title: quizResult.rows[0].title,
-        passed: quizPassed,
-        totalQuestions: quizResult.rows[0].total_questions,
-        passingPercentage: quizResult.rows[0].passing_percentage
-      } : null,
+      quizProgress,
       summary: {
-        totalLessons,
-        completedLessons,
-        hasQuiz,
-        quizPassed,
-        totalComponents,
-        completedComponents,
-        overallProgress,
-        courseCompleted: completedComponents === totalComponents && totalComponents > 0
+        ...summarizeCourseProgress({
+          totalLessons,
+          completedLessons,
+          totalQuizzes: requiredQuizzes.length,
+          passedQuizzes: requiredQuizzes.filter(quiz => quiz.passed).length
+        }),
+        certificateExpiredAt: recertificationStart
       }
     });
 
@@ -289,6 +222,31 @@ router.post('/', authenticateToken, validateProgress, async (req, res) => {
     const { lesson_id, progress, completed } = req.body;
     const userId = req.user.id;
 
+    // A locked lesson can't be opened, so it can't be marked as watched or completed either
+    const lessonResult = await query(
+      `SELECT l.course_id, c.instructor_id FROM lessons l JOIN courses c ON l.course_id = c.id WHERE l.id = $1`,
+      [lesson_id]
+    );
+
+    if (lessonResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Lesson not found',
+        message: 'Lesson with this ID does not exist'
+      });
+    }
+
+    const { course_id, instructor_id } = lessonResult.rows[0];
+    if (!bypassesPrerequisites(req.user, instructor_id)) {
+      const lock = getLessonLock(await getPrerequisiteState(userId, course_id), lesson_id);
+      if (lock) {
+        return res.status(403).json({
+          error: 'Lesson locked',
+          message: lock.message,
+          lock
+        });
+      }
+    }
+
     // Check if progress record exists
     const existingResult = await query(
       'SELECT id FROM user_progress WHERE user_id = $1 AND lesson_id = $2',
@@ -389,80 +347,7 @@ router.get('/overview', authenticateToken, async (req, res) => {
   }
 });
 
-// Helper function to generate PDF certificate
-async function generateCertificatePDF(certificateNumber, user, course) {
-  return new Promise((resolve, reject) => {
-    try {
-      const doc = new PDFDocument({
-        size: 'A4',
-        layout: 'landscape'
-      });
-
-      // Create uploads directory if it doesn't exist
-      const uploadsDir = path.join(__dirname, '..', '..', 'uploads', 'certificates');
-      if (!fs.existsSync(uploadsDir)) {
-        fs.mkdirSync(uploadsDir, { recursive: true });
-      }
-
-      const filename = `certificate-${certificateNumber}.pdf`;
-      const filepath = path.join(uploadsDir, filename);
-      const writeStream = fs.createWriteStream(filepath);
-
-      doc.pipe(writeStream);
-
-      // Add certificate content
-      doc.fontSize(40)
-         .font('Helvetica-Bold')
-         .text('Certificate of Completion', 0, 100, { align: 'center' });
-
-      doc.fontSize(16)
-         .font('Helvetica')
-         .text('This is to certify that', 0, 180, { align: 'center' });
-
-      doc.fontSize(24)
-         .font('Helvetica-Bold')
-         .text(`${user.first_name} ${user.last_name}`, 0, 220, { align: 'center' });
-
-      doc.fontSize(16)
-         .font('Helvetica')
-         .text('has successfully completed the course', 0, 260, { align: 'center' });
-
-      doc.fontSize(20)
-         .font('Helvetica-Bold')
-         .text(course.title, 0, 300, { align: 'center' });
-
-      doc.fontSize(14)
-         .font('Helvetica')
-         .text(`Category: ${course.category}`, 0, 350, { align: 'center' });
-
-      doc.fontSize(12)
-         .font('Helvetica')
-         .text(`Certificate Number: ${certificateNumber}`, 0, 380, { align: 'center' });
-
-      doc.fontSize(10)
-         .font('Helvetica')
-         .text(`Issued on: ${new Date().toLocaleDateString()}`, 0, 410, { align: 'center' });
-
-      // Add decorative border
-      doc.rect(20, 20, doc.page.width - 40, doc.page.height - 40)
-         .lineWidth(3)
-         .stroke();
-
-      doc.end();
-
-      writeStream.on('finish', () => {
-        resolve(`uploads/certificates/${filename}`);
-      });
-
-      writeStream.on('error', reject);
-
-    } catch (error) {
-      reject(error);
-    }
-  });
-}
-
-// Helper function to check if a course is completed
+// Helper function to issue the course certificate once a lesson completion meets the course's rule
 const checkCourseCompletion = async (userId, lessonId) => {
   try {
     // Get course ID from lesson
@@ -473,63 +358,7 @@ const checkCourseCompletion = async (userId, lessonId) => {
 
     if (lessonResult.rows.length === 0) return;
 
-    const courseId = lessonResult.rows[0].course_id;
-
-    // Get all lessons in the course
-    const lessonsResult = await query(
-      'SELECT id FROM lessons WHERE course_id = $1 AND is_published = true',
-      [courseId]
-    );
-
-    const totalLessons = lessonsResult.rows.length;
-
-    // Get completed lessons for this user in this course
-    const completedResult = await query(
-      `SELECT COUNT(*) FROM user_progress up
-       JOIN lessons l ON up.lesson_id = l.id
-       WHERE up.user_id = $1 AND l.course_id = $2 AND up.is_completed = true`,
-      [userId, courseId]
-    );
-
-    const completedLessons = parseInt(completedResult.rows[0].count);
-
-    // If all lessons are completed, generate certificate
-    if (completedLessons === totalLessons && totalLessons > 0) {
-      // Check if certificate already exists
-      const existingCertResult = await query(
-        'SELECT id FROM certificates WHERE user_id = $1 AND course_id = $2',
-        [userId, courseId]
-      );
-
-      if (existingCertResult.rows.length === 0) {
-        // Get course and user details for PDF generation
-        const courseResult = await query(
-          'SELECT title, category FROM courses WHERE id = $1',
-          [courseId]
-        );
-
-        const userResult = await query(
-          'SELECT first_name, last_name FROM users WHERE id = $1',
-          [userId]
-        );
-
-        if (courseResult.rows.length > 0 && userResult.rows.length > 0) {
-          const course = courseResult.rows[0];
-          const user = userResult.rows[0];
-          const certificateNumber = `CERT-${userId}-${courseId}-${Date.now()}`;
-
-          // Generate PDF certificate
-          const pdfPath = await generateCertificatePDF(certificateNumber, user, course);
-
-          // Save certificate to database with PDF path
-          await query(
-            `INSERT INTO certificates (user_id, course_id, certificate_number, pdf_url, issued_at)
-             VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)`,
-            [userId, courseId, certificateNumber, pdfPath]
-          );
-        }
-      }
-    }
+    await issueCertificateIfCourseComplete(userId, lessonResult.rows[0].course_id);
   } catch (error) {
     console.error('Course completion check error:', error);
   }
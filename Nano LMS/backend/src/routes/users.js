@@ -2,30 +2,84 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const { body, validationResult, query } = require('express-validator');
 const { query: dbQuery } = require('../database/connection');
-const { requireAdmin, requireTrainer } = require('../middleware/auth');
+const { USER_ROLES, requireAdmin, requireTrainer } = require('../middleware/auth');
+const { findMissingDepartments } = require('../utils/departments');
+const { getLearnerSummaries } = require('../utils/learnerProgress');
+const { syncAssignments } = require('../utils/courseAssignments');
 
 const router = express.Router();
 
+/**
+ * Check that a user can report to a manager: the manager must exist, hold the manager role and not
+ * already report to the user, directly or further up the chain
+ * @param {number|string} managerId - Proposed manager
+ * @param {number|string|null} userId - User being assigned, or null for a new user
+ * @returns {Promise<string|null>} - Why the assignment isn't allowed, or null when it is
+ */
+const checkManager = async (managerId, userId) => {
+  if (userId && parseInt(managerId) === parseInt(userId)) {
+    return 'A user cannot be their own manager';
+  }
+
+  const managerResult = await dbQuery('SELECT role FROM users WHERE id = $1', [managerId]);
+  if (managerResult.rows.length === 0) {
+    return 'Manager with this ID does not exist';
+  }
+  if (managerResult.rows[0].role !== 'manager') {
+    return 'Only users with the manager role can have direct reports';
+  }
+
+  if (userId) {
+    const chainResult = await dbQuery(
+      `WITH RECURSIVE chain AS (
+         SELECT id, manager_id FROM users WHERE id = $1
+         UNION
+         SELECT u.id, u.manager_id FROM users u JOIN chain ON u.id = chain.manager_id
+       )
+       SELECT 1 FROM chain WHERE id = $2`,
+      [managerId, userId]
+    );
+    if (chainResult.rows.length > 0) {
+      return 'This manager already reports to the user';
+    }
+  }
+
+  return null;
+};
+
+const sendInvalidManager = (res, message) => res.status(400).json({
+  error: 'Invalid manager',
+  message
+});
+
 // Validation middleware
 const validateCreateUser = [
   body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters long'),
   body('first_name').trim().isLength({ min: 2 }).withMessage('First name must be at least 2 characters long'),
   body('last_name').trim().isLength({ min: 2 }).withMessage('Last name must be at least 2 characters long'),
-  body('role').isIn(['admin', 'trainer', 'learner']).withMessage('Role must be admin, trainer, or learner'),
-  body('work_type').isIn(['Operations', 'Sales', 'Marketing', 'Tech']).withMessage('Work type must be Operations, Sales, Marketing, or Tech')
+  body('role').isIn(USER_ROLES).withMessage('Role must be admin, trainer, manager, or learner'),
+  body('department_id').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1 }).withMessage('Department must be a department ID'),
+  body('manager_id').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1 }).withMessage('Manager must be a user ID')
 ];
 
 const validateUpdateUser = [
   body('email').optional().isEmail().normalizeEmail().withMessage('Please provide a valid email'),
   body('first_name').optional().trim().isLength({ min: 2 }).withMessage('First name must be at least 2 characters long'),
   body('last_name').optional().trim().isLength({ min: 2 }).withMessage('Last name must be at least 2 characters long'),
-  body('role').optional().isIn(['admin', 'trainer', 'learner']).withMessage('Role must be admin, trainer, or learner'),
+  body('role').optional().isIn(USER_ROLES).withMessage('Role must be admin, trainer, manager, or learner'),
   body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
   body('is_active').optional().isBoolean().withMessage('is_active must be a boolean'),
-  body('approval_status').optional().isIn(['pending', 'approved', 'rejected']).withMessage('Approval status must be pending, approved, or rejected')
+  body('approval_status').optional().isIn(['pending', 'approved', 'rejected']).withMessage('Approval status must be pending, approved, or rejected'),
+  body('department_id').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1 }).withMessage('Department must be a department ID'),
+  body('manager_id').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1 }).withMessage('Manager must be a user ID')
 ];
 
+const sendUnknownDepartment = (res) => res.status(400).json({
+  error: 'Department not found',
+  message: 'Department with this ID does not exist'
+});
+
 // @route   GET /api/users/pending-approval
 // @desc    Get users pending approval (Admin only)
 // @access  Private/Admin
@@ -57,7 +111,7 @@ router.get('/pending-approval', requireAdmin, async (req, res) => {
 // @access  Private/Admin
 router.get('/', requireAdmin, async (req, res) => {
   try {
-    const { page = 1, limit = 10, search = '', role = '' } = req.query;
+    const { page = 1, limit = 10, search = '', role = '', department = '', manager = '' } = req.query;
     const offset = (page - 1) * limit;
 
     let whereClause = '';
@@ -66,20 +120,34 @@ router.get('/', requireAdmin, async (req, res) => {
 
     if (search) {
       paramCount++;
-      whereClause += `WHERE (first_name ILIKE $${paramCount} OR last_name ILIKE $${paramCount} OR email ILIKE $${paramCount})`;
+      whereClause += `WHERE (u.first_name ILIKE $${paramCount} OR u.last_name ILIKE $${paramCount} OR u.email ILIKE $${paramCount})`;
       params.push(`%${search}%`);
     }
 
     if (role) {
       paramCount++;
       const roleCondition = search ? 'AND' : 'WHERE';
-      whereClause += ` ${roleCondition} role = $${paramCount}`;
+      whereClause += ` ${roleCondition} u.role = $${paramCount}`;
       params.push(role);
     }
 
+    if (department) {
+      paramCount++;
+      const departmentCondition = whereClause ? 'AND' : 'WHERE';
+      whereClause += ` ${departmentCondition} u.department_id = $${paramCount}`;
+      params.push(department);
+    }
+
+    if (manager) {
+      paramCount++;
+      const managerCondition = whereClause ? 'AND' : 'WHERE';
+      whereClause += ` ${managerCondition} u.manager_id = $${paramCount}`;
+      params.push(manager);
+    }
+
     // Get total count
     const countResult = await dbQuery(
-      `SELECT COUNT(*) FROM users ${whereClause}`,
+      `SELECT COUNT(*) FROM users u ${whereClause}`,
       params
     );
     const totalUsers = parseInt(countResult.rows[0].count);
@@ -87,9 +155,14 @@ router.get('/', requireAdmin, async (req, res) => {
     // Get users with pagination
     paramCount++;
     const usersResult = await dbQuery(
-      `SELECT id, email, first_name, last_name, role, avatar_url, is_active, approval_status, created_at, updated_at
-       FROM users ${whereClause}
-       ORDER BY created_at DESC
+      `SELECT u.id, u.email, u.first_name, u.last_name, u.role, u.department_id, d.name as department_name,
+              u.manager_id, m.first_name as manager_first_name, m.last_name as manager_last_name,
+              u.avatar_url, u.is_active, u.approval_status, u.created_at, u.updated_at
+       FROM users u
+       LEFT JOIN departments d ON u.department_id = d.id
+       LEFT JOIN users m ON u.manager_id = m.id
+       ${whereClause}
+       ORDER BY u.created_at DESC
        LIMIT $${paramCount} OFFSET $${paramCount + 1}`,
       [...params, limit, offset]
     );
@@ -130,7 +203,9 @@ router.post('/', requireAdmin, validateCreateUser, async (req, res) => {
       });
     }
 
-    const { email, password, first_name, last_name, role, work_type = 'Operations' } = req.body;
+    const { email, password, first_name, last_name, role } = req.body;
+    const departmentId = req.body.department_id || null;
+    const managerId = req.body.manager_id || null;
 
     // Check if user already exists
     const existingUser = await dbQuery(
@@ -145,20 +220,32 @@ router.post('/', requireAdmin, validateCreateUser, async (req, res) => {
       });
     }
 
+    if (departmentId && (await findMissingDepartments([departmentId])).length > 0) {
+      return sendUnknownDepartment(res);
+    }
+
+    const managerError = managerId && await checkManager(managerId, null);
+    if (managerError) {
+      return sendInvalidManager(res, managerError);
+    }
+
     // Hash password
     const saltRounds = 12;
     const passwordHash = await bcrypt.hash(password, saltRounds);
 
     // Create user
     const newUserResult = await dbQuery(
-      `INSERT INTO users (email, password_hash, first_name, last_name, role, work_type)
-       VALUES ($1, $2, $3, $4, $5, $6)
-       RETURNING id, email, first_name, last_name, role, work_type, is_active, created_at`,
-      [email, passwordHash, first_name, last_name, role, work_type]
+      `INSERT INTO users (email, password_hash, first_name, last_name, role, department_id, manager_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id, email, first_name, last_name, role, department_id, manager_id, is_active, created_at`,
+      [email, passwordHash, first_name, last_name, role, departmentId, managerId]
     );
 
     const newUser = newUserResult.rows[0];
 
+    // Enroll them in the courses assigned to their role or department
+    await syncAssignments([newUser.id]);
+
     res.status(201).json({
       message: 'User created successfully',
       user: newUser
@@ -186,41 +273,7 @@ router.get('/leaderboard', async (req, res) => {
       });
     }
 
-    const leaderboardQuery = `
-      SELECT 
-        u.id,
-        u.first_name,
-        u.last_name,
-        u.role,
-        COUNT(DISTINCT ce.course_id) as enrolled_courses,
-        COUNT(DISTINCT cert.id) as completed_courses,
-        COUNT(DISTINCT cert.id) as certificates,
-        CASE 
-          WHEN COUNT(DISTINCT ce.course_id) > 0 
-          THEN ROUND(((COUNT(DISTINCT cert.id)::numeric / COUNT(DISTINCT ce.course_id)::numeric) * 100)::numeric, 1)
-          ELSE 0 
-        END as progress_percentage
-      FROM users u
-      LEFT JOIN course_enrollments ce ON u.id = ce.user_id
-      LEFT JOIN certificates cert ON u.id = cert.user_id
-      WHERE u.role = 'learner'
-      GROUP BY u.id, u.first_name, u.last_name, u.role
-      ORDER BY progress_percentage DESC, completed_courses DESC, certificates DESC
-      LIMIT 10
-    `;
-
-    const result = await dbQuery(leaderboardQuery);
-    
-    const leaderboard = result.rows.map(user => ({
-      id: user.id,
-      first_name: user.first_name,
-      last_name: user.last_name,
-      role: user.role,
-      enrolledCourses: parseInt(user.enrolled_courses),
-      completedCourses: parseInt(user.completed_courses),
-      certificates: parseInt(user.certificates),
-      progressPercentage: parseFloat(user.progress_percentage)
-    }));
+    const leaderboard = await getLearnerSummaries({ role: 'learner', limit: 10 });
 
     res.json({ leaderboard });
   } catch (error) {
@@ -248,7 +301,13 @@ router.get('/:id', async (req, res) => {
     }
 
     const userResult = await dbQuery(
-      'SELECT id, email, first_name, last_name, role, avatar_url, is_active, approval_status, created_at, updated_at FROM users WHERE id = $1',
+      `SELECT u.id, u.email, u.first_name, u.last_name, u.role, u.department_id, d.name as department_name,
+              u.manager_id, m.first_name as manager_first_name, m.last_name as manager_last_name,
+              u.avatar_url, u.is_active, u.approval_status, u.created_at, u.updated_at
+       FROM users u
+       LEFT JOIN departments d ON u.department_id = d.id
+       LEFT JOIN users m ON u.manager_id = m.id
+       WHERE u.id = $1`,
       [id]
     );
 
@@ -287,7 +346,7 @@ router.put('/:id', requireAdmin, validateUpdateUser, async (req, res) => {
     }
 
     const { id } = req.params;
-    const { email, first_name, last_name, role, isActive, is_active, approval_status } = req.body;
+    const { email, first_name, last_name, role, isActive, is_active, approval_status, department_id, manager_id } = req.body;
     
     // Handle both camelCase and snake_case for isActive
     const isActiveValue = isActive !== undefined ? isActive : is_active;
@@ -323,6 +382,27 @@ router.put('/:id', requireAdmin, validateUpdateUser, async (req, res) => {
       }
     }
 
+    if (department_id && (await findMissingDepartments([department_id])).length > 0) {
+      return sendUnknownDepartment(res);
+    }
+
+    const managerError = manager_id && await checkManager(manager_id, id);
+    if (managerError) {
+      return sendInvalidManager(res, managerError);
+    }
+
+    // Direct reports must always point at a manager, so they are reassigned before a manager changes role
+    if (role !== undefined && role !== 'manager') {
+      const reportsResult = await dbQuery('SELECT COUNT(*) FROM users WHERE manager_id = $1', [id]);
+      const reportCount = parseInt(reportsResult.rows[0].count);
+      if (reportCount > 0) {
+        return res.status(409).json({
+          error: 'User has direct reports',
+          message: `This user manages ${reportCount} user(s). Reassign them before changing the role.`
+        });
+      }
+    }
+
     // Build update query dynamically
     const updateFields = [];
     const values = [];
@@ -364,6 +444,18 @@ router.put('/:id', requireAdmin, validateUpdateUser, async (req, res) => {
       values.push(approval_status);
     }
 
+    if (department_id !== undefined && req.user.role === 'admin') {
+      paramCount++;
+      updateFields.push(`department_id = $${paramCount}`);
+      values.push(department_id || null);
+    }
+
+    if (manager_id !== undefined && req.user.role === 'admin') {
+      paramCount++;
+      updateFields.push(`manager_id = $${paramCount}`);
+      values.push(manager_id || null);
+    }
+
     if (updateFields.length === 0) {
       return res.status(400).json({
         error: 'No updates provided',
@@ -377,7 +469,7 @@ router.put('/:id', requireAdmin, validateUpdateUser, async (req, res) => {
 
     const updateResult = await dbQuery(
       `UPDATE users SET ${updateFields.join(', ')} WHERE id = $${paramCount}
-       RETURNING id, email, first_name, last_name, role, avatar_url, is_active, approval_status, created_at, updated_at`,
+       RETURNING id, email, first_name, last_name, role, department_id, manager_id, avatar_url, is_active, approval_status, created_at, updated_at`,
       values
     );
 
@@ -388,6 +480,11 @@ router.put('/:id', requireAdmin, validateUpdateUser, async (req, res) => {
       });
     }
 
+    // A new role, department or active status changes which assignments apply
+    if (role !== undefined || department_id !== undefined || isActiveValue !== undefined) {
+      await syncAssignments([updateResult.rows[0].id]);
+    }
+
     res.json({
       message: 'User updated successfully',
       user: updateResult.rows[0]
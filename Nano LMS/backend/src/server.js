@@ -10,10 +10,20 @@ const userRoutes = require('./routes/users');
 const courseRoutes = require('./routes/courses');
 const lessonRoutes = require('./routes/lessons');
 const quizRoutes = require('./routes/quizzes');
-const { router: certificateRoutes } = require('./routes/certificates');
+const questionBankRoutes = require('./routes/questionBank');
+const gradingQueueRoutes = require('./routes/gradingQueue');
+const certificateRoutes = require('./routes/certificates');
+const certificateTemplateRoutes = require('./routes/certificateTemplates');
+const badgeRoutes = require('./routes/badges');
+const departmentRoutes = require('./routes/departments');
+const teamRoutes = require('./routes/team');
+const assignmentRoutes = require('./routes/assignments');
+const learningPathRoutes = require('./routes/learningPaths');
 const uploadRoutes = require('./routes/upload');
 const userProgressRoutes = require('./routes/userProgress');
-const aiQuizRoutes = require('./routes/aiQuiz');
+const { router: aiQuizRoutes, failInterruptedJobs } = require('./routes/aiQuiz');
+const aiUsageRoutes = require('./routes/aiUsage');
+const aiLessonRoutes = require('./routes/aiLesson');
 
 const { errorHandler } = require('./middleware/errorHandler');
 const { authenticateToken } = require('./middleware/auth');
@@ -96,10 +106,20 @@ app.use('/api/users', authenticateToken, userRoutes);
 app.use('/api/courses', courseRoutes);
 app.use('/api/lessons', authenticateToken, lessonRoutes);
 app.use('/api/quizzes', authenticateToken, quizRoutes);
-app.use('/api/certificates', authenticateToken, certificateRoutes);
+app.use('/api/question-bank', authenticateToken, questionBankRoutes);
+app.use('/api/grading-queue', authenticateToken, gradingQueueRoutes);
+app.use('/api/certificates', certificateRoutes);
+app.use('/api/certificate-templates', authenticateToken, certificateTemplateRoutes);
+app.use('/api/badges', badgeRoutes);
+app.use('/api/departments', authenticateToken, departmentRoutes);
+app.use('/api/team', authenticateToken, teamRoutes);
+app.use('/api/assignments', authenticateToken, assignmentRoutes);
+app.use('/api/learning-paths', authenticateToken, learningPathRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/user-progress', userProgressRoutes);
 app.use('/api/ai-quiz', aiQuizRoutes);
+app.use('/api/ai-usage', authenticateToken, aiUsageRoutes);
+app.use('/api/ai-lesson', authenticateToken, aiLessonRoutes);
 
 // Error handling middleware
 app.use(errorHandler);
@@ -117,6 +137,7 @@ app.listen(PORT, () => {
   console.log(`🚀 Nano LMS Backend running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV}`);
   console.log(`🔗 Health check: http://localhost:${PORT}/api/health`);
+  failInterruptedJobs();
 });
 
 module.exports = app;
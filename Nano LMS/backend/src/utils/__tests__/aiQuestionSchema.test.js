@@ -0,0 +1,85 @@
+const { parseQuestionArray, parseJsonObject, validateGeneratedQuestion, isNearDuplicate } = require('../aiQuestionSchema');
+
+const question = (fields = {}) => ({
+  question: 'What is the capital of France?',
+  options: { A: 'Paris', B: 'Lyon', C: 'Nice', D: 'Lille' },
+  correctAnswer: 'A',
+  explanation: 'Paris is the capital.',
+  ...fields
+});
+
+describe('parseQuestionArray', () => {
+  it('accepts a bare array or an object with questions', () => {
+    expect(parseQuestionArray('[{"question": "Q"}]')).toEqual({ items: [{ question: 'Q' }] });
+    expect(parseQuestionArray('{"questions": [1, 2]}')).toEqual({ items: [1, 2] });
+  });
+
+  it('finds the array inside prose or a code fence', () => {
+    expect(parseQuestionArray('Sure!\n```json\n[{"question": "Q"}]\n```\nGood luck')).toEqual({ items: [{ question: 'Q' }] });
+    expect(parseQuestionArray('Here: [{"question": "Why [not]?"}] hope that helps')).toEqual({ items: [{ question: 'Why [not]?' }] });
+  });
+
+  it('reports empty and unparseable responses', () => {
+    expect(parseQuestionArray('  ')).toEqual({ error: 'The response was empty' });
+    expect(parseQuestionArray(null)).toEqual({ error: 'The response was empty' });
+    expect(parseQuestionArray('I cannot help with that')).toEqual({ error: 'The response did not contain a JSON array of questions' });
+    expect(parseQuestionArray('{"answer": 42}')).toEqual({ error: 'The response did not contain a JSON array of questions' });
+  });
+});
+
+describe('parseJsonObject', () => {
+  it('finds an object inside prose or a code fence', () => {
+    expect(parseJsonObject('Draft: {"summary": "S"} done')).toEqual({ value: { summary: 'S' } });
+    expect(parseJsonObject('```json\n{"glossary": []}\n```')).toEqual({ value: { glossary: [] } });
+  });
+
+  it('rejects empty responses and arrays', () => {
+    expect(parseJsonObject(' ')).toEqual({ error: 'The response was empty' });
+    expect(parseJsonObject('[1, 2]')).toEqual({ error: 'The response did not contain a JSON object' });
+  });
+});
+
+describe('validateGeneratedQuestion', () => {
+  it('normalizes option keys, answer letter and whitespace', () => {
+    const result = validateGeneratedQuestion(question({
+      question: '  What is the capital of France? ',
+      options: { ' d': 'Lille', b: 'Lyon', A: ' Paris ', C: 'Nice' },
+      correctAnswer: ' a',
+      explanation: undefined
+    }));
+
+    expect(result).toEqual({
+      question: {
+        question: 'What is the capital of France?',
+        options: { A: 'Paris', B: 'Lyon', C: 'Nice', D: 'Lille' },
+        correctAnswer: 'A',
+        explanation: null
+      }
+    });
+  });
+
+  it.each([
+    ['a non-object', 'Q', 'is not an object'],
+    ['blank question text', question({ question: ' ' }), 'needs question text of at most 1000 characters'],
+    ['options as an array', question({ options: ['Paris', 'Lyon', 'Nice', 'Lille'] }), 'needs options as an object keyed A to D'],
+    ['three options', question({ options: { A: 'Paris', B: 'Lyon', C: 'Nice' } }), 'must have exactly four options labelled A, B, C and D'],
+    ['an empty option', question({ options: { A: 'Paris', B: '', C: 'Nice', D: 'Lille' } }), 'has an empty or overlong option B'],
+    ['repeated options', question({ options: { A: 'Paris', B: 'paris', C: 'Nice', D: 'Lille' } }), 'has two identical options'],
+    ['an answer outside A-D', question({ correctAnswer: 'E' }), 'needs a correctAnswer of A, B, C or D'],
+    ['a blank explanation', question({ explanation: ' ' }), 'has an explanation that is empty or longer than 2000 characters']
+  ])('rejects %s', (_, item, error) => {
+    expect(validateGeneratedQuestion(item)).toEqual({ error });
+  });
+});
+
+describe('isNearDuplicate', () => {
+  it('ignores case, punctuation and small wording changes', () => {
+    expect(isNearDuplicate('What is the capital of France?', 'what is the capital of france')).toBe(true);
+    expect(isNearDuplicate('Which gas do plants absorb from the air during photosynthesis?', 'Which gas do plants absorb from air during photosynthesis?')).toBe(true);
+  });
+
+  it('keeps genuinely different questions', () => {
+    expect(isNearDuplicate('What is the capital of France?', 'What is the capital of Spain?')).toBe(false);
+    expect(isNearDuplicate('', 'Anything')).toBe(false);
+  });
+});
@@ -0,0 +1,31 @@
+const { chunkText, allocateProportionally } = require('../contentChunking');
+
+describe('chunkText', () => {
+  it('keeps paragraphs together while they fit', () => {
+    expect(chunkText('One.\n\nTwo.\n\n\nThree.', 100)).toEqual(['One.\n\nTwo.\n\nThree.']);
+    expect(chunkText('First paragraph.\n\nSecond paragraph.', 20)).toEqual(['First paragraph.', 'Second paragraph.']);
+  });
+
+  it('splits oversized paragraphs at sentences, then hard-cuts run-on text', () => {
+    expect(chunkText('Short one. Another short one. A third.', 30)).toEqual(['Short one. Another short one.', 'A third.']);
+    expect(chunkText('x'.repeat(25), 10)).toEqual(['x'.repeat(10), 'x'.repeat(10), 'x'.repeat(5)]);
+  });
+
+  it('returns nothing for blank text', () => {
+    expect(chunkText('  \n\n ', 10)).toEqual([]);
+    expect(chunkText(null, 10)).toEqual([]);
+  });
+});
+
+describe('allocateProportionally', () => {
+  it('shares the total out by weight, leftovers to the largest remainders', () => {
+    expect(allocateProportionally([3, 1], 4)).toEqual([3, 1]);
+    expect(allocateProportionally([1, 1, 1], 4)).toEqual([2, 1, 1]);
+    expect(allocateProportionally([10, 0, 5], 2)).toEqual([1, 0, 1]);
+  });
+
+  it('gives nothing to zero weights', () => {
+    expect(allocateProportionally([0, 0], 5)).toEqual([0, 0]);
+    expect(allocateProportionally([0, 7], 3)).toEqual([0, 3]);
+  });
+});
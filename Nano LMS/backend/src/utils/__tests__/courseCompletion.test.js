@@ -0,0 +1,144 @@
+jest.mock('../../database/connection', () => ({ query: jest.fn(), pool: { connect: jest.fn() } }));
+jest.mock('../certificateRenderer', () => ({
+  generateCertificatePDF: jest.fn(async (number) => `uploads/certificates/certificate-${number}.pdf`),
+  removeCertificatePDF: jest.fn(async () => {})
+}));
+
+const { query, pool } = require('../../database/connection');
+const { generateCertificatePDF, removeCertificatePDF } = require('../certificateRenderer');
+const { issueCertificateIfCourseComplete } = require('../courseCompletion');
+
+const EXPIRED_AT = new Date('2025-01-01T00:00:00Z');
+
+// A transaction client answering the issuance queries from the given course state
+const createClient = ({ rule = 'both', lessons = [0, 0], quizzes = [0, 0], existing = null, failInsert = false }) => {
+  const client = {
+    release: jest.fn(),
+    query: jest.fn(async (sql) => {
+      if (sql.startsWith('SELECT id, certificate_rule FROM courses')) {
+        return { rows: [{ id: 10, certificate_rule: rule }] };
+      }
+      if (sql.includes('expires_at <= NOW() as is_expired')) {
+        return { rows: existing ? [existing] : [] };
+      }
+      if (sql.includes('FROM lessons l')) {
+        return { rows: [{ total: String(lessons[1]), completed: String(lessons[0]) }] };
+      }
+      if (sql.includes('FROM quizzes q')) {
+        return { rows: [{ total: String(quizzes[1]), passed: String(quizzes[0]) }] };
+      }
+      if (sql.includes('nextval')) {
+        return { rows: [{ id: 99 }] };
+      }
+      if (sql.startsWith('INSERT INTO certificates')) {
+        if (failInsert) throw new Error('duplicate key value violates unique constraint');
+        return { rows: [{ id: 99, certificate_number: 'CERT-NEW' }] };
+      }
+      return { rows: [] };
+    })
+  };
+  pool.connect.mockResolvedValue(client);
+  return client;
+};
+
+const ran = (client, pattern) => client.query.mock.calls.filter(([sql]) => pattern.test(sql));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  query.mockResolvedValue({ rows: [] });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('certificate rules', () => {
+  it.each([
+    ['lessons', true],
+    ['quiz', false],
+    ['both', false]
+  ])('with every lesson done but a quiz not passed, "%s" is complete: %s', async (rule, complete) => {
+    createClient({ rule, lessons: [3, 3], quizzes: [0, 1] });
+    const result = await issueCertificateIfCourseComplete(1, 10);
+    expect(result).toMatchObject({ courseCompleted: complete, issued: complete });
+  });
+
+  it.each([
+    ['lessons', false],
+    ['quiz', true],
+    ['both', false]
+  ])('with every quiz passed but a lesson open, "%s" is complete: %s', async (rule, complete) => {
+    createClient({ rule, lessons: [2, 3], quizzes: [2, 2] });
+    const result = await issueCertificateIfCourseComplete(1, 10);
+    expect(result).toMatchObject({ courseCompleted: complete, issued: complete });
+  });
+
+  it('needs something to complete', async () => {
+    createClient({ rule: 'quiz', lessons: [3, 3], quizzes: [0, 0] });
+    expect(await issueCertificateIfCourseComplete(1, 10)).toEqual({ courseCompleted: false, certificate: null, issued: false });
+
+    createClient({ rule: 'both', lessons: [0, 0], quizzes: [0, 0] });
+    expect(await issueCertificateIfCourseComplete(1, 10)).toEqual({ courseCompleted: false, certificate: null, issued: false });
+  });
+});
+
+describe('issueCertificateIfCourseComplete', () => {
+  it('issues inside a per-learner, per-course lock and records the quiz score', async () => {
+    const client = createClient({ rule: 'both', lessons: [1, 1], quizzes: [1, 1] });
+
+    const result = await issueCertificateIfCourseComplete(1, 10, { quizId: 4, score: 90 });
+
+    expect(result).toEqual({ courseCompleted: true, certificate: { id: 99, certificate_number: 'CERT-NEW' }, issued: true });
+    expect(client.query).toHaveBeenCalledWith('SELECT pg_advisory_xact_lock($1, $2)', [1, 10]);
+    expect(ran(client, /^INSERT INTO certificates/)[0][1]).toEqual(
+      [99, 1, 10, 4, 90, expect.stringMatching(/^CERT-[0-9A-F]{12}$/), expect.stringMatching(/^uploads\/certificates\//)]
+    );
+    expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('returns a current certificate instead of issuing another', async () => {
+    const existing = { id: 5, certificate_number: 'CERT-OLD', revoked_at: null, expires_at: null, is_expired: null };
+    const client = createClient({ rule: 'lessons', lessons: [1, 1], existing });
+
+    const result = await issueCertificateIfCourseComplete(1, 10);
+
+    expect(result).toEqual({
+      courseCompleted: true,
+      certificate: { id: 5, certificate_number: 'CERT-OLD', revoked_at: null, expires_at: null },
+      issued: false
+    });
+    expect(generateCertificatePDF).not.toHaveBeenCalled();
+    expect(ran(client, /^INSERT INTO certificates/)).toHaveLength(0);
+  });
+
+  it('does not reissue a revoked certificate', async () => {
+    const existing = { id: 5, revoked_at: new Date(), expires_at: EXPIRED_AT, is_expired: true };
+    createClient({ rule: 'lessons', lessons: [1, 1], existing });
+
+    expect(await issueCertificateIfCourseComplete(1, 10)).toMatchObject({ issued: false, certificate: { id: 5 } });
+    expect(generateCertificatePDF).not.toHaveBeenCalled();
+  });
+
+  it('renews an expired certificate, counting only quiz passes since it lapsed', async () => {
+    const existing = { id: 5, revoked_at: null, expires_at: EXPIRED_AT, is_expired: true };
+    const client = createClient({ rule: 'quiz', quizzes: [1, 1], existing });
+
+    expect(await issueCertificateIfCourseComplete(1, 10)).toMatchObject({ issued: true, certificate: { id: 99 } });
+
+    expect(ran(client, /FROM quizzes q/)[0][1]).toEqual([1, 10, EXPIRED_AT]);
+    // Lessons only restart on lessons-only courses
+    expect(ran(client, /FROM lessons l/)[0][1]).toEqual([1, 10, null]);
+    expect(client.query).toHaveBeenCalledWith('UPDATE certificates SET replaced_by = $1 WHERE id = $2', [99, 5]);
+  });
+
+  it('removes the rendered PDF when the certificate is rolled back', async () => {
+    const client = createClient({ rule: 'lessons', lessons: [1, 1], failInsert: true });
+
+    const result = await issueCertificateIfCourseComplete(1, 10);
+
+    expect(result).toEqual({ courseCompleted: true, certificate: null, issued: false });
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    expect(removeCertificatePDF).toHaveBeenCalledWith(await generateCertificatePDF.mock.results[0].value);
+    expect(client.release).toHaveBeenCalled();
+  });
+});
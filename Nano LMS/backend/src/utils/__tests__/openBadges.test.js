@@ -0,0 +1,81 @@
+jest.mock('../../database/connection', () => ({ query: jest.fn(), pool: {} }));
+
+const crypto = require('crypto');
+
+const CERTIFICATE = {
+  certificate_number: 'CERT-0A1B2C3D4E5F',
+  course_id: 10,
+  email: 'Learner@Example.com',
+  issued_at: '2026-03-01T09:00:00Z',
+  expires_at: null
+};
+
+// Load the module against the given environment; the signing key is read once per load
+const loadBadges = (env = {}) => {
+  jest.resetModules();
+  delete process.env.BADGE_SIGNING_KEY;
+  delete process.env.BADGE_HOSTED_VERIFICATION;
+  Object.assign(process.env, env);
+  return require('../openBadges');
+};
+
+const fromBase64Url = (text) => Buffer.from(text.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+
+afterEach(() => {
+  delete process.env.BADGE_SIGNING_KEY;
+  delete process.env.BADGE_HOSTED_VERIFICATION;
+});
+
+describe('signed badges', () => {
+  const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  // Stored in the environment with escaped newlines, as env.example shows
+  const pem = privateKey.export({ type: 'pkcs8', format: 'pem' }).replace(/\n/g, '\\n');
+
+  it('signs the assertion so it verifies against the published key', () => {
+    const { getVerificationType, buildAssertion, signAssertion, buildPublicKey, buildIssuer } = loadBadges({ BADGE_SIGNING_KEY: pem });
+
+    expect(getVerificationType()).toBe('SignedBadge');
+    const assertion = buildAssertion(CERTIFICATE);
+    expect(assertion.verification).toEqual({ type: 'SignedBadge', creator: expect.stringMatching(/\/api\/badges\/issuer\/key$/) });
+    expect(buildIssuer()).toMatchObject({ publicKey: assertion.verification.creator });
+
+    const [header, payload, signature] = signAssertion(assertion).split('.');
+    expect(JSON.parse(fromBase64Url(header))).toEqual({ alg: 'RS256' });
+    expect(JSON.parse(fromBase64Url(payload))).toEqual(assertion);
+
+    const publicKey = crypto.createPublicKey(buildPublicKey().publicKeyPem);
+    expect(crypto.verify('RSA-SHA256', Buffer.from(`${header}.${payload}`), publicKey, fromBase64Url(signature))).toBe(true);
+    expect(crypto.verify('RSA-SHA256', Buffer.from(`${header}.${payload}x`), publicKey, fromBase64Url(signature))).toBe(false);
+  });
+
+  it('hashes the recipient email instead of publishing it', () => {
+    const { buildAssertion } = loadBadges({ BADGE_SIGNING_KEY: pem });
+
+    const { recipient } = buildAssertion(CERTIFICATE);
+    const expected = crypto.createHash('sha256').update(`learner@example.com${recipient.salt}`).digest('hex');
+    expect(recipient).toMatchObject({ type: 'email', hashed: true, identity: `sha256$${expected}` });
+  });
+});
+
+describe('without a signing key', () => {
+  it('refuses to export badges unless hosted verification is switched on', () => {
+    const { getVerificationType, buildAssertion, signAssertion, buildPublicKey } = loadBadges();
+
+    expect(getVerificationType()).toBeNull();
+    expect(() => buildAssertion(CERTIFICATE)).toThrow('Badge export is not configured');
+    expect(signAssertion({})).toBeNull();
+    expect(buildPublicKey()).toBeNull();
+  });
+
+  it('issues hosted badges when BADGE_HOSTED_VERIFICATION is true', () => {
+    const { getVerificationType, buildAssertion, buildIssuer } = loadBadges({ BADGE_HOSTED_VERIFICATION: 'true' });
+
+    expect(getVerificationType()).toBe('HostedBadge');
+    expect(buildAssertion(CERTIFICATE).verification).toEqual({ type: 'HostedBadge' });
+    expect(buildIssuer().publicKey).toBeUndefined();
+  });
+
+  it('only takes "true" as switching hosted verification on', () => {
+    expect(loadBadges({ BADGE_HOSTED_VERIFICATION: 'yes' }).getVerificationType()).toBeNull();
+  });
+});
@@ -0,0 +1,128 @@
+jest.mock('../../database/connection', () => ({ query: jest.fn(), pool: {} }));
+
+const { query } = require('../../database/connection');
+const { drawAttemptQuestions, toLearnerQuestion, toOriginalAnswer } = require('../questionDraw');
+
+const row = (id, fields = {}) => ({
+  id,
+  question_text: `Question ${id}`,
+  question_type: 'multiple_choice',
+  options: ['A', 'B', 'C', 'D'],
+  correct_answer: 0,
+  explanation: null,
+  option_feedback: null,
+  points: 1,
+  ...fields
+});
+
+const isPermutation = (order, length) => [...order].sort((a, b) => a - b).join() === [...Array(length).keys()].join();
+
+describe('drawAttemptQuestions', () => {
+  beforeEach(() => query.mockReset());
+
+  it('puts fixed questions before bank draws and snapshots them', async () => {
+    query
+      .mockResolvedValueOnce({ rows: [row(1, { explanation: 'Why' }), row(2, { question_type: 'true_false', options: ['True', 'False'], points: 3 })] })
+      .mockResolvedValueOnce({ rows: [{ tag: 'safety', draw_count: 1 }] })
+      .mockResolvedValueOnce({ rows: [row(7)] });
+
+    const questions = await drawAttemptQuestions({ id: 5, course_id: 9, shuffle_options: false });
+
+    expect(questions.map((q) => q.key)).toEqual(['quiz-1', 'quiz-2', 'bank-7']);
+    expect(questions[1]).toMatchObject({ source: 'quiz', source_id: 2, points: 3, option_order: [0, 1] });
+    expect(questions[0]).toMatchObject({ explanation: 'Why', option_feedback: null });
+    expect(questions[2]).toMatchObject({ source: 'bank', source_id: 7, option_order: [0, 1, 2, 3] });
+    expect(query.mock.calls[2][1]).toEqual([9, 'safety', [], 1]);
+  });
+
+  it('never draws a bank question twice across overlapping pools', async () => {
+    query
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ tag: null, draw_count: 1 }, { tag: 'fire', draw_count: 2 }] })
+      .mockResolvedValueOnce({ rows: [row(4)] })
+      .mockResolvedValueOnce({ rows: [row(5), row(6)] });
+
+    await drawAttemptQuestions({ id: 5, course_id: 9, shuffle_options: true });
+
+    expect(query.mock.calls[3][1]).toEqual([9, 'fire', [4], 2]);
+  });
+
+  it('shuffles options only when the quiz asks for it and the type allows it', async () => {
+    const rows = [
+      row(1, { options: [...'ABCDEFGHIJ'] }),
+      row(2, { question_type: 'true_false', options: ['True', 'False'], correct_answer: true })
+    ];
+    query.mockResolvedValueOnce({ rows }).mockResolvedValueOnce({ rows: [] });
+    const [unshuffled] = await drawAttemptQuestions({ id: 5, course_id: 9, shuffle_options: false });
+    expect(unshuffled.option_order).toEqual([...Array(10).keys()]);
+
+    query.mockResolvedValueOnce({ rows }).mockResolvedValueOnce({ rows: [] });
+    const [choice, trueFalse] = await drawAttemptQuestions({ id: 5, course_id: 9, shuffle_options: true });
+    expect(isPermutation(choice.option_order, 10)).toBe(true);
+    expect(trueFalse.option_order).toEqual([0, 1]);
+  });
+
+  it('always shuffles ordering and matching questions', async () => {
+    const rows = [
+      row(1, { question_type: 'ordering', options: [...'ABCDEFGHIJ'] }),
+      row(2, { question_type: 'matching', options: [...'ABCDEFGHIJ'].map((letter) => ({ prompt: letter, match: letter })) })
+    ];
+    query.mockResolvedValueOnce({ rows }).mockResolvedValueOnce({ rows: [] });
+    const questions = await drawAttemptQuestions({ id: 5, course_id: 9, shuffle_options: false });
+
+    for (const question of questions) {
+      expect(isPermutation(question.option_order, 10)).toBe(true);
+    }
+    // Ten items only come out in their stored order once in 3.6 million shuffles
+    expect(questions.some((question) => question.option_order.join() !== [...Array(10).keys()].join())).toBe(true);
+  });
+});
+
+describe('toLearnerQuestion', () => {
+  it('shows options in the attempt order without the answer', () => {
+    const question = {
+      key: 'quiz-1', question_text: 'Pick', question_type: 'multiple_choice', options: ['A', 'B', 'C'],
+      correct_answer: 1, option_order: [2, 0, 1], points: 2
+    };
+    expect(toLearnerQuestion(question)).toEqual({
+      id: 'quiz-1', question_text: 'Pick', question_type: 'multiple_choice', options: ['C', 'A', 'B'], points: 2
+    });
+  });
+
+  it('shows matching prompts in place with the matches shuffled', () => {
+    const question = {
+      key: 'bank-2', question_text: 'Match', question_type: 'matching', correct_answer: [0, 1], option_order: [1, 0], points: 1,
+      options: [{ prompt: 'Dog', match: 'Bark' }, { prompt: 'Cat', match: 'Meow' }]
+    };
+    expect(toLearnerQuestion(question)).toEqual({
+      id: 'bank-2', question_text: 'Match', question_type: 'matching', options: ['Dog', 'Cat'], matches: ['Meow', 'Bark'], points: 1
+    });
+  });
+});
+
+describe('toOriginalAnswer', () => {
+  const question = { question_type: 'multiple_choice', option_order: [2, 0, 1] };
+
+  it('maps displayed indexes back to stored ones', () => {
+    expect(toOriginalAnswer(question, 0)).toBe(2);
+    expect(toOriginalAnswer(question, '2')).toBe(1);
+    expect(toOriginalAnswer(question, [0, 1])).toEqual([2, 0]);
+  });
+
+  it('leaves missing answers alone', () => {
+    expect(toOriginalAnswer(question, undefined)).toBeUndefined();
+    expect(toOriginalAnswer(question, null)).toBeNull();
+  });
+
+  it('treats blank or invalid indexes as unanswered', () => {
+    expect(toOriginalAnswer(question, '')).toBeNull();
+    expect(toOriginalAnswer(question, 'B')).toBeNull();
+    expect(toOriginalAnswer(question, 3)).toBeNull();
+    expect(toOriginalAnswer(question, 1.5)).toBeNull();
+    expect(toOriginalAnswer(question, [0, '', null])).toEqual([2, null, null]);
+  });
+
+  it('leaves answers to unshuffled types alone', () => {
+    expect(toOriginalAnswer({ question_type: 'true_false', option_order: [0, 1] }, 'true')).toBe('true');
+  });
+});
@@ -0,0 +1,150 @@
+jest.mock('../../database/connection', () => ({ query: jest.fn(), pool: {} }));
+
+const { normalizeQuestion, normalizeQuestions, gradeAttempt, reviewAttempt } = require('../quizGrading');
+
+// Attempt snapshot as drawAttemptQuestions() stores it, options in stored order unless given
+const snapshot = (key, fields) => ({
+  key,
+  question_type: 'multiple_choice',
+  question_text: `Question ${key}`,
+  options: [],
+  points: 1,
+  explanation: null,
+  option_feedback: null,
+  ...fields,
+  option_order: fields.option_order || (fields.options || []).map((_, index) => index)
+});
+
+describe('normalizeQuestion', () => {
+  it('defaults to multiple choice and trims text', () => {
+    expect(normalizeQuestion({ question_text: ' Pick one ', options: ['A', 'B'], correct_answer: 0, explanation: ' Because ' })).toEqual({
+      question_text: 'Pick one',
+      question_type: 'multiple_choice',
+      options: ['A', 'B'],
+      correct_answer: 0,
+      explanation: 'Because',
+      option_feedback: null,
+      points: 1,
+      source_lesson_id: null
+    });
+  });
+
+  it('rejects unknown types and blank text', () => {
+    expect(normalizeQuestion({ question_type: 'drawing', question_text: 'Draw' }).error).toMatch(/^has an unsupported type "drawing"/);
+    expect(normalizeQuestion({ question_text: ' ', options: ['A', 'B'], correct_answer: 0 }).error).toBe('needs question text');
+  });
+
+  it('keeps option feedback lined up with the options', () => {
+    const base = { question_text: 'Pick', options: ['A', 'B', 'C'], correct_answer: 0 };
+    expect(normalizeQuestion({ ...base, option_feedback: [' Right ', '', null] }).option_feedback).toEqual(['Right', null, null]);
+    expect(normalizeQuestion({ ...base, option_feedback: ['', ' '] }).option_feedback).toBeNull();
+    expect(normalizeQuestion({ ...base, option_feedback: ['a', 'b', 'c', 'd'] }).error).toBe('has option feedback that does not line up with its options');
+    expect(normalizeQuestion({ ...base, explanation: 42 }).error).toBe('has an explanation that is not text');
+  });
+
+  it('reports the first invalid question by position', () => {
+    expect(normalizeQuestions([
+      { question_text: 'Fine', options: ['A', 'B'], correct_answer: 1 },
+      { question_text: 'Broken', options: ['A'], correct_answer: 0 }
+    ])).toEqual({ error: 'Question 2 needs at least 2 options' });
+  });
+});
+
+describe('gradeAttempt', () => {
+  const questions = [
+    snapshot('quiz-1', { options: ['Red', 'Green', 'Blue'], correct_answer: 2, option_order: [2, 0, 1] }),
+    snapshot('quiz-2', { question_type: 'true_false', options: ['True', 'False'], correct_answer: true }),
+    snapshot('bank-3', { question_type: 'short_answer', correct_answer: { accepted: ['Paris'], patterns: [] }, points: 2 })
+  ];
+
+  it('grades answers given in the shuffled order', () => {
+    // Displayed first is stored option 2
+    expect(gradeAttempt(questions, { 'quiz-1': 0, 'quiz-2': 'true', 'bank-3': ' paris' })).toEqual({
+      score: 100, correctAnswers: 3, totalQuestions: 3, pendingReview: 0
+    });
+  });
+
+  it('weights scores by points', () => {
+    expect(gradeAttempt(questions, { 'quiz-1': 1, 'quiz-2': true, 'bank-3': 'Lyon' })).toEqual({
+      score: 25, correctAnswers: 1, totalQuestions: 3, pendingReview: 0
+    });
+  });
+
+  it('does not credit a blank answer with the first displayed option', () => {
+    const firstIsCorrect = [snapshot('quiz-1', { options: ['Red', 'Green'], correct_answer: 1, option_order: [1, 0] })];
+    expect(gradeAttempt(firstIsCorrect, { 'quiz-1': '' }).score).toBe(0);
+    expect(gradeAttempt(firstIsCorrect, { 'quiz-1': 'first' }).score).toBe(0);
+    expect(gradeAttempt(firstIsCorrect, { 'quiz-1': '0' }).score).toBe(100);
+  });
+
+  it('grades multi-select picks given in the shuffled order', () => {
+    const multiSelect = [snapshot('bank-3', {
+      question_type: 'multi_select', options: ['A', 'B', 'C', 'D'], correct_answer: [0, 1], option_order: [3, 2, 1, 0]
+    })];
+    // Displayed 3 and 2 are stored 0 and 1
+    expect(gradeAttempt(multiSelect, { 'bank-3': [3, 2] }).score).toBe(100);
+    expect(gradeAttempt(multiSelect, { 'bank-3': [3] }).score).toBe(50);
+  });
+
+  it('gives no credit for blank or invalid list answers', () => {
+    const lists = [
+      snapshot('quiz-1', { question_type: 'multi_select', options: ['A', 'B', 'C'], correct_answer: [0], option_order: [0, 1, 2] }),
+      snapshot('quiz-2', { question_type: 'ordering', options: ['A', 'B'], correct_answer: [0, 1], option_order: [1, 0] })
+    ];
+    expect(gradeAttempt(lists, { 'quiz-1': ['', 'zz'], 'quiz-2': ['', 'zz'] }).score).toBe(0);
+    expect(gradeAttempt(lists, { 'quiz-1': [null, 7], 'quiz-2': [1, 5] }).score).toBe(0);
+    expect(gradeAttempt(lists, { 'quiz-1': ['0'], 'quiz-2': ['1', '0'] }).score).toBe(100);
+  });
+
+  it('counts manual questions as zero until they are reviewed', () => {
+    const withEssay = [
+      snapshot('quiz-1', { options: ['A', 'B'], correct_answer: 0 }),
+      snapshot('quiz-2', { question_type: 'essay', correct_answer: { guidance: '' }, points: 3 })
+    ];
+    expect(gradeAttempt(withEssay, { 'quiz-1': 0, 'quiz-2': 'My essay' })).toEqual({
+      score: 25, correctAnswers: 1, totalQuestions: 2, pendingReview: 1
+    });
+    expect(gradeAttempt(withEssay, { 'quiz-1': 0 }, { 'quiz-2': { score: 3 } })).toEqual({
+      score: 100, correctAnswers: 2, totalQuestions: 2, pendingReview: 0
+    });
+    // Trainer scores are clamped to the question's points
+    expect(gradeAttempt(withEssay, {}, { 'quiz-2': { score: 10 } }).score).toBe(75);
+  });
+
+  it('scores an empty attempt as zero', () => {
+    expect(gradeAttempt([], {})).toEqual({ score: 0, correctAnswers: 0, totalQuestions: 0, pendingReview: 0 });
+  });
+});
+
+describe('reviewAttempt', () => {
+  const questions = [
+    snapshot('quiz-1', {
+      options: ['Red', 'Green', 'Blue'], correct_answer: 2, option_order: [2, 0, 1],
+      explanation: 'Blue is right', option_feedback: [null, 'Close', null]
+    }),
+    snapshot('quiz-2', { question_type: 'essay', correct_answer: { guidance: 'Notes' }, points: 4 })
+  ];
+
+  it('gives answers in stored order with the correct answer revealed', () => {
+    const [choice, essay] = reviewAttempt(questions, { 'quiz-1': 2, 'quiz-2': 'Essay text' }, { 'quiz-2': { score: 2, feedback: 'Good start' } });
+
+    expect(choice).toMatchObject({
+      id: 'quiz-1', options: ['Red', 'Green', 'Blue'], answer: 1, correct_answer: 2,
+      explanation: 'Blue is right', option_feedback: [null, 'Close', null], credit: 0, earned_points: 0, pending_review: false
+    });
+    expect(essay).toMatchObject({
+      id: 'quiz-2', answer: 'Essay text', correct_answer: null, credit: 0.5, earned_points: 2, pending_review: false, feedback: 'Good start'
+    });
+  });
+
+  it('hides answers and explanations when not revealed', () => {
+    const [choice] = reviewAttempt(questions, { 'quiz-1': 0 }, {}, false);
+    expect(choice).toMatchObject({ answer: 2, correct_answer: null, explanation: null, option_feedback: null, credit: 1 });
+  });
+
+  it('marks unanswered and ungraded questions', () => {
+    const [choice, essay] = reviewAttempt(questions, {});
+    expect(choice.answer).toBeNull();
+    expect(essay).toMatchObject({ credit: null, earned_points: null, pending_review: true, feedback: null });
+  });
+});
@@ -0,0 +1,70 @@
+const MIN_OBJECTIVES = 3;
+const MAX_OBJECTIVES = 5;
+const MAX_GLOSSARY_TERMS = 20;
+const MAX_SUMMARY_LENGTH = 3000;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_OBJECTIVE_LENGTH = 300;
+const MAX_TERM_LENGTH = 100;
+const MAX_DEFINITION_LENGTH = 500;
+
+const cleanText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+/**
+ * Check a generated lesson draft against the shape the authoring prompt asks for:
+ * {summary, objectives: [3-5 strings], glossary: [{term, definition}], description}.
+ * Over-long lists are trimmed rather than rejected; a draft is only refused when it has nothing usable.
+ * @param {*} value - Parsed model output
+ * @returns {{draft: Object, warnings: string[]}|{error: string}}
+ */
+function validateLessonDraft(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { error: 'The draft is not an object' };
+  }
+
+  const warnings = [];
+
+  const summary = cleanText(value.summary).slice(0, MAX_SUMMARY_LENGTH);
+  if (!summary) warnings.push('No summary was generated');
+
+  let description = cleanText(value.description);
+  if (description.length > MAX_DESCRIPTION_LENGTH) {
+    description = description.slice(0, MAX_DESCRIPTION_LENGTH - 3).trimEnd() + '...';
+    warnings.push(`The description was shortened to ${MAX_DESCRIPTION_LENGTH} characters`);
+  }
+
+  const objectives = [...new Set((Array.isArray(value.objectives) ? value.objectives : [])
+    .map(cleanText)
+    .filter((objective) => objective && objective.length <= MAX_OBJECTIVE_LENGTH))];
+  if (objectives.length > MAX_OBJECTIVES) {
+    objectives.length = MAX_OBJECTIVES;
+  } else if (objectives.length < MIN_OBJECTIVES) {
+    warnings.push(`Only ${objectives.length} learning objective(s) were generated`);
+  }
+
+  const seenTerms = new Set();
+  const glossary = (Array.isArray(value.glossary) ? value.glossary : [])
+    .map((entry) => ({ term: cleanText(entry?.term), definition: cleanText(entry?.definition) }))
+    .filter(({ term, definition }) => {
+      const key = term.toLowerCase();
+      if (!term || !definition || term.length > MAX_TERM_LENGTH || definition.length > MAX_DEFINITION_LENGTH || seenTerms.has(key)) {
+        return false;
+      }
+      seenTerms.add(key);
+      return true;
+    })
+    .slice(0, MAX_GLOSSARY_TERMS);
+
+  if (!summary && !description && objectives.length === 0 && glossary.length === 0) {
+    return { error: 'The draft did not contain a summary, objectives, glossary or description' };
+  }
+
+  return { draft: { summary, objectives, glossary, description }, warnings };
+}
+
+module.exports = {
+  MIN_OBJECTIVES,
+  MAX_OBJECTIVES,
+  MAX_GLOSSARY_TERMS,
+  MAX_DESCRIPTION_LENGTH,
+  validateLessonDraft
+};
@@ -0,0 +1,176 @@
+const OPTION_LETTERS = ['A', 'B', 'C', 'D'];
+const MAX_QUESTION_LENGTH = 1000;
+const MAX_OPTION_LENGTH = 500;
+const MAX_EXPLANATION_LENGTH = 2000;
+
+// Share of distinct words two questions must have in common to count as the same question
+const NEAR_DUPLICATE_SIMILARITY = 0.8;
+
+/**
+ * Pull a JSON array of questions out of a model response. Accepts a bare array, an
+ * object with a "questions" array, or either wrapped in prose or a ```json fence.
+ * @param {string} text - Raw model output
+ * @returns {{items: Array}|{error: string}}
+ */
+function parseQuestionArray(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return { error: 'The response was empty' };
+  }
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidates = [fenced ? fenced[1] : null, text].filter(Boolean);
+
+  for (const candidate of candidates) {
+    const parsed = tryParse(candidate.trim()) ?? tryParse(firstBalanced(candidate, '[', ']'));
+    if (Array.isArray(parsed)) {
+      return { items: parsed };
+    }
+    if (parsed && Array.isArray(parsed.questions)) {
+      return { items: parsed.questions };
+    }
+  }
+
+  return { error: 'The response did not contain a JSON array of questions' };
+}
+
+/**
+ * Pull a single JSON object out of a model response, bare or wrapped in prose or a ```json fence
+ * @param {string} text - Raw model output
+ * @returns {{value: Object}|{error: string}}
+ */
+function parseJsonObject(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return { error: 'The response was empty' };
+  }
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidates = [fenced ? fenced[1] : null, text].filter(Boolean);
+
+  for (const candidate of candidates) {
+    const parsed = tryParse(candidate.trim()) ?? tryParse(firstBalanced(candidate, '{', '}'));
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+      return { value: parsed };
+    }
+  }
+
+  return { error: 'The response did not contain a JSON object' };
+}
+
+const tryParse = (text) => {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+};
+
+// The first [...] (or {...}) block with balanced brackets, skipping brackets inside strings
+const firstBalanced = (text, open, close) => {
+  const start = text.indexOf(open);
+  if (start === -1) return null;
+
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === open) {
+      depth++;
+    } else if (char === close && --depth === 0) {
+      return text.slice(start, i + 1);
+    }
+  }
+  return null;
+};
+
+const isText = (value, maxLength) => typeof value === 'string' && value.trim().length > 0 && value.length <= maxLength;
+
+/**
+ * Check one generated question against the schema the generation prompt asks for:
+ * {question, options: {A, B, C, D}, correctAnswer: 'A'-'D', explanation?}
+ * @param {*} item - One element of the parsed array
+ * @returns {{question: Object}|{error: string}} - Normalized question, or why it was rejected
+ */
+function validateGeneratedQuestion(item) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return { error: 'is not an object' };
+  }
+  if (!isText(item.question, MAX_QUESTION_LENGTH)) {
+    return { error: `needs question text of at most ${MAX_QUESTION_LENGTH} characters` };
+  }
+
+  const options = item.options;
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return { error: 'needs options as an object keyed A to D' };
+  }
+  const keys = Object.keys(options).map((key) => key.trim().toUpperCase()).sort();
+  if (keys.join('') !== OPTION_LETTERS.join('')) {
+    return { error: 'must have exactly four options labelled A, B, C and D' };
+  }
+
+  const normalizedOptions = {};
+  for (const [key, value] of Object.entries(options)) {
+    if (!isText(value, MAX_OPTION_LENGTH)) {
+      return { error: `has an empty or overlong option ${key.trim().toUpperCase()}` };
+    }
+    normalizedOptions[key.trim().toUpperCase()] = value.trim();
+  }
+
+  const distinct = new Set(Object.values(normalizedOptions).map((value) => value.toLowerCase()));
+  if (distinct.size !== OPTION_LETTERS.length) {
+    return { error: 'has two identical options' };
+  }
+
+  const correctAnswer = typeof item.correctAnswer === 'string' ? item.correctAnswer.trim().toUpperCase() : '';
+  if (!OPTION_LETTERS.includes(correctAnswer)) {
+    return { error: 'needs a correctAnswer of A, B, C or D' };
+  }
+
+  if (item.explanation !== undefined && item.explanation !== null && !isText(item.explanation, MAX_EXPLANATION_LENGTH)) {
+    return { error: `has an explanation that is empty or longer than ${MAX_EXPLANATION_LENGTH} characters` };
+  }
+
+  return {
+    question: {
+      question: item.question.trim(),
+      options: Object.fromEntries(OPTION_LETTERS.map((letter) => [letter, normalizedOptions[letter]])),
+      correctAnswer,
+      explanation: item.explanation ? item.explanation.trim() : null
+    }
+  };
+}
+
+// Lowercase words without punctuation, for comparing question wording
+const wordsOf = (text) => new Set(text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').split(/\s+/).filter(Boolean));
+
+/**
+ * Whether two questions are the same or differ only trivially (Jaccard similarity of their words)
+ * @param {string} a - Question text
+ * @param {string} b - Question text
+ * @returns {boolean}
+ */
+function isNearDuplicate(a, b) {
+  const wordsA = wordsOf(a);
+  const wordsB = wordsOf(b);
+  if (wordsA.size === 0 || wordsB.size === 0) {
+    return false;
+  }
+
+  let shared = 0;
+  for (const word of wordsA) {
+    if (wordsB.has(word)) shared++;
+  }
+  return shared / (wordsA.size + wordsB.size - shared) >= NEAR_DUPLICATE_SIMILARITY;
+}
+
+module.exports = {
+  parseQuestionArray,
+  parseJsonObject,
+  validateGeneratedQuestion,
+  isNearDuplicate
+};
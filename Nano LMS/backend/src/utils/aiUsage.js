@@ -0,0 +1,143 @@
+const { query } = require('../database/connection');
+const llm = require('./llm');
+
+/**
+ * Estimate what a request cost from its token usage and the configured per-1K prices
+ * @param {Object|null} usage - Provider usage ({prompt_tokens, completion_tokens})
+ * @returns {number|null} - Estimated cost, or null without usage or prices
+ */
+function estimateCost(usage) {
+  const { promptTokenCost, completionTokenCost } = llm.getLLMConfig();
+  if (!usage || (promptTokenCost === null && completionTokenCost === null)) {
+    return null;
+  }
+  return ((usage.prompt_tokens || 0) * (promptTokenCost || 0) +
+    (usage.completion_tokens || 0) * (completionTokenCost || 0)) / 1000;
+}
+
+// Error code of a request refused because the user is over their AI quota
+const QUOTA_EXCEEDED = 'AI_QUOTA_EXCEEDED';
+
+// Write one audit row; a logging failure must never fail the generation itself
+async function recordUsage(entry) {
+  try {
+    await query(
+      `INSERT INTO ai_usage_log (user_id, course_id, job_id, task, provider, model, prompt_chars, prompt_tokens,
+                                 completion_tokens, total_tokens, estimated_cost, latency_ms, outcome, error)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)`,
+      [
+        entry.userId || null,
+        entry.courseId || null,
+        entry.jobId || null,
+        entry.task,
+        entry.provider || null,
+        entry.model || null,
+        entry.promptChars,
+        entry.usage?.prompt_tokens ?? null,
+        entry.usage?.completion_tokens ?? null,
+        entry.usage?.total_tokens ?? null,
+        estimateCost(entry.usage),
+        entry.latencyMs,
+        entry.error ? 'error' : 'success',
+        entry.error || null
+      ]
+    );
+  } catch (error) {
+    console.error('Error recording AI usage:', error);
+  }
+}
+
+/**
+ * Run llm.complete() and record it in the AI usage log.
+ * With context.user set, the user's token quota is re-checked first, so a long job stops once it runs out.
+ * @param {Object} context - Who the request is for: {userId, courseId, jobId, user}
+ * @param {Object} request - Arguments for llm.complete()
+ * @returns {Promise<Object>} - The completion result; rejects with code AI_QUOTA_EXCEEDED over quota
+ */
+async function auditedComplete(context, request) {
+  const { user, ...usageContext } = context;
+  if (user) {
+    // The running job already counts as a generation, so only token limits can newly be reached
+    const { exceeded } = await getQuotaStatus(user, { metrics: ['tokens'] });
+    if (exceeded) {
+      throw Object.assign(new Error(`AI quota exceeded: ${exceeded}`), { code: QUOTA_EXCEEDED });
+    }
+  }
+
+  const startedAt = Date.now();
+  const entry = {
+    ...usageContext,
+    task: request.task,
+    promptChars: (request.system || '').length + (request.prompt || '').length
+  };
+
+  try {
+    const result = await llm.complete(request);
+    await recordUsage({ ...entry, provider: result.provider, model: result.model, usage: result.usage, latencyMs: Date.now() - startedAt });
+    return result;
+  } catch (error) {
+    await recordUsage({ ...entry, model: llm.getLLMConfig().model, latencyMs: Date.now() - startedAt, error: error.message });
+    throw error;
+  }
+}
+
+const QUOTA_LIMITS = [
+  { column: 'daily_generations', period: 'daily', metric: 'generations', label: 'daily generation' },
+  { column: 'monthly_generations', period: 'monthly', metric: 'generations', label: 'monthly generation' },
+  { column: 'daily_tokens', period: 'daily', metric: 'tokens', label: 'daily token' },
+  { column: 'monthly_tokens', period: 'monthly', metric: 'tokens', label: 'monthly token' }
+];
+
+/**
+ * Work out a user's AI quota and how much of it they have used today and this month.
+ * A quota set for the user replaces the one for their role.
+ * @param {Object} user - Authenticated user ({id, role})
+ * @param {Object} [options]
+ * @param {string[]} [options.metrics] - Only check these limits ('generations', 'tokens'); defaults to all
+ * @returns {Promise<{quota: Object|null, usage: Object, exceeded: string|null}>}
+ */
+async function getQuotaStatus(user, { metrics = null } = {}) {
+  const quotaResult = await query(
+    `SELECT id, user_id, role, daily_generations, monthly_generations, daily_tokens, monthly_tokens
+     FROM ai_quotas
+     WHERE user_id = $1 OR role = $2
+     ORDER BY user_id NULLS LAST
+     LIMIT 1`,
+    [user.id, user.role]
+  );
+
+  // A generation is a quiz generation job or a lesson draft request
+  const usageResult = await query(
+    `SELECT
+       (SELECT COUNT(*) FROM ai_generation_jobs WHERE requested_by = $1 AND created_at >= date_trunc('day', NOW())) +
+       (SELECT COUNT(*) FROM ai_usage_log WHERE user_id = $1 AND task = 'lesson_draft' AND created_at >= date_trunc('day', NOW())) as daily_generations,
+       (SELECT COUNT(*) FROM ai_generation_jobs WHERE requested_by = $1 AND created_at >= date_trunc('month', NOW())) +
+       (SELECT COUNT(*) FROM ai_usage_log WHERE user_id = $1 AND task = 'lesson_draft' AND created_at >= date_trunc('month', NOW())) as monthly_generations,
+       (SELECT COALESCE(SUM(total_tokens), 0) FROM ai_usage_log WHERE user_id = $1 AND created_at >= date_trunc('day', NOW())) as daily_tokens,
+       (SELECT COALESCE(SUM(total_tokens), 0) FROM ai_usage_log WHERE user_id = $1 AND created_at >= date_trunc('month', NOW())) as monthly_tokens`,
+    [user.id]
+  );
+
+  const counts = usageResult.rows[0];
+  const usage = {
+    daily: { generations: parseInt(counts.daily_generations), tokens: parseInt(counts.daily_tokens) },
+    monthly: { generations: parseInt(counts.monthly_generations), tokens: parseInt(counts.monthly_tokens) }
+  };
+
+  const quota = quotaResult.rows[0] || null;
+  const hit = quota && QUOTA_LIMITS.find(({ column, period, metric }) =>
+    (!metrics || metrics.includes(metric)) && quota[column] !== null && usage[period][metric] >= quota[column]
+  );
+
+  return {
+    quota,
+    usage,
+    exceeded: hit ? `You have reached your ${hit.label} limit of ${quota[hit.column]}` : null
+  };
+}
+
+module.exports = {
+  QUOTA_EXCEEDED,
+  auditedComplete,
+  getQuotaStatus
+};
@@ -0,0 +1,351 @@
+const PDFDocument = require('pdfkit');
+const fs = require('fs');
+const path = require('path');
+const { query } = require('../database/connection');
+const { createVerificationCode } = require('./certificateVerification');
+const { resolveUploadPath } = require('./contentExtraction');
+
+const certificatesDir = path.join(__dirname, '..', '..', 'uploads', 'certificates');
+
+// pdfkit's built-in font families; these need no font files on the server
+const FONT_FAMILIES = {
+  Helvetica: { regular: 'Helvetica', bold: 'Helvetica-Bold' },
+  Times: { regular: 'Times-Roman', bold: 'Times-Bold' },
+  Courier: { regular: 'Courier', bold: 'Courier-Bold' }
+};
+
+// pdfkit can only embed PNG and JPEG images
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg'];
+
+const PLACEHOLDERS = {
+  learner_name: 'Learner name',
+  course_title: 'Course title (the learning path title on path certificates)',
+  course_category: 'Course category',
+  score: 'Final score',
+  issue_date: 'Date of issue',
+  expiry_date: 'Expiry date (blank when the certificate does not expire)',
+  certificate_number: 'Certificate number',
+  instructor_name: 'Course instructor'
+};
+
+// The layout certificates had before templates existed; used when no template applies
+const DEFAULT_TEMPLATE = {
+  orientation: 'landscape',
+  background_url: null,
+  logo_url: null,
+  primary_color: '#111827',
+  accent_color: '#111827',
+  text_color: '#111827',
+  heading_font: 'Helvetica',
+  body_font: 'Helvetica',
+  title: 'Certificate of Completion',
+  intro_text: 'This is to certify that',
+  completion_text: 'has successfully completed the course',
+  details_text: 'Category: {{course_category}}\nCertificate Number: {{certificate_number}}\nIssued on: {{issue_date}}\nValid until: {{expiry_date}}',
+  signatures: []
+};
+
+/**
+ * Replace {{placeholder}} tokens with certificate fields; unknown placeholders are left as written
+ * @param {string} text - Template text
+ * @param {Object} fields - Values keyed by placeholder name
+ * @returns {string}
+ */
+function fillPlaceholders(text, fields) {
+  return (text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+    Object.prototype.hasOwnProperty.call(PLACEHOLDERS, name) ? String(fields[name] ?? '') : match
+  );
+}
+
+// A details line that only makes sense with a value (e.g. "Score: {{score}}") is dropped when the value is missing
+const fillDetailLines = (text, fields) => (text || '')
+  .split(/\r?\n/)
+  .filter((line) => line.trim())
+  .filter((line) => [...line.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].every(([, name]) =>
+    !Object.prototype.hasOwnProperty.call(PLACEHOLDERS, name) || (fields[name] !== null && fields[name] !== undefined && fields[name] !== '')
+  ))
+  .map((line) => fillPlaceholders(line, fields));
+
+// Load a stored image for pdfkit, or null (with a warning) when it is missing or not PNG/JPEG
+function loadImage(imageUrl) {
+  if (!imageUrl) return null;
+
+  const filePath = resolveUploadPath(imageUrl);
+  if (!filePath || !IMAGE_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+    console.warn(`Certificate image skipped (only uploaded PNG or JPEG images can be used): ${imageUrl}`);
+    return null;
+  }
+  if (!fs.existsSync(filePath)) {
+    console.warn(`Certificate image not found: ${imageUrl}`);
+    return null;
+  }
+  return filePath;
+}
+
+// Fill a stored template's gaps from the built-in layout
+const withDefaults = (template) => {
+  const merged = { ...DEFAULT_TEMPLATE };
+  for (const [key, value] of Object.entries(template || {})) {
+    if (value !== null && value !== undefined) merged[key] = value;
+  }
+  if (!FONT_FAMILIES[merged.heading_font]) merged.heading_font = DEFAULT_TEMPLATE.heading_font;
+  if (!FONT_FAMILIES[merged.body_font]) merged.body_font = DEFAULT_TEMPLATE.body_font;
+  return merged;
+};
+
+function drawVerificationBlock(doc, verification, color) {
+  const size = 80;
+  const x = doc.page.width - 40 - size - 20;
+  const y = doc.page.height - 40 - size - 30;
+
+  doc.image(verification.qrCode, x, y, { width: size, height: size });
+
+  doc.fontSize(8)
+     .font('Helvetica')
+     .fillColor(color)
+     .text('Verify this certificate at', 40, y + size + 4, { width: doc.page.width - 100, align: 'right' })
+     .text(verification.url, 40, y + size + 14, { width: doc.page.width - 100, align: 'right' });
+}
+
+function drawSignatures(doc, signatures, template, fields) {
+  if (signatures.length === 0) return;
+
+  const fonts = { heading: FONT_FAMILIES[template.heading_font], body: FONT_FAMILIES[template.body_font] };
+  // Signatures share the bottom of the page, leaving the right-hand corner for the QR code
+  const areaLeft = 60;
+  const areaWidth = doc.page.width - areaLeft - 180;
+  const slotWidth = areaWidth / signatures.length;
+  const lineY = doc.page.height - 110;
+
+  signatures.forEach((signature, index) => {
+    const x = areaLeft + index * slotWidth;
+    const lineWidth = Math.min(slotWidth - 30, 200);
+    const lineX = x + (slotWidth - lineWidth) / 2;
+
+    const imagePath = loadImage(signature.image_url);
+    if (imagePath) {
+      doc.image(imagePath, lineX, lineY - 48, { fit: [lineWidth, 44], align: 'center', valign: 'bottom' });
+    }
+
+    doc.moveTo(lineX, lineY).lineTo(lineX + lineWidth, lineY).lineWidth(1).strokeColor(template.text_color).stroke();
+
+    doc.fontSize(11)
+       .font(fonts.heading.bold)
+       .fillColor(template.text_color)
+       .text(fillPlaceholders(signature.name, fields), lineX, lineY + 6, { width: lineWidth, align: 'center' });
+    if (signature.title) {
+      doc.fontSize(9)
+         .font(fonts.body.regular)
+         .text(fillPlaceholders(signature.title, fields), lineX, doc.y + 1, { width: lineWidth, align: 'center' });
+    }
+  });
+}
+
+/**
+ * Draw a certificate onto a new PDF document and write it to a stream
+ * @param {Object} template - Certificate template row (missing fields fall back to the built-in layout)
+ * @param {Object} fields - Placeholder values (see PLACEHOLDERS)
+ * @param {stream.Writable} output - File or HTTP response to write the PDF to
+ * @param {Object} [options]
+ * @param {boolean} [options.preview] - Mark the document as a preview
+ * @returns {Promise<void>} - Resolves once the PDF is fully written
+ */
+async function renderCertificate(template, fields, output, { preview = false } = {}) {
+  const layout = withDefaults(template);
+  const fonts = { heading: FONT_FAMILIES[layout.heading_font], body: FONT_FAMILIES[layout.body_font] };
+  const verification = await createVerificationCode(fields.certificate_number);
+
+  return new Promise((resolve, reject) => {
+    try {
+      // No page margins: everything is placed explicitly, and pdfkit would otherwise add pages near the bottom edge
+      const doc = new PDFDocument({ size: 'A4', layout: layout.orientation, margin: 0 });
+      const width = doc.page.width;
+      const centered = { width, align: 'center' };
+
+      output.on('finish', resolve);
+      output.on('error', reject);
+      doc.pipe(output);
+
+      const backgroundPath = loadImage(layout.background_url);
+      if (backgroundPath) {
+        doc.image(backgroundPath, 0, 0, { width, height: doc.page.height });
+      } else {
+        doc.rect(20, 20, width - 40, doc.page.height - 40)
+           .lineWidth(3)
+           .strokeColor(layout.primary_color)
+           .stroke();
+      }
+
+      if (preview) {
+        doc.fontSize(9)
+           .font('Helvetica-Bold')
+           .fillColor('#dc2626')
+           .text('PREVIEW - NOT A VALID CERTIFICATE', 0, 30, centered);
+      }
+
+      const logoPath = loadImage(layout.logo_url);
+      if (logoPath) {
+        doc.image(logoPath, width / 2 - 100, 50, { fit: [200, 60], align: 'center', valign: 'center' });
+      }
+
+      doc.fontSize(40)
+         .font(fonts.heading.bold)
+         .fillColor(layout.primary_color)
+         .text(fillPlaceholders(layout.title, fields), 0, logoPath ? 125 : 100, centered);
+
+      doc.fontSize(16)
+         .font(fonts.body.regular)
+         .fillColor(layout.text_color)
+         .text(fillPlaceholders(layout.intro_text, fields), 0, doc.y + 30, centered);
+
+      doc.fontSize(28)
+         .font(fonts.heading.bold)
+         .fillColor(layout.accent_color)
+         .text(fields.learner_name, 0, doc.y + 16, centered);
+
+      doc.fontSize(16)
+         .font(fonts.body.regular)
+         .fillColor(layout.text_color)
+         .text(fillPlaceholders(layout.completion_text, fields), 0, doc.y + 16, centered);
+
+      doc.fontSize(20)
+         .font(fonts.heading.bold)
+         .fillColor(layout.primary_color)
+         .text(fields.course_title, 0, doc.y + 16, centered);
+
+      let detailsY = doc.y + 24;
+      doc.fontSize(12)
+         .font(fonts.body.regular)
+         .fillColor(layout.text_color);
+      for (const line of fillDetailLines(layout.details_text, fields)) {
+        doc.text(line, 0, detailsY, centered);
+        detailsY = doc.y + 8;
+      }
+
+      drawSignatures(doc, (layout.signatures || []).filter((signature) => signature && signature.name), layout, fields);
+      drawVerificationBlock(doc, verification, layout.text_color);
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+/**
+ * The template a course's certificates use: its own, else the organisation default, else the built-in layout
+ * @param {number|null} templateId - courses.certificate_template_id
+ * @returns {Promise<Object>}
+ */
+async function getCertificateTemplate(templateId) {
+  const result = await query(
+    `SELECT * FROM certificate_templates
+     WHERE id = $1 OR is_default = true
+     ORDER BY (id = $1) DESC
+     LIMIT 1`,
+    [templateId || null]
+  );
+  return result.rows[0] || DEFAULT_TEMPLATE;
+}
+
+/**
+ * Look up the learner, course and instructor and build the placeholder values for a certificate.
+ * Learning path certificates use the path title, never expire and use the default template.
+ * @param {string} certificateNumber - Certificate number
+ * @param {Object} details
+ * @param {number} details.userId - Learner
+ * @param {number} [details.courseId] - Completed course
+ * @param {number} [details.learningPathId] - Completed learning path, instead of a course
+ * @param {number|null} [details.score] - Score of the passing attempt, when completion came from a quiz
+ * @param {Date} [details.issuedAt] - Issue date (defaults to now)
+ * @returns {Promise<{fields: Object, templateId: number|null}>}
+ */
+async function getCertificateFields(certificateNumber, { userId, courseId = null, learningPathId = null, score = null, issuedAt = new Date() }) {
+  const result = learningPathId
+    ? await query(
+      `SELECT u.first_name, u.last_name, lp.title, NULL as category, NULL::int as certificate_template_id,
+              NULL::timestamp as expires_at, NULL as instructor_first_name, NULL as instructor_last_name
+       FROM users u
+       CROSS JOIN learning_paths lp
+       WHERE u.id = $1 AND lp.id = $2`,
+      [userId, learningPathId]
+    )
+    : await query(
+      `SELECT u.first_name, u.last_name, c.title, c.category, c.certificate_template_id,
+              $3::timestamp + make_interval(months => c.certificate_validity_months) as expires_at,
+              i.first_name as instructor_first_name, i.last_name as instructor_last_name
+       FROM users u
+       CROSS JOIN courses c
+       LEFT JOIN users i ON i.id = c.instructor_id
+       WHERE u.id = $1 AND c.id = $2`,
+      [userId, courseId, new Date(issuedAt)]
+    );
+
+  if (result.rows.length === 0) {
+    throw new Error(learningPathId
+      ? `Cannot issue certificate: user ${userId} or learning path ${learningPathId} not found`
+      : `Cannot issue certificate: user ${userId} or course ${courseId} not found`);
+  }
+
+  const row = result.rows[0];
+  return {
+    templateId: row.certificate_template_id,
+    fields: {
+      learner_name: `${row.first_name} ${row.last_name}`,
+      course_title: row.title,
+      course_category: row.category,
+      score: score !== null && score !== undefined ? `${score}%` : null,
+      issue_date: new Date(issuedAt).toLocaleDateString(),
+      expiry_date: row.expires_at ? new Date(row.expires_at).toLocaleDateString() : null,
+      certificate_number: certificateNumber,
+      instructor_name: row.instructor_first_name ? `${row.instructor_first_name} ${row.instructor_last_name}` : null
+    }
+  };
+}
+
+/**
+ * Render a learner's certificate with the course's template and save it under uploads/certificates
+ * @param {string} certificateNumber - Certificate number
+ * @param {Object} details - {userId, courseId or learningPathId, score, issuedAt}, see getCertificateFields()
+ * @returns {Promise<string>} - Relative path of the saved PDF (stored as certificates.pdf_url)
+ */
+async function generateCertificatePDF(certificateNumber, details) {
+  const { fields, templateId } = await getCertificateFields(certificateNumber, details);
+  const template = await getCertificateTemplate(templateId);
+
+  if (!fs.existsSync(certificatesDir)) {
+    fs.mkdirSync(certificatesDir, { recursive: true });
+  }
+
+  const filename = `certificate-${certificateNumber}.pdf`;
+  const pdfUrl = `uploads/certificates/${filename}`;
+  try {
+    await renderCertificate(template, fields, fs.createWriteStream(path.join(certificatesDir, filename)));
+  } catch (error) {
+    await removeCertificatePDF(pdfUrl);
+    throw error;
+  }
+
+  return pdfUrl;
+}
+
+/**
+ * Delete a PDF saved by generateCertificatePDF() whose certificate was never stored
+ * @param {string} pdfUrl - Relative path returned by generateCertificatePDF()
+ * @returns {Promise<void>} - Never rejects; a missing file is ignored
+ */
+async function removeCertificatePDF(pdfUrl) {
+  await fs.promises.unlink(path.join(certificatesDir, path.basename(pdfUrl)))
+    .catch((error) => error.code !== 'ENOENT' && console.error(`Failed to remove certificate PDF ${pdfUrl}:`, error));
+}
+
+module.exports = {
+  FONT_FAMILIES,
+  PLACEHOLDERS,
+  DEFAULT_TEMPLATE,
+  fillPlaceholders,
+  renderCertificate,
+  getCertificateTemplate,
+  generateCertificatePDF,
+  removeCertificatePDF
+};
@@ -0,0 +1,74 @@
+const { query } = require('../database/connection');
+
+// Certificates expiring within this many days are flagged as due for renewal
+const EXPIRING_SOON_DAYS = 30;
+
+/**
+ * SQL expression for a certificate's status: revoked, expired or valid
+ * @param {string} alias - Table alias of the certificates row
+ * @returns {string}
+ */
+const certificateStatusSql = (alias) => `CASE
+         WHEN ${alias}.revoked_at IS NOT NULL THEN 'revoked'
+         WHEN ${alias}.expires_at IS NOT NULL AND ${alias}.expires_at <= NOW() THEN 'expired'
+         ELSE 'valid'
+       END`;
+
+/**
+ * SQL expression for whether a certificate is still valid but expires within EXPIRING_SOON_DAYS
+ * @param {string} alias - Table alias of the certificates row
+ * @returns {string}
+ */
+const expiringSoonSql = (alias) => `COALESCE(${alias}.revoked_at IS NULL AND ${alias}.expires_at > NOW()
+                AND ${alias}.expires_at <= NOW() + make_interval(days => ${EXPIRING_SOON_DAYS}), false)`;
+
+/**
+ * SQL condition for whether a learner holds a valid course certificate: current, not revoked and not expired
+ * @param {string} userIdSql - SQL expression for the learner's ID
+ * @param {string} courseIdSql - SQL expression for the course ID
+ * @returns {string}
+ */
+const hasValidCertificateSql = (userIdSql, courseIdSql) => `EXISTS (
+           SELECT 1 FROM certificates valid_cert
+           WHERE valid_cert.user_id = ${userIdSql} AND valid_cert.course_id = ${courseIdSql}
+             AND valid_cert.replaced_by IS NULL AND valid_cert.revoked_at IS NULL
+             AND (valid_cert.expires_at IS NULL OR valid_cert.expires_at > NOW())
+         )`;
+
+/**
+ * SQL expression for when a certificate issued now for a course expires (NULL when the course's certificates never expire)
+ * @param {string} courseIdParam - Placeholder holding the course ID, e.g. '$2'
+ * @returns {string}
+ */
+const expiresAtSql = (courseIdParam) =>
+  `(SELECT NOW() + make_interval(months => certificate_validity_months) FROM courses WHERE id = ${courseIdParam})`;
+
+/**
+ * When a learner is recertifying a course, the moment their certificate expired. Quiz attempts and
+ * passes from before then no longer count, which re-opens the course quizzes for them.
+ * @param {number} userId - Learner
+ * @param {number} courseId - Course
+ * @param {Object} [db] - Client to query with, e.g. inside a transaction
+ * @returns {Promise<Date|null>} - Expiry of the learner's current expired certificate, or null when not recertifying
+ */
+async function getRecertificationStart(userId, courseId, db = { query }) {
+  const result = await db.query(
+    `SELECT expires_at
+     FROM certificates
+     WHERE user_id = $1 AND course_id = $2 AND replaced_by IS NULL
+       AND revoked_at IS NULL AND expires_at <= NOW()
+     ORDER BY issued_at DESC
+     LIMIT 1`,
+    [userId, courseId]
+  );
+  return result.rows[0]?.expires_at || null;
+}
+
+module.exports = {
+  EXPIRING_SOON_DAYS,
+  certificateStatusSql,
+  expiringSoonSql,
+  hasValidCertificateSql,
+  expiresAtSql,
+  getRecertificationStart
+};
@@ -0,0 +1,27 @@
+const QRCode = require('qrcode');
+
+/**
+ * Public page where anyone can check a certificate
+ * @param {string} certificateNumber - Certificate number printed on the PDF
+ * @returns {string} - Absolute verification URL on the frontend
+ */
+function getVerificationUrl(certificateNumber) {
+  const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/+$/, '');
+  return `${frontendUrl}/verify/${encodeURIComponent(certificateNumber)}`;
+}
+
+/**
+ * Render the QR code for a certificate's verification URL
+ * @param {string} certificateNumber - Certificate number printed on the PDF
+ * @returns {Promise<{url: string, qrCode: Buffer}>} - URL and PNG image for pdfkit
+ */
+async function createVerificationCode(certificateNumber) {
+  const url = getVerificationUrl(certificateNumber);
+  const qrCode = await QRCode.toBuffer(url, { type: 'png', margin: 1, width: 240, errorCorrectionLevel: 'M' });
+  return { url, qrCode };
+}
+
+module.exports = {
+  getVerificationUrl,
+  createVerificationCode
+};
@@ -0,0 +1,91 @@
+// Rough characters-per-token ratio for English prose; good enough for budgeting without a tokenizer
+const CHARS_PER_TOKEN = 4;
+
+// Cut an oversized piece at sentence boundaries, falling back to a hard cut for run-on text
+function splitLongPiece(piece, maxChars) {
+  const parts = [];
+  let current = '';
+
+  for (const sentence of piece.match(/[^.!?]+(?:[.!?]+|$)\s*/g) || [piece]) {
+    if (current && current.length + sentence.length > maxChars) {
+      parts.push(current.trim());
+      current = '';
+    }
+    current += sentence;
+    while (current.length > maxChars) {
+      parts.push(current.slice(0, maxChars).trim());
+      current = current.slice(maxChars);
+    }
+  }
+  if (current.trim()) {
+    parts.push(current.trim());
+  }
+
+  return parts;
+}
+
+/**
+ * Split text into chunks of at most maxChars, keeping paragraphs and then sentences together where possible
+ * @param {string} text - Text to split
+ * @param {number} maxChars - Largest chunk size in characters
+ * @returns {string[]} - Non-empty chunks in reading order
+ */
+function chunkText(text, maxChars) {
+  const chunks = [];
+  let current = '';
+
+  for (const paragraph of (text || '').split(/\n\s*\n/)) {
+    const trimmed = paragraph.trim();
+    if (!trimmed) continue;
+
+    const pieces = trimmed.length > maxChars ? splitLongPiece(trimmed, maxChars) : [trimmed];
+    for (const piece of pieces) {
+      if (current && current.length + piece.length + 2 > maxChars) {
+        chunks.push(current);
+        current = '';
+      }
+      current = current ? `${current}\n\n${piece}` : piece;
+    }
+  }
+  if (current) {
+    chunks.push(current);
+  }
+
+  return chunks;
+}
+
+/**
+ * Share a whole number out in proportion to weights (largest remainder method)
+ * @param {number[]} weights - Non-negative weight per slot
+ * @param {number} total - Amount to share out
+ * @returns {number[]} - Whole-number share per slot, summing to total unless every weight is zero
+ */
+function allocateProportionally(weights, total) {
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+  if (weightSum <= 0) {
+    return weights.map(() => 0);
+  }
+
+  const exact = weights.map((weight) => (weight / weightSum) * total);
+  const shares = exact.map(Math.floor);
+  let remaining = total - shares.reduce((sum, share) => sum + share, 0);
+
+  // Hand the leftovers to the largest remainders; ties go to the heavier slot
+  const order = exact
+    .map((value, index) => ({ index, remainder: value - shares[index], weight: weights[index] }))
+    .filter((slot) => slot.weight > 0)
+    .sort((a, b) => b.remainder - a.remainder || b.weight - a.weight);
+
+  for (let i = 0; remaining > 0 && order.length > 0; i = (i + 1) % order.length) {
+    shares[order[i].index]++;
+    remaining--;
+  }
+
+  return shares;
+}
+
+module.exports = {
+  CHARS_PER_TOKEN,
+  chunkText,
+  allocateProportionally
+};
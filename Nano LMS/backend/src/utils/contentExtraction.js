@@ -0,0 +1,140 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { PDFParse } = require('pdf-parse');
+const mammoth = require('mammoth');
+
+const uploadsDir = path.resolve(__dirname, '..', '..', 'uploads');
+
+// Upper bound on text taken from a single file so one long manual cannot crowd out the rest of a course
+const MAX_FILE_CHARS = 20000;
+
+// pdf-parse keeps a pdf.js document open per parser, so always release it
+async function pdfToText(filePath) {
+  const parser = new PDFParse({ data: await fs.readFile(filePath) });
+  try {
+    return (await parser.getText()).text;
+  } finally {
+    await parser.destroy();
+  }
+}
+
+const EXTRACTORS = {
+  '.pdf': pdfToText,
+  '.docx': async (filePath) => (await mammoth.extractRawText({ path: filePath })).value,
+  '.txt': (filePath) => fs.readFile(filePath, 'utf8'),
+  '.vtt': async (filePath) => captionsToText(await fs.readFile(filePath, 'utf8')),
+  '.srt': async (filePath) => captionsToText(await fs.readFile(filePath, 'utf8'))
+};
+
+/**
+ * Map a stored file URL (e.g. /uploads/documents/x.pdf, absolute or relative) to a path inside uploads/
+ * @param {string} fileUrl - URL saved on the lesson
+ * @returns {string|null} - Absolute path, or null for external or out-of-tree URLs
+ */
+function resolveUploadPath(fileUrl) {
+  if (!fileUrl) return null;
+
+  let pathname = fileUrl;
+  try {
+    pathname = new URL(fileUrl, 'http://localhost').pathname;
+  } catch (error) {
+    return null;
+  }
+
+  const match = decodeURIComponent(pathname).match(/^\/uploads\/(.+)$/);
+  if (!match) return null;
+
+  const filePath = path.resolve(uploadsDir, match[1]);
+  return filePath.startsWith(uploadsDir + path.sep) ? filePath : null;
+}
+
+/**
+ * Turn a WebVTT or SRT caption file into plain transcript text
+ * @param {string} raw - Caption file contents
+ * @returns {string} - Transcript without cue numbers, timings or markup
+ */
+function captionsToText(raw) {
+  const lines = [];
+  let inNote = false;
+
+  for (const rawLine of raw.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+
+    if (!line) {
+      inNote = false;
+      continue;
+    }
+    if (inNote || line === 'WEBVTT' || line.startsWith('WEBVTT ')) continue;
+    if (/^(NOTE|STYLE|REGION)\b/.test(line)) {
+      inNote = true;
+      continue;
+    }
+    if (line.includes('-->') || /^\d+$/.test(line)) continue;
+
+    const text = line.replace(/<[^>]+>/g, '').replace(/\{[^}]*\}/g, '').trim();
+    // Auto-generated captions repeat each line as it scrolls
+    if (text && text !== lines[lines.length - 1]) {
+      lines.push(text);
+    }
+  }
+
+  return lines.join(' ');
+}
+
+/**
+ * Extract readable text from an uploaded PDF, DOCX, TXT or caption file
+ * @param {string} fileUrl - URL saved on the lesson
+ * @returns {Promise<{text: string|null, error: string|null}>}
+ */
+async function extractFileText(fileUrl) {
+  const filePath = resolveUploadPath(fileUrl);
+  if (!filePath) {
+    return { text: null, error: 'Only files uploaded to this LMS can be read' };
+  }
+
+  const extractor = EXTRACTORS[path.extname(filePath).toLowerCase()];
+  if (!extractor) {
+    return { text: null, error: `Unsupported file type ${path.extname(filePath) || '(none)'}` };
+  }
+
+  try {
+    const text = (await extractor(filePath) || '')
+      .replace(/[ \t]+/g, ' ')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+
+    if (!text) {
+      return { text: null, error: 'No readable text found (scanned or image-only file?)' };
+    }
+
+    return { text: text.slice(0, MAX_FILE_CHARS), error: null };
+  } catch (error) {
+    console.error(`Error extracting text from ${fileUrl}:`, error.message);
+    return { text: null, error: error.code === 'ENOENT' ? 'File not found' : 'File could not be read' };
+  }
+}
+
+/**
+ * Collect the text of a lesson's uploaded document and its video captions
+ * @param {Object} lesson - Row with document_url and caption_url
+ * @returns {Promise<Array<{kind: string, url: string, text: string|null, error: string|null}>>}
+ */
+async function extractLessonAttachments(lesson) {
+  const attachments = [
+    { kind: 'document', url: lesson.document_url },
+    { kind: 'captions', url: lesson.caption_url }
+  ].filter((attachment) => attachment.url);
+
+  return Promise.all(attachments.map(async (attachment) => ({
+    ...attachment,
+    ...(await extractFileText(attachment.url))
+  })));
+}
+
+module.exports = {
+  MAX_FILE_CHARS,
+  resolveUploadPath,
+  captionsToText,
+  extractFileText,
+  extractLessonAttachments
+};
@@ -0,0 +1,107 @@
+const { query, pool } = require('../database/connection');
+const { hasValidCertificateSql } = require('./certificateStatus');
+const { hasCourseActivitySql } = require('./learnerProgress');
+
+// Assignment progress, worked out from certificates, lesson progress and quiz attempts
+const ASSIGNMENT_STATUSES = ['not_started', 'in_progress', 'completed', 'overdue'];
+
+// Who an assignment is for (course_assignments has exactly one of user_id, department_id, role)
+const ASSIGNMENT_TARGETS = ['user', 'department', 'role'];
+
+/**
+ * SQL expression for an assigned enrollment's status. A learner has completed the course while they
+ * hold a current, valid certificate for it; otherwise the assignment is overdue after its due date,
+ * in progress once they've touched a lesson or quiz, and not started before that.
+ * @param {string} enrollmentAlias - Table alias of the course_enrollments row
+ * @param {string} assignmentAlias - Table alias of the course_assignments row
+ * @returns {string}
+ */
+const assignmentStatusSql = (enrollmentAlias, assignmentAlias) => `CASE
+         WHEN ${hasValidCertificateSql(`${enrollmentAlias}.user_id`, `${enrollmentAlias}.course_id`)} THEN 'completed'
+         WHEN ${assignmentAlias}.due_date < CURRENT_DATE THEN 'overdue'
+         WHEN ${hasCourseActivitySql(`${enrollmentAlias}.user_id`, `${enrollmentAlias}.course_id`)} THEN 'in_progress'
+         ELSE 'not_started'
+       END`;
+
+/**
+ * SQL condition matching the users an assignment applies to
+ * @param {string} userAlias - Table alias of the users row
+ * @param {string} assignmentAlias - Table alias of the course_assignments row
+ * @returns {string}
+ */
+const assignmentTargetsUserSql = (userAlias, assignmentAlias) =>
+  `(${assignmentAlias}.user_id = ${userAlias}.id
+    OR ${assignmentAlias}.department_id = ${userAlias}.department_id
+    OR ${assignmentAlias}.role = ${userAlias}.role)`;
+
+/**
+ * Bring users' assigned enrollments in line with the current assignments: enroll them in every course
+ * assigned to them, point each enrollment at the applicable assignment due soonest, and turn
+ * enrollments whose assignments no longer apply back into ordinary ones (progress is kept).
+ * Call after assignments change or after a user's role or department changes.
+ * @param {number[]} userIds - Users to update
+ * @param {Object} [client] - Client inside an open transaction; without one the sync runs in its own
+ * @returns {Promise<void>}
+ */
+async function syncAssignments(userIds, client = null) {
+  if (userIds.length === 0) return;
+
+  const db = client || await pool.connect();
+  try {
+    if (!client) await db.query('BEGIN');
+
+    await db.query(
+      'UPDATE course_enrollments SET assignment_id = NULL WHERE user_id = ANY($1::int[]) AND assignment_id IS NOT NULL',
+      [userIds]
+    );
+
+    await db.query(
+      `INSERT INTO course_enrollments (user_id, course_id, assignment_id)
+       SELECT DISTINCT ON (u.id, ca.course_id) u.id, ca.course_id, ca.id
+       FROM course_assignments ca
+       JOIN users u ON ${assignmentTargetsUserSql('u', 'ca')}
+       WHERE u.id = ANY($1::int[]) AND u.is_active = true
+       ORDER BY u.id, ca.course_id, ca.due_date, ca.id
+       ON CONFLICT (user_id, course_id) DO UPDATE SET assignment_id = EXCLUDED.assignment_id`,
+      [userIds]
+    );
+
+    if (!client) await db.query('COMMIT');
+  } catch (error) {
+    if (!client) await db.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    if (!client) db.release();
+  }
+}
+
+/**
+ * A user's assigned courses with due dates and statuses, soonest due first; completed ones last
+ * @param {number} userId - Learner
+ * @returns {Promise<Object[]>} - assignment_id, course_id, course_title, thumbnail_url, due_date,
+ *   enrolled_at and status for each assigned enrollment
+ */
+async function getUserAssignments(userId) {
+  const result = await query(
+    `SELECT * FROM (
+       SELECT ca.id as assignment_id, c.id as course_id, c.title as course_title, c.thumbnail_url,
+              ca.due_date::text as due_date, ce.enrolled_at, ${assignmentStatusSql('ce', 'ca')} as status
+       FROM course_enrollments ce
+       JOIN course_assignments ca ON ce.assignment_id = ca.id
+       JOIN courses c ON ce.course_id = c.id
+       WHERE ce.user_id = $1
+     ) assignments
+     ORDER BY (status = 'completed'), due_date, course_title`,
+    [userId]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  ASSIGNMENT_STATUSES,
+  ASSIGNMENT_TARGETS,
+  assignmentStatusSql,
+  assignmentTargetsUserSql,
+  syncAssignments,
+  getUserAssignments
+};
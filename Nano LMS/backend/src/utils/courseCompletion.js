@@ -0,0 +1,264 @@
+const { query, pool } = require('../database/connection');
+const { v4: uuidv4 } = require('uuid');
+const { generateCertificatePDF, removeCertificatePDF } = require('./certificateRenderer');
+const { expiresAtSql, hasValidCertificateSql } = require('./certificateStatus');
+
+// What earns a course's certificate (courses.certificate_rule)
+const CERTIFICATE_RULES = ['lessons', 'quiz', 'both'];
+
+const createCertificateNumber = () => `CERT-${uuidv4().replace(/-/g, '').substring(0, 12).toUpperCase()}`;
+
+/**
+ * Check a learner against the course's certificate rule. While recertifying, quiz passes from
+ * before the old certificate expired no longer count; on lessons-only courses, neither do lesson
+ * completions that haven't been revisited since.
+ * @param {Object} client - Database client to query with
+ * @param {number} userId - Learner
+ * @param {Object} course - Course row with id and certificate_rule
+ * @param {Date|null} since - When the learner's expired certificate lapsed, or null
+ * @returns {Promise<boolean>} - Whether the learner has earned the certificate
+ */
+async function meetsCertificateRule(client, userId, course, since) {
+  const lessonsResult = await client.query(
+    `SELECT COUNT(*) as total,
+            COUNT(up.id) as completed
+     FROM lessons l
+     LEFT JOIN user_progress up ON up.lesson_id = l.id AND up.user_id = $1 AND up.is_completed = true
+       AND ($3::timestamp IS NULL OR up.updated_at >= $3)
+     WHERE l.course_id = $2 AND l.is_published = true`,
+    [userId, course.id, course.certificate_rule === 'lessons' ? since : null]
+  );
+
+  const quizzesResult = await client.query(
+    `SELECT COUNT(*) as total,
+            COUNT(*) FILTER (WHERE EXISTS (
+              SELECT 1 FROM quiz_attempts qa
+              WHERE qa.quiz_id = q.id AND qa.user_id = $1 AND qa.is_passed = true
+              AND ($3::timestamp IS NULL OR qa.started_at >= $3)
+            )) as passed
+     FROM quizzes q
+     WHERE q.course_id = $2 AND q.counts_toward_completion = true`,
+    [userId, course.id, since]
+  );
+
+  const totalLessons = parseInt(lessonsResult.rows[0].total);
+  const lessonsComplete = parseInt(lessonsResult.rows[0].completed) === totalLessons;
+  const totalQuizzes = parseInt(quizzesResult.rows[0].total);
+  const quizzesComplete = parseInt(quizzesResult.rows[0].passed) === totalQuizzes;
+
+  if (course.certificate_rule === 'lessons') {
+    return totalLessons > 0 && lessonsComplete;
+  }
+  if (course.certificate_rule === 'quiz') {
+    return totalQuizzes > 0 && quizzesComplete;
+  }
+  return totalLessons + totalQuizzes > 0 && lessonsComplete && quizzesComplete;
+}
+
+/**
+ * Issue a learner's course certificate if they have met the course's certificate rule. This is the
+ * only place certificates are created: quiz submission, grading, lesson progress and the certificate
+ * routes all come through here. Runs in a transaction holding a per-learner, per-course lock, and the
+ * one-current-certificate unique index backs it up, so repeated or concurrent calls never duplicate.
+ * An expired certificate is renewed (and superseded) once the learner qualifies again; a valid or
+ * revoked one is returned as is. A newly issued certificate then advances the learner's learning paths.
+ * @param {number} userId - Learner
+ * @param {number} courseId - Course
+ * @param {Object} [details]
+ * @param {number|null} [details.quizId] - Quiz whose pass triggered issuance
+ * @param {number|null} [details.score] - Score of that pass, recorded on the certificate
+ * @returns {Promise<{courseCompleted: boolean, certificate: Object|null, issued: boolean}>}
+ *   certificate is null when the course isn't complete or issuance failed (the error is logged)
+ */
+async function issueCertificateIfCourseComplete(userId, courseId, { quizId = null, score = null } = {}) {
+  const client = await pool.connect();
+  let courseCompleted = false;
+  let certificate;
+  let pdfUrl = null;
+
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock($1, $2)', [userId, courseId]);
+
+    const courseResult = await client.query('SELECT id, certificate_rule FROM courses WHERE id = $1', [courseId]);
+    if (courseResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { courseCompleted: false, certificate: null, issued: false };
+    }
+
+    const existingResult = await client.query(
+      `SELECT id, certificate_number, issued_at, expires_at, revoked_at, pdf_url,
+              expires_at <= NOW() as is_expired
+       FROM certificates
+       WHERE user_id = $1 AND course_id = $2 AND replaced_by IS NULL`,
+      [userId, courseId]
+    );
+    const { is_expired: isExpired, ...existing } = existingResult.rows[0] || {};
+    const renewing = Boolean(existing.id && isExpired && !existing.revoked_at);
+
+    courseCompleted = await meetsCertificateRule(client, userId, courseResult.rows[0], renewing ? existing.expires_at : null);
+
+    if (!courseCompleted || (existing.id && !renewing)) {
+      await client.query('COMMIT');
+      return { courseCompleted, certificate: courseCompleted ? existing : null, issued: false };
+    }
+
+    const certificateNumber = createCertificateNumber();
+    pdfUrl = await generateCertificatePDF(certificateNumber, { userId, courseId, score });
+
+    // Take the new ID up front so the expired certificate can point at its renewal before the renewal
+    // claims the one-current-certificate slot (the foreign key is checked at commit)
+    const idResult = await client.query(`SELECT nextval(pg_get_serial_sequence('certificates', 'id')) as id`);
+    const certificateId = idResult.rows[0].id;
+
+    if (renewing) {
+      await client.query('UPDATE certificates SET replaced_by = $1 WHERE id = $2', [certificateId, existing.id]);
+    }
+
+    const certificateResult = await client.query(
+      `INSERT INTO certificates (id, user_id, course_id, quiz_id, score, certificate_number, pdf_url, issued_at, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), ${expiresAtSql('$3')})
+       RETURNING id, certificate_number, issued_at, expires_at, revoked_at, pdf_url`,
+      [certificateId, userId, courseId, quizId, score, certificateNumber, pdfUrl]
+    );
+
+    await client.query('COMMIT');
+    certificate = certificateResult.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    // The PDF is written before the certificate row, so don't leave it behind when the row is rolled back
+    if (pdfUrl) await removeCertificatePDF(pdfUrl);
+    console.error('Certificate issuance error:', error);
+    return { courseCompleted, certificate: null, issued: false };
+  } finally {
+    client.release();
+  }
+
+  // A new course certificate can unlock the next steps of the learner's learning paths, or complete them
+  await advanceLearningPaths(userId, courseId)
+    .catch((error) => console.error('Learning path progress error:', error));
+
+  return { courseCompleted, certificate, issued: true };
+}
+
+/**
+ * Move a learner along a learning path they're enrolled in: enroll them in every step whose
+ * prerequisites they've completed, and once they hold a valid certificate for every course in the
+ * path, issue the path certificate. Holds the learner's path enrollment row for the duration, and
+ * the one-current-path-certificate unique index backs it up, so repeated calls never duplicate.
+ * A path certificate, once issued, is kept even if a course certificate later lapses.
+ * @param {number} userId - Learner
+ * @param {number} learningPathId - Learning path
+ * @returns {Promise<{enrolled: boolean, pathCompleted: boolean, certificate: Object|null, issued: boolean}>}
+ *   certificate is null when the path isn't complete or issuance failed (the error is logged)
+ */
+async function advanceLearningPath(userId, learningPathId) {
+  const client = await pool.connect();
+  let pathCompleted = false;
+  let pdfUrl = null;
+
+  try {
+    await client.query('BEGIN');
+
+    const enrollmentResult = await client.query(
+      'SELECT id FROM learning_path_enrollments WHERE user_id = $1 AND learning_path_id = $2 FOR UPDATE',
+      [userId, learningPathId]
+    );
+    if (enrollmentResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { enrolled: false, pathCompleted: false, certificate: null, issued: false };
+    }
+
+    await client.query(
+      `INSERT INTO course_enrollments (user_id, course_id)
+       SELECT $1, lpc.course_id
+       FROM learning_path_courses lpc
+       WHERE lpc.learning_path_id = $2
+       AND NOT EXISTS (
+         SELECT 1 FROM learning_path_prerequisites lpp
+         WHERE lpp.learning_path_id = lpc.learning_path_id AND lpp.course_id = lpc.course_id
+         AND NOT ${hasValidCertificateSql('$1', 'lpp.prerequisite_course_id')}
+       )
+       ON CONFLICT (user_id, course_id) DO NOTHING`,
+      [userId, learningPathId]
+    );
+
+    const stepsResult = await client.query(
+      `SELECT COUNT(*) as total,
+              COUNT(*) FILTER (WHERE ${hasValidCertificateSql('$1', 'lpc.course_id')}) as completed
+       FROM learning_path_courses lpc
+       WHERE lpc.learning_path_id = $2`,
+      [userId, learningPathId]
+    );
+    const totalSteps = parseInt(stepsResult.rows[0].total);
+    pathCompleted = totalSteps > 0 && parseInt(stepsResult.rows[0].completed) === totalSteps;
+
+    const existingResult = await client.query(
+      `SELECT id, certificate_number, issued_at, expires_at, revoked_at, pdf_url
+       FROM certificates
+       WHERE user_id = $1 AND learning_path_id = $2 AND replaced_by IS NULL`,
+      [userId, learningPathId]
+    );
+    const existing = existingResult.rows[0] || null;
+
+    if (!pathCompleted || existing) {
+      await client.query('COMMIT');
+      return { enrolled: true, pathCompleted, certificate: existing, issued: false };
+    }
+
+    const certificateNumber = createCertificateNumber();
+    pdfUrl = await generateCertificatePDF(certificateNumber, { userId, learningPathId });
+
+    const certificateResult = await client.query(
+      `INSERT INTO certificates (user_id, learning_path_id, certificate_number, pdf_url, issued_at)
+       VALUES ($1, $2, $3, $4, NOW())
+       RETURNING id, certificate_number, issued_at, expires_at, revoked_at, pdf_url`,
+      [userId, learningPathId, certificateNumber, pdfUrl]
+    );
+
+    await client.query(
+      'UPDATE learning_path_enrollments SET completed_at = NOW() WHERE id = $1',
+      [enrollmentResult.rows[0].id]
+    );
+
+    await client.query('COMMIT');
+    return { enrolled: true, pathCompleted, certificate: certificateResult.rows[0], issued: true };
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    if (pdfUrl) await removeCertificatePDF(pdfUrl);
+    console.error('Learning path certificate issuance error:', error);
+    return { enrolled: true, pathCompleted, certificate: null, issued: false };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Advance a learner along every learning path they're enrolled in, or just the ones containing a course
+ * @param {number} userId - Learner
+ * @param {number|null} [courseId] - Only paths with this course among their steps
+ * @returns {Promise<void>}
+ */
+async function advanceLearningPaths(userId, courseId = null) {
+  const pathsResult = await query(
+    `SELECT lpe.learning_path_id
+     FROM learning_path_enrollments lpe
+     WHERE lpe.user_id = $1
+     AND ($2::int IS NULL OR EXISTS (
+       SELECT 1 FROM learning_path_courses lpc
+       WHERE lpc.learning_path_id = lpe.learning_path_id AND lpc.course_id = $2
+     ))`,
+    [userId, courseId]
+  );
+
+  for (const { learning_path_id: learningPathId } of pathsResult.rows) {
+    await advanceLearningPath(userId, learningPathId);
+  }
+}
+
+module.exports = {
+  CERTIFICATE_RULES,
+  issueCertificateIfCourseComplete,
+  advanceLearningPath,
+  advanceLearningPaths
+};
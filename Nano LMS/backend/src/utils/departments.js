@@ -0,0 +1,37 @@
+const { query } = require('../database/connection');
+
+/**
+ * Find which of the given department IDs don't exist
+ * @param {Array<number|string>} departmentIds - IDs to check
+ * @returns {Promise<number[]>} - IDs with no matching department (empty when all exist)
+ */
+async function findMissingDepartments(departmentIds) {
+  const ids = [...new Set(departmentIds.map((id) => parseInt(id)))];
+  if (ids.length === 0) return [];
+
+  const result = await query('SELECT id FROM departments WHERE id = ANY($1::int[])', [ids]);
+  const found = new Set(result.rows.map((row) => row.id));
+  return ids.filter((id) => !found.has(id));
+}
+
+/**
+ * Replace the departments a course is aimed at. No departments means the course is open to everyone.
+ * @param {Object} client - Database client or pool to query with
+ * @param {number} courseId - Course
+ * @param {Array<number|string>} departmentIds - Departments that should see the course
+ * @returns {Promise<void>}
+ */
+async function setCourseDepartments(client, courseId, departmentIds) {
+  await client.query('DELETE FROM course_departments WHERE course_id = $1', [courseId]);
+  await client.query(
+    `INSERT INTO course_departments (course_id, department_id)
+     SELECT $1, department_id FROM unnest($2::int[]) as department_id
+     ON CONFLICT DO NOTHING`,
+    [courseId, departmentIds.map((id) => parseInt(id))]
+  );
+}
+
+module.exports = {
+  findMissingDepartments,
+  setCourseDepartments
+};
@@ -0,0 +1,195 @@
+const { QUESTION_TYPES, getGrader } = require('..');
+
+describe('getGrader', () => {
+  it('has a grader for every question type', () => {
+    expect(QUESTION_TYPES).toEqual(expect.arrayContaining([
+      'multiple_choice', 'true_false', 'short_answer', 'multi_select', 'ordering', 'matching', 'numeric', 'essay'
+    ]));
+    for (const type of QUESTION_TYPES) {
+      expect(getGrader(type).type).toBe(type);
+    }
+  });
+
+  it('returns undefined for unknown types', () => {
+    expect(getGrader('drawing')).toBeUndefined();
+  });
+});
+
+describe('multiple_choice', () => {
+  const grader = getGrader('multiple_choice');
+  const question = { options: ['Red', 'Green', 'Blue'], correct_answer: 1 };
+
+  it('normalizes a valid question', () => {
+    expect(grader.normalize({ options: ['Red', 'Green'], correct_answer: '1' })).toEqual({ options: ['Red', 'Green'], correct_answer: 1 });
+  });
+
+  it('rejects missing options and out-of-range answers', () => {
+    expect(grader.normalize({ options: ['Only'], correct_answer: 0 }).error).toBe('needs at least 2 options');
+    expect(grader.normalize({ options: ['Red', ' '], correct_answer: 0 }).error).toBe('has an empty option');
+    expect(grader.normalize({ options: ['Red', 'Green'], correct_answer: 2 }).error).toBe('must mark one of its options as correct');
+  });
+
+  it('gives full credit only for the correct index', () => {
+    expect(grader.grade(question, 1)).toBe(1);
+    expect(grader.grade(question, '1')).toBe(1);
+    expect(grader.grade(question, 0)).toBe(0);
+  });
+
+  it('treats blank answers as unanswered', () => {
+    expect(grader.grade({ ...question, correct_answer: 0 }, '')).toBe(0);
+    expect(grader.grade({ ...question, correct_answer: 0 }, null)).toBe(0);
+    expect(grader.grade({ ...question, correct_answer: 0 }, undefined)).toBe(0);
+  });
+});
+
+describe('true_false', () => {
+  const grader = getGrader('true_false');
+
+  it('accepts booleans and their text form', () => {
+    expect(grader.normalize({ correct_answer: 'TRUE ' })).toEqual({ options: ['True', 'False'], correct_answer: true });
+    expect(grader.normalize({ correct_answer: false })).toEqual({ options: ['True', 'False'], correct_answer: false });
+    expect(grader.normalize({ correct_answer: 'yes' }).error).toBe('must have a correct answer of true or false');
+  });
+
+  it('grades text and boolean answers alike', () => {
+    expect(grader.grade({ correct_answer: false }, 'false')).toBe(1);
+    expect(grader.grade({ correct_answer: false }, true)).toBe(0);
+  });
+});
+
+describe('short_answer', () => {
+  const grader = getGrader('short_answer');
+
+  it('upgrades a legacy plain-text answer', () => {
+    expect(grader.normalize({ correct_answer: ' Paris ' })).toEqual({
+      options: [],
+      correct_answer: { accepted: ['Paris'], patterns: [], case_sensitive: false }
+    });
+  });
+
+  it('rejects questions without answers or with invalid patterns', () => {
+    expect(grader.normalize({ correct_answer: { accepted: [' '] } }).error).toBe('needs at least one accepted answer or pattern');
+    expect(grader.normalize({ correct_answer: { patterns: ['(unclosed'] } }).error).toBe('has an invalid pattern "(unclosed"');
+  });
+
+  it('ignores case and extra whitespace unless case-sensitive', () => {
+    const question = { correct_answer: { accepted: ['New  York'], patterns: [], case_sensitive: false } };
+    expect(grader.grade(question, '  new york ')).toBe(1);
+    expect(grader.grade({ correct_answer: { accepted: ['NaCl'], case_sensitive: true } }, 'nacl')).toBe(0);
+  });
+
+  it('matches patterns and legacy answers', () => {
+    expect(grader.grade({ correct_answer: { accepted: [], patterns: ['^colou?r$'] } }, 'Color')).toBe(1);
+    expect(grader.grade({ correct_answer: 'Paris' }, 'paris')).toBe(1);
+    expect(grader.grade({ correct_answer: 'Paris' }, '')).toBe(0);
+  });
+});
+
+describe('multi_select', () => {
+  const grader = getGrader('multi_select');
+  const question = { options: ['A', 'B', 'C', 'D'], correct_answer: [0, 2] };
+
+  it('sorts and de-duplicates the correct options', () => {
+    expect(grader.normalize({ options: ['A', 'B', 'C'], correct_answer: [2, 0, 2] }).correct_answer).toEqual([0, 2]);
+    expect(grader.normalize({ options: ['A', 'B'], correct_answer: [] }).error).toBe('must mark at least one of its options as correct');
+    expect(grader.normalize({ options: ['A', 'B'], correct_answer: [5] }).error).toBe('marks an option as correct that does not exist');
+  });
+
+  it('gives partial credit and takes a share back per wrong pick', () => {
+    expect(grader.grade(question, [0, 2])).toBe(1);
+    expect(grader.grade(question, [0])).toBe(0.5);
+    expect(grader.grade(question, [0, 1])).toBe(0);
+    expect(grader.grade(question, [1, 3])).toBe(0);
+    expect(grader.grade(question, [])).toBe(0);
+  });
+
+  it('ignores blank and non-index picks instead of reading them as the first option', () => {
+    expect(grader.grade(question, ['', 'zz'])).toBe(0);
+    expect(grader.grade(question, [null, undefined, 0.5])).toBe(0);
+    expect(grader.grade(question, ['0', ' ', '2'])).toBe(1);
+  });
+
+  it('counts out-of-range picks as wrong', () => {
+    expect(grader.grade(question, [0, 2, 9])).toBe(0.5);
+    expect(grader.grade(question, [-1])).toBe(0);
+  });
+});
+
+describe('ordering', () => {
+  const grader = getGrader('ordering');
+
+  it('stores items in their correct order', () => {
+    expect(grader.normalize({ options: ['First', 'Second', 'Third'] }).correct_answer).toEqual([0, 1, 2]);
+  });
+
+  it('only credits a fully correct order', () => {
+    const question = { correct_answer: [0, 1, 2] };
+    expect(grader.grade(question, [0, 1, 2])).toBe(1);
+    expect(grader.grade(question, [0, 2, 1])).toBe(0);
+    expect(grader.grade(question, [0, 1])).toBe(0);
+  });
+
+  it('does not credit blank or out-of-range positions', () => {
+    const question = { correct_answer: [0, 1, 2] };
+    expect(grader.grade(question, ['', null, 'zz'])).toBe(0);
+    expect(grader.grade(question, [0, 1, ''])).toBe(0);
+    expect(grader.grade(question, [0, 1, 3])).toBe(0);
+    expect(grader.grade(question, ['0', '1', '2'])).toBe(1);
+  });
+});
+
+describe('matching', () => {
+  const grader = getGrader('matching');
+  const options = [{ prompt: 'Dog', match: 'Bark' }, { prompt: 'Cat', match: 'Meow' }, { prompt: 'Cow', match: 'Moo' }];
+
+  it('requires complete pairs', () => {
+    expect(grader.normalize({ options }).correct_answer).toEqual([0, 1, 2]);
+    expect(grader.normalize({ options: [options[0]] }).error).toBe('needs at least 2 pairs');
+    expect(grader.normalize({ options: [options[0], { prompt: 'Cat', match: ' ' }] }).error).toBe('has a pair with an empty side');
+  });
+
+  it('presents prompts in place and matches in the attempt order', () => {
+    expect(grader.present(options, [2, 0, 1])).toEqual({ options: ['Dog', 'Cat', 'Cow'], matches: ['Moo', 'Bark', 'Meow'] });
+  });
+
+  it('credits each correct pair', () => {
+    const question = { correct_answer: [0, 1, 2] };
+    expect(grader.grade(question, [0, 1, 2])).toBe(1);
+    expect(grader.grade(question, [0, null, 1])).toBeCloseTo(1 / 3);
+    expect(grader.grade(question, 'not a list')).toBe(0);
+  });
+});
+
+describe('numeric', () => {
+  const grader = getGrader('numeric');
+
+  it('normalizes a bare number and validates tolerances', () => {
+    expect(grader.normalize({ correct_answer: '42' }).correct_answer).toEqual({ value: 42, tolerance: 0, tolerance_type: 'absolute' });
+    expect(grader.normalize({ correct_answer: { value: 'abc' } }).error).toBe('must have a numeric correct answer');
+    expect(grader.normalize({ correct_answer: { value: 1, tolerance: -1 } }).error).toBe('must have a tolerance of zero or more');
+    expect(grader.normalize({ correct_answer: { value: 1, tolerance_type: 'fuzzy' } }).error).toBe('must use an absolute or relative tolerance');
+  });
+
+  it('accepts answers within an absolute or relative tolerance', () => {
+    expect(grader.grade({ correct_answer: { value: 10, tolerance: 0.5, tolerance_type: 'absolute' } }, '10.5')).toBe(1);
+    expect(grader.grade({ correct_answer: { value: 10, tolerance: 0.5, tolerance_type: 'absolute' } }, '10.6')).toBe(0);
+    expect(grader.grade({ correct_answer: { value: 200, tolerance: 5, tolerance_type: 'relative' } }, 190)).toBe(1);
+    expect(grader.grade({ correct_answer: { value: 200, tolerance: 5, tolerance_type: 'relative' } }, 189)).toBe(0);
+  });
+
+  it('tolerates floating point error but not blank answers', () => {
+    expect(grader.grade({ correct_answer: { value: 0.3, tolerance: 0 } }, 0.1 + 0.2)).toBe(1);
+    expect(grader.grade({ correct_answer: { value: 0, tolerance: 0 } }, '')).toBe(0);
+  });
+});
+
+describe('essay', () => {
+  const grader = getGrader('essay');
+
+  it('is graded manually with optional notes', () => {
+    expect(grader.manual).toBe(true);
+    expect(grader.normalize({ correct_answer: ' Mention safety ' })).toEqual({ options: [], correct_answer: { guidance: 'Mention safety' } });
+    expect(grader.normalize({ correct_answer: { guidance: 5 } }).error).toBe('has grading notes that are not text');
+    expect(grader.grade()).toBe(0);
+  });
+});
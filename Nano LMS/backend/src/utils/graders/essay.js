@@ -0,0 +1,28 @@
+const MAX_GUIDANCE_LENGTH = 5000;
+
+// Free text read and scored by a trainer. correct_answer holds optional grading notes
+// for the reviewer ({guidance}); grade() gives no automatic credit.
+module.exports = {
+  type: 'essay',
+  shuffleOptions: false,
+  manual: true,
+
+  normalize({ correct_answer }) {
+    const guidance = correct_answer && typeof correct_answer === 'object'
+      ? correct_answer.guidance
+      : correct_answer;
+
+    if (guidance !== undefined && guidance !== null && typeof guidance !== 'string') {
+      return { error: 'has grading notes that are not text' };
+    }
+    if (guidance && guidance.length > MAX_GUIDANCE_LENGTH) {
+      return { error: `has grading notes longer than ${MAX_GUIDANCE_LENGTH} characters` };
+    }
+
+    return { options: [], correct_answer: { guidance: guidance ? guidance.trim() : '' } };
+  },
+
+  grade() {
+    return 0;
+  }
+};
@@ -0,0 +1,33 @@
+const multipleChoice = require('./multipleChoice');
+const trueFalse = require('./trueFalse');
+const shortAnswer = require('./shortAnswer');
+const multiSelect = require('./multiSelect');
+const ordering = require('./ordering');
+const matching = require('./matching');
+const numeric = require('./numeric');
+const essay = require('./essay');
+
+// One grader per question type. A grader normalizes a question's options and correct
+// answer when it is saved and scores a learner's answer between 0 and 1 when graded.
+// Types with shuffleOptions have their options reordered per attempt (alwaysShuffle even
+// when the quiz turns shuffling off), and may define present() to shape what learners see.
+// Manual types are scored by a trainer from the grading queue instead of by grade().
+const GRADERS = Object.fromEntries(
+  [multipleChoice, trueFalse, shortAnswer, multiSelect, ordering, matching, numeric, essay].map((grader) => [grader.type, grader])
+);
+
+const QUESTION_TYPES = Object.keys(GRADERS);
+
+/**
+ * Look up the grader for a question type
+ * @param {string} type - Question type
+ * @returns {Object|undefined} - Grader with normalize(), grade() and optionally present()
+ */
+function getGrader(type) {
+  return GRADERS[type];
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  getGrader
+};
@@ -0,0 +1,51 @@
+const { toIndexList } = require('./optionList');
+
+const MAX_PAIRS = 20;
+
+const isFilled = (text) => typeof text === 'string' && text.trim().length > 0;
+
+// Options are {prompt, match} pairs. Prompts are shown in order with the matches shuffled,
+// and the learner answers with the chosen match index for each prompt. Each correct pair
+// earns its share of the points.
+module.exports = {
+  type: 'matching',
+  shuffleOptions: true,
+  alwaysShuffle: true,
+
+  normalize({ options }) {
+    if (!Array.isArray(options) || options.length < 2) {
+      return { error: 'needs at least 2 pairs' };
+    }
+    if (options.length > MAX_PAIRS) {
+      return { error: `can have at most ${MAX_PAIRS} pairs` };
+    }
+    if (options.some((pair) => !pair || !isFilled(pair.prompt) || !isFilled(pair.match))) {
+      return { error: 'has a pair with an empty side' };
+    }
+
+    return {
+      options: options.map(({ prompt, match }) => ({ prompt: prompt.trim(), match: match.trim() })),
+      correct_answer: options.map((_, index) => index)
+    };
+  },
+
+  // Prompts stay in place; only the match column follows the attempt's option order
+  present(options, order) {
+    return {
+      options: options.map((pair) => pair.prompt),
+      matches: order.map((index) => options[index].match)
+    };
+  },
+
+  grade(question, answer) {
+    const correct = toIndexList(question.correct_answer);
+    const given = Array.isArray(answer) ? answer : [];
+    if (correct.length === 0) {
+      return 0;
+    }
+
+    const matched = correct.filter((index, position) => given[position] !== undefined
+      && given[position] !== null && Number(given[position]) === index).length;
+    return matched / correct.length;
+  }
+};
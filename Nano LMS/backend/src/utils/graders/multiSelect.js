@@ -0,0 +1,37 @@
+const { validateOptionList, toIndexList } = require('./optionList');
+
+// Several correct options, answered with the indexes of every chosen option. Each correct
+// pick earns a share of the points and each wrong pick takes one share back.
+module.exports = {
+  type: 'multi_select',
+  shuffleOptions: true,
+
+  normalize({ options, correct_answer }) {
+    const optionError = validateOptionList(options);
+    if (optionError) {
+      return optionError;
+    }
+
+    const correct = [...new Set(toIndexList(correct_answer))].sort((a, b) => a - b);
+    if (correct.length === 0) {
+      return { error: 'must mark at least one of its options as correct' };
+    }
+    if (correct.some((index) => !Number.isInteger(index) || index < 0 || index >= options.length)) {
+      return { error: 'marks an option as correct that does not exist' };
+    }
+
+    return { options, correct_answer: correct };
+  },
+
+  grade(question, answer) {
+    const correct = toIndexList(question.correct_answer);
+    const chosen = [...new Set(toIndexList(answer))];
+    if (correct.length === 0 || chosen.length === 0) {
+      return 0;
+    }
+
+    const hits = chosen.filter((index) => correct.includes(index)).length;
+    const misses = chosen.length - hits;
+    return Math.max(0, (hits - misses) / correct.length);
+  }
+};
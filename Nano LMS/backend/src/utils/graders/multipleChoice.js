@@ -0,0 +1,28 @@
+const { validateOptionList } = require('./optionList');
+
+// One correct option, answered with the index of the chosen option
+module.exports = {
+  type: 'multiple_choice',
+  shuffleOptions: true,
+
+  normalize({ options, correct_answer }) {
+    const optionError = validateOptionList(options);
+    if (optionError) {
+      return optionError;
+    }
+
+    const correctIndex = Number(correct_answer);
+    if (!Number.isInteger(correctIndex) || correctIndex < 0 || correctIndex >= options.length) {
+      return { error: 'must mark one of its options as correct' };
+    }
+
+    return { options, correct_answer: correctIndex };
+  },
+
+  grade(question, answer) {
+    if (answer === undefined || answer === null || answer === '') {
+      return 0;
+    }
+    return Number(answer) === Number(question.correct_answer) ? 1 : 0;
+  }
+};
@@ -0,0 +1,52 @@
+const TOLERANCE_TYPES = ['absolute', 'relative'];
+
+// Read a number from a form value; blank or non-numeric input is null
+const toNumber = (value) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+  const parsed = Number(value.trim());
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+// A number answered within a tolerance: {value, tolerance, tolerance_type}. An absolute
+// tolerance is in the answer's units; a relative one is a percentage of the correct value.
+module.exports = {
+  type: 'numeric',
+  shuffleOptions: false,
+
+  normalize({ correct_answer }) {
+    const rules = correct_answer && typeof correct_answer === 'object' ? correct_answer : { value: correct_answer };
+    const value = toNumber(rules.value);
+    if (value === null) {
+      return { error: 'must have a numeric correct answer' };
+    }
+
+    const tolerance = rules.tolerance === undefined || rules.tolerance === '' ? 0 : toNumber(rules.tolerance);
+    if (tolerance === null || tolerance < 0) {
+      return { error: 'must have a tolerance of zero or more' };
+    }
+
+    const toleranceType = rules.tolerance_type || 'absolute';
+    if (!TOLERANCE_TYPES.includes(toleranceType)) {
+      return { error: `must use an ${TOLERANCE_TYPES.join(' or ')} tolerance` };
+    }
+
+    return { options: [], correct_answer: { value, tolerance, tolerance_type: toleranceType } };
+  },
+
+  grade(question, answer) {
+    const given = toNumber(answer);
+    const { value, tolerance = 0, tolerance_type: toleranceType } = question.correct_answer || {};
+    if (given === null || typeof value !== 'number') {
+      return 0;
+    }
+
+    const allowed = toleranceType === 'relative' ? Math.abs(value) * tolerance / 100 : tolerance;
+    // Leave room for floating point error so 0.1 + 0.2 still matches 0.3 exactly
+    return Math.abs(given - value) <= allowed + Number.EPSILON * Math.max(1, Math.abs(value)) ? 1 : 0;
+  }
+};
@@ -0,0 +1,22 @@
+// Shared checks for types whose options are a list of non-empty strings
+const validateOptionList = (options, minimum = 2) => {
+  if (!Array.isArray(options) || options.length < minimum) {
+    return { error: `needs at least ${minimum} options` };
+  }
+  if (options.some((option) => typeof option !== 'string' || !option.trim())) {
+    return { error: 'has an empty option' };
+  }
+  return null;
+};
+
+// Only numbers and numeric text are indexes; Number(null) and Number('') are 0 and would pick the first option
+const toIndex = (value) => (typeof value === 'number' || (typeof value === 'string' && value.trim()) ? Number(value) : NaN);
+
+// Answers for list types are arrays of option indexes; entries that are not indexes are dropped,
+// and anything other than an array counts as unanswered
+const toIndexList = (answer) => (Array.isArray(answer) ? answer.map(toIndex).filter(Number.isInteger) : []);
+
+module.exports = {
+  validateOptionList,
+  toIndexList
+};
@@ -0,0 +1,26 @@
+const { validateOptionList, toIndexList } = require('./optionList');
+
+// Items are stored in their correct order and always shown shuffled; the learner answers
+// with the item indexes in the order they chose. Only a fully correct order earns credit.
+module.exports = {
+  type: 'ordering',
+  shuffleOptions: true,
+  alwaysShuffle: true,
+
+  normalize({ options }) {
+    const optionError = validateOptionList(options);
+    if (optionError) {
+      return optionError;
+    }
+    return { options, correct_answer: options.map((_, index) => index) };
+  },
+
+  grade(question, answer) {
+    const correct = toIndexList(question.correct_answer);
+    const given = toIndexList(answer);
+    if (given.length !== correct.length) {
+      return 0;
+    }
+    return given.every((index, position) => index === correct[position]) ? 1 : 0;
+  }
+};
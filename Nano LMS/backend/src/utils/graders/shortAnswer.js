@@ -0,0 +1,71 @@
+const MAX_ANSWER_LENGTH = 500;
+const MAX_PATTERN_LENGTH = 200;
+
+// Older questions stored a single accepted answer as plain text
+const toRules = (correctAnswer) => {
+  if (correctAnswer && typeof correctAnswer === 'object' && !Array.isArray(correctAnswer)) {
+    return {
+      accepted: correctAnswer.accepted || [],
+      patterns: correctAnswer.patterns || [],
+      case_sensitive: correctAnswer.case_sensitive === true
+    };
+  }
+  return {
+    accepted: correctAnswer === undefined || correctAnswer === null ? [] : [String(correctAnswer)],
+    patterns: [],
+    case_sensitive: false
+  };
+};
+
+// Ignore surrounding whitespace, repeated spaces and (unless case-sensitive) letter case
+const normalizeText = (text, caseSensitive) => {
+  const collapsed = String(text).trim().replace(/\s+/g, ' ');
+  return caseSensitive ? collapsed : collapsed.toLowerCase();
+};
+
+module.exports = {
+  type: 'short_answer',
+  shuffleOptions: false,
+
+  normalize({ correct_answer }) {
+    const rules = toRules(correct_answer);
+    const accepted = rules.accepted.map((answer) => String(answer).trim()).filter(Boolean);
+    const patterns = rules.patterns.map((pattern) => String(pattern).trim()).filter(Boolean);
+
+    if (accepted.length === 0 && patterns.length === 0) {
+      return { error: 'needs at least one accepted answer or pattern' };
+    }
+
+    for (const pattern of patterns) {
+      if (pattern.length > MAX_PATTERN_LENGTH) {
+        return { error: `has a pattern longer than ${MAX_PATTERN_LENGTH} characters` };
+      }
+      try {
+        new RegExp(pattern);
+      } catch (error) {
+        return { error: `has an invalid pattern "${pattern}"` };
+      }
+    }
+
+    return {
+      options: [],
+      correct_answer: { accepted, patterns, case_sensitive: rules.case_sensitive }
+    };
+  },
+
+  grade(question, answer) {
+    if (typeof answer !== 'string' || !answer.trim() || answer.length > MAX_ANSWER_LENGTH) {
+      return 0;
+    }
+
+    const rules = toRules(question.correct_answer);
+    const given = normalizeText(answer, rules.case_sensitive);
+
+    if (rules.accepted.some((accepted) => normalizeText(accepted, rules.case_sensitive) === given)) {
+      return 1;
+    }
+
+    const flags = rules.case_sensitive ? '' : 'i';
+    return rules.patterns.some((pattern) => new RegExp(pattern, flags).test(answer.trim())) ? 1 : 0;
+  }
+};
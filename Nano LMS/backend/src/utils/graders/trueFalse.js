@@ -0,0 +1,28 @@
+// Accept true/false as booleans or strings, since form values arrive as text
+const toBoolean = (value) => {
+  if (value === true || value === false) {
+    return value;
+  }
+  if (typeof value === 'string' && ['true', 'false'].includes(value.trim().toLowerCase())) {
+    return value.trim().toLowerCase() === 'true';
+  }
+  return null;
+};
+
+module.exports = {
+  type: 'true_false',
+  shuffleOptions: false,
+
+  normalize({ correct_answer }) {
+    const correct = toBoolean(correct_answer);
+    if (correct === null) {
+      return { error: 'must have a correct answer of true or false' };
+    }
+    return { options: ['True', 'False'], correct_answer: correct };
+  },
+
+  grade(question, answer) {
+    const given = toBoolean(answer);
+    return given !== null && given === toBoolean(question.correct_answer) ? 1 : 0;
+  }
+};
@@ -0,0 +1,162 @@
+const { query } = require('../database/connection');
+
+/**
+ * Course progress figures from lesson and required-quiz counts. Each lesson and each quiz that
+ * counts toward completion contributes equally.
+ * @param {Object} counts
+ * @param {number} counts.totalLessons - Published lessons in the course
+ * @param {number} counts.completedLessons - Lessons the learner has completed
+ * @param {number} counts.totalQuizzes - Quizzes that count toward completion
+ * @param {number} counts.passedQuizzes - Of those, quizzes the learner has passed
+ * @returns {Object} - Progress summary as returned by the progress endpoints
+ */
+function summarizeCourseProgress({ totalLessons, completedLessons, totalQuizzes, passedQuizzes }) {
+  const hasQuiz = totalQuizzes > 0;
+  const totalComponents = totalLessons + totalQuizzes;
+  const completedComponents = completedLessons + passedQuizzes;
+
+  return {
+    totalLessons,
+    completedLessons,
+    hasQuiz,
+    quizPassed: hasQuiz && passedQuizzes === totalQuizzes,
+    totalQuizzes,
+    passedQuizzes,
+    totalComponents,
+    completedComponents,
+    overallProgress: totalComponents > 0 ? Math.round((completedComponents / totalComponents) * 100) : 0,
+    courseCompleted: completedComponents === totalComponents && totalComponents > 0
+  };
+}
+
+/**
+ * SQL condition for whether a learner has started a course: any lesson progress or quiz attempt
+ * @param {string} userIdSql - SQL expression for the learner's ID
+ * @param {string} courseIdSql - SQL expression for the course ID
+ * @returns {string}
+ */
+const hasCourseActivitySql = (userIdSql, courseIdSql) => `(EXISTS (
+           SELECT 1 FROM user_progress up JOIN lessons l ON up.lesson_id = l.id
+           WHERE up.user_id = ${userIdSql} AND l.course_id = ${courseIdSql}
+         ) OR EXISTS (
+           SELECT 1 FROM quiz_attempts qa JOIN quizzes q ON qa.quiz_id = q.id
+           WHERE qa.user_id = ${userIdSql} AND q.course_id = ${courseIdSql}
+         ))`;
+
+/**
+ * Lesson and quiz progress of one or more learners, per course
+ * @param {number[]} userIds - Learners
+ * @param {Object} [options]
+ * @param {boolean} [options.enrolledOnly=false] - Only the courses each learner is enrolled in,
+ *   instead of every published course
+ * @returns {Promise<Object[]>} - One row per learner and course: userId, courseId, title, enrolledAt
+ *   and the summarizeCourseProgress() figures
+ */
+async function getCourseProgress(userIds, { enrolledOnly = false } = {}) {
+  if (userIds.length === 0) return [];
+
+  const result = await query(
+    `SELECT u.id as user_id, c.id as course_id, c.title, ce.enrolled_at,
+            (SELECT COUNT(*) FROM lessons l WHERE l.course_id = c.id AND l.is_published = true) as total_lessons,
+            (SELECT COUNT(*) FROM user_progress up
+             JOIN lessons l ON up.lesson_id = l.id
+             WHERE up.user_id = u.id AND l.course_id = c.id AND up.is_completed = true) as completed_lessons,
+            (SELECT COUNT(*) FROM quizzes q WHERE q.course_id = c.id AND q.counts_toward_completion = true) as total_quizzes,
+            (SELECT COUNT(DISTINCT q.id) FROM quiz_attempts qa
+             JOIN quizzes q ON qa.quiz_id = q.id
+             WHERE qa.user_id = u.id AND q.course_id = c.id AND q.counts_toward_completion = true
+             AND qa.is_passed = true) as passed_quizzes
+     FROM users u
+     ${enrolledOnly
+       ? 'JOIN course_enrollments ce ON ce.user_id = u.id JOIN courses c ON c.id = ce.course_id'
+       : 'CROSS JOIN courses c LEFT JOIN course_enrollments ce ON ce.user_id = u.id AND ce.course_id = c.id'}
+     WHERE u.id = ANY($1::int[]) ${enrolledOnly ? '' : 'AND c.is_published = true'}
+     ORDER BY u.id, c.id`,
+    [userIds]
+  );
+
+  return result.rows.map((row) => ({
+    userId: row.user_id,
+    courseId: row.course_id,
+    title: row.title,
+    enrolledAt: row.enrolled_at,
+    ...summarizeCourseProgress({
+      totalLessons: parseInt(row.total_lessons),
+      completedLessons: parseInt(row.completed_lessons),
+      totalQuizzes: parseInt(row.total_quizzes),
+      passedQuizzes: parseInt(row.passed_quizzes)
+    })
+  }));
+}
+
+/**
+ * Per-learner enrollment and certificate totals, ranked by the share of enrolled courses with a
+ * current, unrevoked certificate
+ * @param {Object} [filter]
+ * @param {string} [filter.role] - Only users with this role
+ * @param {number} [filter.managerId] - Only this manager's direct reports
+ * @param {number} [filter.limit] - Return at most this many learners
+ * @returns {Promise<Object[]>} - id, first_name, last_name, role, enrolledCourses, completedCourses,
+ *   certificates and progressPercentage for each learner
+ */
+async function getLearnerSummaries({ role, managerId, limit } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (role) {
+    params.push(role);
+    conditions.push(`u.role = $${params.length}`);
+  }
+  if (managerId) {
+    params.push(managerId);
+    conditions.push(`u.manager_id = $${params.length}`);
+  }
+
+  let limitClause = '';
+  if (limit) {
+    params.push(limit);
+    limitClause = `LIMIT $${params.length}`;
+  }
+
+  const result = await query(
+    `SELECT
+       u.id,
+       u.first_name,
+       u.last_name,
+       u.role,
+       COUNT(DISTINCT ce.course_id) as enrolled_courses,
+       COUNT(DISTINCT cert.id) FILTER (WHERE cert.course_id IS NOT NULL) as completed_courses,
+       COUNT(DISTINCT cert.id) as certificates,
+       CASE
+         WHEN COUNT(DISTINCT ce.course_id) > 0
+         THEN ROUND((((COUNT(DISTINCT cert.id) FILTER (WHERE cert.course_id IS NOT NULL))::numeric / COUNT(DISTINCT ce.course_id)::numeric) * 100)::numeric, 1)
+         ELSE 0
+       END as progress_percentage
+     FROM users u
+     LEFT JOIN course_enrollments ce ON u.id = ce.user_id
+     LEFT JOIN certificates cert ON u.id = cert.user_id AND cert.replaced_by IS NULL AND cert.revoked_at IS NULL
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     GROUP BY u.id, u.first_name, u.last_name, u.role
+     ORDER BY progress_percentage DESC, completed_courses DESC, certificates DESC
+     ${limitClause}`,
+    params
+  );
+
+  return result.rows.map((user) => ({
+    id: user.id,
+    first_name: user.first_name,
+    last_name: user.last_name,
+    role: user.role,
+    enrolledCourses: parseInt(user.enrolled_courses),
+    completedCourses: parseInt(user.completed_courses),
+    certificates: parseInt(user.certificates),
+    progressPercentage: parseFloat(user.progress_percentage)
+  }));
+}
+
+module.exports = {
+  hasCourseActivitySql,
+  summarizeCourseProgress,
+  getCourseProgress,
+  getLearnerSummaries
+};
@@ -0,0 +1,102 @@
+const { query } = require('../database/connection');
+const { hasValidCertificateSql } = require('./certificateStatus');
+const { hasCourseActivitySql } = require('./learnerProgress');
+
+// Where a learner stands on a path step; a step counts as done while they hold a valid certificate for its course
+const STEP_STATUSES = ['completed', 'locked', 'in_progress', 'not_started'];
+
+/**
+ * Check a path's steps before saving them: no course twice, and prerequisites only on earlier steps
+ * @param {Object[]} steps - [{courseId, prerequisiteCourseIds}] in path order
+ * @returns {string|null} - What is wrong, or null when the steps are fine
+ */
+function findStepError(steps) {
+  const earlier = new Set();
+
+  for (const step of steps) {
+    const courseId = parseInt(step.courseId);
+    if (earlier.has(courseId)) {
+      return 'A course can only appear once in a learning path';
+    }
+    for (const prerequisiteId of step.prerequisiteCourseIds || []) {
+      if (!earlier.has(parseInt(prerequisiteId))) {
+        return 'A step can only require courses that come before it in the path';
+      }
+    }
+    earlier.add(courseId);
+  }
+
+  return null;
+}
+
+/**
+ * Replace a path's steps and their prerequisites
+ * @param {Object} client - Database client or pool to query with
+ * @param {number} learningPathId - Learning path
+ * @param {Object[]} steps - [{courseId, prerequisiteCourseIds}] in path order, checked with findStepError()
+ * @returns {Promise<void>}
+ */
+async function setLearningPathSteps(client, learningPathId, steps) {
+  await client.query('DELETE FROM learning_path_courses WHERE learning_path_id = $1', [learningPathId]);
+
+  await client.query(
+    `INSERT INTO learning_path_courses (learning_path_id, course_id, position)
+     SELECT $1, course_id, position FROM unnest($2::int[]) WITH ORDINALITY as step(course_id, position)`,
+    [learningPathId, steps.map((step) => parseInt(step.courseId))]
+  );
+
+  const prerequisites = steps.flatMap((step) =>
+    (step.prerequisiteCourseIds || []).map((prerequisiteId) => [parseInt(step.courseId), parseInt(prerequisiteId)])
+  );
+  await client.query(
+    `INSERT INTO learning_path_prerequisites (learning_path_id, course_id, prerequisite_course_id)
+     SELECT $1, course_id, prerequisite_course_id
+     FROM unnest($2::int[], $3::int[]) as prerequisite(course_id, prerequisite_course_id)
+     ON CONFLICT DO NOTHING`,
+    [learningPathId, prerequisites.map(([courseId]) => courseId), prerequisites.map(([, prerequisiteId]) => prerequisiteId)]
+  );
+}
+
+/**
+ * A path's steps in order, with each step's prerequisites and where a learner stands on it
+ * @param {number} learningPathId - Learning path
+ * @param {number} userId - Learner whose step statuses to report
+ * @returns {Promise<Object[]>} - course_id, position, course fields, prerequisite_course_ids and
+ *   status (one of STEP_STATUSES) for each step
+ */
+async function getLearningPathSteps(learningPathId, userId) {
+  const result = await query(
+    `SELECT lpc.course_id, lpc.position, c.title, c.description, c.thumbnail_url, c.difficulty_level,
+            c.duration_minutes, c.is_published,
+            COALESCE((
+              SELECT json_agg(lpp.prerequisite_course_id ORDER BY pre.position)
+              FROM learning_path_prerequisites lpp
+              JOIN learning_path_courses pre ON pre.learning_path_id = lpp.learning_path_id
+                AND pre.course_id = lpp.prerequisite_course_id
+              WHERE lpp.learning_path_id = lpc.learning_path_id AND lpp.course_id = lpc.course_id
+            ), '[]') as prerequisite_course_ids,
+            CASE
+              WHEN ${hasValidCertificateSql('$2', 'lpc.course_id')} THEN 'completed'
+              WHEN EXISTS (
+                SELECT 1 FROM learning_path_prerequisites lpp
+                WHERE lpp.learning_path_id = lpc.learning_path_id AND lpp.course_id = lpc.course_id
+                AND NOT ${hasValidCertificateSql('$2', 'lpp.prerequisite_course_id')}
+              ) THEN 'locked'
+              WHEN ${hasCourseActivitySql('$2', 'lpc.course_id')} THEN 'in_progress'
+              ELSE 'not_started'
+            END as status
+     FROM learning_path_courses lpc
+     JOIN courses c ON c.id = lpc.course_id
+     WHERE lpc.learning_path_id = $1
+     ORDER BY lpc.position`,
+    [learningPathId, userId]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  STEP_STATUSES,
+  findStepError,
+  setLearningPathSteps,
+  getLearningPathSteps
+};
@@ -0,0 +1,119 @@
+const fs = require('fs');
+
+const LETTERS = ['A', 'B', 'C', 'D'];
+const FILLER_WORDS = ['procedure', 'guideline', 'equipment', 'supervisor'];
+
+// Long words make better blanks than articles and connectives
+const keywordsOf = (text) => [...new Set(
+  (text.match(/[A-Za-z][A-Za-z-]{5,}/g) || []).map((word) => word.toLowerCase())
+)];
+
+/**
+ * Build fill-in-the-blank questions from the content itself, so the same content
+ * always yields the same questions without calling a model
+ * @param {string} content - Source material
+ * @param {number} numQuestions - Number of questions to build
+ * @returns {Array} - Questions in the shape the quiz generation prompt asks for
+ */
+function buildQuizQuestions(content, numQuestions) {
+  const sentences = content
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map((sentence) => sentence.trim())
+    .filter((sentence) => keywordsOf(sentence).length > 0);
+  const vocabulary = [...keywordsOf(content), ...FILLER_WORDS];
+
+  if (sentences.length === 0) {
+    return [];
+  }
+
+  return Array.from({ length: numQuestions }, (_, index) => {
+    const sentence = sentences[index % sentences.length];
+    const keywords = keywordsOf(sentence);
+    const answer = keywords[Math.floor(index / sentences.length) % keywords.length];
+    // Distractors come from elsewhere in the content so they cannot also fit the blank
+    const others = vocabulary.filter((word) => !keywords.includes(word));
+    const distractors = [...new Set([...others.slice(index % 3), ...FILLER_WORDS])].slice(0, 3);
+
+    // Rotate the correct letter so answers are not always A
+    const correctIndex = index % LETTERS.length;
+    const choices = [...distractors];
+    choices.splice(correctIndex, 0, answer);
+
+    return {
+      question: `Fill in the blank: "${sentence.replace(new RegExp(`\\b${answer}\\b`, 'i'), '_____')}"`,
+      options: Object.fromEntries(LETTERS.map((letter, i) => [letter, choices[i]])),
+      correctAnswer: LETTERS[correctIndex],
+      explanation: `The original sentence reads: "${sentence}"`
+    };
+  });
+}
+
+const OBJECTIVE_VERBS = ['Explain', 'Identify', 'Apply', 'Describe', 'Recognise'];
+
+/**
+ * Build a lesson draft from the lesson's own sentences and keywords
+ * @param {string} title - Lesson title
+ * @param {string} content - Lesson material
+ * @returns {Object} - Draft in the shape the lesson draft prompt asks for
+ */
+function buildLessonDraft(title, content) {
+  const sentences = content
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map((sentence) => sentence.trim())
+    .filter((sentence) => keywordsOf(sentence).length > 0);
+  const keywords = keywordsOf(content);
+
+  return {
+    summary: sentences.slice(0, 4).join(' '),
+    objectives: OBJECTIVE_VERBS.slice(0, Math.min(Math.max(keywords.length, 3), 5))
+      .map((verb, index) => `${verb} ${keywords[index] || title.toLowerCase()} in the context of ${title}`),
+    glossary: keywords.slice(0, 5).map((term) => ({
+      term,
+      definition: sentences.find((sentence) => sentence.toLowerCase().includes(term)) || `A key term in ${title}`
+    })),
+    description: sentences[0] || `An introduction to ${title}.`
+  };
+}
+
+/**
+ * Create the offline fixture provider. Responses come from the JSON file at
+ * LLM_FIXTURE_PATH when it has an entry for the task ({"quiz_questions": [...]}),
+ * otherwise from a deterministic builder for the task.
+ * @param {Object} config - LLM config from getLLMConfig()
+ * @returns {Object} - Provider with complete()
+ */
+function createFixtureProvider(config) {
+  const fixtures = config.fixturePath
+    ? JSON.parse(fs.readFileSync(config.fixturePath, 'utf8'))
+    : {};
+
+  return {
+    name: 'fixture',
+
+    async complete({ task, input = {}, model }) {
+      let result;
+      if (Object.prototype.hasOwnProperty.call(fixtures, task)) {
+        result = fixtures[task];
+      } else if (task === 'quiz_questions') {
+        result = buildQuizQuestions(input.content || '', input.numQuestions || 1);
+      } else if (task === 'lesson_draft') {
+        result = buildLessonDraft(input.title || 'this lesson', input.content || '');
+      } else if (task === 'quiz_questions_repair') {
+        // Built questions never need repair; canned malformed fixtures stay rejected
+        result = [];
+      } else {
+        throw new Error(`Fixture LLM provider has no response for task "${task}"`);
+      }
+
+      return {
+        content: typeof result === 'string' ? result : JSON.stringify(result),
+        model: model || 'fixture',
+        usage: null
+      };
+    }
+  };
+}
+
+module.exports = {
+  createFixtureProvider
+};
@@ -0,0 +1,99 @@
+const { createOpenRouterProvider } = require('./openRouter');
+const { createOpenAICompatibleProvider } = require('./openAICompatible');
+const { createFixtureProvider } = require('./fixture');
+
+const PROVIDERS = {
+  openrouter: createOpenRouterProvider,
+  openai_compatible: (config) => createOpenAICompatibleProvider({
+    name: 'openai_compatible',
+    baseUrl: config.baseUrl,
+    apiKey: config.apiKey,
+    timeoutMs: config.timeoutMs
+  }),
+  fixture: createFixtureProvider
+};
+
+const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+// Read a numeric setting, falling back when it is unset or not a number
+const numberFromEnv = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== '' && Number.isFinite(value) ? value : fallback;
+};
+
+/**
+ * Read the LLM settings for this deployment from the environment
+ * @returns {Object} - Provider name, credentials and default generation settings
+ */
+function getLLMConfig() {
+  return {
+    provider: (process.env.LLM_PROVIDER || 'openrouter').toLowerCase(),
+    baseUrl: process.env.LLM_BASE_URL || null,
+    apiKey: process.env.LLM_API_KEY || process.env.OPENROUTER_API_KEY || null,
+    model: process.env.LLM_MODEL || 'openai/gpt-3.5-turbo',
+    temperature: numberFromEnv('LLM_TEMPERATURE', 0.7),
+    maxTokens: numberFromEnv('LLM_MAX_TOKENS', 2000),
+    contextTokens: numberFromEnv('LLM_CONTEXT_TOKENS', 8000),
+    // Price per 1,000 tokens in your billing currency, for cost estimates in the AI usage report
+    promptTokenCost: numberFromEnv('LLM_PROMPT_COST_PER_1K', null),
+    completionTokenCost: numberFromEnv('LLM_COMPLETION_COST_PER_1K', null),
+    timeoutMs: numberFromEnv('LLM_TIMEOUT_MS', 60000),
+    fixturePath: process.env.LLM_FIXTURE_PATH || null
+  };
+}
+
+let cachedProvider = null;
+
+/**
+ * Get the configured provider, created on first use so a missing key only fails AI requests
+ * @returns {Object} - Provider with name and complete()
+ */
+function getProvider() {
+  if (!cachedProvider) {
+    const config = getLLMConfig();
+    const createProvider = PROVIDERS[config.provider];
+    if (!createProvider) {
+      throw new Error(`Unknown LLM_PROVIDER "${config.provider}" (expected ${PROVIDER_NAMES.join(', ')})`);
+    }
+    cachedProvider = createProvider(config);
+  }
+  return cachedProvider;
+}
+
+/**
+ * Run a chat completion with the configured provider and deployment defaults
+ * @param {Object} request - Completion request
+ * @param {string} request.task - What the completion is for, e.g. 'quiz_questions' (used by the fixture provider)
+ * @param {Object} [request.input] - Structured task input, for providers that do not read the prompt
+ * @param {string} [request.system] - System prompt
+ * @param {string} request.prompt - User prompt
+ * @param {number} [request.temperature] - Overrides LLM_TEMPERATURE
+ * @param {number} [request.maxTokens] - Overrides LLM_MAX_TOKENS
+ * @returns {Promise<{content: string, model: string, provider: string, usage: Object|null}>}
+ */
+async function complete({ task, input, system, prompt, temperature, maxTokens }) {
+  const config = getLLMConfig();
+  const provider = getProvider();
+
+  const messages = [
+    ...(system ? [{ role: 'system', content: system }] : []),
+    { role: 'user', content: prompt }
+  ];
+
+  const result = await provider.complete({
+    task,
+    input,
+    messages,
+    model: config.model,
+    temperature: temperature !== undefined ? temperature : config.temperature,
+    maxTokens: maxTokens !== undefined ? maxTokens : config.maxTokens
+  });
+
+  return { ...result, provider: provider.name };
+}
+
+module.exports = {
+  PROVIDER_NAMES,
+  getLLMConfig,
+  complete
+};
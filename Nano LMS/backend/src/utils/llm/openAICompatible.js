@@ -0,0 +1,62 @@
+const axios = require('axios');
+
+/**
+ * Create a provider for any server that speaks the OpenAI chat completions API
+ * (OpenAI itself, vLLM, Ollama, LM Studio, llama.cpp server, ...)
+ * @param {Object} settings - Provider settings
+ * @param {string} settings.name - Provider name reported with each completion
+ * @param {string} settings.baseUrl - API root, e.g. http://localhost:11434/v1
+ * @param {string} [settings.apiKey] - Bearer token; optional for local servers
+ * @param {Object} [settings.headers] - Extra request headers
+ * @param {number} settings.timeoutMs - Request timeout
+ * @returns {Object} - Provider with complete()
+ */
+function createOpenAICompatibleProvider({ name, baseUrl, apiKey, headers = {}, timeoutMs }) {
+  if (!baseUrl) {
+    throw new Error(`LLM provider "${name}" needs LLM_BASE_URL to be set`);
+  }
+
+  return {
+    name,
+
+    /**
+     * Run one chat completion
+     * @param {Object} request - Completion request
+     * @param {Array} request.messages - Chat messages ({role, content})
+     * @param {string} request.model - Model name
+     * @param {number} request.temperature - Sampling temperature
+     * @param {number} request.maxTokens - Completion token limit
+     * @returns {Promise<{content: string, model: string, usage: Object|null}>}
+     */
+    async complete({ messages, model, temperature, maxTokens }) {
+      const response = await axios.post(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens
+      }, {
+        timeout: timeoutMs,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+          ...headers
+        }
+      });
+
+      const choice = response.data?.choices?.[0];
+      if (!choice || typeof choice.message?.content !== 'string') {
+        throw new Error(`LLM provider "${name}" returned no completion`);
+      }
+
+      return {
+        content: choice.message.content,
+        model: response.data.model || model,
+        usage: response.data.usage || null
+      };
+    }
+  };
+}
+
+module.exports = {
+  createOpenAICompatibleProvider
+};
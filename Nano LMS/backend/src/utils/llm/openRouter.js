@@ -0,0 +1,30 @@
+const { createOpenAICompatibleProvider } = require('./openAICompatible');
+
+const OPENROUTER_BASE_URL = 'https://openrouter.ai/api/v1';
+
+/**
+ * Create the OpenRouter provider. OpenRouter is OpenAI-compatible and uses the
+ * HTTP-Referer and X-Title headers to attribute requests to the app.
+ * @param {Object} config - LLM config from getLLMConfig()
+ * @returns {Object} - Provider with complete()
+ */
+function createOpenRouterProvider(config) {
+  if (!config.apiKey) {
+    throw new Error('LLM provider "openrouter" needs OPENROUTER_API_KEY (or LLM_API_KEY) to be set');
+  }
+
+  return createOpenAICompatibleProvider({
+    name: 'openrouter',
+    baseUrl: config.baseUrl || OPENROUTER_BASE_URL,
+    apiKey: config.apiKey,
+    timeoutMs: config.timeoutMs,
+    headers: {
+      'HTTP-Referer': process.env.FRONTEND_URL || 'http://localhost:6001',
+      'X-Title': 'Nano LMS AI Quiz Generator'
+    }
+  });
+}
+
+module.exports = {
+  createOpenRouterProvider
+};
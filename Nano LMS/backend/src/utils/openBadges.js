@@ -0,0 +1,362 @@
+const crypto = require('crypto');
+const { PNG } = require('pngjs');
+const { query } = require('../database/connection');
+const { getVerificationUrl } = require('./certificateVerification');
+const { getCertificateTemplate } = require('./certificateRenderer');
+
+const OPEN_BADGES_CONTEXT = 'https://w3id.org/openbadges/v2';
+
+const BADGE_IMAGE_SIZE = 400;
+
+// Criteria text per courses.certificate_rule
+const CRITERIA_NARRATIVES = {
+  lessons: 'Complete every lesson in the course.',
+  quiz: 'Pass every required quiz in the course.',
+  both: 'Complete every lesson and pass every required quiz in the course.'
+};
+
+/**
+ * Absolute URL of a hosted badge document. Badge consumers fetch these, so API_URL must be the
+ * backend's public address.
+ * @param {string} pathname - Path below /api/badges
+ * @returns {string}
+ */
+function getBadgeUrl(pathname) {
+  const apiUrl = (process.env.API_URL || `http://localhost:${process.env.PORT || 6001}`).replace(/\/+$/, '');
+  return `${apiUrl}/api/badges${pathname}`;
+}
+
+let signingKey;
+
+/**
+ * Issuer key pair used to sign assertions, from BADGE_SIGNING_KEY (an RSA private key in PEM form)
+ * @returns {{privateKey: crypto.KeyObject, publicKeyPem: string}|null} - null when signing isn't configured
+ */
+function getSigningKey() {
+  if (signingKey === undefined) {
+    const pem = process.env.BADGE_SIGNING_KEY;
+    if (pem) {
+      const privateKey = crypto.createPrivateKey(pem.replace(/\\n/g, '\n'));
+      signingKey = {
+        privateKey,
+        publicKeyPem: crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' })
+      };
+    } else {
+      signingKey = null;
+    }
+  }
+  return signingKey;
+}
+
+/**
+ * How verifiers check this issuer's assertions: signed with BADGE_SIGNING_KEY, or hosted only when
+ * BADGE_HOSTED_VERIFICATION=true opts into it. Hosted assertions are only as trustworthy as the API
+ * serving them, so a missing key never falls back to them silently.
+ * @returns {'SignedBadge'|'HostedBadge'|null} - null when badge export isn't configured
+ */
+function getVerificationType() {
+  if (getSigningKey()) return 'SignedBadge';
+  return process.env.BADGE_HOSTED_VERIFICATION === 'true' ? 'HostedBadge' : null;
+}
+
+/**
+ * Issuer profile shared by every badge
+ * @returns {Object} - Open Badges Profile
+ */
+function buildIssuer() {
+  const issuer = {
+    '@context': OPEN_BADGES_CONTEXT,
+    type: 'Issuer',
+    id: getBadgeUrl('/issuer'),
+    name: process.env.BADGE_ISSUER_NAME || 'Nano LMS',
+    url: process.env.FRONTEND_URL || 'http://localhost:5173'
+  };
+
+  if (process.env.BADGE_ISSUER_EMAIL) {
+    issuer.email = process.env.BADGE_ISSUER_EMAIL;
+  }
+
+  // Signed badges are checked against the issuer's key and revocation list instead of a hosted assertion
+  if (getSigningKey()) {
+    issuer.publicKey = getBadgeUrl('/issuer/key');
+    issuer.revocationList = getBadgeUrl('/issuer/revocations');
+  }
+
+  return issuer;
+}
+
+/**
+ * Public key that signed assertions can be verified with
+ * @returns {Object|null} - Open Badges CryptographicKey, or null when signing isn't configured
+ */
+function buildPublicKey() {
+  const key = getSigningKey();
+  if (!key) return null;
+
+  return {
+    '@context': OPEN_BADGES_CONTEXT,
+    type: 'CryptographicKey',
+    id: getBadgeUrl('/issuer/key'),
+    owner: getBadgeUrl('/issuer'),
+    publicKeyPem: key.publicKeyPem
+  };
+}
+
+/**
+ * Revoked assertions, for verifiers of signed badges
+ * @returns {Promise<Object>} - Open Badges RevocationList
+ */
+async function buildRevocationList() {
+  const result = await query(
+    `SELECT certificate_number, revocation_reason
+     FROM certificates
+     WHERE revoked_at IS NOT NULL AND course_id IS NOT NULL
+     ORDER BY revoked_at`
+  );
+
+  return {
+    '@context': OPEN_BADGES_CONTEXT,
+    type: 'RevocationList',
+    id: getBadgeUrl('/issuer/revocations'),
+    issuer: getBadgeUrl('/issuer'),
+    revokedAssertions: result.rows.map((row) => ({
+      id: getBadgeUrl(`/assertions/${encodeURIComponent(row.certificate_number)}`),
+      revocationReason: row.revocation_reason
+    }))
+  };
+}
+
+/**
+ * Badge class for a course: what the badge is and how it is earned
+ * @param {number} courseId - Course
+ * @returns {Promise<Object|null>} - Open Badges BadgeClass, or null when the course doesn't exist
+ */
+async function getBadgeClass(courseId) {
+  const result = await query(
+    'SELECT id, title, description, category, certificate_rule FROM courses WHERE id = $1',
+    [courseId]
+  );
+  if (result.rows.length === 0) return null;
+
+  const course = result.rows[0];
+  const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/+$/, '');
+
+  return {
+    '@context': OPEN_BADGES_CONTEXT,
+    type: 'BadgeClass',
+    id: getBadgeUrl(`/classes/${course.id}`),
+    name: course.title,
+    description: course.description || `Awarded for completing the ${course.title} course.`,
+    image: getBadgeUrl(`/classes/${course.id}/image`),
+    criteria: {
+      id: `${frontendUrl}/courses/${course.id}`,
+      narrative: CRITERIA_NARRATIVES[course.certificate_rule] || CRITERIA_NARRATIVES.both
+    },
+    issuer: getBadgeUrl('/issuer'),
+    tags: course.category ? [course.category] : []
+  };
+}
+
+/**
+ * Build the assertion for an issued certificate. The recipient's email is salted and hashed so
+ * the public document doesn't disclose it.
+ * @param {Object} certificate - Certificate row with certificate_number, issued_at, expires_at, course_id and email
+ * @returns {Object} - Open Badges Assertion
+ * @throws {Error} - When neither signed nor hosted verification is configured
+ */
+function buildAssertion(certificate) {
+  const verificationType = getVerificationType();
+  if (!verificationType) {
+    throw new Error('Badge export is not configured: set BADGE_SIGNING_KEY or BADGE_HOSTED_VERIFICATION=true');
+  }
+
+  const salt = crypto.createHash('sha256').update(`salt:${certificate.certificate_number}`).digest('hex').substring(0, 16);
+  const identity = crypto.createHash('sha256').update(certificate.email.toLowerCase() + salt).digest('hex');
+
+  const assertion = {
+    '@context': OPEN_BADGES_CONTEXT,
+    type: 'Assertion',
+    id: getBadgeUrl(`/assertions/${encodeURIComponent(certificate.certificate_number)}`),
+    recipient: {
+      type: 'email',
+      hashed: true,
+      salt,
+      identity: `sha256$${identity}`
+    },
+    badge: getBadgeUrl(`/classes/${certificate.course_id}`),
+    issuedOn: new Date(certificate.issued_at).toISOString(),
+    evidence: getVerificationUrl(certificate.certificate_number),
+    verification: verificationType === 'SignedBadge'
+      ? { type: 'SignedBadge', creator: getBadgeUrl('/issuer/key') }
+      : { type: 'HostedBadge' }
+  };
+
+  if (certificate.expires_at) {
+    assertion.expires = new Date(certificate.expires_at).toISOString();
+  }
+
+  return assertion;
+}
+
+/**
+ * Look up a course certificate for badge export (learning path certificates have no badge class)
+ * @param {Object} where - {id} or {certificateNumber}
+ * @returns {Promise<Object|null>} - Certificate row with the learner's email, or null
+ */
+async function getBadgeCertificate({ id, certificateNumber }) {
+  const result = await query(
+    `SELECT c.id, c.user_id, c.course_id, c.certificate_number, c.issued_at, c.expires_at,
+            c.revoked_at, c.revocation_reason, u.email, u.first_name, u.last_name
+     FROM certificates c
+     JOIN users u ON c.user_id = u.id
+     WHERE ${id ? 'c.id = $1' : 'c.certificate_number = $1'} AND c.course_id IS NOT NULL`,
+    [id || certificateNumber]
+  );
+  return result.rows[0] || null;
+}
+
+const base64Url = (buffer) => Buffer.from(buffer).toString('base64')
+  .replace(/=+$/, '')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_');
+
+/**
+ * Sign an assertion as a compact JWS (RS256) with the issuer key
+ * @param {Object} assertion - Assertion from buildAssertion()
+ * @returns {string|null} - JWS, or null when signing isn't configured
+ */
+function signAssertion(assertion) {
+  const key = getSigningKey();
+  if (!key) return null;
+
+  const signingInput = `${base64Url(JSON.stringify({ alg: 'RS256' }))}.${base64Url(JSON.stringify(assertion))}`;
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(signingInput), key.privateKey);
+  return `${signingInput}.${base64Url(signature)}`;
+}
+
+const hexToRgb = (hex) => [1, 3, 5].map((offset) => parseInt(hex.substring(offset, offset + 2), 16));
+
+// Whether a point lies inside a five-pointed star centred on the origin
+const insideStar = (x, y, outerRadius) => {
+  const innerRadius = outerRadius * 0.45;
+  const points = [];
+  for (let i = 0; i < 10; i++) {
+    const radius = i % 2 === 0 ? outerRadius : innerRadius;
+    const angle = -Math.PI / 2 + (i * Math.PI) / 5;
+    points.push([radius * Math.cos(angle), radius * Math.sin(angle)]);
+  }
+
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [xi, yi] = points[i];
+    const [xj, yj] = points[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * Draw a course's badge image: a medallion in the colours of the course's certificate template
+ * @param {number} courseId - Course
+ * @returns {Promise<Buffer>} - PNG image
+ */
+async function renderBadgeImage(courseId) {
+  const courseResult = await query('SELECT certificate_template_id FROM courses WHERE id = $1', [courseId]);
+  const template = await getCertificateTemplate(courseResult.rows[0]?.certificate_template_id);
+  const primary = hexToRgb(template.primary_color);
+  const accent = hexToRgb(template.accent_color);
+
+  const size = BADGE_IMAGE_SIZE;
+  const centre = size / 2;
+  const png = new PNG({ width: size, height: size });
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const dx = x + 0.5 - centre;
+      const dy = y + 0.5 - centre;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+      const offset = (y * size + x) * 4;
+
+      let color = null;
+      if (distance <= centre - 4) {
+        if (distance > centre - 28) {
+          color = accent;
+        } else if (distance > centre - 40) {
+          color = [255, 255, 255];
+        } else if (insideStar(dx, dy, centre * 0.55)) {
+          color = [255, 255, 255];
+        } else {
+          color = primary;
+        }
+      }
+
+      if (color) {
+        png.data[offset] = color[0];
+        png.data[offset + 1] = color[1];
+        png.data[offset + 2] = color[2];
+        png.data[offset + 3] = 255;
+      } else {
+        png.data[offset + 3] = 0;
+      }
+    }
+  }
+
+  return PNG.sync.write(png);
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Bake badge data into a PNG: an uncompressed iTXt chunk with the keyword "openbadges", placed before IEND
+ * @param {Buffer} image - PNG image
+ * @param {string} data - Signed JWS, or the assertion JSON for hosted badges
+ * @returns {Buffer} - Baked PNG
+ */
+function bakeBadge(image, data) {
+  // keyword, null separator, compression flag and method, empty language tag and translated keyword
+  const chunkData = Buffer.concat([
+    Buffer.from('openbadges', 'latin1'),
+    Buffer.from([0, 0, 0, 0, 0]),
+    Buffer.from(data, 'utf8')
+  ]);
+  const typeAndData = Buffer.concat([Buffer.from('iTXt', 'latin1'), chunkData]);
+
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(chunkData.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+
+  // IEND is always the final 12 bytes
+  const iendOffset = image.length - 12;
+  return Buffer.concat([image.subarray(0, iendOffset), length, typeAndData, crc, image.subarray(iendOffset)]);
+}
+
+module.exports = {
+  getBadgeUrl,
+  getVerificationType,
+  buildIssuer,
+  buildPublicKey,
+  buildRevocationList,
+  getBadgeClass,
+  buildAssertion,
+  getBadgeCertificate,
+  signAssertion,
+  renderBadgeImage,
+  bakeBadge
+};
@@ -0,0 +1,184 @@
+const { query } = require('../database/connection');
+const { hasValidCertificateSql } = require('./certificateStatus');
+
+// Why a course, lesson or quiz is locked: certificates missing for the course's prerequisite courses,
+// the lesson before not completed yet, or lessons still to complete before the final exam
+const LOCK_REASONS = ['course_prerequisites', 'previous_lesson', 'lessons_incomplete'];
+
+/**
+ * Whether a user skips prerequisite checks in a course. Admins and the course's instructor can open
+ * everything in it, as they would an unpublished course.
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {number} instructorId - The course's instructor
+ * @returns {boolean}
+ */
+const bypassesPrerequisites = (user, instructorId) => user.role === 'admin' || user.id === instructorId;
+
+/**
+ * Check a course's prerequisite courses before saving them: they must exist, and must not lead back to the course
+ * @param {number|null} courseId - Course being saved, or null for a new course
+ * @param {Array<number|string>} prerequisiteCourseIds - Courses it should require
+ * @returns {Promise<string|null>} - What is wrong, or null when the prerequisites are fine
+ */
+async function findPrerequisiteError(courseId, prerequisiteCourseIds) {
+  const ids = [...new Set(prerequisiteCourseIds.map((id) => parseInt(id)))];
+  if (ids.length === 0) return null;
+
+  if (courseId && ids.includes(parseInt(courseId))) {
+    return 'A course cannot require itself';
+  }
+
+  const result = await query('SELECT id FROM courses WHERE id = ANY($1::int[])', [ids]);
+  const found = new Set(result.rows.map((row) => row.id));
+  const missing = ids.filter((id) => !found.has(id));
+  if (missing.length > 0) {
+    return `Course(s) ${missing.join(', ')} do not exist`;
+  }
+
+  if (courseId) {
+    // Follow what the new prerequisites require in turn; reaching this course would lock both for good
+    const cycleResult = await query(
+      `WITH RECURSIVE required(course_id) AS (
+         SELECT unnest($1::int[])
+         UNION
+         SELECT cp.prerequisite_course_id FROM course_prerequisites cp JOIN required r ON cp.course_id = r.course_id
+       )
+       SELECT 1 FROM required WHERE course_id = $2 LIMIT 1`,
+      [ids, courseId]
+    );
+    if (cycleResult.rows.length > 0) {
+      return 'A prerequisite course cannot itself require this course';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Replace the courses a course requires certificates for
+ * @param {Object} client - Database client or pool to query with
+ * @param {number} courseId - Course
+ * @param {Array<number|string>} prerequisiteCourseIds - Courses checked with findPrerequisiteError()
+ * @returns {Promise<void>}
+ */
+async function setCoursePrerequisites(client, courseId, prerequisiteCourseIds) {
+  await client.query('DELETE FROM course_prerequisites WHERE course_id = $1', [courseId]);
+  await client.query(
+    `INSERT INTO course_prerequisites (course_id, prerequisite_course_id)
+     SELECT $1, prerequisite_course_id FROM unnest($2::int[]) as prerequisite_course_id
+     ON CONFLICT DO NOTHING`,
+    [courseId, prerequisiteCourseIds.map((id) => parseInt(id))]
+  );
+}
+
+/**
+ * What a learner has done toward a course's prerequisites, for working out locks with
+ * getCourseLock(), getLessonLock() and getQuizLock()
+ * @param {number} userId - Learner
+ * @param {number} courseId - Course
+ * @returns {Promise<Object>} - missingCourses: prerequisite courses without a valid certificate ({id, title});
+ *   lessons: the published lessons in order ({id, title, requires_previous_lesson, is_completed})
+ */
+async function getPrerequisiteState(userId, courseId) {
+  const missingResult = await query(
+    `SELECT c.id, c.title
+     FROM course_prerequisites cp
+     JOIN courses c ON c.id = cp.prerequisite_course_id
+     WHERE cp.course_id = $2 AND NOT ${hasValidCertificateSql('$1', 'c.id')}
+     ORDER BY c.title`,
+    [userId, courseId]
+  );
+
+  const lessonsResult = await query(
+    `SELECT l.id, l.title, l.requires_previous_lesson,
+            EXISTS (
+              SELECT 1 FROM user_progress up
+              WHERE up.lesson_id = l.id AND up.user_id = $1 AND up.is_completed = true
+            ) as is_completed
+     FROM lessons l
+     WHERE l.course_id = $2 AND l.is_published = true
+     ORDER BY l.order_index, l.id`,
+    [userId, courseId]
+  );
+
+  return {
+    missingCourses: missingResult.rows,
+    lessons: lessonsResult.rows
+  };
+}
+
+/**
+ * Why a learner cannot start a course yet
+ * @param {Object} state - From getPrerequisiteState()
+ * @returns {Object|null} - {reason, message, requirements: [{type, id, title}]}, or null when unlocked
+ */
+function getCourseLock(state) {
+  if (state.missingCourses.length === 0) return null;
+
+  return {
+    reason: 'course_prerequisites',
+    message: `Earn a certificate in ${state.missingCourses.map((course) => `"${course.title}"`).join(', ')} first`,
+    requirements: state.missingCourses.map((course) => ({ type: 'course', id: course.id, title: course.title }))
+  };
+}
+
+/**
+ * Why a learner cannot open a lesson yet: the course is locked, or the lesson requires the one before it
+ * @param {Object} state - From getPrerequisiteState()
+ * @param {number} lessonId - Lesson
+ * @returns {Object|null} - As getCourseLock()
+ */
+function getLessonLock(state, lessonId) {
+  const courseLock = getCourseLock(state);
+  if (courseLock) return courseLock;
+
+  const index = state.lessons.findIndex((lesson) => lesson.id === parseInt(lessonId));
+  if (index <= 0 || !state.lessons[index].requires_previous_lesson) return null;
+
+  const previous = state.lessons[index - 1];
+  if (previous.is_completed) return null;
+
+  return {
+    reason: 'previous_lesson',
+    message: `Complete "${previous.title}" to unlock this lesson`,
+    requirements: [{ type: 'lesson', id: previous.id, title: previous.title }]
+  };
+}
+
+/**
+ * Why a learner cannot attempt a quiz yet: the course or the quiz's lesson is locked, or the
+ * final exam requires every lesson
+ * @param {Object} state - From getPrerequisiteState()
+ * @param {Object} quiz - Quiz with lesson_id and requires_all_lessons
+ * @returns {Object|null} - As getCourseLock()
+ */
+function getQuizLock(state, quiz) {
+  const courseLock = getCourseLock(state);
+  if (courseLock) return courseLock;
+
+  if (quiz.lesson_id) {
+    return getLessonLock(state, quiz.lesson_id);
+  }
+
+  if (!quiz.requires_all_lessons) return null;
+
+  const incomplete = state.lessons.filter((lesson) => !lesson.is_completed);
+  if (incomplete.length === 0) return null;
+
+  return {
+    reason: 'lessons_incomplete',
+    message: `Complete all lessons to unlock this quiz (${incomplete.length} left)`,
+    requirements: incomplete.map((lesson) => ({ type: 'lesson', id: lesson.id, title: lesson.title }))
+  };
+}
+
+module.exports = {
+  LOCK_REASONS,
+  bypassesPrerequisites,
+  findPrerequisiteError,
+  setCoursePrerequisites,
+  getPrerequisiteState,
+  getCourseLock,
+  getLessonLock,
+  getQuizLock
+};
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const { query } = require('../database/connection');
+const { getGrader } = require('./graders');
+
+// Question types whose options can be reordered without changing their meaning
+const canShuffle = (questionType) => Boolean(getGrader(questionType)?.shuffleOptions);
+
+// Ordering and matching questions would give their answer away if shown in stored order
+const mustShuffle = (questionType) => Boolean(getGrader(questionType)?.alwaysShuffle);
+
+/**
+ * Return a shuffled copy of an array (Fisher-Yates)
+ * @param {Array} items - Items to shuffle
+ * @returns {Array} - New array in random order
+ */
+function shuffle(items) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * Build the snapshot stored on quiz_attempts.questions for one question
+ * @param {string} source - 'quiz' for fixed quiz questions, 'bank' for question bank draws
+ * @param {Object} row - quiz_questions or question_bank row
+ * @param {boolean} shuffleOptions - Whether to randomize option order
+ * @returns {Object} - Attempt question snapshot
+ */
+function snapshotQuestion(source, row, shuffleOptions) {
+  const options = Array.isArray(row.options) ? row.options : [];
+  const order = options.map((_, index) => index);
+
+  return {
+    key: `${source}-${row.id}`,
+    source,
+    source_id: row.id,
+    question_text: row.question_text,
+    question_type: row.question_type,
+    options,
+    correct_answer: row.correct_answer,
+    explanation: row.explanation || null,
+    option_feedback: row.option_feedback || null,
+    points: row.points || 1,
+    option_order: (shuffleOptions && canShuffle(row.question_type)) || mustShuffle(row.question_type)
+      ? shuffle(order)
+      : order
+  };
+}
+
+/**
+ * Pick the questions for a new attempt: the quiz's fixed questions followed by
+ * random draws from the course question bank for each of the quiz's pools
+ * @param {Object} quiz - Quiz row with id, course_id and shuffle_options
+ * @param {Object} [db] - Client to query with, e.g. inside a transaction
+ * @returns {Promise<Array>} - Attempt question snapshots
+ */
+async function drawAttemptQuestions(quiz, db = { query }) {
+  const fixedResult = await db.query(
+    `SELECT id, question_text, question_type, options, correct_answer, explanation, option_feedback, points
+     FROM quiz_questions
+     WHERE quiz_id = $1
+     ORDER BY order_index, id`,
+    [quiz.id]
+  );
+
+  const poolsResult = await db.query(
+    'SELECT tag, draw_count FROM quiz_question_pools WHERE quiz_id = $1 ORDER BY order_index, id',
+    [quiz.id]
+  );
+
+  const drawn = [];
+  for (const pool of poolsResult.rows) {
+    // Never serve the same bank question twice when pools overlap
+    const drawResult = await db.query(
+      `SELECT id, question_text, question_type, options, correct_answer, explanation, option_feedback, points
+       FROM question_bank
+       WHERE course_id = $1
+         AND ($2::text IS NULL OR $2 = ANY(tags))
+         AND NOT (id = ANY($3::int[]))
+       ORDER BY random()
+       LIMIT $4`,
+      [quiz.course_id, pool.tag, drawn.map((row) => row.id), pool.draw_count]
+    );
+    drawn.push(...drawResult.rows);
+  }
+
+  return [
+    ...fixedResult.rows.map((row) => snapshotQuestion('quiz', row, quiz.shuffle_options)),
+    ...drawn.map((row) => snapshotQuestion('bank', row, quiz.shuffle_options))
+  ];
+}
+
+/**
+ * Strip answers from a snapshot and present its options in the attempt's order
+ * @param {Object} question - Attempt question snapshot
+ * @returns {Object} - Question safe to send to the learner
+ */
+function toLearnerQuestion(question) {
+  const grader = getGrader(question.question_type);
+  const presented = grader?.present
+    ? grader.present(question.options, question.option_order)
+    : { options: question.option_order.map((index) => question.options[index]) };
+
+  return {
+    id: question.key,
+    question_text: question.question_text,
+    question_type: question.question_type,
+    ...presented,
+    points: question.points
+  };
+}
+
+/**
+ * Translate a learner's answer (indexes into the shuffled options) back to original option indexes
+ * @param {Object} question - Attempt question snapshot
+ * @param {*} answer - Answer as submitted
+ * @returns {*} - Answer in terms of the stored options
+ */
+function toOriginalAnswer(question, answer) {
+  if (answer === undefined || answer === null || !canShuffle(question.question_type)) {
+    return answer;
+  }
+  // Blank or non-index answers are unanswered; Number('') is 0 and would pick the first displayed option
+  const toOriginalIndex = (index) => {
+    const position = index === null || index === '' ? NaN : Number(index);
+    return Number.isInteger(position) && position >= 0 && position < question.option_order.length
+      ? question.option_order[position]
+      : null;
+  };
+
+  if (Array.isArray(answer)) {
+    // Matching answers may leave prompts unanswered, which must stay unanswered
+    return answer.map(toOriginalIndex);
+  }
+  return toOriginalIndex(answer);
+}
+
+module.exports = {
+  drawAttemptQuestions,
+  toLearnerQuestion,
+  toOriginalAnswer
+};
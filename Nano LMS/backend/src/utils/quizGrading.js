@@ -0,0 +1,194 @@
+const { QUESTION_TYPES, getGrader } = require('./graders');
+const { toOriginalAnswer } = require('./questionDraw');
+
+const MAX_EXPLANATION_LENGTH = 2000;
+const MAX_FEEDBACK_LENGTH = 500;
+
+// Blank feedback entries are stored as null; a list with no feedback at all is stored as null
+const normalizeOptionFeedback = (feedback, options) => {
+  if (feedback === undefined || feedback === null) {
+    return { optionFeedback: null };
+  }
+  if (!Array.isArray(feedback) || feedback.length > options.length) {
+    return { error: 'has option feedback that does not line up with its options' };
+  }
+
+  const entries = options.map((_, index) => feedback[index]);
+  if (entries.some((entry) => entry !== undefined && entry !== null && typeof entry !== 'string')) {
+    return { error: 'has option feedback that is not text' };
+  }
+  if (entries.some((entry) => entry && entry.length > MAX_FEEDBACK_LENGTH)) {
+    return { error: `has option feedback longer than ${MAX_FEEDBACK_LENGTH} characters` };
+  }
+
+  const trimmed = entries.map((entry) => (entry && entry.trim()) || null);
+  return { optionFeedback: trimmed.some(Boolean) ? trimmed : null };
+};
+
+/**
+ * Validate a question against its type's rules and normalize its options and correct answer
+ * @param {Object} question - Question as submitted by a trainer
+ * @returns {{error: string}|Object} - Error message, or the question ready to store
+ */
+function normalizeQuestion(question) {
+  const type = question.question_type || 'multiple_choice';
+  const grader = getGrader(type);
+
+  if (!grader) {
+    return { error: `has an unsupported type "${type}" (expected ${QUESTION_TYPES.join(', ')})` };
+  }
+  if (typeof question.question_text !== 'string' || !question.question_text.trim()) {
+    return { error: 'needs question text' };
+  }
+
+  const normalized = grader.normalize(question);
+  if (normalized.error) {
+    return normalized;
+  }
+
+  const { explanation } = question;
+  if (explanation !== undefined && explanation !== null && typeof explanation !== 'string') {
+    return { error: 'has an explanation that is not text' };
+  }
+  if (explanation && explanation.length > MAX_EXPLANATION_LENGTH) {
+    return { error: `has an explanation longer than ${MAX_EXPLANATION_LENGTH} characters` };
+  }
+
+  const feedback = normalizeOptionFeedback(question.option_feedback, normalized.options);
+  if (feedback.error) {
+    return feedback;
+  }
+
+  return {
+    question_text: question.question_text.trim(),
+    question_type: type,
+    options: normalized.options,
+    correct_answer: normalized.correct_answer,
+    explanation: (explanation && explanation.trim()) || null,
+    option_feedback: feedback.optionFeedback,
+    points: question.points ? parseInt(question.points) : 1,
+    source_lesson_id: question.source_lesson_id ? parseInt(question.source_lesson_id) : null
+  };
+}
+
+/**
+ * Normalize every question of a quiz, reporting the first invalid one by position
+ * @param {Array} questions - Questions as submitted
+ * @returns {{error: string}|{questions: Array}}
+ */
+function normalizeQuestions(questions = []) {
+  const result = [];
+
+  for (let i = 0; i < questions.length; i++) {
+    const normalized = normalizeQuestion(questions[i]);
+    if (normalized.error) {
+      return { error: `Question ${i + 1} ${normalized.error}` };
+    }
+    result.push(normalized);
+  }
+
+  return { questions: result };
+}
+
+/**
+ * Score one answer with its question type's grader
+ * @param {Object} question - Attempt question snapshot
+ * @param {*} answer - Answer in terms of the stored options
+ * @returns {number} - Credit between 0 and 1
+ */
+function gradeQuestion(question, answer) {
+  const grader = getGrader(question.question_type);
+  return grader ? grader.grade(question, answer) : 0;
+}
+
+// Credit for a manually graded question, or null while it still awaits a trainer's score
+const manualCredit = (question, grade) => {
+  if (!grade || typeof grade.score !== 'number') {
+    return null;
+  }
+  return question.points > 0 ? Math.min(Math.max(grade.score / question.points, 0), 1) : 0;
+};
+
+/**
+ * Score an attempt against the questions drawn for it
+ * @param {Array} questions - Attempt question snapshots (quiz_attempts.questions)
+ * @param {Object} answers - Learner answers keyed by question key
+ * @param {Object} manualGrades - Trainer scores keyed by question key (quiz_attempts.manual_grades)
+ * @returns {{score: number, correctAnswers: number, totalQuestions: number, pendingReview: number}} -
+ *   Score as a percentage, counting ungraded manual questions as zero until they are reviewed
+ */
+function gradeAttempt(questions, answers = {}, manualGrades = {}) {
+  let totalPoints = 0;
+  let earnedPoints = 0;
+  let correctAnswers = 0;
+  let pendingReview = 0;
+
+  for (const question of questions) {
+    let credit;
+    if (getGrader(question.question_type)?.manual) {
+      credit = manualCredit(question, manualGrades[question.key]);
+      if (credit === null) {
+        pendingReview++;
+        credit = 0;
+      }
+    } else {
+      credit = gradeQuestion(question, toOriginalAnswer(question, answers[question.key]));
+    }
+
+    totalPoints += question.points;
+    earnedPoints += question.points * credit;
+    if (credit === 1) {
+      correctAnswers++;
+    }
+  }
+
+  return {
+    score: totalPoints > 0 ? Math.round((earnedPoints / totalPoints) * 100) : 0,
+    correctAnswers,
+    totalQuestions: questions.length,
+    pendingReview
+  };
+}
+
+/**
+ * Pair each question of a finished attempt with the learner's answer and, when revealed, the
+ * correct answer, explanation and option feedback. Options and answers are given in stored
+ * order, so the review does not depend on the shuffle. Manually graded questions carry the
+ * trainer's feedback instead of a correct answer.
+ * @param {Array} questions - Attempt question snapshots (quiz_attempts.questions)
+ * @param {Object} answers - Learner answers keyed by question key
+ * @param {Object} manualGrades - Trainer scores keyed by question key
+ * @param {boolean} revealAnswers - Whether to include correct answers and explanations
+ * @returns {Array} - One review entry per question
+ */
+function reviewAttempt(questions, answers = {}, manualGrades = {}, revealAnswers = true) {
+  return questions.map((question) => {
+    const answer = toOriginalAnswer(question, answers[question.key]);
+    const manual = Boolean(getGrader(question.question_type)?.manual);
+    const grade = manual ? manualGrades[question.key] : null;
+    const credit = manual ? manualCredit(question, grade) : gradeQuestion(question, answer);
+
+    return {
+      id: question.key,
+      question_text: question.question_text,
+      question_type: question.question_type,
+      options: question.options,
+      points: question.points,
+      answer: answer === undefined ? null : answer,
+      correct_answer: revealAnswers && !manual ? question.correct_answer : null,
+      explanation: revealAnswers ? question.explanation || null : null,
+      option_feedback: revealAnswers ? question.option_feedback || null : null,
+      credit,
+      earned_points: credit === null ? null : Math.round(question.points * credit * 100) / 100,
+      pending_review: manual && credit === null,
+      feedback: grade?.feedback || null
+    };
+  });
+}
+
+module.exports = {
+  normalizeQuestion,
+  normalizeQuestions,
+  gradeAttempt,
+  reviewAttempt
+};
@@ -18,6 +18,20 @@ import CreateQuiz from './pages/CreateQuiz'
 import EditQuiz from './pages/EditQuiz'
 import TakeQuiz from './pages/TakeQuiz'
 import QuizResults from './pages/QuizResults'
+import QuestionBank from './pages/QuestionBank'
+import GradingQueue from './pages/GradingQueue'
+import AiUsage from './pages/AiUsage'
+import CertificateTemplates from './pages/CertificateTemplates'
+import IssuedCertificates from './pages/IssuedCertificates'
+import Departments from './pages/Departments'
+import Team from './pages/Team'
+import TeamMember from './pages/TeamMember'
+import Assignments from './pages/Assignments'
+import LearningPaths from './pages/LearningPaths'
+import LearningPathDetail from './pages/LearningPathDetail'
+import LearningPathForm from './pages/LearningPathForm'
+import GradeAttempt from './pages/GradeAttempt'
+import VerifyCertificate from './pages/VerifyCertificate'
 
 function App() {
   const { user, loading } = useAuth()
@@ -38,6 +52,8 @@ function App() {
       {/* Public routes */}
       <Route path="/login" element={!user ? <Login /> : <Navigate to="/dashboard" replace />} />
       <Route path="/register" element={!user ? <Register /> : <Navigate to="/dashboard" replace />} />
+      <Route path="/verify" element={<VerifyCertificate />} />
+      <Route path="/verify/:certificateNumber" element={<VerifyCertificate />} />
       
       {/* Protected routes */}
       <Route path="/" element={user ? <Layout /> : <Navigate to="/login" replace />}>
@@ -48,10 +64,24 @@ function App() {
         <Route path="courses/:id" element={<CourseDetail />} />
         <Route path="courses/:id/edit" element={<EditCourse />} />
         <Route path="courses/:id/lessons/create" element={<AddLesson />} />
-        <Route path="courses/:id/quiz/create" element={<CreateQuiz />} />
-        <Route path="courses/:id/quiz/edit" element={<EditQuiz />} />
-        <Route path="courses/:id/quiz" element={<TakeQuiz />} />
-        <Route path="courses/:id/quiz-results" element={<QuizResults />} />
+        <Route path="courses/:id/quizzes/create" element={<CreateQuiz />} />
+        <Route path="courses/:id/quizzes/:quizId/edit" element={<EditQuiz />} />
+        <Route path="courses/:id/quizzes/:quizId" element={<TakeQuiz />} />
+        <Route path="courses/:id/quizzes/:quizId/results" element={<QuizResults />} />
+        <Route path="courses/:id/question-bank" element={<QuestionBank />} />
+        <Route path="learning-paths" element={<LearningPaths />} />
+        <Route path="learning-paths/create" element={<LearningPathForm />} />
+        <Route path="learning-paths/:id" element={<LearningPathDetail />} />
+        <Route path="learning-paths/:id/edit" element={<LearningPathForm />} />
+        <Route path="grading" element={<GradingQueue />} />
+        <Route path="grading/:attemptId" element={<GradeAttempt />} />
+        <Route path="ai-usage" element={<AiUsage />} />
+        <Route path="certificate-templates" element={<CertificateTemplates />} />
+        <Route path="issued-certificates" element={<IssuedCertificates />} />
+        <Route path="departments" element={<Departments />} />
+        <Route path="team" element={<Team />} />
+        <Route path="team/:userId" element={<TeamMember />} />
+        <Route path="assignments" element={<Assignments />} />
         <Route path="lessons/:id" element={<LessonView />} />
         <Route path="lessons/:id/edit" element={<EditLesson />} />
         <Route path="users" element={<UserManagement />} />
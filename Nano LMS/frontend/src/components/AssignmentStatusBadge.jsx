@@ -0,0 +1,28 @@
+const STATUS_STYLES = {
+  not_started: 'bg-gray-100 text-gray-700',
+  in_progress: 'bg-blue-100 text-blue-800',
+  completed: 'bg-green-100 text-green-800',
+  overdue: 'bg-red-100 text-red-800'
+}
+
+const STATUS_LABELS = {
+  not_started: 'Not started',
+  in_progress: 'In progress',
+  completed: 'Completed',
+  overdue: 'Overdue'
+}
+
+// Due dates come back as YYYY-MM-DD; read them as local dates so they don't shift a day west of UTC
+export const formatDueDate = (value) => {
+  const [year, month, day] = value.split('-').map(Number)
+  return new Date(year, month - 1, day).toLocaleDateString()
+}
+
+// Not started, in progress, completed or overdue, as reported by the assignment endpoints
+export default function AssignmentStatusBadge({ status }) {
+  return (
+    <span className={`inline-flex items-center px-2 py-0.5 rounded text-xs font-medium ${STATUS_STYLES[status]}`}>
+      {STATUS_LABELS[status]}
+    </span>
+  )
+}
@@ -0,0 +1,24 @@
+const STATUS_STYLES = {
+  valid: 'bg-green-100 text-green-800',
+  expiring: 'bg-yellow-100 text-yellow-800',
+  expired: 'bg-gray-100 text-gray-700',
+  revoked: 'bg-red-100 text-red-800'
+}
+
+const STATUS_LABELS = {
+  valid: 'Valid',
+  expiring: 'Expires soon',
+  expired: 'Expired',
+  revoked: 'Revoked'
+}
+
+// Valid, expiring soon, expired or revoked, as reported by the certificate list endpoints
+export default function CertificateStatusBadge({ certificate }) {
+  const status = certificate.status === 'valid' && certificate.expiring_soon ? 'expiring' : certificate.status
+
+  return (
+    <span className={`inline-flex items-center px-2 py-0.5 rounded text-xs font-medium ${STATUS_STYLES[status]}`}>
+      {STATUS_LABELS[status]}
+    </span>
+  )
+}
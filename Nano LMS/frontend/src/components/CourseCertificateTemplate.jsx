@@ -0,0 +1,104 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { api } from '../services/api'
+import toast from 'react-hot-toast'
+import { EyeIcon } from '@heroicons/react/24/outline'
+
+// Render a sample certificate on the server and open it in a new tab
+export const previewCertificate = async (payload) => {
+  try {
+    const response = await api.post('/certificate-templates/preview', payload, { responseType: 'blob' })
+    const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }))
+    window.open(url, '_blank')
+    // Give the new tab time to load the PDF before releasing it
+    setTimeout(() => window.URL.revokeObjectURL(url), 60000)
+  } catch (error) {
+    console.error('Failed to preview certificate:', error)
+    toast.error('Failed to render certificate preview')
+  }
+}
+
+// Admin-only card on the course edit page: which certificate template this course's learners receive
+export default function CourseCertificateTemplate({ courseId, templateId }) {
+  const [templates, setTemplates] = useState([])
+  const [selected, setSelected] = useState(templateId ? String(templateId) : '')
+  const [saving, setSaving] = useState(false)
+  const [previewing, setPreviewing] = useState(false)
+
+  useEffect(() => {
+    fetchTemplates()
+  }, [])
+
+  useEffect(() => {
+    setSelected(templateId ? String(templateId) : '')
+  }, [templateId])
+
+  const fetchTemplates = async () => {
+    try {
+      const response = await api.get('/certificate-templates')
+      setTemplates(response.data.templates)
+    } catch (error) {
+      console.error('Failed to fetch certificate templates:', error)
+    }
+  }
+
+  const handleChange = async (e) => {
+    const value = e.target.value
+    setSaving(true)
+    try {
+      await api.put(`/certificate-templates/course/${courseId}`, { template_id: value ? parseInt(value) : null })
+      setSelected(value)
+      toast.success('Certificate template updated')
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update certificate template')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handlePreview = async () => {
+    setPreviewing(true)
+    await previewCertificate({ course_id: parseInt(courseId) })
+    setPreviewing(false)
+  }
+
+  const defaultTemplate = templates.find((template) => template.is_default)
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6">
+      <h2 className="text-lg font-medium text-gray-900">Certificate</h2>
+      <p className="text-sm text-gray-500 mb-4">
+        The template used for certificates issued from now on. Certificates already issued keep their design.
+      </p>
+
+      <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+        <select
+          className="select flex-1"
+          value={selected}
+          onChange={handleChange}
+          disabled={saving}
+        >
+          <option value="">
+            {defaultTemplate ? `Organisation default (${defaultTemplate.name})` : 'Standard certificate'}
+          </option>
+          {templates.map((template) => (
+            <option key={template.id} value={template.id}>{template.name}</option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={handlePreview}
+          disabled={previewing}
+          className="btn btn-outline flex items-center"
+        >
+          <EyeIcon className="h-4 w-4 mr-2" />
+          {previewing ? 'Rendering...' : 'Preview'}
+        </button>
+      </div>
+
+      <p className="text-xs text-gray-500 mt-2">
+        Manage designs on the <Link to="/certificate-templates" className="text-primary-600 hover:text-primary-800">Certificate Templates</Link> page.
+      </p>
+    </div>
+  )
+}
@@ -0,0 +1,52 @@
+import { useState, useEffect } from 'react'
+import { api } from '../services/api'
+
+// Departments a course is aimed at; leaving every box unticked opens the course to all departments
+export default function CourseDepartmentsField({ value = [], onChange }) {
+  const [departments, setDepartments] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    api.get('/departments')
+      .then(response => setDepartments(response.data.departments || []))
+      .catch(error => console.error('Failed to fetch departments:', error))
+      .finally(() => setLoading(false))
+  }, [])
+
+  const toggle = (departmentId) => {
+    onChange(value.includes(departmentId)
+      ? value.filter(id => id !== departmentId)
+      : [...value, departmentId])
+  }
+
+  if (loading) {
+    return <p className="text-sm text-gray-500">Loading departments...</p>
+  }
+
+  return (
+    <div>
+      {departments.length > 0 ? (
+        <div className="flex flex-wrap gap-x-4 gap-y-2">
+          {departments.map(department => (
+            <label key={department.id} className="inline-flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded mr-2"
+                checked={value.includes(department.id)}
+                onChange={() => toggle(department.id)}
+              />
+              {department.name}
+            </label>
+          ))}
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">No departments have been set up yet.</p>
+      )}
+      <p className="text-xs text-gray-500 mt-1">
+        {value.length === 0
+          ? 'Open to every department. Tick departments to limit who sees this course.'
+          : 'Only learners in the ticked departments will see this course.'}
+      </p>
+    </div>
+  )
+}
@@ -0,0 +1,52 @@
+import { useState, useEffect } from 'react'
+import { api } from '../services/api'
+
+// Courses a learner must hold a valid certificate for before they can enroll in this one
+export default function CoursePrerequisitesField({ courseId = null, value = [], onChange }) {
+  const [courses, setCourses] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    api.get('/courses', { params: { limit: 1000 } })
+      .then(response => setCourses((response.data.courses || []).filter(course => course.id !== courseId)))
+      .catch(error => console.error('Failed to fetch courses:', error))
+      .finally(() => setLoading(false))
+  }, [courseId])
+
+  const toggle = (prerequisiteId) => {
+    onChange(value.includes(prerequisiteId)
+      ? value.filter(id => id !== prerequisiteId)
+      : [...value, prerequisiteId])
+  }
+
+  if (loading) {
+    return <p className="text-sm text-gray-500">Loading courses...</p>
+  }
+
+  return (
+    <div>
+      {courses.length > 0 ? (
+        <div className="max-h-40 overflow-y-auto border border-gray-200 rounded-md p-3 space-y-2">
+          {courses.map(course => (
+            <label key={course.id} className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded mr-2"
+                checked={value.includes(course.id)}
+                onChange={() => toggle(course.id)}
+              />
+              {course.title}
+            </label>
+          ))}
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">There are no other courses to require yet.</p>
+      )}
+      <p className="text-xs text-gray-500 mt-1">
+        {value.length === 0
+          ? 'Anyone can enroll. Tick courses to require their certificate first.'
+          : 'Learners need a valid certificate in every ticked course before they can start this one.'}
+      </p>
+    </div>
+  )
+}
@@ -4,10 +4,11 @@ import toast from 'react-hot-toast'
 import { CloudArrowUpIcon, XMarkIcon } from '@heroicons/react/24/outline'
 
 export default function FileUpload({ 
-  type = 'document', // 'video' or 'document'
+  type = 'document', // 'video', 'document', 'caption' or 'image'
   onUpload, 
   onRemove, 
   currentFile = null,
+  label = null,
   className = ''
 }) {
   const [uploading, setUploading] = useState(false)
@@ -79,20 +80,32 @@ export default function FileUpload({
     if (type === 'video') {
       return '.mp4,.webm,.ogg,.avi,.mov'
     }
-    return '.pdf,.doc,.docx,.txt'
+    if (type === 'caption') {
+      return '.vtt,.srt,.txt'
+    }
+    if (type === 'image') {
+      return '.png,.jpg,.jpeg'
+    }
+    return '.pdf,.docx,.txt'
   }
 
   const getFileTypeLabel = () => {
     if (type === 'video') {
       return 'Video file (MP4, WebM, OGG, AVI, MOV)'
     }
-    return 'Document file (PDF, DOC, DOCX, TXT)'
+    if (type === 'caption') {
+      return 'Captions or transcript (VTT, SRT, TXT)'
+    }
+    if (type === 'image') {
+      return 'Image file (PNG, JPG)'
+    }
+    return 'Document file (PDF, DOCX, TXT)'
   }
 
   return (
     <div className={`space-y-3 ${className}`}>
       <label className="block text-sm font-medium text-gray-700">
-        Upload {type.charAt(0).toUpperCase() + type.slice(1)}
+        {label || `Upload ${type.charAt(0).toUpperCase() + type.slice(1)}`}
       </label>
       
       {currentFile ? (
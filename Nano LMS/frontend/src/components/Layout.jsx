@@ -9,7 +9,15 @@ import {
   PlusIcon,
   Bars3Icon,
   XMarkIcon,
-  Cog6ToothIcon
+  Cog6ToothIcon,
+  ClipboardDocumentCheckIcon,
+  ChartBarIcon,
+  DocumentTextIcon,
+  ShieldCheckIcon,
+  BuildingOfficeIcon,
+  UserGroupIcon,
+  ClipboardDocumentListIcon,
+  MapIcon
 } from '@heroicons/react/24/outline'
 
 export default function Layout() {
@@ -26,11 +34,23 @@ export default function Layout() {
   const navigation = [
     { name: 'Dashboard', href: '/dashboard', icon: HomeIcon },
             { name: 'Courses', href: '/courses', icon: BookOpenIcon },
+    { name: 'Learning Paths', href: '/learning-paths', icon: MapIcon },
         ...(user?.role === 'trainer' || user?.role === 'admin' ? [
-          { name: 'Create Course', href: '/courses/create', icon: PlusIcon }
+          { name: 'Create Course', href: '/courses/create', icon: PlusIcon },
+          { name: 'Grading Queue', href: '/grading', icon: ClipboardDocumentCheckIcon }
         ] : []),
+    ...(user?.role === 'manager' ? [
+      { name: 'My Team', href: '/team', icon: UserGroupIcon }
+    ] : []),
+    ...(user?.role === 'manager' || user?.role === 'admin' ? [
+      { name: 'Assignments', href: '/assignments', icon: ClipboardDocumentListIcon }
+    ] : []),
     ...(user?.role === 'admin' ? [
-      { name: 'Users', href: '/users', icon: UsersIcon }
+      { name: 'Users', href: '/users', icon: UsersIcon },
+      { name: 'Departments', href: '/departments', icon: BuildingOfficeIcon },
+      { name: 'AI Usage', href: '/ai-usage', icon: ChartBarIcon },
+      { name: 'Certificate Templates', href: '/certificate-templates', icon: DocumentTextIcon },
+      { name: 'Issued Certificates', href: '/issued-certificates', icon: ShieldCheckIcon }
     ] : []),
     { name: 'Certificates', href: '/certificates', icon: AcademicCapIcon },
     { name: 'Account Settings', href: '/account-settings', icon: Cog6ToothIcon },
@@ -0,0 +1,242 @@
+import { useState } from 'react'
+import { api } from '../services/api'
+import toast from 'react-hot-toast'
+import { SparklesIcon, PlusIcon, TrashIcon, XMarkIcon } from '@heroicons/react/24/outline'
+
+// Summary, learning objectives and glossary for the lesson form, with an optional AI draft.
+// A draft only fills the form when the trainer applies it; nothing is saved until the lesson is.
+export default function LessonAuthoringFields({ courseId, value, onChange }) {
+  const [drafting, setDrafting] = useState(false)
+  const [draft, setDraft] = useState(null)
+  const [warnings, setWarnings] = useState([])
+
+  const objectives = value.learningObjectives || []
+  const glossary = value.glossary || []
+
+  const handleDraft = async () => {
+    if (!value.title.trim()) {
+      toast.error('Enter a lesson title first')
+      return
+    }
+    if (!value.content.trim() && !value.documentUrl && !value.captionUrl) {
+      toast.error('Add lesson content, a document or captions to draft from')
+      return
+    }
+
+    setDrafting(true)
+    try {
+      const response = await api.post('/ai-lesson/draft', {
+        course_id: parseInt(courseId),
+        title: value.title,
+        content: value.content,
+        documentUrl: value.documentUrl || null,
+        captionUrl: value.captionUrl || null
+      })
+      setDraft(response.data.draft)
+      setWarnings(response.data.warnings || [])
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to draft lesson')
+    } finally {
+      setDrafting(false)
+    }
+  }
+
+  const applyDraft = (fields) => {
+    const changes = {}
+    if (fields.includes('summary')) changes.summary = draft.summary
+    if (fields.includes('objectives')) changes.learningObjectives = [...draft.objectives]
+    if (fields.includes('glossary')) changes.glossary = draft.glossary.map((entry) => ({ ...entry }))
+    if (fields.includes('description')) changes.description = draft.description
+    onChange(changes)
+  }
+
+  const updateObjective = (index, text) => {
+    onChange({ learningObjectives: objectives.map((objective, i) => (i === index ? text : objective)) })
+  }
+
+  const updateGlossaryEntry = (index, changes) => {
+    onChange({ glossary: glossary.map((entry, i) => (i === index ? { ...entry, ...changes } : entry)) })
+  }
+
+  return (
+    <div className="space-y-6 border-t border-gray-200 pt-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-sm font-medium text-gray-900">Summary, Objectives &amp; Glossary</h3>
+          <p className="text-xs text-gray-500">
+            Shown to learners with the lesson. Draft them from the lesson material, then review and edit before saving.
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={handleDraft}
+          disabled={drafting}
+          className="btn btn-outline btn-sm flex items-center"
+        >
+          <SparklesIcon className="h-4 w-4 mr-1" />
+          {drafting ? 'Drafting...' : 'Draft with AI'}
+        </button>
+      </div>
+
+      {draft && (
+        <div className="rounded-md border border-primary-200 bg-primary-50 p-4 space-y-4">
+          <div className="flex items-center justify-between">
+            <p className="text-sm font-medium text-primary-900">AI draft: review before applying</p>
+            <div className="flex items-center space-x-2">
+              <button
+                type="button"
+                onClick={() => applyDraft(['summary', 'objectives', 'glossary', 'description'])}
+                className="btn btn-primary btn-sm"
+              >
+                Apply all
+              </button>
+              <button
+                type="button"
+                onClick={() => setDraft(null)}
+                className="text-gray-400 hover:text-gray-600"
+                title="Discard draft"
+              >
+                <XMarkIcon className="h-5 w-5" />
+              </button>
+            </div>
+          </div>
+
+          {warnings.length > 0 && (
+            <ul className="text-xs text-orange-700 list-disc list-inside">
+              {warnings.map((warning) => <li key={warning}>{warning}</li>)}
+            </ul>
+          )}
+
+          {[
+            { field: 'description', label: 'Description', empty: !draft.description, body: <p>{draft.description}</p> },
+            { field: 'summary', label: 'Summary', empty: !draft.summary, body: <p className="whitespace-pre-line">{draft.summary}</p> },
+            {
+              field: 'objectives',
+              label: 'Learning objectives',
+              empty: draft.objectives.length === 0,
+              body: <ul className="list-disc list-inside">{draft.objectives.map((objective) => <li key={objective}>{objective}</li>)}</ul>
+            },
+            {
+              field: 'glossary',
+              label: 'Glossary',
+              empty: draft.glossary.length === 0,
+              body: (
+                <dl className="space-y-1">
+                  {draft.glossary.map((entry) => (
+                    <div key={entry.term}>
+                      <dt className="inline font-medium">{entry.term}:</dt> <dd className="inline">{entry.definition}</dd>
+                    </div>
+                  ))}
+                </dl>
+              )
+            }
+          ].filter((section) => !section.empty).map((section) => (
+            <div key={section.field} className="text-sm text-gray-700">
+              <div className="flex items-center justify-between mb-1">
+                <span className="text-xs font-medium uppercase tracking-wide text-gray-500">{section.label}</span>
+                <button
+                  type="button"
+                  onClick={() => applyDraft([section.field])}
+                  className="text-xs text-primary-600 hover:text-primary-800"
+                >
+                  Apply
+                </button>
+              </div>
+              {section.body}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">
+          Summary
+        </label>
+        <textarea
+          rows={4}
+          className="textarea w-full"
+          value={value.summary}
+          onChange={(e) => onChange({ summary: e.target.value })}
+          placeholder="A short recap of what the lesson covers"
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">
+          Learning Objectives
+        </label>
+        <div className="space-y-2">
+          {objectives.map((objective, index) => (
+            <div key={index} className="flex items-center space-x-2">
+              <input
+                type="text"
+                className="input w-full"
+                value={objective}
+                onChange={(e) => updateObjective(index, e.target.value)}
+                placeholder="e.g. Identify the correct extinguisher for each type of fire"
+              />
+              <button
+                type="button"
+                onClick={() => onChange({ learningObjectives: objectives.filter((_, i) => i !== index) })}
+                className="text-gray-400 hover:text-red-600"
+                title="Remove objective"
+              >
+                <TrashIcon className="h-4 w-4" />
+              </button>
+            </div>
+          ))}
+          <button
+            type="button"
+            onClick={() => onChange({ learningObjectives: [...objectives, ''] })}
+            className="text-sm text-primary-600 hover:text-primary-800 flex items-center"
+          >
+            <PlusIcon className="h-4 w-4 mr-1" />
+            Add objective
+          </button>
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">
+          Glossary
+        </label>
+        <div className="space-y-2">
+          {glossary.map((entry, index) => (
+            <div key={index} className="flex items-start space-x-2">
+              <input
+                type="text"
+                className="input w-1/3"
+                value={entry.term}
+                onChange={(e) => updateGlossaryEntry(index, { term: e.target.value })}
+                placeholder="Term"
+              />
+              <input
+                type="text"
+                className="input flex-1"
+                value={entry.definition}
+                onChange={(e) => updateGlossaryEntry(index, { definition: e.target.value })}
+                placeholder="Definition"
+              />
+              <button
+                type="button"
+                onClick={() => onChange({ glossary: glossary.filter((_, i) => i !== index) })}
+                className="text-gray-400 hover:text-red-600 pt-2"
+                title="Remove term"
+              >
+                <TrashIcon className="h-4 w-4" />
+              </button>
+            </div>
+          ))}
+          <button
+            type="button"
+            onClick={() => onChange({ glossary: [...glossary, { term: '', definition: '' }] })}
+            className="text-sm text-primary-600 hover:text-primary-800 flex items-center"
+          >
+            <PlusIcon className="h-4 w-4 mr-1" />
+            Add term
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,32 @@
+import { Link } from 'react-router-dom'
+import { LockClosedIcon } from '@heroicons/react/24/outline'
+
+const REQUIREMENT_LINKS = {
+  course: (id) => `/courses/${id}`,
+  lesson: (id) => `/lessons/${id}`
+}
+
+// Why a course, lesson or quiz is locked, as sent by the server, with links to whatever unlocks it
+export default function LockNotice({ lock, className = '' }) {
+  return (
+    <div className={`rounded-md bg-yellow-50 border border-yellow-200 p-4 ${className}`}>
+      <div className="flex">
+        <LockClosedIcon className="h-5 w-5 text-yellow-600 flex-shrink-0" />
+        <div className="ml-3">
+          <p className="text-sm font-medium text-yellow-800">{lock.message}</p>
+          {lock.requirements.length > 0 && (
+            <ul className="mt-2 list-disc list-inside text-sm text-yellow-700">
+              {lock.requirements.map(requirement => (
+                <li key={`${requirement.type}-${requirement.id}`}>
+                  <Link to={REQUIREMENT_LINKS[requirement.type](requirement.id)} className="underline hover:text-yellow-900">
+                    {requirement.title}
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
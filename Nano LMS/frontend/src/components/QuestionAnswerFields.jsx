@@ -0,0 +1,393 @@
+import { PlusIcon, TrashIcon } from '@heroicons/react/24/outline'
+
+export const QUESTION_TYPE_LABELS = {
+  multiple_choice: 'Multiple Choice',
+  true_false: 'True / False',
+  short_answer: 'Short Answer',
+  multi_select: 'Multiple Select',
+  ordering: 'Ordering',
+  matching: 'Matching',
+  numeric: 'Numeric',
+  essay: 'Essay (trainer graded)'
+}
+
+// Options and correct answer a question starts with when its type changes
+const typeDefaultsFor = (questionType) => {
+  switch (questionType) {
+    case 'true_false':
+      return { options: ['True', 'False'], correct_answer: true }
+    case 'short_answer':
+      return { options: [], correct_answer: { accepted: [''], patterns: [], case_sensitive: false } }
+    case 'multi_select':
+      return { options: ['', '', '', ''], correct_answer: [] }
+    case 'ordering':
+      return { options: ['', '', ''], correct_answer: null }
+    case 'matching':
+      return { options: [{ prompt: '', match: '' }, { prompt: '', match: '' }], correct_answer: null }
+    case 'numeric':
+      return { options: [], correct_answer: { value: '', tolerance: 0, tolerance_type: 'absolute' } }
+    case 'essay':
+      return { options: [], correct_answer: { guidance: '' } }
+    default:
+      return { options: ['', '', '', ''], correct_answer: 0 }
+  }
+}
+
+// Option feedback belongs to the old options, so it is cleared along with them
+export const answerDefaultsFor = (questionType) => ({ ...typeDefaultsFor(questionType), option_feedback: null })
+
+// True when a question whose options are typed in still has a blank one
+export const hasEmptyOptions = (question) => {
+  switch (question.question_type) {
+    case 'multiple_choice':
+    case 'multi_select':
+    case 'ordering':
+      return question.options.some(opt => !opt.trim())
+    case 'matching':
+      return question.options.some(pair => !pair.prompt.trim() || !pair.match.trim())
+    default:
+      return false
+  }
+}
+
+const linesToList = (text) => text.split('\n')
+const listToLines = (list = []) => list.join('\n')
+
+// Correct answer editor for the question's type
+function AnswerFields({ question, onChange, name }) {
+  const update = (changes) => onChange({ ...question, ...changes })
+
+  if (question.question_type === 'true_false') {
+    return (
+      <div className="space-y-2">
+        <label className="block text-sm font-medium text-gray-700">
+          Correct Answer *
+        </label>
+        {[true, false].map((value) => (
+          <label key={String(value)} className="flex items-center space-x-2">
+            <input
+              type="radio"
+              name={name}
+              checked={question.correct_answer === value}
+              onChange={() => update({ correct_answer: value })}
+              className="radio"
+            />
+            <span className="text-gray-700">{value ? 'True' : 'False'}</span>
+          </label>
+        ))}
+      </div>
+    )
+  }
+
+  if (question.question_type === 'short_answer') {
+    const rules = question.correct_answer || {}
+
+    return (
+      <div className="space-y-3">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Accepted Answers (one per line)
+            </label>
+            <textarea
+              value={listToLines(rules.accepted)}
+              onChange={(e) => update({ correct_answer: { ...rules, accepted: linesToList(e.target.value) } })}
+              className="textarea w-full"
+              rows="3"
+              placeholder="Paris"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Regex Patterns (one per line, optional)
+            </label>
+            <textarea
+              value={listToLines(rules.patterns)}
+              onChange={(e) => update({ correct_answer: { ...rules, patterns: linesToList(e.target.value) } })}
+              className="textarea w-full font-mono"
+              rows="3"
+              placeholder="^paris(,\s*france)?$"
+            />
+          </div>
+        </div>
+        <div className="flex items-center">
+          <input
+            type="checkbox"
+            id={`${name}_case_sensitive`}
+            className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+            checked={rules.case_sensitive === true}
+            onChange={(e) => update({ correct_answer: { ...rules, case_sensitive: e.target.checked } })}
+          />
+          <label htmlFor={`${name}_case_sensitive`} className="ml-2 block text-sm text-gray-900">
+            Case sensitive (extra spaces are always ignored)
+          </label>
+        </div>
+      </div>
+    )
+  }
+
+  if (question.question_type === 'essay') {
+    return (
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          Grading Notes (shown to reviewers only)
+        </label>
+        <textarea
+          value={question.correct_answer?.guidance || ''}
+          onChange={(e) => update({ correct_answer: { guidance: e.target.value } })}
+          className="textarea w-full"
+          rows="3"
+          placeholder="What a full-marks answer should cover"
+        />
+        <p className="text-xs text-gray-500 mt-1">
+          Attempts with essay questions wait in the grading queue until a trainer scores them.
+        </p>
+      </div>
+    )
+  }
+
+  if (question.question_type === 'numeric') {
+    const rules = question.correct_answer || {}
+
+    return (
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Correct Value *
+          </label>
+          <input
+            type="number"
+            step="any"
+            value={rules.value}
+            onChange={(e) => update({ correct_answer: { ...rules, value: e.target.value } })}
+            className="input w-full"
+            required
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Tolerance
+          </label>
+          <input
+            type="number"
+            step="any"
+            min="0"
+            value={rules.tolerance}
+            onChange={(e) => update({ correct_answer: { ...rules, tolerance: e.target.value } })}
+            className="input w-full"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Tolerance Type
+          </label>
+          <select
+            value={rules.tolerance_type || 'absolute'}
+            onChange={(e) => update({ correct_answer: { ...rules, tolerance_type: e.target.value } })}
+            className="select w-full"
+          >
+            <option value="absolute">± units</option>
+            <option value="relative">± % of the value</option>
+          </select>
+        </div>
+      </div>
+    )
+  }
+
+  if (question.question_type === 'matching') {
+    const updatePair = (pairIndex, changes) => update({
+      options: question.options.map((pair, j) => j === pairIndex ? { ...pair, ...changes } : pair)
+    })
+
+    return (
+      <div className="space-y-3">
+        <div className="flex items-center justify-between">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">
+              Pairs *
+            </label>
+            <p className="text-xs text-gray-500">Learners see the matches shuffled and pick one for each prompt.</p>
+          </div>
+          <button
+            type="button"
+            onClick={() => update({ options: [...question.options, { prompt: '', match: '' }] })}
+            className="btn btn-outline btn-sm"
+          >
+            <PlusIcon className="h-3 w-3 mr-1" />
+            Add Pair
+          </button>
+        </div>
+
+        {question.options.map((pair, pairIndex) => (
+          <div key={pairIndex} className="flex items-center space-x-2">
+            <input
+              type="text"
+              value={pair.prompt}
+              onChange={(e) => updatePair(pairIndex, { prompt: e.target.value })}
+              className="input flex-1"
+              placeholder={`Prompt ${pairIndex + 1}`}
+              required
+            />
+            <span className="text-gray-400">→</span>
+            <input
+              type="text"
+              value={pair.match}
+              onChange={(e) => updatePair(pairIndex, { match: e.target.value })}
+              className="input flex-1"
+              placeholder={`Match ${pairIndex + 1}`}
+              required
+            />
+            <button
+              type="button"
+              onClick={() => update({ options: question.options.filter((_, j) => j !== pairIndex) })}
+              disabled={question.options.length <= 2}
+              className="btn btn-outline btn-danger btn-sm"
+            >
+              <TrashIcon className="h-3 w-3" />
+            </button>
+          </div>
+        ))}
+      </div>
+    )
+  }
+
+  const isMultiSelect = question.question_type === 'multi_select'
+  const isOrdering = question.question_type === 'ordering'
+  const selected = Array.isArray(question.correct_answer) ? question.correct_answer : []
+  const optionFeedback = question.option_feedback || []
+
+  const updateFeedback = (optionIndex, text) => update({
+    option_feedback: question.options.map((_, j) => j === optionIndex ? text : optionFeedback[j] || '')
+  })
+
+  const toggleSelected = (optionIndex) => update({
+    correct_answer: selected.includes(optionIndex)
+      ? selected.filter(index => index !== optionIndex)
+      : [...selected, optionIndex].sort((a, b) => a - b)
+  })
+
+  const removeOption = (optionIndex) => {
+    if (question.options.length <= 2) {
+      return
+    }
+    const options = question.options.filter((_, j) => j !== optionIndex)
+    const option_feedback = optionFeedback.filter((_, j) => j !== optionIndex)
+
+    if (isMultiSelect) {
+      // Keep the remaining correct options pointing at the same text
+      update({
+        options,
+        option_feedback,
+        correct_answer: selected
+          .filter(index => index !== optionIndex)
+          .map(index => index > optionIndex ? index - 1 : index)
+      })
+    } else if (isOrdering) {
+      update({ options })
+    } else {
+      update({ options, option_feedback, correct_answer: Math.min(question.correct_answer, options.length - 1) })
+    }
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <div>
+          <label className="block text-sm font-medium text-gray-700">
+            {isOrdering ? 'Items in Correct Order *' : 'Options *'}
+          </label>
+          {isOrdering && (
+            <p className="text-xs text-gray-500">Learners see the items shuffled and put them back in this order.</p>
+          )}
+          {isMultiSelect && (
+            <p className="text-xs text-gray-500">Tick every correct option. Wrong picks cancel out correct ones.</p>
+          )}
+        </div>
+        <button
+          type="button"
+          onClick={() => update({ options: [...question.options, ''] })}
+          className="btn btn-outline btn-sm"
+        >
+          <PlusIcon className="h-3 w-3 mr-1" />
+          {isOrdering ? 'Add Item' : 'Add Option'}
+        </button>
+      </div>
+
+      {question.options.map((option, optionIndex) => (
+        <div key={optionIndex} className="space-y-1">
+          <div className="flex items-center space-x-2">
+            {isOrdering ? (
+              <span className="w-6 text-sm text-gray-500 text-right">{optionIndex + 1}.</span>
+            ) : isMultiSelect ? (
+              <input
+                type="checkbox"
+                checked={selected.includes(optionIndex)}
+                onChange={() => toggleSelected(optionIndex)}
+                className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+              />
+            ) : (
+              <input
+                type="radio"
+                name={name}
+                checked={question.correct_answer === optionIndex}
+                onChange={() => update({ correct_answer: optionIndex })}
+                className="radio"
+              />
+            )}
+            <input
+              type="text"
+              value={option}
+              onChange={(e) => update({ options: question.options.map((opt, j) => j === optionIndex ? e.target.value : opt) })}
+              className="input flex-1"
+              placeholder={isOrdering ? `Item ${optionIndex + 1}` : `Option ${optionIndex + 1}`}
+              required
+            />
+            <button
+              type="button"
+              onClick={() => removeOption(optionIndex)}
+              disabled={question.options.length <= 2}
+              className="btn btn-outline btn-danger btn-sm"
+            >
+              <TrashIcon className="h-3 w-3" />
+            </button>
+          </div>
+          {!isOrdering && (
+            <div className="pl-6">
+              <input
+                type="text"
+                value={optionFeedback[optionIndex] || ''}
+                onChange={(e) => updateFeedback(optionIndex, e.target.value)}
+                className="input w-full text-sm"
+                placeholder="Feedback shown when this option is chosen (optional)"
+                maxLength={500}
+              />
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default function QuestionAnswerFields({ question, onChange, name }) {
+  return (
+    <div className="space-y-4">
+      <AnswerFields question={question} onChange={onChange} name={name} />
+      {question.question_type !== 'essay' && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Explanation (optional)
+          </label>
+          <textarea
+            value={question.explanation || ''}
+            onChange={(e) => onChange({ ...question, explanation: e.target.value })}
+            className="textarea w-full"
+            rows="2"
+            maxLength={2000}
+            placeholder="Why the correct answer is right, shown to learners after submitting"
+          />
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,171 @@
+import { ArrowUpIcon, ArrowDownIcon } from '@heroicons/react/24/outline'
+
+// Answer input for one attempt question. Option answers are indexes into the options
+// exactly as the server sent them; the server maps them back through the attempt's shuffle.
+export default function QuestionInput({ question, value, onChange }) {
+  const name = `question_${question.id}`
+
+  switch (question.question_type) {
+    case 'short_answer':
+      return (
+        <input
+          type="text"
+          value={value || ''}
+          onChange={(e) => onChange(e.target.value)}
+          className="input w-full"
+          placeholder="Type your answer"
+          maxLength={500}
+        />
+      )
+
+    case 'essay':
+      return (
+        <textarea
+          value={value || ''}
+          onChange={(e) => onChange(e.target.value)}
+          className="textarea w-full"
+          rows="6"
+          placeholder="Write your answer"
+          maxLength={10000}
+        />
+      )
+
+    case 'numeric':
+      return (
+        <input
+          type="number"
+          step="any"
+          value={value ?? ''}
+          onChange={(e) => onChange(e.target.value)}
+          className="input w-full md:w-48"
+          placeholder="Enter a number"
+        />
+      )
+
+    case 'true_false':
+      return (
+        <div className="space-y-2">
+          {[true, false].map((option) => (
+            <label key={String(option)} className="flex items-center space-x-3 cursor-pointer">
+              <input
+                type="radio"
+                name={name}
+                checked={value === option}
+                onChange={() => onChange(option)}
+                className="radio"
+              />
+              <span className="text-gray-700">{option ? 'True' : 'False'}</span>
+            </label>
+          ))}
+        </div>
+      )
+
+    case 'multi_select': {
+      const selected = Array.isArray(value) ? value : []
+      return (
+        <div className="space-y-2">
+          <p className="text-sm text-gray-500">Select all that apply.</p>
+          {question.options.map((option, optionIndex) => (
+            <label key={optionIndex} className="flex items-center space-x-3 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={selected.includes(optionIndex)}
+                onChange={(e) => onChange(e.target.checked
+                  ? [...selected, optionIndex]
+                  : selected.filter(index => index !== optionIndex))}
+                className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+              />
+              <span className="text-gray-700">{option}</span>
+            </label>
+          ))}
+        </div>
+      )
+    }
+
+    case 'ordering': {
+      const order = Array.isArray(value) && value.length === question.options.length
+        ? value
+        : question.options.map((_, index) => index)
+
+      const move = (position, offset) => {
+        const next = [...order]
+        const [moved] = next.splice(position, 1)
+        next.splice(position + offset, 0, moved)
+        onChange(next)
+      }
+
+      return (
+        <div className="space-y-2">
+          <p className="text-sm text-gray-500">Use the arrows to put the items in the correct order.</p>
+          {order.map((optionIndex, position) => (
+            <div key={optionIndex} className="flex items-center space-x-2 border border-gray-200 rounded-md px-3 py-2">
+              <span className="w-6 text-sm text-gray-500">{position + 1}.</span>
+              <span className="flex-1 text-gray-700">{question.options[optionIndex]}</span>
+              <button
+                type="button"
+                onClick={() => move(position, -1)}
+                disabled={position === 0}
+                className="btn btn-outline btn-sm"
+              >
+                <ArrowUpIcon className="h-3 w-3" />
+              </button>
+              <button
+                type="button"
+                onClick={() => move(position, 1)}
+                disabled={position === order.length - 1}
+                className="btn btn-outline btn-sm"
+              >
+                <ArrowDownIcon className="h-3 w-3" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )
+    }
+
+    case 'matching': {
+      const chosen = Array.isArray(value) ? value : []
+      return (
+        <div className="space-y-2">
+          {question.options.map((prompt, promptIndex) => (
+            <div key={promptIndex} className="grid grid-cols-1 md:grid-cols-2 gap-2 items-center">
+              <span className="text-gray-700">{prompt}</span>
+              <select
+                value={chosen[promptIndex] ?? ''}
+                onChange={(e) => {
+                  const next = question.options.map((_, i) => chosen[i] ?? null)
+                  next[promptIndex] = e.target.value === '' ? null : parseInt(e.target.value)
+                  onChange(next)
+                }}
+                className="select w-full"
+              >
+                <option value="">Choose a match</option>
+                {question.matches.map((match, matchIndex) => (
+                  <option key={matchIndex} value={matchIndex}>{match}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+      )
+    }
+
+    default:
+      return (
+        <div className="space-y-2">
+          {question.options.map((option, optionIndex) => (
+            <label key={optionIndex} className="flex items-center space-x-3 cursor-pointer">
+              <input
+                type="radio"
+                name={name}
+                checked={value === optionIndex}
+                onChange={() => onChange(optionIndex)}
+                className="radio"
+              />
+              <span className="text-gray-700">{option}</span>
+            </label>
+          ))}
+        </div>
+      )
+  }
+}
@@ -0,0 +1,90 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { api } from '../services/api'
+import { PlusIcon, TrashIcon } from '@heroicons/react/24/outline'
+
+export default function QuestionPoolFields({ courseId, pools, onChange }) {
+  const [tags, setTags] = useState([])
+  const [totalQuestions, setTotalQuestions] = useState(0)
+
+  useEffect(() => {
+    fetchTags()
+  }, [courseId])
+
+  const fetchTags = async () => {
+    try {
+      const response = await api.get(`/question-bank/courses/${courseId}/tags`)
+      setTags(response.data.tags)
+      setTotalQuestions(response.data.total_questions)
+    } catch (error) {
+      console.error('Failed to fetch question bank tags:', error)
+    }
+  }
+
+  const availableFor = (tag) => {
+    if (!tag) return totalQuestions
+    return tags.find(t => t.tag === tag)?.question_count || 0
+  }
+
+  const updatePool = (index, changes) => {
+    onChange(pools.map((pool, i) => i === index ? { ...pool, ...changes } : pool))
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Random Questions from Bank</h2>
+          <p className="text-sm text-gray-600">
+            Each attempt draws a fresh set from the{' '}
+            <Link to={`/courses/${courseId}/question-bank`} className="text-primary-600 hover:text-primary-500">
+              course question bank
+            </Link>
+            {' '}({totalQuestions} questions).
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={() => onChange([...pools, { tag: '', draw_count: 5 }])}
+          className="btn btn-outline btn-sm"
+          disabled={totalQuestions === 0}
+        >
+          <PlusIcon className="h-4 w-4 mr-1" />
+          Add Draw
+        </button>
+      </div>
+
+      {pools.map((pool, index) => (
+        <div key={index} className="flex items-center space-x-2">
+          <span className="text-sm text-gray-700">Draw</span>
+          <input
+            type="number"
+            value={pool.draw_count}
+            onChange={(e) => updatePool(index, { draw_count: parseInt(e.target.value) || 1 })}
+            className="input w-20"
+            min="1"
+            max={availableFor(pool.tag) || 1}
+          />
+          <span className="text-sm text-gray-700">questions from</span>
+          <select
+            value={pool.tag || ''}
+            onChange={(e) => updatePool(index, { tag: e.target.value })}
+            className="select flex-1"
+          >
+            <option value="">Any tag ({totalQuestions})</option>
+            {tags.map(({ tag, question_count }) => (
+              <option key={tag} value={tag}>{tag} ({question_count})</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={() => onChange(pools.filter((_, i) => i !== index))}
+            className="btn btn-outline btn-danger btn-sm"
+          >
+            <TrashIcon className="h-3 w-3" />
+          </button>
+        </div>
+      ))}
+    </div>
+  )
+}
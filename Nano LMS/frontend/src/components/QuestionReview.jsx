@@ -0,0 +1,204 @@
+import { CheckCircleIcon, XCircleIcon, MinusCircleIcon, ClockIcon } from '@heroicons/react/24/outline'
+
+const NO_ANSWER = <span className="italic text-gray-400">No answer</span>
+
+const isBlank = (value) => value === null || value === undefined || value === ''
+
+// Highlight an option as the correct one, the learner's wrong pick, or neither. When the
+// quiz hides correct answers, the learner's picks are marked without saying if they are right.
+const optionClass = (isCorrect, isChosen, revealed = true) => {
+  if (!revealed) return isChosen ? 'border-primary-300 bg-primary-50 text-primary-800' : 'border-gray-200 text-gray-700'
+  if (isCorrect) return 'border-green-300 bg-green-50 text-green-800'
+  if (isChosen) return 'border-red-300 bg-red-50 text-red-800'
+  return 'border-gray-200 text-gray-700'
+}
+
+function OptionList({ options, isCorrect, isChosen, revealed, feedback }) {
+  return (
+    <ul className="space-y-1">
+      {options.map((option, index) => (
+        <li key={index} className={`border rounded-md px-3 py-2 text-sm ${optionClass(isCorrect(index), isChosen(index), revealed)}`}>
+          <div className="flex items-center justify-between">
+            <span>{option}</span>
+            {isChosen(index) && <span className="text-xs font-medium">Your answer</span>}
+          </div>
+          {isChosen(index) && feedback?.[index] && (
+            <p className="mt-1 text-xs">{feedback[index]}</p>
+          )}
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+function AnswerPair({ answer, correct, revealed }) {
+  return (
+    <dl className="grid grid-cols-1 md:grid-cols-2 gap-2 text-sm">
+      <div>
+        <dt className="text-gray-500">Your answer</dt>
+        <dd className="text-gray-900">{answer}</dd>
+      </div>
+      {revealed && (
+        <div>
+          <dt className="text-gray-500">Correct answer</dt>
+          <dd className="text-green-700">{correct}</dd>
+        </div>
+      )}
+    </dl>
+  )
+}
+
+function ReviewBody({ question }) {
+  const { question_type: type, options, answer, correct_answer: correct, option_feedback: feedback } = question
+  const revealed = correct !== null && correct !== undefined
+
+  switch (type) {
+    case 'multi_select': {
+      const chosen = Array.isArray(answer) ? answer : []
+      return (
+        <OptionList
+          options={options}
+          isCorrect={(index) => revealed && correct.includes(index)}
+          isChosen={(index) => chosen.includes(index)}
+          revealed={revealed}
+          feedback={feedback}
+        />
+      )
+    }
+
+    case 'essay':
+      return (
+        <div className="space-y-2 text-sm">
+          <p className="whitespace-pre-wrap border border-gray-200 rounded-md px-3 py-2 text-gray-900">
+            {isBlank(answer) ? NO_ANSWER : answer}
+          </p>
+          {question.pending_review ? (
+            <p className="text-yellow-700">Awaiting review by a trainer.</p>
+          ) : question.feedback && (
+            <div>
+              <span className="text-gray-500">Trainer feedback: </span>
+              <span className="text-gray-900 whitespace-pre-wrap">{question.feedback}</span>
+            </div>
+          )}
+        </div>
+      )
+
+    case 'true_false':
+      return (
+        <AnswerPair
+          answer={isBlank(answer) ? NO_ANSWER : String(answer) === 'true' ? 'True' : 'False'}
+          correct={correct ? 'True' : 'False'}
+          revealed={revealed}
+        />
+      )
+
+    case 'short_answer':
+      return (
+        <AnswerPair
+          answer={isBlank(answer) ? NO_ANSWER : answer}
+          correct={typeof correct === 'string'
+            ? correct
+            : (correct?.accepted || []).filter(Boolean).join(' / ') || 'Matches the expected pattern'}
+          revealed={revealed}
+        />
+      )
+
+    case 'numeric': {
+      const tolerance = revealed && Number(correct.tolerance) > 0
+        ? ` ± ${correct.tolerance}${correct.tolerance_type === 'relative' ? '%' : ''}`
+        : ''
+      return (
+        <AnswerPair
+          answer={isBlank(answer) ? NO_ANSWER : answer}
+          correct={revealed && `${correct.value}${tolerance}`}
+          revealed={revealed}
+        />
+      )
+    }
+
+    case 'ordering': {
+      const given = Array.isArray(answer) ? answer : []
+      return (
+        <AnswerPair
+          answer={given.length > 0 ? (
+            <ol className="list-decimal list-inside">
+              {given.map((index, position) => (
+                <li key={position} className={!revealed ? 'text-gray-900' : index === correct[position] ? 'text-green-700' : 'text-red-700'}>
+                  {options[index]}
+                </li>
+              ))}
+            </ol>
+          ) : NO_ANSWER}
+          correct={revealed && (
+            <ol className="list-decimal list-inside">
+              {correct.map((index) => <li key={index}>{options[index]}</li>)}
+            </ol>
+          )}
+          revealed={revealed}
+        />
+      )
+    }
+
+    case 'matching': {
+      const given = Array.isArray(answer) ? answer : []
+      return (
+        <ul className="space-y-1 text-sm">
+          {options.map((pair, index) => {
+            const chosen = isBlank(given[index]) ? null : options[given[index]]?.match
+            const matched = revealed && given[index] === correct[index]
+            return (
+              <li key={index} className={`border rounded-md px-3 py-2 ${optionClass(matched, !matched, revealed)}`}>
+                <span className="font-medium">{pair.prompt}</span> → {chosen || NO_ANSWER}
+                {revealed && !matched && <span className="text-green-700"> (correct: {options[correct[index]].match})</span>}
+              </li>
+            )
+          })}
+        </ul>
+      )
+    }
+
+    default:
+      return (
+        <OptionList
+          options={options}
+          isCorrect={(index) => revealed && index === correct}
+          isChosen={(index) => !isBlank(answer) && Number(answer) === index}
+          revealed={revealed}
+          feedback={feedback}
+        />
+      )
+  }
+}
+
+// One reviewed question from GET /quizzes/:quizId/attempts/:attemptId
+export default function QuestionReview({ question, number }) {
+  const Icon = question.pending_review
+    ? ClockIcon
+    : question.credit === 1 ? CheckCircleIcon : question.credit > 0 ? MinusCircleIcon : XCircleIcon
+  const iconColor = question.pending_review
+    ? 'text-gray-400'
+    : question.credit === 1 ? 'text-green-600' : question.credit > 0 ? 'text-yellow-600' : 'text-red-600'
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4 space-y-3">
+      <div className="flex items-start justify-between">
+        <div className="flex items-start space-x-2">
+          <Icon className={`h-5 w-5 mt-0.5 flex-shrink-0 ${iconColor}`} />
+          <div>
+            <h4 className="text-sm font-medium text-gray-500">Question {number}</h4>
+            <p className="text-gray-900">{question.question_text}</p>
+          </div>
+        </div>
+        <span className="text-sm text-gray-600 whitespace-nowrap ml-4">
+          {question.pending_review ? '–' : question.earned_points}/{question.points} pt
+        </span>
+      </div>
+      <ReviewBody question={question} />
+      {question.explanation && (
+        <p className="text-sm text-gray-700 bg-gray-50 rounded-md px-3 py-2">
+          <span className="font-medium">Explanation: </span>{question.explanation}
+        </p>
+      )}
+    </div>
+  )
+}
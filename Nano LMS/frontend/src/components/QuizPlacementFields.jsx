@@ -0,0 +1,98 @@
+export const QUIZ_KIND_LABELS = {
+  practice: 'Practice',
+  graded: 'Knowledge Check',
+  final: 'Final Exam'
+}
+
+export const SHOW_CORRECT_ANSWERS_LABELS = {
+  never: 'Never',
+  after_pass: 'After the learner passes',
+  always: 'After every attempt'
+}
+
+export default function QuizPlacementFields({ lessons = [], value, onChange }) {
+  const update = (changes) => {
+    const next = { ...value, ...changes }
+
+    // A final exam covers the whole course and practice quizzes never gate completion
+    if (next.kind === 'final') {
+      next.lesson_id = ''
+    } else {
+      next.requires_all_lessons = false
+    }
+    if (next.kind === 'practice') {
+      next.counts_toward_completion = false
+    } else if (changes.kind && value.kind === 'practice') {
+      next.counts_toward_completion = true
+    }
+
+    onChange(next)
+  }
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          Quiz Type *
+        </label>
+        <select
+          value={value.kind}
+          onChange={(e) => update({ kind: e.target.value })}
+          className="select w-full"
+        >
+          <option value="graded">{QUIZ_KIND_LABELS.graded}</option>
+          <option value="practice">{QUIZ_KIND_LABELS.practice}</option>
+          <option value="final">{QUIZ_KIND_LABELS.final}</option>
+        </select>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          Attached To
+        </label>
+        <select
+          value={value.lesson_id}
+          onChange={(e) => update({ lesson_id: e.target.value })}
+          className="select w-full"
+          disabled={value.kind === 'final'}
+        >
+          <option value="">Whole course</option>
+          {lessons.map((lesson) => (
+            <option key={lesson.id} value={lesson.id}>
+              After lesson {lesson.order_index}: {lesson.title}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="flex items-center md:col-span-2">
+        <input
+          type="checkbox"
+          id="counts_toward_completion"
+          className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+          checked={value.counts_toward_completion}
+          disabled={value.kind === 'practice'}
+          onChange={(e) => update({ counts_toward_completion: e.target.checked })}
+        />
+        <label htmlFor="counts_toward_completion" className="ml-2 block text-sm text-gray-900">
+          Counts toward course completion and certificate
+        </label>
+      </div>
+
+      {value.kind === 'final' && (
+        <div className="flex items-center md:col-span-2">
+          <input
+            type="checkbox"
+            id="requires_all_lessons"
+            className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+            checked={value.requires_all_lessons}
+            onChange={(e) => update({ requires_all_lessons: e.target.checked })}
+          />
+          <label htmlFor="requires_all_lessons" className="ml-2 block text-sm text-gray-900">
+            Locked until the learner completes every lesson
+          </label>
+        </div>
+      )}
+    </div>
+  )
+}
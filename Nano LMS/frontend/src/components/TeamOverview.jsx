@@ -0,0 +1,116 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { api } from '../services/api'
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—')
+
+// A manager's direct reports with their enrollment, completion, certificate and overdue assignment figures
+export default function TeamOverview({ compact = false }) {
+  const [loading, setLoading] = useState(true)
+  const [members, setMembers] = useState([])
+  const [summary, setSummary] = useState(null)
+
+  useEffect(() => {
+    fetchTeam()
+  }, [])
+
+  const fetchTeam = async () => {
+    try {
+      const response = await api.get('/team')
+      setMembers(response.data.members)
+      setSummary(response.data.summary)
+    } catch (error) {
+      console.error('Failed to fetch team:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="bg-white shadow rounded-lg p-6">
+        <div className="flex items-center justify-center h-32">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+        </div>
+      </div>
+    )
+  }
+
+  if (!summary) {
+    return null
+  }
+
+  const shownMembers = compact ? members.slice(0, 5) : members
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 gap-4 lg:grid-cols-4">
+        {[
+          { label: 'Team members', value: summary.members },
+          { label: 'Enrollments', value: summary.enrollments },
+          { label: 'Completion rate', value: `${summary.completionRate}%` },
+          { label: 'Certificates expired or expiring', value: summary.expiredCertificates + summary.expiringCertificates }
+        ].map(card => (
+          <div key={card.label} className="bg-white shadow rounded-lg p-4">
+            <p className="text-sm text-gray-500">{card.label}</p>
+            <p className="text-2xl font-semibold text-gray-900">{card.value}</p>
+          </div>
+        ))}
+      </div>
+
+      <div className="bg-white shadow rounded-lg overflow-x-auto">
+        {members.length > 0 ? (
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Team member</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Enrolled</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Completed</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Certificates</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Last activity</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {shownMembers.map(member => (
+                <tr key={member.id}>
+                  <td className="px-4 py-2">
+                    <Link to={`/team/${member.id}`} className="text-primary-600 hover:text-primary-800">
+                      {member.first_name} {member.last_name}
+                    </Link>
+                    <p className="text-xs text-gray-500">{member.department_name || member.email}</p>
+                  </td>
+                  <td className="px-4 py-2 text-gray-500">{member.enrolledCourses}</td>
+                  <td className="px-4 py-2 text-gray-500">
+                    {member.completedCourses} ({member.progressPercentage}%)
+                    {member.overdueAssignments > 0 && (
+                      <span className="ml-2 text-xs text-red-600">{member.overdueAssignments} overdue</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-2 text-gray-500">
+                    {member.certificates}
+                    {member.expiredCertificates > 0 && (
+                      <span className="ml-2 text-xs text-red-600">{member.expiredCertificates} expired</span>
+                    )}
+                    {member.expiringCertificates > 0 && (
+                      <span className="ml-2 text-xs text-yellow-700">{member.expiringCertificates} expiring</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-2 text-gray-500">{formatDate(member.last_activity_at)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p className="p-6 text-sm text-gray-500">No one reports to you yet. An administrator assigns team members.</p>
+        )}
+        {compact && members.length > shownMembers.length && (
+          <div className="px-4 py-3 border-t border-gray-200 text-sm">
+            <Link to="/team" className="text-primary-600 hover:text-primary-800">
+              View all {members.length} team members →
+            </Link>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -110,7 +110,8 @@ function AuthProvider({ children }) {
     updateProfile,
     isAdmin: user?.role === 'admin',
     isTrainer: user?.role === 'trainer' || user?.role === 'admin',
-    isLearner: user?.role === 'learner' || user?.role === 'trainer' || user?.role === 'admin'
+    isManager: user?.role === 'manager',
+    isLearner: user?.role === 'learner' || user?.role === 'manager' || user?.role === 'trainer' || user?.role === 'admin'
   }
 
   return (
@@ -128,8 +128,8 @@ export default function AccountSettings() {
                     <p className="mt-1 text-sm text-gray-900 capitalize">{user?.role}</p>
                   </div>
                   <div>
-                    <label className="block text-sm font-medium text-gray-700">Work Type</label>
-                    <p className="mt-1 text-sm text-gray-900">{user?.work_type || 'Not assigned'}</p>
+                    <label className="block text-sm font-medium text-gray-700">Department</label>
+                    <p className="mt-1 text-sm text-gray-900">{user?.department_name || 'Not assigned'}</p>
                   </div>
                 </div>
               </div>
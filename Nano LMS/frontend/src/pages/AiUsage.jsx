@@ -0,0 +1,380 @@
+import { useState, useEffect } from 'react'
+import { api } from '../services/api'
+import toast from 'react-hot-toast'
+import { ChartBarIcon, TrashIcon } from '@heroicons/react/24/outline'
+
+const QUOTA_FIELDS = [
+  { name: 'daily_generations', label: 'Generations / day' },
+  { name: 'monthly_generations', label: 'Generations / month' },
+  { name: 'daily_tokens', label: 'Tokens / day' },
+  { name: 'monthly_tokens', label: 'Tokens / month' }
+]
+
+const EMPTY_QUOTA = { target: 'role', role: 'trainer', user_id: '', daily_generations: '', monthly_generations: '', daily_tokens: '', monthly_tokens: '' }
+
+const toDateInput = (date) => date.toISOString().slice(0, 10)
+
+const formatNumber = (value) => Number(value || 0).toLocaleString()
+
+const formatCost = (value) => (value === null || value === undefined ? '—' : Number(value).toFixed(4))
+
+const formatLimit = (value) => (value === null || value === undefined ? 'Unlimited' : formatNumber(value))
+
+export default function AiUsage() {
+  const [loading, setLoading] = useState(true)
+  const [range, setRange] = useState({
+    from: toDateInput(new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)),
+    to: toDateInput(new Date())
+  })
+  const [report, setReport] = useState(null)
+  const [quotas, setQuotas] = useState([])
+  const [users, setUsers] = useState([])
+  const [quotaForm, setQuotaForm] = useState(EMPTY_QUOTA)
+  const [savingQuota, setSavingQuota] = useState(false)
+
+  useEffect(() => {
+    fetchQuotas()
+    fetchUsers()
+  }, [])
+
+  useEffect(() => {
+    fetchReport()
+  }, [range])
+
+  const fetchReport = async () => {
+    try {
+      // Include the whole of the "to" day
+      const response = await api.get('/ai-usage/report', {
+        params: { from: range.from, to: `${range.to}T23:59:59` }
+      })
+      setReport(response.data)
+    } catch (error) {
+      console.error('Failed to fetch AI usage report:', error)
+      toast.error(error.response?.data?.message || 'Failed to load AI usage report')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const fetchQuotas = async () => {
+    try {
+      const response = await api.get('/ai-usage/quotas')
+      setQuotas(response.data.quotas)
+    } catch (error) {
+      console.error('Failed to fetch AI quotas:', error)
+      toast.error(error.response?.data?.message || 'Failed to load AI quotas')
+    }
+  }
+
+  const fetchUsers = async () => {
+    try {
+      const response = await api.get('/users', { params: { limit: 1000 } })
+      setUsers(response.data.users.filter(u => u.role !== 'learner'))
+    } catch (error) {
+      console.error('Failed to fetch users:', error)
+    }
+  }
+
+  const handleQuotaChange = (e) => {
+    const { name, value } = e.target
+    setQuotaForm(prev => ({ ...prev, [name]: value }))
+  }
+
+  const handleSaveQuota = async (e) => {
+    e.preventDefault()
+    if (quotaForm.target === 'user' && !quotaForm.user_id) {
+      toast.error('Choose a user for this quota')
+      return
+    }
+
+    setSavingQuota(true)
+    try {
+      const payload = Object.fromEntries(QUOTA_FIELDS.map(({ name }) => [name, quotaForm[name] === '' ? null : parseInt(quotaForm[name])]))
+      if (quotaForm.target === 'user') {
+        payload.user_id = parseInt(quotaForm.user_id)
+      } else {
+        payload.role = quotaForm.role
+      }
+
+      await api.post('/ai-usage/quotas', payload)
+      toast.success('Quota saved')
+      setQuotaForm(EMPTY_QUOTA)
+      fetchQuotas()
+    } catch (error) {
+      console.error('Failed to save AI quota:', error)
+      toast.error(error.response?.data?.message || 'Failed to save quota')
+    } finally {
+      setSavingQuota(false)
+    }
+  }
+
+  const handleEditQuota = (quota) => {
+    setQuotaForm({
+      target: quota.user_id ? 'user' : 'role',
+      role: quota.role || 'trainer',
+      user_id: quota.user_id ? String(quota.user_id) : '',
+      ...Object.fromEntries(QUOTA_FIELDS.map(({ name }) => [name, quota[name] === null ? '' : String(quota[name])]))
+    })
+  }
+
+  const handleDeleteQuota = async (quotaId) => {
+    if (!window.confirm('Remove this quota?')) return
+
+    try {
+      await api.delete(`/ai-usage/quotas/${quotaId}`)
+      toast.success('Quota removed')
+      fetchQuotas()
+    } catch (error) {
+      console.error('Failed to remove AI quota:', error)
+      toast.error(error.response?.data?.message || 'Failed to remove quota')
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    )
+  }
+
+  const totals = report?.totals || {}
+
+  return (
+    <div className="max-w-6xl mx-auto space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">AI Usage</h1>
+          <p className="text-sm text-gray-600">
+            Every AI request made for quiz generation, with token usage, cost estimates and quotas.
+          </p>
+        </div>
+        <div className="flex items-end gap-3">
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">From</label>
+            <input
+              type="date"
+              className="input"
+              value={range.from}
+              onChange={(e) => setRange(prev => ({ ...prev, from: e.target.value }))}
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">To</label>
+            <input
+              type="date"
+              className="input"
+              value={range.to}
+              onChange={(e) => setRange(prev => ({ ...prev, to: e.target.value }))}
+            />
+          </div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4 lg:grid-cols-5">
+        {[
+          { label: 'Generations', value: formatNumber(totals.generations) },
+          { label: 'AI requests', value: formatNumber(totals.requests) },
+          { label: 'Failed requests', value: formatNumber(totals.errors) },
+          { label: 'Tokens', value: formatNumber(totals.total_tokens) },
+          { label: 'Estimated cost', value: formatCost(totals.estimated_cost) }
+        ].map(card => (
+          <div key={card.label} className="bg-white shadow rounded-lg p-4">
+            <p className="text-sm text-gray-500">{card.label}</p>
+            <p className="text-2xl font-semibold text-gray-900">{card.value}</p>
+          </div>
+        ))}
+      </div>
+
+      <div className="bg-white shadow rounded-lg overflow-x-auto">
+        <h2 className="px-4 pt-4 text-lg font-medium text-gray-900">By user</h2>
+        {report?.byUser.length > 0 ? (
+          <table className="min-w-full divide-y divide-gray-200 text-sm mt-2">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">User</th>
+                <th className="px-4 py-2 text-right font-medium text-gray-500">Generations</th>
+                <th className="px-4 py-2 text-right font-medium text-gray-500">Requests</th>
+                <th className="px-4 py-2 text-right font-medium text-gray-500">Failed</th>
+                <th className="px-4 py-2 text-right font-medium text-gray-500">Tokens</th>
+                <th className="px-4 py-2 text-right font-medium text-gray-500">Est. cost</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {report.byUser.map(row => (
+                <tr key={row.user_id}>
+                  <td className="px-4 py-2">
+                    {row.first_name} {row.last_name}
+                    <span className="ml-2 text-xs text-gray-500 capitalize">{row.role}</span>
+                  </td>
+                  <td className="px-4 py-2 text-right">{formatNumber(row.generations)}</td>
+                  <td className="px-4 py-2 text-right">{formatNumber(row.requests)}</td>
+                  <td className="px-4 py-2 text-right">{formatNumber(row.errors)}</td>
+                  <td className="px-4 py-2 text-right">{formatNumber(row.total_tokens)}</td>
+                  <td className="px-4 py-2 text-right">{formatCost(row.estimated_cost)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <div className="p-6 text-center">
+            <ChartBarIcon className="mx-auto h-12 w-12 text-gray-400" />
+            <p className="mt-2 text-sm text-gray-500">No AI usage in this period.</p>
+          </div>
+        )}
+      </div>
+
+      {report?.byCourse.length > 0 && (
+        <div className="bg-white shadow rounded-lg overflow-x-auto">
+          <h2 className="px-4 pt-4 text-lg font-medium text-gray-900">By course</h2>
+          <table className="min-w-full divide-y divide-gray-200 text-sm mt-2">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Course</th>
+                <th className="px-4 py-2 text-right font-medium text-gray-500">Generations</th>
+                <th className="px-4 py-2 text-right font-medium text-gray-500">Requests</th>
+                <th className="px-4 py-2 text-right font-medium text-gray-500">Tokens</th>
+                <th className="px-4 py-2 text-right font-medium text-gray-500">Est. cost</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {report.byCourse.map(row => (
+                <tr key={row.course_id}>
+                  <td className="px-4 py-2">{row.title}</td>
+                  <td className="px-4 py-2 text-right">{formatNumber(row.generations)}</td>
+                  <td className="px-4 py-2 text-right">{formatNumber(row.requests)}</td>
+                  <td className="px-4 py-2 text-right">{formatNumber(row.total_tokens)}</td>
+                  <td className="px-4 py-2 text-right">{formatCost(row.estimated_cost)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {report?.byModel.length > 0 && (
+        <div className="bg-white shadow rounded-lg overflow-x-auto">
+          <h2 className="px-4 pt-4 text-lg font-medium text-gray-900">By model</h2>
+          <table className="min-w-full divide-y divide-gray-200 text-sm mt-2">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Model</th>
+                <th className="px-4 py-2 text-right font-medium text-gray-500">Requests</th>
+                <th className="px-4 py-2 text-right font-medium text-gray-500">Failed</th>
+                <th className="px-4 py-2 text-right font-medium text-gray-500">Tokens</th>
+                <th className="px-4 py-2 text-right font-medium text-gray-500">Avg. latency</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {report.byModel.map(row => (
+                <tr key={`${row.provider}-${row.model}`}>
+                  <td className="px-4 py-2">
+                    {row.model}
+                    <span className="ml-2 text-xs text-gray-500">{row.provider}</span>
+                  </td>
+                  <td className="px-4 py-2 text-right">{formatNumber(row.requests)}</td>
+                  <td className="px-4 py-2 text-right">{formatNumber(row.errors)}</td>
+                  <td className="px-4 py-2 text-right">{formatNumber(row.total_tokens)}</td>
+                  <td className="px-4 py-2 text-right">{formatNumber(row.avg_latency_ms)} ms</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="bg-white shadow rounded-lg p-4 space-y-4">
+        <div>
+          <h2 className="text-lg font-medium text-gray-900">Quotas</h2>
+          <p className="text-sm text-gray-600">
+            Limit AI quiz generation per role or per user. A user's own quota replaces their role's. Leave a limit blank for no limit.
+          </p>
+        </div>
+
+        {quotas.length > 0 && (
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Applies to</th>
+                {QUOTA_FIELDS.map(field => (
+                  <th key={field.name} className="px-4 py-2 text-right font-medium text-gray-500">{field.label}</th>
+                ))}
+                <th className="px-4 py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {quotas.map(quota => (
+                <tr key={quota.id}>
+                  <td className="px-4 py-2">
+                    {quota.user_id ? `${quota.first_name} ${quota.last_name}` : <span className="capitalize">All {quota.role}s</span>}
+                  </td>
+                  {QUOTA_FIELDS.map(field => (
+                    <td key={field.name} className="px-4 py-2 text-right">{formatLimit(quota[field.name])}</td>
+                  ))}
+                  <td className="px-4 py-2 text-right whitespace-nowrap">
+                    <button type="button" onClick={() => handleEditQuota(quota)} className="btn btn-outline btn-sm mr-2">
+                      Edit
+                    </button>
+                    <button type="button" onClick={() => handleDeleteQuota(quota.id)} className="btn btn-outline btn-danger btn-sm">
+                      <TrashIcon className="h-4 w-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <form onSubmit={handleSaveQuota} className="grid grid-cols-1 gap-4 sm:grid-cols-3 lg:grid-cols-6 items-end border-t pt-4">
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">Applies to</label>
+            <select name="target" className="select w-full" value={quotaForm.target} onChange={handleQuotaChange}>
+              <option value="role">A role</option>
+              <option value="user">A user</option>
+            </select>
+          </div>
+          <div>
+            {quotaForm.target === 'role' ? (
+              <>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Role</label>
+                <select name="role" className="select w-full" value={quotaForm.role} onChange={handleQuotaChange}>
+                  <option value="trainer">Trainer</option>
+                  <option value="admin">Admin</option>
+                </select>
+              </>
+            ) : (
+              <>
+                <label className="block text-xs font-medium text-gray-700 mb-1">User</label>
+                <select name="user_id" className="select w-full" value={quotaForm.user_id} onChange={handleQuotaChange}>
+                  <option value="">Choose a user</option>
+                  {users.map(u => (
+                    <option key={u.id} value={u.id}>{u.first_name} {u.last_name} ({u.role})</option>
+                  ))}
+                </select>
+              </>
+            )}
+          </div>
+          {QUOTA_FIELDS.map(field => (
+            <div key={field.name}>
+              <label className="block text-xs font-medium text-gray-700 mb-1">{field.label}</label>
+              <input
+                type="number"
+                min="0"
+                name={field.name}
+                className="input w-full"
+                value={quotaForm[field.name]}
+                onChange={handleQuotaChange}
+                placeholder="Unlimited"
+              />
+            </div>
+          ))}
+          <div className="sm:col-span-3 lg:col-span-6 flex justify-end">
+            <button type="submit" disabled={savingQuota} className="btn btn-primary">
+              {savingQuota ? 'Saving...' : 'Save Quota'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
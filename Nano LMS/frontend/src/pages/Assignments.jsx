@@ -0,0 +1,374 @@
+import { Fragment, useState, useEffect } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import { api } from '../services/api'
+import toast from 'react-hot-toast'
+import { PencilIcon, TrashIcon, ChevronDownIcon, ChevronRightIcon } from '@heroicons/react/24/outline'
+import AssignmentStatusBadge, { formatDueDate } from '../components/AssignmentStatusBadge'
+
+const ROLE_LABELS = {
+  admin: 'Admins',
+  trainer: 'Trainers',
+  manager: 'Managers',
+  learner: 'Learners'
+}
+
+const EMPTY_FORM = { courseId: '', targetType: 'user', targetId: '', dueDate: '' }
+
+const targetLabel = (assignment) => {
+  if (assignment.target_type === 'user') return `${assignment.user_first_name} ${assignment.user_last_name}`
+  if (assignment.target_type === 'department') return `${assignment.department_name} department`
+  return `All ${ROLE_LABELS[assignment.role].toLowerCase()}`
+}
+
+export default function Assignments() {
+  const { isAdmin, isManager } = useAuth()
+  const [loading, setLoading] = useState(true)
+  const [assignments, setAssignments] = useState([])
+  const [courses, setCourses] = useState([])
+  const [users, setUsers] = useState([])
+  const [departments, setDepartments] = useState([])
+  const [formData, setFormData] = useState(EMPTY_FORM)
+  const [saving, setSaving] = useState(false)
+  const [editing, setEditing] = useState(null)
+  const [editDueDate, setEditDueDate] = useState('')
+  const [expanded, setExpanded] = useState(null)
+  const [assignedUsers, setAssignedUsers] = useState([])
+
+  const canAssign = isAdmin || isManager
+  const today = new Date().toISOString().substring(0, 10)
+
+  useEffect(() => {
+    if (!canAssign) return
+    fetchAssignments()
+    fetchCourses()
+    fetchTargets()
+  }, [canAssign])
+
+  const fetchAssignments = async () => {
+    try {
+      const response = await api.get('/assignments')
+      setAssignments(response.data.assignments)
+    } catch (error) {
+      console.error('Failed to fetch assignments:', error)
+      toast.error(error.response?.data?.message || 'Failed to load assignments')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const fetchCourses = async () => {
+    try {
+      const response = await api.get('/courses', { params: { limit: 1000 } })
+      setCourses((response.data.courses || []).filter(course => course.is_published))
+    } catch (error) {
+      console.error('Failed to fetch courses:', error)
+    }
+  }
+
+  // Admins assign to anyone; managers to the people who report to them
+  const fetchTargets = async () => {
+    try {
+      if (isAdmin) {
+        const [usersResponse, departmentsResponse] = await Promise.all([
+          api.get('/users', { params: { limit: 1000 } }),
+          api.get('/departments')
+        ])
+        setUsers(usersResponse.data.users || [])
+        setDepartments(departmentsResponse.data.departments || [])
+      } else {
+        const response = await api.get('/team')
+        setUsers(response.data.members || [])
+      }
+    } catch (error) {
+      console.error('Failed to fetch assignment targets:', error)
+    }
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    try {
+      const { courseId, targetType, targetId, dueDate } = formData
+      const payload = { courseId: parseInt(courseId), targetType, dueDate }
+      if (targetType === 'user') payload.userId = parseInt(targetId)
+      if (targetType === 'department') payload.departmentId = parseInt(targetId)
+      if (targetType === 'role') payload.role = targetId
+
+      const response = await api.post('/assignments', payload)
+      toast.success(response.data.message)
+      setFormData(EMPTY_FORM)
+      fetchAssignments()
+    } catch (error) {
+      console.error('Failed to assign course:', error)
+      toast.error(error.response?.data?.details?.[0]?.msg || error.response?.data?.message || 'Failed to assign course')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleSaveDueDate = async (assignment) => {
+    try {
+      await api.put(`/assignments/${assignment.id}`, { dueDate: editDueDate })
+      toast.success('Due date updated')
+      setEditing(null)
+      fetchAssignments()
+    } catch (error) {
+      console.error('Failed to update assignment:', error)
+      toast.error(error.response?.data?.details?.[0]?.msg || error.response?.data?.message || 'Failed to update assignment')
+    }
+  }
+
+  const handleDelete = async (assignment) => {
+    if (!window.confirm(`Stop requiring ${assignment.course_title} for ${targetLabel(assignment)}? Learners keep their enrollment and progress.`)) return
+
+    try {
+      await api.delete(`/assignments/${assignment.id}`)
+      toast.success('Assignment removed')
+      if (expanded === assignment.id) setExpanded(null)
+      fetchAssignments()
+    } catch (error) {
+      console.error('Failed to remove assignment:', error)
+      toast.error(error.response?.data?.message || 'Failed to remove assignment')
+    }
+  }
+
+  const toggleExpanded = async (assignment) => {
+    if (expanded === assignment.id) {
+      setExpanded(null)
+      return
+    }
+
+    setExpanded(assignment.id)
+    setAssignedUsers([])
+    try {
+      const response = await api.get(`/assignments/${assignment.id}/users`)
+      setAssignedUsers(response.data.users)
+    } catch (error) {
+      console.error('Failed to fetch assigned users:', error)
+      toast.error(error.response?.data?.message || 'Failed to load assigned users')
+    }
+  }
+
+  if (!canAssign) {
+    return (
+      <div className="text-center py-12">
+        <h3 className="text-lg font-medium text-gray-900">Access Denied</h3>
+        <p className="text-sm text-gray-500">Only administrators and managers can assign courses.</p>
+      </div>
+    )
+  }
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="max-w-6xl mx-auto space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Assignments</h1>
+        <p className="text-sm text-gray-600">
+          {isAdmin
+            ? 'Make a course mandatory for a person, a department or everyone with a role, and set when it is due.'
+            : 'Make a course mandatory for someone on your team and set when it is due.'}
+        </p>
+      </div>
+
+      <form onSubmit={handleSubmit} className="bg-white shadow rounded-lg p-6 space-y-4">
+        <h2 className="text-lg font-medium text-gray-900">Assign a course</h2>
+        <div className="grid grid-cols-1 gap-4 sm:grid-cols-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Course *</label>
+            <select
+              className="input w-full"
+              value={formData.courseId}
+              onChange={(e) => setFormData(prev => ({ ...prev, courseId: e.target.value }))}
+              required
+            >
+              <option value="">Choose a course</option>
+              {courses.map(course => (
+                <option key={course.id} value={course.id}>{course.title}</option>
+              ))}
+            </select>
+          </div>
+          {isAdmin && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Assign to *</label>
+              <select
+                className="input w-full"
+                value={formData.targetType}
+                onChange={(e) => setFormData(prev => ({ ...prev, targetType: e.target.value, targetId: '' }))}
+              >
+                <option value="user">A user</option>
+                <option value="department">A department</option>
+                <option value="role">A role</option>
+              </select>
+            </div>
+          )}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {formData.targetType === 'user' ? (isAdmin ? 'User *' : 'Team member *') : formData.targetType === 'department' ? 'Department *' : 'Role *'}
+            </label>
+            <select
+              className="input w-full"
+              value={formData.targetId}
+              onChange={(e) => setFormData(prev => ({ ...prev, targetId: e.target.value }))}
+              required
+            >
+              <option value="">Choose</option>
+              {formData.targetType === 'user' && users.map(user => (
+                <option key={user.id} value={user.id}>{user.first_name} {user.last_name}</option>
+              ))}
+              {formData.targetType === 'department' && departments.map(department => (
+                <option key={department.id} value={department.id}>{department.name}</option>
+              ))}
+              {formData.targetType === 'role' && Object.entries(ROLE_LABELS).map(([role, label]) => (
+                <option key={role} value={role}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Due date *</label>
+            <input
+              type="date"
+              className="input w-full"
+              min={today}
+              value={formData.dueDate}
+              onChange={(e) => setFormData(prev => ({ ...prev, dueDate: e.target.value }))}
+              required
+            />
+          </div>
+        </div>
+        <div className="flex justify-end">
+          <button type="submit" disabled={saving} className="btn btn-primary">
+            {saving ? 'Assigning...' : 'Assign Course'}
+          </button>
+        </div>
+      </form>
+
+      <div className="bg-white shadow rounded-lg overflow-x-auto">
+        {assignments.length > 0 ? (
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2"></th>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Course</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Assigned to</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Due</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Completed</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">In progress</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Not started</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Overdue</th>
+                <th className="px-4 py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {assignments.map(assignment => (
+                <Fragment key={assignment.id}>
+                  <tr>
+                    <td className="px-4 py-2">
+                      <button
+                        type="button"
+                        onClick={() => toggleExpanded(assignment)}
+                        className="text-gray-400 hover:text-gray-600"
+                        title="Show learners"
+                      >
+                        {expanded === assignment.id
+                          ? <ChevronDownIcon className="h-4 w-4" />
+                          : <ChevronRightIcon className="h-4 w-4" />}
+                      </button>
+                    </td>
+                    <td className="px-4 py-2 text-gray-900">{assignment.course_title}</td>
+                    <td className="px-4 py-2 text-gray-500">
+                      {targetLabel(assignment)}
+                      {isAdmin && assignment.assigned_by_first_name && (
+                        <p className="text-xs text-gray-400">
+                          by {assignment.assigned_by_first_name} {assignment.assigned_by_last_name}
+                        </p>
+                      )}
+                    </td>
+                    <td className="px-4 py-2 text-gray-500 whitespace-nowrap">
+                      {editing === assignment.id ? (
+                        <div className="flex items-center space-x-2">
+                          <input
+                            type="date"
+                            className="input"
+                            min={today}
+                            value={editDueDate}
+                            onChange={(e) => setEditDueDate(e.target.value)}
+                          />
+                          <button type="button" onClick={() => handleSaveDueDate(assignment)} className="btn btn-primary btn-sm">
+                            Save
+                          </button>
+                          <button type="button" onClick={() => setEditing(null)} className="btn btn-outline btn-sm">
+                            Cancel
+                          </button>
+                        </div>
+                      ) : formatDueDate(assignment.due_date)}
+                    </td>
+                    <td className="px-4 py-2 text-gray-500">{assignment.completed} / {assignment.assigned}</td>
+                    <td className="px-4 py-2 text-gray-500">{assignment.in_progress}</td>
+                    <td className="px-4 py-2 text-gray-500">{assignment.not_started}</td>
+                    <td className={`px-4 py-2 ${assignment.overdue > 0 ? 'text-red-600 font-medium' : 'text-gray-500'}`}>
+                      {assignment.overdue}
+                    </td>
+                    <td className="px-4 py-2 text-right whitespace-nowrap">
+                      <div className="flex items-center justify-end space-x-2">
+                        <button
+                          type="button"
+                          onClick={() => {
+                            setEditing(assignment.id)
+                            setEditDueDate(assignment.due_date)
+                          }}
+                          className="text-primary-600 hover:text-primary-900"
+                          title="Change due date"
+                        >
+                          <PencilIcon className="h-4 w-4" />
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handleDelete(assignment)}
+                          className="text-red-600 hover:text-red-900"
+                          title="Remove"
+                        >
+                          <TrashIcon className="h-4 w-4" />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                  {expanded === assignment.id && (
+                    <tr>
+                      <td></td>
+                      <td colSpan={8} className="px-4 py-2 bg-gray-50">
+                        {assignedUsers.length > 0 ? (
+                          <ul className="divide-y divide-gray-200">
+                            {assignedUsers.map(user => (
+                              <li key={user.id} className="flex items-center justify-between py-1">
+                                <span className="text-gray-900">
+                                  {user.first_name} {user.last_name}
+                                  <span className="ml-2 text-xs text-gray-500">{user.email}</span>
+                                </span>
+                                <AssignmentStatusBadge status={user.status} />
+                              </li>
+                            ))}
+                          </ul>
+                        ) : (
+                          <p className="text-gray-500">No active users match this assignment.</p>
+                        )}
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p className="p-6 text-sm text-gray-500">No courses assigned yet.</p>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,388 @@
+import { useState, useEffect } from 'react'
+import { api } from '../services/api'
+import toast from 'react-hot-toast'
+import { DocumentTextIcon, EyeIcon, PencilIcon, PlusIcon, TrashIcon } from '@heroicons/react/24/outline'
+import FileUpload from '../components/FileUpload'
+import { previewCertificate } from '../components/CourseCertificateTemplate'
+
+const MAX_SIGNATURES = 3
+
+const COLOR_FIELDS = [
+  { name: 'primary_color', label: 'Title & border' },
+  { name: 'accent_color', label: 'Learner name' },
+  { name: 'text_color', label: 'Text' }
+]
+
+const TEXT_FIELDS = [
+  { name: 'intro_text', label: 'Text before the learner name' },
+  { name: 'completion_text', label: 'Text before the course title' }
+]
+
+// Editable copy of a template; the API sends null for unset text
+const toForm = (template) => ({
+  name: template.name || '',
+  is_default: !!template.is_default,
+  orientation: template.orientation,
+  background_url: template.background_url || '',
+  logo_url: template.logo_url || '',
+  primary_color: template.primary_color,
+  accent_color: template.accent_color,
+  text_color: template.text_color,
+  heading_font: template.heading_font,
+  body_font: template.body_font,
+  title: template.title,
+  intro_text: template.intro_text ?? '',
+  completion_text: template.completion_text ?? '',
+  details_text: template.details_text ?? '',
+  signatures: (template.signatures || []).map((signature) => ({
+    name: signature.name,
+    title: signature.title || '',
+    image_url: signature.image_url || ''
+  }))
+})
+
+export default function CertificateTemplates() {
+  const [loading, setLoading] = useState(true)
+  const [templates, setTemplates] = useState([])
+  const [fonts, setFonts] = useState([])
+  const [placeholders, setPlaceholders] = useState({})
+  const [defaults, setDefaults] = useState(null)
+  const [editingId, setEditingId] = useState(null)
+  const [form, setForm] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [previewing, setPreviewing] = useState(false)
+
+  useEffect(() => {
+    fetchTemplates()
+  }, [])
+
+  const fetchTemplates = async () => {
+    try {
+      const response = await api.get('/certificate-templates')
+      setTemplates(response.data.templates)
+      setFonts(response.data.fonts)
+      setPlaceholders(response.data.placeholders)
+      setDefaults(response.data.defaults)
+    } catch (error) {
+      console.error('Failed to fetch certificate templates:', error)
+      toast.error(error.response?.data?.message || 'Failed to load certificate templates')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleNew = () => {
+    setEditingId(null)
+    setForm({ ...toForm(defaults), is_default: templates.length === 0 })
+  }
+
+  const handleEdit = (template) => {
+    setEditingId(template.id)
+    setForm(toForm(template))
+  }
+
+  const updateForm = (changes) => setForm(prev => ({ ...prev, ...changes }))
+
+  const handleInputChange = (e) => {
+    const { name, value, type, checked } = e.target
+    updateForm({ [name]: type === 'checkbox' ? checked : value })
+  }
+
+  const updateSignature = (index, changes) => {
+    updateForm({ signatures: form.signatures.map((signature, i) => (i === index ? { ...signature, ...changes } : signature)) })
+  }
+
+  // Signatures without a name are left out rather than rejected
+  const payload = () => ({
+    ...form,
+    background_url: form.background_url || null,
+    logo_url: form.logo_url || null,
+    signatures: form.signatures
+      .filter((signature) => signature.name.trim())
+      .map((signature) => ({ ...signature, title: signature.title || null, image_url: signature.image_url || null }))
+  })
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    if (!form.name.trim()) {
+      toast.error('Template name is required')
+      return
+    }
+
+    setSaving(true)
+    try {
+      if (editingId) {
+        await api.put(`/certificate-templates/${editingId}`, payload())
+      } else {
+        await api.post('/certificate-templates', payload())
+      }
+      toast.success('Certificate template saved')
+      setForm(null)
+      setEditingId(null)
+      fetchTemplates()
+    } catch (error) {
+      console.error('Failed to save certificate template:', error)
+      toast.error(error.response?.data?.details?.[0]?.msg || error.response?.data?.message || 'Failed to save template')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handlePreviewForm = async () => {
+    setPreviewing(true)
+    const { name, is_default, ...settings } = payload()
+    await previewCertificate(settings)
+    setPreviewing(false)
+  }
+
+  const handleDelete = async (template) => {
+    const usage = template.courses.length > 0
+      ? ` ${template.courses.length} course(s) will switch to the default template.`
+      : ''
+    if (!window.confirm(`Delete "${template.name}"?${usage}`)) return
+
+    try {
+      await api.delete(`/certificate-templates/${template.id}`)
+      toast.success('Certificate template deleted')
+      if (editingId === template.id) {
+        setForm(null)
+        setEditingId(null)
+      }
+      fetchTemplates()
+    } catch (error) {
+      console.error('Failed to delete certificate template:', error)
+      toast.error(error.response?.data?.message || 'Failed to delete template')
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="max-w-6xl mx-auto space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Certificate Templates</h1>
+          <p className="text-sm text-gray-600">
+            Branded certificate designs. Assign a template to a course from its edit page; courses without one use the default.
+          </p>
+        </div>
+        <button onClick={handleNew} className="btn btn-primary flex items-center">
+          <PlusIcon className="h-4 w-4 mr-2" />
+          New Template
+        </button>
+      </div>
+
+      {templates.length === 0 && !form ? (
+        <div className="bg-white shadow rounded-lg p-8 text-center">
+          <DocumentTextIcon className="mx-auto h-12 w-12 text-gray-400" />
+          <p className="mt-2 text-sm text-gray-600">
+            No templates yet. Certificates use the standard layout until you create one.
+          </p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-3">
+          {templates.map((template) => (
+            <div key={template.id} className="bg-white shadow rounded-lg p-4 border-t-4" style={{ borderTopColor: template.primary_color }}>
+              <div className="flex items-start justify-between">
+                <div>
+                  <h3 className="font-semibold text-gray-900">{template.name}</h3>
+                  <p className="text-xs text-gray-500 capitalize">{template.orientation} · {template.heading_font}</p>
+                </div>
+                {template.is_default && (
+                  <span className="px-2 py-0.5 text-xs font-medium rounded-full bg-primary-100 text-primary-800">Default</span>
+                )}
+              </div>
+              <p className="mt-2 text-sm text-gray-600">
+                {template.courses.length > 0
+                  ? `Used by ${template.courses.map((course) => course.title).join(', ')}`
+                  : 'Not assigned to any course'}
+              </p>
+              <div className="mt-4 flex items-center space-x-3 text-sm">
+                <button onClick={() => handleEdit(template)} className="text-primary-600 hover:text-primary-800 flex items-center">
+                  <PencilIcon className="h-4 w-4 mr-1" /> Edit
+                </button>
+                <button onClick={() => previewCertificate({ template_id: template.id })} className="text-gray-600 hover:text-gray-800 flex items-center">
+                  <EyeIcon className="h-4 w-4 mr-1" /> Preview
+                </button>
+                <button onClick={() => handleDelete(template)} className="text-red-600 hover:text-red-800 flex items-center">
+                  <TrashIcon className="h-4 w-4 mr-1" /> Delete
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {form && (
+        <form onSubmit={handleSave} className="bg-white shadow rounded-lg p-6 space-y-6">
+          <h2 className="text-lg font-medium text-gray-900">{editingId ? 'Edit Template' : 'New Template'}</h2>
+
+          <div className="grid grid-cols-1 gap-6 sm:grid-cols-3">
+            <div className="sm:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Template Name *</label>
+              <input type="text" name="name" className="input w-full" value={form.name} onChange={handleInputChange} required />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Orientation</label>
+              <select name="orientation" className="select w-full" value={form.orientation} onChange={handleInputChange}>
+                <option value="landscape">Landscape</option>
+                <option value="portrait">Portrait</option>
+              </select>
+            </div>
+          </div>
+
+          <div className="flex items-center">
+            <input
+              type="checkbox"
+              name="is_default"
+              id="is_default"
+              className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+              checked={form.is_default}
+              onChange={handleInputChange}
+            />
+            <label htmlFor="is_default" className="ml-2 block text-sm text-gray-900">
+              Use for every course without its own template
+            </label>
+          </div>
+
+          <div className="grid grid-cols-1 gap-6 sm:grid-cols-2">
+            <FileUpload
+              type="image"
+              label="Logo (PNG or JPG)"
+              onUpload={(url) => updateForm({ logo_url: url })}
+              onRemove={() => updateForm({ logo_url: '' })}
+              currentFile={form.logo_url || null}
+            />
+            <FileUpload
+              type="image"
+              label="Background image (PNG or JPG, replaces the border)"
+              onUpload={(url) => updateForm({ background_url: url })}
+              onRemove={() => updateForm({ background_url: '' })}
+              currentFile={form.background_url || null}
+            />
+          </div>
+
+          <div className="grid grid-cols-1 gap-6 sm:grid-cols-5">
+            {COLOR_FIELDS.map(({ name, label }) => (
+              <div key={name}>
+                <label className="block text-sm font-medium text-gray-700 mb-2">{label}</label>
+                <input type="color" name={name} className="h-10 w-full rounded border border-gray-300" value={form[name]} onChange={handleInputChange} />
+              </div>
+            ))}
+            {[{ name: 'heading_font', label: 'Heading font' }, { name: 'body_font', label: 'Body font' }].map(({ name, label }) => (
+              <div key={name}>
+                <label className="block text-sm font-medium text-gray-700 mb-2">{label}</label>
+                <select name={name} className="select w-full" value={form[name]} onChange={handleInputChange}>
+                  {fonts.map((font) => <option key={font} value={font}>{font}</option>)}
+                </select>
+              </div>
+            ))}
+          </div>
+
+          <div className="rounded-md bg-gray-50 p-3 text-xs text-gray-600">
+            <span className="font-medium">Placeholders:</span>{' '}
+            {Object.entries(placeholders).map(([key, label], index) => (
+              <span key={key}>
+                {index > 0 && ', '}
+                <code className="text-primary-700">{`{{${key}}}`}</code> ({label.toLowerCase()})
+              </span>
+            ))}
+            . The learner name and course title are always printed.
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Title</label>
+            <input type="text" name="title" className="input w-full" value={form.title} onChange={handleInputChange} required />
+          </div>
+
+          <div className="grid grid-cols-1 gap-6 sm:grid-cols-2">
+            {TEXT_FIELDS.map(({ name, label }) => (
+              <div key={name}>
+                <label className="block text-sm font-medium text-gray-700 mb-2">{label}</label>
+                <input type="text" name={name} className="input w-full" value={form[name]} onChange={handleInputChange} />
+              </div>
+            ))}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Details (one line each)</label>
+            <textarea name="details_text" rows={4} className="textarea w-full font-mono text-sm" value={form.details_text} onChange={handleInputChange} />
+            <p className="text-xs text-gray-500 mt-1">
+              Lines whose placeholder has no value are left out, e.g. &quot;Score: {'{{score}}'}&quot; for a course without a final quiz.
+            </p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Signatures</label>
+            <div className="space-y-4">
+              {form.signatures.map((signature, index) => (
+                <div key={index} className="grid grid-cols-1 gap-4 sm:grid-cols-3 items-start border border-gray-200 rounded-md p-3">
+                  <div className="space-y-2">
+                    <input
+                      type="text"
+                      className="input w-full"
+                      value={signature.name}
+                      onChange={(e) => updateSignature(index, { name: e.target.value })}
+                      placeholder="Name, e.g. {{instructor_name}}"
+                    />
+                    <input
+                      type="text"
+                      className="input w-full"
+                      value={signature.title}
+                      onChange={(e) => updateSignature(index, { title: e.target.value })}
+                      placeholder="Title, e.g. Head of Learning"
+                    />
+                  </div>
+                  <FileUpload
+                    type="image"
+                    label="Signature image"
+                    className="sm:col-span-2"
+                    onUpload={(url) => updateSignature(index, { image_url: url })}
+                    onRemove={() => updateSignature(index, { image_url: '' })}
+                    currentFile={signature.image_url || null}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => updateForm({ signatures: form.signatures.filter((_, i) => i !== index) })}
+                    className="text-sm text-red-600 hover:text-red-800 text-left"
+                  >
+                    Remove signature
+                  </button>
+                </div>
+              ))}
+              {form.signatures.length < MAX_SIGNATURES && (
+                <button
+                  type="button"
+                  onClick={() => updateForm({ signatures: [...form.signatures, { name: '', title: '', image_url: '' }] })}
+                  className="text-sm text-primary-600 hover:text-primary-800 flex items-center"
+                >
+                  <PlusIcon className="h-4 w-4 mr-1" />
+                  Add signature
+                </button>
+              )}
+            </div>
+          </div>
+
+          <div className="flex justify-end space-x-3 pt-2">
+            <button type="button" onClick={() => { setForm(null); setEditingId(null) }} className="btn btn-outline">
+              Cancel
+            </button>
+            <button type="button" onClick={handlePreviewForm} disabled={previewing} className="btn btn-outline flex items-center">
+              <EyeIcon className="h-4 w-4 mr-2" />
+              {previewing ? 'Rendering...' : 'Preview'}
+            </button>
+            <button type="submit" disabled={saving} className="btn btn-primary">
+              {saving ? 'Saving...' : 'Save Template'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  )
+}
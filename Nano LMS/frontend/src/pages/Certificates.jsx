@@ -1,8 +1,10 @@
 import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
 import { api } from '../services/api'
 import { DocumentTextIcon, PlusIcon } from '@heroicons/react/24/outline'
 import toast from 'react-hot-toast'
+import CertificateStatusBadge from '../components/CertificateStatusBadge'
 
 export default function Certificates() {
   const { user } = useAuth()
@@ -64,6 +66,48 @@ export default function Certificates() {
     }
   }
 
+  const expiringSoon = certificates.filter((certificate) => certificate.status === 'valid' && certificate.expiring_soon)
+
+  const downloadBadge = async (certificate, format) => {
+    try {
+      const response = await api.get(`/certificates/${certificate.id}/badge`, {
+        params: { format },
+        responseType: 'blob'
+      })
+
+      const url = window.URL.createObjectURL(new Blob([response.data]))
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `badge-${certificate.certificate_number}.${format}`
+      document.body.appendChild(link)
+      link.click()
+      document.body.removeChild(link)
+      window.URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error('Failed to download badge:', error)
+      toast.error('Failed to download badge')
+    }
+  }
+
+  // LinkedIn's "Add to profile" form, prefilled with the certificate and its public verification page
+  const linkedInUrl = (certificate) => {
+    const issuedAt = new Date(certificate.issued_at)
+    const params = new URLSearchParams({
+      startTask: 'CERTIFICATION_NAME',
+      name: certificate.course_title,
+      issueYear: issuedAt.getFullYear(),
+      issueMonth: issuedAt.getMonth() + 1,
+      certId: certificate.certificate_number,
+      certUrl: `${window.location.origin}/verify/${encodeURIComponent(certificate.certificate_number)}`
+    })
+    if (certificate.expires_at) {
+      const expiresAt = new Date(certificate.expires_at)
+      params.set('expirationYear', expiresAt.getFullYear())
+      params.set('expirationMonth', expiresAt.getMonth() + 1)
+    }
+    return `https://www.linkedin.com/profile/add?${params}`
+  }
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -91,6 +135,15 @@ export default function Certificates() {
         </button>
       </div>
 
+      {expiringSoon.length > 0 && (
+        <div className="rounded-lg border border-yellow-200 bg-yellow-50 p-4 text-sm text-yellow-800">
+          {expiringSoon.length === 1 ? 'One certificate expires' : `${expiringSoon.length} certificates expire`} soon:{' '}
+          {expiringSoon.map((certificate) => (
+            `${certificate.course_title} (${new Date(certificate.expires_at).toLocaleDateString()})`
+          )).join(', ')}. Retake the course quiz after it expires to recertify.
+        </div>
+      )}
+
       {certificates.length === 0 ? (
         <div className="text-center py-12">
           <DocumentTextIcon className="mx-auto h-12 w-12 text-gray-400" />
@@ -106,9 +159,12 @@ export default function Certificates() {
               <div className="p-6">
                 <div className="flex items-center justify-between mb-4">
                   <DocumentTextIcon className="h-8 w-8 text-primary-600" />
-                  <span className="text-xs text-gray-500">
-                    {certificate.certificate_number}
-                  </span>
+                  <div className="text-right">
+                    <CertificateStatusBadge certificate={certificate} />
+                    <p className="mt-1 text-xs text-gray-500">
+                      {certificate.certificate_number}
+                    </p>
+                  </div>
                 </div>
                 
                 <h3 className="text-lg font-semibold text-gray-900 mb-2">
@@ -116,19 +172,72 @@ export default function Certificates() {
                 </h3>
                 
                 <p className="text-sm text-gray-600 mb-4">
-                  Category: {certificate.course_category}
+                  {certificate.learning_path_id ? 'Learning path' : `Category: ${certificate.course_category}`}
                 </p>
                 
                 <div className="text-sm text-gray-500 mb-4">
-                  Issued: {new Date(certificate.issued_at).toLocaleDateString()}
+                  <p>Issued: {new Date(certificate.issued_at).toLocaleDateString()}</p>
+                  {certificate.expires_at && (
+                    <p className={certificate.status === 'valid' && certificate.expiring_soon ? 'text-yellow-700' : ''}>
+                      {certificate.status === 'expired' ? 'Expired' : 'Expires'}: {new Date(certificate.expires_at).toLocaleDateString()}
+                    </p>
+                  )}
+                  {certificate.status === 'revoked' && certificate.revocation_reason && (
+                    <p className="text-red-700">Revoked: {certificate.revocation_reason}</p>
+                  )}
                 </div>
                 
-                <button
-                  onClick={() => downloadCertificate(certificate.id)}
-                  className="w-full btn btn-primary"
+                {certificate.status === 'expired' ? (
+                  <Link
+                    to={`/courses/${certificate.course_id}`}
+                    className="w-full btn btn-primary"
+                  >
+                    Recertify
+                  </Link>
+                ) : certificate.status === 'valid' && (
+                  <>
+                    <button
+                      onClick={() => downloadCertificate(certificate.id)}
+                      className="w-full btn btn-primary"
+                    >
+                      Download Certificate
+                    </button>
+                    {!certificate.learning_path_id && (
+                      <div className="mt-3 grid grid-cols-2 gap-2">
+                        <button
+                          onClick={() => downloadBadge(certificate, 'png')}
+                          className="btn btn-outline btn-sm"
+                          title="Open Badge image with the credential baked in, for digital wallets"
+                        >
+                          Badge (PNG)
+                        </button>
+                        <button
+                          onClick={() => downloadBadge(certificate, 'json')}
+                          className="btn btn-outline btn-sm"
+                          title="Open Badges 2.0 assertion"
+                        >
+                          Badge (JSON)
+                        </button>
+                      </div>
+                    )}
+                    <a
+                      href={linkedInUrl(certificate)}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="block mt-3 text-center text-sm text-primary-600 hover:text-primary-800"
+                    >
+                      Add to LinkedIn profile
+                    </a>
+                  </>
+                )}
+
+                <Link
+                  to={`/verify/${encodeURIComponent(certificate.certificate_number)}`}
+                  target="_blank"
+                  className="block mt-3 text-center text-sm text-primary-600 hover:text-primary-800"
                 >
-                  Download Certificate
-                </button>
+                  Public verification page
+                </Link>
               </div>
             </div>
           ))}
@@ -3,6 +3,8 @@ import { useParams, Link, useNavigate } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
 import { api } from '../services/api'
 import toast from 'react-hot-toast'
+import { QUIZ_KIND_LABELS } from '../components/QuizPlacementFields'
+import LockNotice from '../components/LockNotice'
 import { 
   PlayIcon, 
   ClockIcon, 
@@ -12,7 +14,9 @@ import {
   ArrowRightIcon,
   PencilIcon,
   TrashIcon,
-  PlusIcon
+  PlusIcon,
+  RectangleStackIcon,
+  LockClosedIcon
 } from '@heroicons/react/24/outline'
 
 export default function CourseDetail() {
@@ -85,6 +89,9 @@ export default function CourseDetail() {
     } catch (error) {
       const message = error.response?.data?.message || 'Failed to enroll in course'
       toast.error(message)
+      if (error.response?.data?.lock) {
+        setCourse(prev => ({ ...prev, lock: error.response.data.lock }))
+      }
     } finally {
       setEnrolling(false)
     }
@@ -144,13 +151,13 @@ export default function CourseDetail() {
     }
   }
 
-  const handleDeleteQuiz = async () => {
+  const handleDeleteQuiz = async (quizId) => {
     if (!confirm('Are you sure you want to delete this quiz? This action cannot be undone.')) {
       return
     }
 
     try {
-      await api.delete(`/quizzes/${course.quiz.id}`)
+      await api.delete(`/quizzes/${quizId}`)
       toast.success('Quiz deleted successfully!')
       fetchCourse() // Refresh the course data
     } catch (error) {
@@ -230,13 +237,20 @@ export default function CourseDetail() {
               
               {/* Enrollment Button */}
               {isLearner && !isEnrolled && (
-                <button
-                  onClick={handleEnroll}
-                  disabled={enrolling}
-                  className="btn btn-primary"
-                >
-                  {enrolling ? 'Enrolling...' : 'Enroll Now'}
-                </button>
+                course.lock ? (
+                  <div className="flex items-center text-yellow-700">
+                    <LockClosedIcon className="h-5 w-5 mr-2" />
+                    <span className="font-medium">Locked</span>
+                  </div>
+                ) : (
+                  <button
+                    onClick={handleEnroll}
+                    disabled={enrolling}
+                    className="btn btn-primary"
+                  >
+                    {enrolling ? 'Enrolling...' : 'Enroll Now'}
+                  </button>
+                )
               )}
               
               {isEnrolled && (
@@ -270,6 +284,15 @@ export default function CourseDetail() {
             </div>
           </div>
 
+          {course.lock && <LockNotice lock={course.lock} className="mb-6" />}
+
+          {isEnrolled && courseProgress?.summary.certificateExpiredAt && (
+            <div className="mb-6 rounded-lg border border-yellow-200 bg-yellow-50 p-4 text-sm text-yellow-800">
+              Your certificate for this course expired on {new Date(courseProgress.summary.certificateExpiredAt).toLocaleDateString()}.
+              Pass the course quiz again to recertify.
+            </div>
+          )}
+
           {/* Course Progress for enrolled users */}
           {isEnrolled && courseProgress && (
             <div className="mb-6 p-4 bg-gray-50 rounded-lg">
@@ -290,7 +313,7 @@ export default function CourseDetail() {
                   {courseProgress.summary.completedComponents} of {courseProgress.summary.totalComponents} completed
                 </span>
                 <span>
-                  {courseProgress.summary.completedLessons} lessons, {courseProgress.summary.hasQuiz ? (courseProgress.summary.quizPassed ? '1 quiz' : '0 quizzes') : 'no quiz'}
+                  {courseProgress.summary.completedLessons} lessons, {courseProgress.summary.hasQuiz ? `${courseProgress.summary.passedQuizzes}/${courseProgress.summary.totalQuizzes} quizzes` : 'no quiz'}
                 </span>
               </div>
             </div>
@@ -356,6 +379,9 @@ export default function CourseDetail() {
                         )}
                       </div>
                       <p className="text-sm text-gray-600 mt-1">{lesson.description}</p>
+                      {isEnrolled && lesson.lock && lesson.lock.reason !== 'course_prerequisites' && (
+                        <p className="text-sm text-yellow-700 mt-1">{lesson.lock.message}</p>
+                      )}
                       <div className="flex items-center mt-2 space-x-4 text-sm text-gray-500">
                         <span className="flex items-center">
                           <ClockIcon className="h-4 w-4 mr-1" />
@@ -398,7 +424,12 @@ export default function CourseDetail() {
                         </button>
                       </div>
                     )}
-                    {isEnrolled ? (
+                    {isEnrolled && lesson.lock ? (
+                      <span className="flex items-center text-sm text-yellow-700" title={lesson.lock.message}>
+                        <LockClosedIcon className="h-4 w-4 mr-1" />
+                        Locked
+                      </span>
+                    ) : isEnrolled ? (
                       <button
                         onClick={() => handleLessonClick(lesson)}
                         className="btn btn-primary btn-sm"
@@ -430,105 +461,132 @@ export default function CourseDetail() {
         <div className="px-6 py-4 border-b border-gray-200">
           <div className="flex items-center justify-between">
             <div>
-              <h2 className="text-xl font-semibold text-gray-900">Course Quiz</h2>
+              <h2 className="text-xl font-semibold text-gray-900">Quizzes</h2>
               <p className="text-sm text-gray-600 mt-1">
-                Test your knowledge after completing the lessons
+                Knowledge checks, practice quizzes and the final exam
               </p>
             </div>
             {canManageCourse() && (
-              <button
-                onClick={() => navigate(`/courses/${id}/quiz/create`)}
-                className="btn btn-primary btn-sm"
-              >
-                <PlusIcon className="h-4 w-4 mr-1" />
-                Create Quiz
-              </button>
+              <div className="flex space-x-2">
+                <button
+                  onClick={() => navigate(`/courses/${id}/question-bank`)}
+                  className="btn btn-outline btn-sm"
+                >
+                  <RectangleStackIcon className="h-4 w-4 mr-1" />
+                  Question Bank
+                </button>
+                <button
+                  onClick={() => navigate(`/courses/${id}/quizzes/create`)}
+                  className="btn btn-primary btn-sm"
+                >
+                  <PlusIcon className="h-4 w-4 mr-1" />
+                  Create Quiz
+                </button>
+              </div>
             )}
           </div>
         </div>
         
-        <div className="p-6">
-          {course.quiz ? (
-            <div className="flex items-center justify-between">
-              <div className="flex items-center space-x-4">
-                <div className="flex-shrink-0">
-                  <div className="w-8 h-8 bg-yellow-100 rounded-full flex items-center justify-center">
-                    <AcademicCapIcon className="h-4 w-4 text-yellow-600" />
+        <div className="divide-y divide-gray-200">
+          {course.quizzes && course.quizzes.length > 0 ? (
+            course.quizzes.map((quiz) => {
+              const progress = courseProgress?.quizProgress?.find(q => q.id === quiz.id)
+
+              return (
+                <div key={quiz.id} className="p-6 flex items-center justify-between">
+                  <div className="flex items-center space-x-4">
+                    <div className="flex-shrink-0">
+                      <div className="w-8 h-8 bg-yellow-100 rounded-full flex items-center justify-center">
+                        <AcademicCapIcon className="h-4 w-4 text-yellow-600" />
+                      </div>
+                    </div>
+                    
+                    <div className="flex-1">
+                      <div className="flex items-center space-x-2">
+                        <h3 className="text-lg font-medium text-gray-900">{quiz.title}</h3>
+                        <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-gray-100 text-gray-700">
+                          {QUIZ_KIND_LABELS[quiz.kind]}
+                        </span>
+                        {isEnrolled && progress?.passed && (
+                          <CheckCircleIcon className="h-5 w-5 text-green-600" title="Quiz Passed" />
+                        )}
+                      </div>
+                      <p className="text-sm text-gray-600 mt-1">
+                        {quiz.total_questions} questions • Pass rate: {quiz.passing_percentage}%
+                        {quiz.lesson_title && ` • After lesson: ${quiz.lesson_title}`}
+                      </p>
+                      {isEnrolled && quiz.lock && !progress?.passed && quiz.lock.reason !== 'course_prerequisites' && (
+                        <p className="text-sm text-yellow-700 mt-1">{quiz.lock.message}</p>
+                      )}
+                      <div className="flex items-center mt-2 space-x-4 text-sm text-gray-500">
+                        <span className="flex items-center">
+                          <ClockIcon className="h-4 w-4 mr-1" />
+                          {quiz.time_limit_minutes} min
+                        </span>
+                        {quiz.counts_toward_completion && (
+                          <span className="flex items-center">
+                            <CheckCircleIcon className="h-4 w-4 mr-1" />
+                            Required for certificate
+                          </span>
+                        )}
+                        {isEnrolled && progress && (
+                          <span className={`flex items-center ${progress.passed ? 'text-green-600' : 'text-gray-500'}`}>
+                            {progress.passed ? 'Passed' : progress.attempted ? 'Not passed yet' : 'Not attempted'}
+                          </span>
+                        )}
+                      </div>
+                    </div>
                   </div>
-                </div>
-                
-                <div className="flex-1">
+                  
                   <div className="flex items-center space-x-2">
-                    <h3 className="text-lg font-medium text-gray-900">Course Quiz</h3>
-                    {isEnrolled && courseProgress && courseProgress.quizProgress && (
-                      courseProgress.quizProgress.passed ? (
-                        <CheckCircleIcon className="h-5 w-5 text-green-600" title="Quiz Passed" />
-                      ) : null
+                    {canManageCourse() && (
+                      <div className="flex space-x-1">
+                        <button
+                          onClick={() => navigate(`/courses/${id}/quizzes/${quiz.id}/edit`)}
+                          className="btn btn-outline btn-sm"
+                        >
+                          <PencilIcon className="h-3 w-3" />
+                        </button>
+                        <button
+                          onClick={() => handleDeleteQuiz(quiz.id)}
+                          className="btn btn-outline btn-danger btn-sm"
+                        >
+                          <TrashIcon className="h-3 w-3" />
+                        </button>
+                      </div>
                     )}
-                  </div>
-                  <p className="text-sm text-gray-600 mt-1">
-                    {course.quiz.total_questions} questions • Pass rate: {course.quiz.passing_percentage}%
-                  </p>
-                  <div className="flex items-center mt-2 space-x-4 text-sm text-gray-500">
-                    <span className="flex items-center">
-                      <ClockIcon className="h-4 w-4 mr-1" />
-                      10 min
-                    </span>
-                    <span className="flex items-center">
-                      <CheckCircleIcon className="h-4 w-4 mr-1" />
-                      Certificate available
-                    </span>
-                    {isEnrolled && courseProgress && courseProgress.quizProgress && (
-                      <span className={`flex items-center ${courseProgress.quizProgress.passed ? 'text-green-600' : 'text-gray-500'}`}>
-                        {courseProgress.quizProgress.passed ? 'Passed' : 'Not attempted'}
+                    {isEnrolled && quiz.lock && !progress?.passed ? (
+                      <span className="flex items-center text-sm text-yellow-700" title={quiz.lock.message}>
+                        <LockClosedIcon className="h-4 w-4 mr-1" />
+                        Locked
                       </span>
+                    ) : isEnrolled ? (
+                      progress?.passed ? (
+                        <button
+                          onClick={() => navigate(`/courses/${id}/quizzes/${quiz.id}/results`)}
+                          className="btn btn-success btn-sm"
+                        >
+                          View Results
+                          <ArrowRightIcon className="h-4 w-4 ml-1" />
+                        </button>
+                      ) : (
+                        <button
+                          onClick={() => navigate(`/courses/${id}/quizzes/${quiz.id}`)}
+                          className="btn btn-primary btn-sm"
+                        >
+                          {progress?.attempted ? 'Retake Quiz' : 'Take Quiz'}
+                          <ArrowRightIcon className="h-4 w-4 ml-1" />
+                        </button>
+                      )
+                    ) : (
+                      <span className="text-sm text-gray-500">Enroll to access</span>
                     )}
                   </div>
                 </div>
-              </div>
-              
-              <div className="flex items-center space-x-2">
-                {canManageCourse() && (
-                  <div className="flex space-x-1">
-                    <button
-                      onClick={() => navigate(`/courses/${id}/quiz/edit`)}
-                      className="btn btn-outline btn-sm"
-                    >
-                      <PencilIcon className="h-3 w-3" />
-                    </button>
-                    <button
-                      onClick={() => handleDeleteQuiz()}
-                      className="btn btn-outline btn-danger btn-sm"
-                    >
-                      <TrashIcon className="h-3 w-3" />
-                    </button>
-                  </div>
-                )}
-                {isEnrolled ? (
-                  courseProgress && courseProgress.quizProgress && courseProgress.quizProgress.passed ? (
-                    <button
-                      onClick={() => navigate(`/courses/${id}/quiz-results`)}
-                      className="btn btn-success btn-sm"
-                    >
-                      View Results
-                      <ArrowRightIcon className="h-4 w-4 ml-1" />
-                    </button>
-                  ) : (
-                    <button
-                      onClick={() => navigate(`/courses/${id}/quiz`)}
-                      className="btn btn-primary btn-sm"
-                    >
-                      {courseProgress && courseProgress.quizProgress && !courseProgress.quizProgress.passed ? 'Retake Quiz' : 'Take Quiz'}
-                      <ArrowRightIcon className="h-4 w-4 ml-1" />
-                    </button>
-                  )
-                ) : (
-                  <span className="text-sm text-gray-500">Enroll to access</span>
-                )}
-              </div>
-            </div>
+              )
+            })
           ) : (
-            <div className="text-center">
+            <div className="p-6 text-center">
               <AcademicCapIcon className="mx-auto h-12 w-12 text-gray-400" />
               <h3 className="mt-2 text-sm font-medium text-gray-900">No quiz available</h3>
               <p className="mt-1 text-sm text-gray-500">
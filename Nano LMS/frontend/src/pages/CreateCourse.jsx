@@ -11,6 +11,8 @@ import {
   PhotoIcon 
 } from '@heroicons/react/24/outline'
 import VideoUrlInput from '../components/VideoUrlInput'
+import CourseDepartmentsField from '../components/CourseDepartmentsField'
+import CoursePrerequisitesField from '../components/CoursePrerequisitesField'
 
 export default function CreateCourse() {
   const { isTrainer } = useAuth()
@@ -21,7 +23,10 @@ export default function CreateCourse() {
     description: '',
     category: '',
     difficultyLevel: 'beginner',
-    work_type: 'All',
+    departmentIds: [],
+    prerequisiteCourseIds: [],
+    certificateValidityMonths: '',
+    certificateRule: 'both',
     isPublished: false
   })
   const [uploadedFiles, setUploadedFiles] = useState({
@@ -300,22 +305,58 @@ export default function CreateCourse() {
               </select>
             </div>
 
+            <div className="sm:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Departments
+              </label>
+              <CourseDepartmentsField
+                value={formData.departmentIds}
+                onChange={(departmentIds) => setFormData(prev => ({ ...prev, departmentIds }))}
+              />
+            </div>
+
+            <div className="sm:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Prerequisite Courses
+              </label>
+              <CoursePrerequisitesField
+                value={formData.prerequisiteCourseIds}
+                onChange={(prerequisiteCourseIds) => setFormData(prev => ({ ...prev, prerequisiteCourseIds }))}
+              />
+            </div>
+
             <div>
               <label className="block text-sm font-medium text-gray-700">
-                Work Type *
+                Certificate Validity (months)
+              </label>
+              <input
+                type="number"
+                name="certificateValidityMonths"
+                min="1"
+                max="120"
+                className="input mt-1"
+                value={formData.certificateValidityMonths}
+                onChange={handleInputChange}
+                placeholder="Never expires"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Learners must retake the course quiz to recertify once it expires
+              </p>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700">
+                Certificate Awarded For
               </label>
               <select
-                name="work_type"
-                required
+                name="certificateRule"
                 className="input mt-1"
-                value={formData.work_type}
+                value={formData.certificateRule}
                 onChange={handleInputChange}
               >
-                          <option value="All">All Work Types</option>
-          <option value="Operations">Operations</option>
-          <option value="Sales">Sales</option>
-          <option value="Marketing">Marketing</option>
-          <option value="Tech">Tech</option>
+                <option value="both">Completing all lessons and required quizzes</option>
+                <option value="lessons">Completing all lessons</option>
+                <option value="quiz">Passing the required quizzes</option>
               </select>
             </div>
 
@@ -467,14 +508,14 @@ export default function CreateCourse() {
                 Drop document files here or click to select
               </p>
               <p className="text-xs text-gray-500">
-                Supported formats: PDF, DOC, DOCX, TXT (max 100MB)
+                Supported formats: PDF, DOCX, TXT (max 100MB)
               </p>
             </div>
             
             <input
               id="document-upload"
               type="file"
-              accept=".pdf,.doc,.docx,.txt"
+              accept=".pdf,.docx,.txt"
               multiple
               className="hidden"
               onChange={(e) => handleFileSelect(e, 'document')}
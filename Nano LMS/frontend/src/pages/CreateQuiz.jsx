@@ -1,8 +1,11 @@
 import { useState, useEffect } from 'react'
-import { useParams, useNavigate } from 'react-router-dom'
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
 import { api } from '../services/api'
 import toast from 'react-hot-toast'
+import QuizPlacementFields, { SHOW_CORRECT_ANSWERS_LABELS } from '../components/QuizPlacementFields'
+import QuestionPoolFields from '../components/QuestionPoolFields'
+import QuestionAnswerFields, { QUESTION_TYPE_LABELS, answerDefaultsFor, hasEmptyOptions } from '../components/QuestionAnswerFields'
 import { 
   PlusIcon, 
   TrashIcon, 
@@ -12,27 +15,47 @@ import {
   DocumentTextIcon
 } from '@heroicons/react/24/outline'
 
+const AI_JOB_ACTIVE_STATUSES = ['queued', 'running']
+const AI_JOB_POLL_INTERVAL_MS = 2000
+
 export default function CreateQuiz() {
   const { id: courseId } = useParams()
   const { user, isAdmin, isTrainer } = useAuth()
   const navigate = useNavigate()
+  const [searchParams] = useSearchParams()
   const [loading, setLoading] = useState(false)
   const [course, setCourse] = useState(null)
-  const [existingQuiz, setExistingQuiz] = useState(null)
   const [quizCreationMode, setQuizCreationMode] = useState('manual') // 'manual' or 'ai'
   const [aiGenerationType, setAiGenerationType] = useState('course') // 'course' or 'text'
   const [aiContent, setAiContent] = useState('')
   const [aiNumQuestions, setAiNumQuestions] = useState(5)
   const [aiLoading, setAiLoading] = useState(false)
+  const [aiJob, setAiJob] = useState(null)
+  const [aiJobHistory, setAiJobHistory] = useState([])
+  const [aiUsage, setAiUsage] = useState(null)
   const [aiGeneratedQuestions, setAiGeneratedQuestions] = useState(null)
   const [aiError, setAiError] = useState('')
   const [showAiPreview, setShowAiPreview] = useState(false)
+  const [aiRejected, setAiRejected] = useState({ requested: 0, items: [] })
+  const [aiSourcePreview, setAiSourcePreview] = useState(null)
+  const [aiLessonIds, setAiLessonIds] = useState([])
+  const [aiCoverage, setAiCoverage] = useState([])
+  const [aiSourceLoading, setAiSourceLoading] = useState(false)
   
   const [formData, setFormData] = useState({
     title: '',
     description: '',
+    kind: searchParams.get('lessonId') ? 'graded' : 'final',
+    lesson_id: searchParams.get('lessonId') || '',
+    counts_toward_completion: true,
+    requires_all_lessons: false,
     passing_percentage: 40,
     time_limit_minutes: 10,
+    max_attempts: '',
+    cooldown_minutes: 0,
+    shuffle_options: true,
+    show_correct_answers: 'after_pass',
+    question_pools: [],
     questions: [
       {
         question_text: '',
@@ -45,10 +68,35 @@ export default function CreateQuiz() {
 
   useEffect(() => {
     fetchCourse()
-    checkExistingQuiz()
     loadAIGeneratedQuiz()
   }, [courseId])
 
+  useEffect(() => {
+    if (quizCreationMode === 'ai') {
+      fetchAiJobHistory()
+      fetchAiUsage()
+    }
+  }, [quizCreationMode, courseId])
+
+  // Poll the running generation job until it finishes
+  useEffect(() => {
+    if (!aiJob || !AI_JOB_ACTIVE_STATUSES.includes(aiJob.status)) return
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await api.get(`/ai-quiz/jobs/${aiJob.id}`)
+        handleAiJobUpdate(response.data.job)
+      } catch (error) {
+        console.error('Error polling generation job:', error)
+        setAiError(error.response?.data?.message || 'Lost track of the generation job')
+        setAiJob(null)
+        setAiLoading(false)
+      }
+    }, AI_JOB_POLL_INTERVAL_MS)
+
+    return () => clearTimeout(timer)
+  }, [aiJob])
+
   const loadAIGeneratedQuiz = () => {
     const aiQuizData = localStorage.getItem('aiGeneratedQuiz')
     console.log('Checking for AI generated quiz data:', aiQuizData ? 'Found' : 'Not found');
@@ -88,6 +136,7 @@ export default function CreateQuiz() {
 
     setAiLoading(true);
     setAiError('');
+    setShowAiPreview(false);
 
     try {
       const payload = {
@@ -103,24 +152,113 @@ export default function CreateQuiz() {
           return;
         }
         payload.content = aiContent;
+      } else if (aiLessonIds.length > 0) {
+        payload.lesson_ids = aiLessonIds;
       }
 
       const response = await api.post('/ai-quiz/generate', payload);
-      
-      if (response.data.success) {
-        setAiGeneratedQuestions(response.data.questions);
-        setShowAiPreview(true);
-        toast.success('Quiz questions generated successfully!');
-      }
+      setAiJob(response.data.job);
     } catch (error) {
       console.error('Error generating AI quiz:', error);
-      setAiError(error.response?.data?.message || 'Failed to generate quiz questions');
-      toast.error('Failed to generate quiz questions');
-    } finally {
+      setAiError(error.response?.data?.message || 'Failed to start quiz generation');
+      toast.error('Failed to start quiz generation');
       setAiLoading(false);
     }
   };
 
+  const showAiJobResults = (job) => {
+    setAiGeneratedQuestions(job.questions);
+    setAiRejected({ requested: job.num_questions, items: job.rejected || [] });
+    setAiCoverage(job.coverage || []);
+    setShowAiPreview(true);
+  }
+
+  const handleAiJobUpdate = (job) => {
+    setAiJob(job);
+    if (AI_JOB_ACTIVE_STATUSES.includes(job.status)) return;
+
+    setAiLoading(false);
+    fetchAiJobHistory();
+    fetchAiUsage();
+
+    if (job.status === 'failed') {
+      setAiError(job.error || 'Failed to generate quiz questions');
+      toast.error('Failed to generate quiz questions');
+    } else if (job.questions.length > 0) {
+      showAiJobResults(job);
+      if (job.status === 'cancelled') {
+        toast.success(`Generation cancelled; kept ${job.questions.length} question${job.questions.length === 1 ? '' : 's'}`);
+      } else if (job.questions.length < job.num_questions) {
+        toast.success(`Generated ${job.questions.length} of ${job.num_questions} questions`);
+      } else {
+        toast.success('Quiz questions generated successfully!');
+      }
+    } else if (job.status === 'cancelled') {
+      toast.success('Generation cancelled');
+    }
+  }
+
+  const handleCancelAiJob = async () => {
+    if (!aiJob) return
+    try {
+      const response = await api.post(`/ai-quiz/jobs/${aiJob.id}/cancel`)
+      handleAiJobUpdate(response.data.job)
+    } catch (error) {
+      console.error('Error cancelling generation job:', error)
+      toast.error(error.response?.data?.message || 'Failed to cancel generation')
+    }
+  }
+
+  const fetchAiJobHistory = async () => {
+    try {
+      const response = await api.get(`/ai-quiz/course/${courseId}/jobs`)
+      setAiJobHistory(response.data.jobs)
+    } catch (error) {
+      console.error('Error loading generation history:', error)
+    }
+  }
+
+  const fetchAiUsage = async () => {
+    try {
+      const response = await api.get('/ai-quiz/usage')
+      setAiUsage(response.data)
+    } catch (error) {
+      console.error('Error loading AI usage:', error)
+    }
+  }
+
+  const handleReuseAiJob = async (jobId) => {
+    try {
+      const response = await api.get(`/ai-quiz/jobs/${jobId}`)
+      setAiError('')
+      showAiJobResults(response.data.job)
+    } catch (error) {
+      console.error('Error loading generation job:', error)
+      toast.error(error.response?.data?.message || 'Failed to load earlier questions')
+    }
+  }
+
+  const handlePreviewCourseContent = async () => {
+    setAiSourceLoading(true)
+    try {
+      const params = aiLessonIds.length > 0 ? { lesson_ids: aiLessonIds.join(',') } : {}
+      const response = await api.get(`/ai-quiz/course/${courseId}/content`, { params })
+      setAiSourcePreview(response.data)
+    } catch (error) {
+      console.error('Error loading course content:', error)
+      toast.error(error.response?.data?.message || 'Failed to load course content')
+    } finally {
+      setAiSourceLoading(false)
+    }
+  }
+
+  const toggleAiLesson = (lessonId) => {
+    setAiLessonIds(prev => prev.includes(lessonId) ? prev.filter(id => id !== lessonId) : [...prev, lessonId])
+    setAiSourcePreview(null)
+  }
+
+  const lessonTitle = (lessonId) => course?.lessons?.find(lesson => lesson.id === lessonId)?.title
+
   const handleImportAIQuestions = () => {
     if (!aiGeneratedQuestions) return;
 
@@ -135,7 +273,8 @@ export default function CreateQuiz() {
           { text: q.options.C, isCorrect: q.correctAnswer === 'C' },
           { text: q.options.D, isCorrect: q.correctAnswer === 'D' }
         ],
-        explanation: q.explanation
+        explanation: q.explanation,
+        lessonId: q.lessonId
       }))
     };
 
@@ -148,7 +287,8 @@ export default function CreateQuiz() {
         question_type: 'multiple_choice',
         options: q.options.map(opt => opt.text),
         correct_answer: q.options.findIndex(opt => opt.isCorrect),
-        explanation: q.explanation
+        explanation: q.explanation,
+        source_lesson_id: q.lessonId || null
       }))
     }));
 
@@ -168,19 +308,6 @@ export default function CreateQuiz() {
     }
   }
 
-  const checkExistingQuiz = async () => {
-    try {
-      const response = await api.get(`/quizzes/courses/${courseId}`)
-      if (response.data.quiz) {
-        setExistingQuiz(response.data.quiz)
-        toast.error('A quiz already exists for this course')
-        navigate(`/courses/${courseId}`)
-      }
-    } catch (error) {
-      // No existing quiz found, which is what we want
-    }
-  }
-
   const handleInputChange = (e) => {
     const { name, value } = e.target
     setFormData(prev => ({
@@ -198,22 +325,22 @@ export default function CreateQuiz() {
     }))
   }
 
-  const handleOptionChange = (questionIndex, optionIndex, value) => {
+  const handleQuestionTypeChange = (index, questionType) => {
     setFormData(prev => ({
       ...prev,
       questions: prev.questions.map((q, i) => 
-        i === questionIndex 
-          ? { 
-              ...q, 
-              options: q.options.map((opt, j) => 
-                j === optionIndex ? value : opt
-              )
-            }
-          : q
+        i === index ? { ...q, question_type: questionType, ...answerDefaultsFor(questionType) } : q
       )
     }))
   }
 
+  const handleQuestionReplace = (index, updated) => {
+    setFormData(prev => ({
+      ...prev,
+      questions: prev.questions.map((q, i) => i === index ? updated : q)
+    }))
+  }
+
   const addQuestion = () => {
     setFormData(prev => ({
       ...prev,
@@ -230,7 +357,7 @@ export default function CreateQuiz() {
   }
 
   const removeQuestion = (index) => {
-    if (formData.questions.length <= 1) {
+    if (formData.questions.length <= 1 && formData.question_pools.length === 0) {
       toast.error('Quiz must have at least one question')
       return
     }
@@ -241,37 +368,6 @@ export default function CreateQuiz() {
     }))
   }
 
-  const addOption = (questionIndex) => {
-    setFormData(prev => ({
-      ...prev,
-      questions: prev.questions.map((q, i) => 
-        i === questionIndex 
-          ? { ...q, options: [...q.options, ''] }
-          : q
-      )
-    }))
-  }
-
-  const removeOption = (questionIndex, optionIndex) => {
-    if (formData.questions[questionIndex].options.length <= 2) {
-      toast.error('Question must have at least 2 options')
-      return
-    }
-    
-    setFormData(prev => ({
-      ...prev,
-      questions: prev.questions.map((q, i) => 
-        i === questionIndex 
-          ? { 
-              ...q, 
-              options: q.options.filter((_, j) => j !== optionIndex),
-              correct_answer: Math.min(q.correct_answer, q.options.length - 2)
-            }
-          : q
-      )
-    }))
-  }
-
   const handleSubmit = async (e) => {
     e.preventDefault()
     
@@ -281,12 +377,17 @@ export default function CreateQuiz() {
       return
     }
     
+    if (formData.questions.length === 0 && formData.question_pools.length === 0) {
+      toast.error('Add at least one question or draw questions from the question bank')
+      return
+    }
+
     if (formData.questions.some(q => !q.question_text.trim())) {
       toast.error('All questions must have text')
       return
     }
     
-    if (formData.questions.some(q => q.options.some(opt => !opt.trim()))) {
+    if (formData.questions.some(hasEmptyOptions)) {
       toast.error('All options must have text')
       return
     }
@@ -295,7 +396,14 @@ export default function CreateQuiz() {
     try {
       await api.post(`/quizzes`, {
         course_id: parseInt(courseId),
-        ...formData
+        ...formData,
+        lesson_id: formData.lesson_id ? parseInt(formData.lesson_id) : null,
+        max_attempts: formData.max_attempts ? parseInt(formData.max_attempts) : null,
+        cooldown_minutes: parseInt(formData.cooldown_minutes) || 0,
+        question_pools: formData.question_pools.map(pool => ({
+          tag: pool.tag || null,
+          draw_count: pool.draw_count
+        }))
       })
       
       toast.success('Quiz created successfully!')
@@ -434,6 +542,68 @@ export default function CreateQuiz() {
                 </div>
               )}
 
+              {/* Lesson selection and source material preview (for course-based generation) */}
+              {aiGenerationType === 'course' && (
+                <div className="mb-6">
+                  {course?.lessons?.some(lesson => lesson.is_published) && (
+                    <div className="mb-3">
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Lessons to cover
+                      </label>
+                      <div className="max-h-48 overflow-y-auto space-y-2 border border-gray-200 rounded-lg p-3">
+                        {course.lessons.filter(lesson => lesson.is_published).map(lesson => (
+                          <label key={lesson.id} className="flex items-center text-sm text-gray-700">
+                            <input
+                              type="checkbox"
+                              checked={aiLessonIds.includes(lesson.id)}
+                              onChange={() => toggleAiLesson(lesson.id)}
+                              className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded mr-2"
+                            />
+                            {lesson.title}
+                          </label>
+                        ))}
+                      </div>
+                      <p className="text-xs text-gray-500 mt-1">
+                        Leave all unchecked to use every published lesson. Questions are shared out by how much content each lesson has.
+                      </p>
+                    </div>
+                  )}
+
+                  <button
+                    type="button"
+                    onClick={handlePreviewCourseContent}
+                    disabled={aiSourceLoading}
+                    className="btn btn-outline btn-sm"
+                  >
+                    {aiSourceLoading ? 'Reading course materials...' : 'Preview source material'}
+                  </button>
+
+                  {aiSourcePreview && (
+                    <div className="mt-3 p-3 border border-gray-200 rounded-lg">
+                      <p className="text-sm text-gray-700">
+                        {aiSourcePreview.contentLength.toLocaleString()} characters of course content will be used.
+                      </p>
+                      {aiSourcePreview.sources.length > 0 && (
+                        <ul className="mt-2 text-sm space-y-1">
+                          {aiSourcePreview.sources.map((source, index) => (
+                            <li key={index} className={source.error ? 'text-red-600' : 'text-gray-600'}>
+                              {source.lesson_title} — {source.kind === 'captions' ? 'video captions' : 'document'} ({source.url.split('/').pop()}):{' '}
+                              {source.error || `${source.characters.toLocaleString()} characters`}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                      <details className="mt-2">
+                        <summary className="text-sm text-purple-700 cursor-pointer">Show extracted text</summary>
+                        <pre className="mt-2 max-h-64 overflow-y-auto whitespace-pre-wrap text-xs text-gray-700 bg-gray-50 p-2 rounded">
+                          {aiSourcePreview.content}
+                        </pre>
+                      </details>
+                    </div>
+                  )}
+                </div>
+              )}
+
               {/* Number of Questions */}
               <div className="mb-6">
                 <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -459,7 +629,9 @@ export default function CreateQuiz() {
                 {aiLoading ? (
                   <>
                     <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white mr-2"></div>
-                    Generating Questions...
+                    {aiJob?.progress_total > 0
+                      ? `Generating Questions... (${aiJob.progress_completed} of ${aiJob.progress_total} steps)`
+                      : 'Generating Questions...'}
                   </>
                 ) : (
                   <>
@@ -469,6 +641,28 @@ export default function CreateQuiz() {
                 )}
               </button>
 
+              {aiUsage?.quota && (
+                <p className={`mt-2 text-xs ${aiUsage.exceeded ? 'text-red-600' : 'text-gray-500'}`}>
+                  {aiUsage.exceeded && `${aiUsage.exceeded}. `}
+                  Generations today: {aiUsage.usage.daily.generations}
+                  {aiUsage.quota.daily_generations !== null && ` of ${aiUsage.quota.daily_generations}`}
+                  {' '}· this month: {aiUsage.usage.monthly.generations}
+                  {aiUsage.quota.monthly_generations !== null && ` of ${aiUsage.quota.monthly_generations}`}
+                </p>
+              )}
+
+              {aiJob && AI_JOB_ACTIVE_STATUSES.includes(aiJob.status) && (
+                <div className="mt-3 flex items-center justify-between text-sm text-gray-600">
+                  <span>
+                    {aiJob.status === 'queued' ? 'Waiting to start' : `${aiJob.questions.length} question${aiJob.questions.length === 1 ? '' : 's'} so far`}.
+                    {' '}You can leave this page; the results will be kept in the generation history.
+                  </span>
+                  <button type="button" onClick={handleCancelAiJob} className="btn btn-outline btn-sm">
+                    Cancel
+                  </button>
+                </div>
+              )}
+
               {/* Error Message */}
               {aiError && (
                 <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg">
@@ -476,6 +670,29 @@ export default function CreateQuiz() {
                 </div>
               )}
 
+              {/* Earlier generations for this course */}
+              {aiJobHistory.length > 0 && (
+                <div className="mt-6 border-t pt-4">
+                  <h4 className="text-sm font-semibold text-gray-900 mb-2">Previous Generations</h4>
+                  <ul className="divide-y divide-gray-100 text-sm">
+                    {aiJobHistory.map(job => (
+                      <li key={job.id} className="flex items-center justify-between py-2">
+                        <span className="text-gray-600">
+                          {new Date(job.created_at).toLocaleString()} · {job.generation_type === 'course' ? 'Course content' : 'Text input'}
+                          {' '}· {job.question_count} of {job.num_questions} questions · <span className="capitalize">{job.status}</span>
+                          {job.requested_by_first_name && ` · ${job.requested_by_first_name} ${job.requested_by_last_name}`}
+                        </span>
+                        {job.question_count > 0 && !AI_JOB_ACTIVE_STATUSES.includes(job.status) && (
+                          <button type="button" onClick={() => handleReuseAiJob(job.id)} className="btn btn-outline btn-sm">
+                            Use these questions
+                          </button>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
               {/* AI Generated Questions Preview */}
               {showAiPreview && aiGeneratedQuestions && (
                 <div className="mt-6 border-t pt-6">
@@ -491,10 +708,42 @@ export default function CreateQuiz() {
                       Import to Quiz
                     </button>
                   </div>
-                  
+
+                  {aiRejected.items.length > 0 && (
+                    <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-md">
+                      <p className="text-sm font-medium text-yellow-800">
+                        {aiRejected.items.length} generated question{aiRejected.items.length === 1 ? ' was' : 's were'} rejected
+                        {' '}({aiGeneratedQuestions.length} of {aiRejected.requested} requested kept)
+                      </p>
+                      <ul className="mt-2 text-sm text-yellow-700 list-disc list-inside space-y-1">
+                        {aiRejected.items.map((item, index) => (
+                          <li key={index}>
+                            {item.question ? <span className="italic">"{item.question}"</span> : 'Unreadable question'}: {item.reason}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+
+                  {aiCoverage.some(item => item.lessonId) && (
+                    <div className="mb-4 p-3 border border-gray-200 rounded-md">
+                      <p className="text-sm font-medium text-gray-800 mb-2">Lesson coverage</p>
+                      <ul className="text-sm text-gray-600 space-y-1">
+                        {aiCoverage.map(item => (
+                          <li key={item.lessonId} className={item.generated < item.requested ? 'text-yellow-700' : ''}>
+                            {item.lessonTitle}: {item.generated} of {item.requested} question{item.requested === 1 ? '' : 's'}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+
                   <div className="space-y-4">
                     {aiGeneratedQuestions.map((question, index) => (
                       <div key={index} className="border border-gray-200 rounded-lg p-4">
+                        {question.lessonTitle && (
+                          <p className="text-xs text-purple-700 mb-1">From lesson: {question.lessonTitle}</p>
+                        )}
                         <h5 className="font-medium text-gray-900 mb-3">
                           Question {index + 1}: {question.question}
                         </h5>
@@ -601,6 +850,71 @@ export default function CreateQuiz() {
                         required
                       />
                     </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Max Attempts
+                      </label>
+                      <input
+                        type="number"
+                        name="max_attempts"
+                        value={formData.max_attempts}
+                        onChange={handleInputChange}
+                        className="input w-full"
+                        min="1"
+                        max="100"
+                        placeholder="Unlimited"
+                      />
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Cooldown Between Attempts (minutes)
+                      </label>
+                      <input
+                        type="number"
+                        name="cooldown_minutes"
+                        value={formData.cooldown_minutes}
+                        onChange={handleInputChange}
+                        className="input w-full"
+                        min="0"
+                        max="10080"
+                      />
+                    </div>
+                  </div>
+
+                  <QuizPlacementFields
+                    lessons={course.lessons}
+                    value={formData}
+                    onChange={(placement) => setFormData(prev => ({ ...prev, ...placement }))}
+                  />
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Show Correct Answers and Explanations
+                    </label>
+                    <select
+                      value={formData.show_correct_answers}
+                      onChange={(e) => setFormData(prev => ({ ...prev, show_correct_answers: e.target.value }))}
+                      className="select w-full"
+                    >
+                      {Object.entries(SHOW_CORRECT_ANSWERS_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div className="flex items-center">
+                    <input
+                      type="checkbox"
+                      id="shuffle_options"
+                      className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                      checked={formData.shuffle_options}
+                      onChange={(e) => setFormData(prev => ({ ...prev, shuffle_options: e.target.checked }))}
+                    />
+                    <label htmlFor="shuffle_options" className="ml-2 block text-sm text-gray-900">
+                      Shuffle answer options on every attempt
+                    </label>
                   </div>
                 </div>
 
@@ -621,7 +935,12 @@ export default function CreateQuiz() {
                   {formData.questions.map((question, questionIndex) => (
                     <div key={questionIndex} className="border border-gray-200 rounded-lg p-4 space-y-4">
                       <div className="flex items-center justify-between">
-                        <h3 className="font-medium text-gray-900">Question {questionIndex + 1}</h3>
+                        <div>
+                          <h3 className="font-medium text-gray-900">Question {questionIndex + 1}</h3>
+                          {question.source_lesson_id && lessonTitle(question.source_lesson_id) && (
+                            <p className="text-xs text-purple-700">From lesson: {lessonTitle(question.source_lesson_id)}</p>
+                          )}
+                        </div>
                         <button
                           type="button"
                           onClick={() => removeQuestion(questionIndex)}
@@ -651,60 +970,31 @@ export default function CreateQuiz() {
                         </label>
                         <select
                           value={question.question_type}
-                          onChange={(e) => handleQuestionChange(questionIndex, 'question_type', e.target.value)}
+                          onChange={(e) => handleQuestionTypeChange(questionIndex, e.target.value)}
                           className="select w-full"
                         >
-                          <option value="multiple_choice">Multiple Choice</option>
-                          <option value="checkbox">Checkbox</option>
+                          {Object.entries(QUESTION_TYPE_LABELS).map(([value, label]) => (
+                            <option key={value} value={value}>{label}</option>
+                          ))}
                         </select>
                       </div>
                       
-                      <div className="space-y-3">
-                        <div className="flex items-center justify-between">
-                          <label className="block text-sm font-medium text-gray-700">
-                            Options *
-                          </label>
-                          <button
-                            type="button"
-                            onClick={() => addOption(questionIndex)}
-                            className="btn btn-outline btn-sm"
-                          >
-                            <PlusIcon className="h-3 w-3 mr-1" />
-                            Add Option
-                          </button>
-                        </div>
-                        
-                        {question.options.map((option, optionIndex) => (
-                          <div key={optionIndex} className="flex items-center space-x-2">
-                            <input
-                              type="radio"
-                              name={`correct_${questionIndex}`}
-                              checked={question.correct_answer === optionIndex}
-                              onChange={() => handleQuestionChange(questionIndex, 'correct_answer', optionIndex)}
-                              className="radio"
-                            />
-                            <input
-                              type="text"
-                              value={option}
-                              onChange={(e) => handleOptionChange(questionIndex, optionIndex, e.target.value)}
-                              className="input flex-1"
-                              placeholder={`Option ${optionIndex + 1}`}
-                              required
-                            />
-                            <button
-                              type="button"
-                              onClick={() => removeOption(questionIndex, optionIndex)}
-                              className="btn btn-outline btn-danger btn-sm"
-                            >
-                              <TrashIcon className="h-3 w-3" />
-                            </button>
-                          </div>
-                        ))}
-                      </div>
+                      <QuestionAnswerFields
+                        question={question}
+                        name={`correct_${questionIndex}`}
+                        onChange={(updated) => handleQuestionReplace(questionIndex, updated)}
+                      />
                     </div>
                   ))}
                 </div>
 
+                {/* Question Bank Draws */}
+                <QuestionPoolFields
+                  courseId={courseId}
+                  pools={formData.question_pools}
+                  onChange={(question_pools) => setFormData(prev => ({ ...prev, question_pools }))}
+                />
+
                 {/* Submit Button */}
                 <div className="flex justify-end space-x-3 pt-6 border-t">
                   <button
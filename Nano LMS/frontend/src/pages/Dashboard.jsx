@@ -3,6 +3,8 @@ import { Link } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
 import { api } from '../services/api'
 import Leaderboard from '../components/Leaderboard'
+import TeamOverview from '../components/TeamOverview'
+import AssignmentStatusBadge, { formatDueDate } from '../components/AssignmentStatusBadge'
 import {
   AcademicCapIcon,
   ClockIcon,
@@ -12,10 +14,11 @@ import {
   ChartBarIcon,
   PlayIcon,
   ArrowTrendingUpIcon,
+  ClipboardDocumentListIcon,
 } from '@heroicons/react/24/outline'
 
 export default function Dashboard() {
-  const { user, isAdmin } = useAuth()
+  const { user, isAdmin, isManager } = useAuth()
   const [stats, setStats] = useState({
     totalCourses: 0,
     enrolledCourses: 0,
@@ -29,6 +32,7 @@ export default function Dashboard() {
   const [recentCourses, setRecentCourses] = useState([])
   const [enrolledCourses, setEnrolledCourses] = useState([])
   const [recentActivity, setRecentActivity] = useState([])
+  const [dueAssignments, setDueAssignments] = useState([])
   const [courseProgress, setCourseProgress] = useState({})
   const [loading, setLoading] = useState(true)
 
@@ -55,6 +59,14 @@ export default function Dashboard() {
       // Fetch course progress for recent courses
       await fetchCourseProgress(coursesData)
 
+      // Assigned courses still to finish, soonest due first
+      try {
+        const assignmentsResponse = await api.get('/assignments/mine')
+        setDueAssignments(assignmentsResponse.data.assignments.filter(assignment => assignment.status !== 'completed'))
+      } catch (error) {
+        console.log('No assignments found')
+      }
+
       // Fetch user-specific data
       if (!isAdmin) {
         // Get enrollments
@@ -249,6 +261,57 @@ export default function Dashboard() {
         )}
       </div>
 
+      {/* Due Next (assigned courses) */}
+      {dueAssignments.length > 0 && (
+        <div className="bg-white shadow rounded-lg">
+          <div className="px-4 py-5 sm:p-6">
+            <h3 className="text-lg leading-6 font-medium text-gray-900 mb-4">
+              Due Next
+            </h3>
+            <div className="space-y-3">
+              {dueAssignments.slice(0, 5).map((assignment) => (
+                <div
+                  key={assignment.assignment_id}
+                  className={`flex items-center space-x-3 p-3 rounded-lg ${assignment.status === 'overdue' ? 'bg-red-50' : 'bg-gray-50'}`}
+                >
+                  <ClipboardDocumentListIcon
+                    className={`h-5 w-5 flex-shrink-0 ${assignment.status === 'overdue' ? 'text-red-600' : 'text-primary-600'}`}
+                  />
+                  <div className="flex-1 min-w-0">
+                    <Link
+                      to={`/courses/${assignment.course_id}`}
+                      className="text-sm font-medium text-gray-900 hover:text-primary-600 truncate block"
+                    >
+                      {assignment.course_title}
+                    </Link>
+                    <p className={`text-xs ${assignment.status === 'overdue' ? 'text-red-600' : 'text-gray-500'}`}>
+                      Due {formatDueDate(assignment.due_date)}
+                    </p>
+                  </div>
+                  <AssignmentStatusBadge status={assignment.status} />
+                </div>
+              ))}
+            </div>
+            {dueAssignments.length > 5 && (
+              <p className="mt-3 text-sm text-gray-500">
+                {dueAssignments.length - 5} more assigned course(s) to complete.
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* My Team (for managers) */}
+      {isManager && (
+        <div>
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg leading-6 font-medium text-gray-900">My Team</h3>
+            <Link to="/team" className="text-sm text-primary-600 hover:text-primary-800">View team →</Link>
+          </div>
+          <TeamOverview compact />
+        </div>
+      )}
+
       {/* Enrolled Courses (for learners) */}
       {!isAdmin && enrolledCourses.length > 0 && (
         <div className="bg-white shadow rounded-lg">
@@ -272,6 +335,11 @@ export default function Dashboard() {
                   </div>
                   <p className="text-xs text-gray-500 mb-3">
                     by {enrollment.instructor_first_name} {enrollment.instructor_last_name}
+                    {enrollment.due_date && (
+                      <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-primary-100 text-primary-800">
+                        Assigned · due {formatDueDate(enrollment.due_date)}
+                      </span>
+                    )}
                   </p>
                   <Link
                     to={`/courses/${enrollment.course_id}`}
@@ -0,0 +1,193 @@
+import { useState, useEffect } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import { api } from '../services/api'
+import toast from 'react-hot-toast'
+import { PencilIcon, TrashIcon } from '@heroicons/react/24/outline'
+
+const EMPTY_FORM = { name: '', description: '' }
+
+export default function Departments() {
+  const { isAdmin } = useAuth()
+  const [loading, setLoading] = useState(true)
+  const [departments, setDepartments] = useState([])
+  const [editing, setEditing] = useState(null)
+  const [formData, setFormData] = useState(EMPTY_FORM)
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    if (isAdmin) fetchDepartments()
+  }, [isAdmin])
+
+  const fetchDepartments = async () => {
+    try {
+      const response = await api.get('/departments')
+      setDepartments(response.data.departments)
+    } catch (error) {
+      console.error('Failed to fetch departments:', error)
+      toast.error(error.response?.data?.message || 'Failed to load departments')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const resetForm = () => {
+    setEditing(null)
+    setFormData(EMPTY_FORM)
+  }
+
+  const handleEdit = (department) => {
+    setEditing(department)
+    setFormData({ name: department.name, description: department.description || '' })
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    try {
+      if (editing) {
+        await api.put(`/departments/${editing.id}`, formData)
+        toast.success('Department updated')
+      } else {
+        await api.post('/departments', formData)
+        toast.success('Department created')
+      }
+      resetForm()
+      fetchDepartments()
+    } catch (error) {
+      console.error('Failed to save department:', error)
+      toast.error(error.response?.data?.details?.[0]?.msg || error.response?.data?.message || 'Failed to save department')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDelete = async (department) => {
+    if (!window.confirm(`Delete the ${department.name} department?`)) return
+
+    try {
+      await api.delete(`/departments/${department.id}`)
+      toast.success('Department deleted')
+      if (editing?.id === department.id) resetForm()
+      fetchDepartments()
+    } catch (error) {
+      console.error('Failed to delete department:', error)
+      toast.error(error.response?.data?.message || 'Failed to delete department')
+    }
+  }
+
+  if (!isAdmin) {
+    return (
+      <div className="text-center py-12">
+        <h3 className="text-lg font-medium text-gray-900">Access Denied</h3>
+        <p className="text-sm text-gray-500">Only administrators can manage departments.</p>
+      </div>
+    )
+  }
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="max-w-5xl mx-auto space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Departments</h1>
+        <p className="text-sm text-gray-600">
+          Learners see courses aimed at their department and courses aimed at no department in particular.
+        </p>
+      </div>
+
+      <form onSubmit={handleSubmit} className="bg-white shadow rounded-lg p-6 space-y-4">
+        <h2 className="text-lg font-medium text-gray-900">{editing ? `Edit ${editing.name}` : 'Add department'}</h2>
+        <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Name *</label>
+            <input
+              type="text"
+              className="input w-full"
+              maxLength={100}
+              value={formData.name}
+              onChange={(e) => setFormData(prev => ({ ...prev, name: e.target.value }))}
+              required
+            />
+          </div>
+          <div className="sm:col-span-2">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+            <input
+              type="text"
+              className="input w-full"
+              maxLength={500}
+              value={formData.description}
+              onChange={(e) => setFormData(prev => ({ ...prev, description: e.target.value }))}
+            />
+          </div>
+        </div>
+        <div className="flex justify-end space-x-3">
+          {editing && (
+            <button type="button" onClick={resetForm} className="btn btn-outline">
+              Cancel
+            </button>
+          )}
+          <button type="submit" disabled={saving} className="btn btn-primary">
+            {saving ? 'Saving...' : editing ? 'Save Department' : 'Add Department'}
+          </button>
+        </div>
+      </form>
+
+      <div className="bg-white shadow rounded-lg overflow-x-auto">
+        {departments.length > 0 ? (
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Name</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Description</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Users</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Courses</th>
+                <th className="px-4 py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {departments.map(department => (
+                <tr key={department.id}>
+                  <td className="px-4 py-2 text-gray-900">{department.name}</td>
+                  <td className="px-4 py-2 text-gray-500">{department.description || '—'}</td>
+                  <td className="px-4 py-2 text-gray-500">{department.user_count}</td>
+                  <td className="px-4 py-2 text-gray-500">{department.course_count}</td>
+                  <td className="px-4 py-2 text-right whitespace-nowrap">
+                    <div className="flex items-center justify-end space-x-2">
+                      <button
+                        type="button"
+                        onClick={() => handleEdit(department)}
+                        className="text-primary-600 hover:text-primary-900"
+                        title="Edit"
+                      >
+                        <PencilIcon className="h-4 w-4" />
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleDelete(department)}
+                        disabled={department.user_count > 0 || department.course_count > 0}
+                        className="text-red-600 hover:text-red-900 disabled:opacity-30 disabled:cursor-not-allowed"
+                        title={department.user_count > 0 || department.course_count > 0
+                          ? 'Reassign its users and courses before deleting'
+                          : 'Delete'}
+                      >
+                        <TrashIcon className="h-4 w-4" />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p className="p-6 text-sm text-gray-500">No departments yet.</p>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -4,6 +4,9 @@ import { useAuth } from '../contexts/AuthContext'
 import { api } from '../services/api'
 import toast from 'react-hot-toast'
 import { ArrowLeftIcon } from '@heroicons/react/24/outline'
+import CourseCertificateTemplate from '../components/CourseCertificateTemplate'
+import CourseDepartmentsField from '../components/CourseDepartmentsField'
+import CoursePrerequisitesField from '../components/CoursePrerequisitesField'
 
 export default function EditCourse() {
   const { id } = useParams()
@@ -19,7 +22,10 @@ export default function EditCourse() {
     difficultyLevel: 'beginner',
     durationMinutes: 0,
     isPublished: false,
-    work_type: 'All'
+    departmentIds: [],
+    prerequisiteCourseIds: [],
+    certificateValidityMonths: '',
+    certificateRule: 'both'
   })
 
   useEffect(() => {
@@ -46,7 +52,10 @@ export default function EditCourse() {
         difficultyLevel: courseData.difficulty_level || 'beginner',
         durationMinutes: courseData.duration_minutes || 0,
         isPublished: courseData.is_published || false,
-        work_type: courseData.work_type || 'All'
+        departmentIds: (courseData.departments || []).map(department => department.id),
+        prerequisiteCourseIds: (courseData.prerequisites || []).map(prerequisite => prerequisite.id),
+        certificateValidityMonths: courseData.certificate_validity_months || '',
+        certificateRule: courseData.certificate_rule || 'both'
       })
     } catch (error) {
       console.error('Failed to fetch course:', error)
@@ -161,7 +170,7 @@ export default function EditCourse() {
             />
           </div>
 
-          <div className="grid grid-cols-1 gap-6 sm:grid-cols-3">
+          <div className="grid grid-cols-1 gap-6 sm:grid-cols-2 lg:grid-cols-4">
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
                 Category
@@ -206,30 +215,70 @@ export default function EditCourse() {
                 placeholder="60"
               />
             </div>
-          </div>
 
-          {/* Work Type field - only show to admins or trainers who created the course */}
-          {(isAdmin || (isTrainer && course.instructor_id === user?.id)) && (
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
-                Work Type
+                Certificate Validity (months)
               </label>
-              <select
-                name="work_type"
+              <input
+                type="number"
+                name="certificateValidityMonths"
+                min="1"
+                max="120"
                 className="input w-full"
-                value={formData.work_type}
+                value={formData.certificateValidityMonths}
                 onChange={handleInputChange}
-              >
-                <option value="All">All Work Types</option>
-                <option value="Operations">Operations</option>
-                <option value="Sales">Sales</option>
-                <option value="Marketing">Marketing</option>
-                <option value="Tech">Tech</option>
-              </select>
+                placeholder="Never expires"
+              />
               <p className="text-xs text-gray-500 mt-1">
-                Select which work types can access this course
+                Applies to certificates issued from now on. Learners recertify by retaking the course quiz.
               </p>
             </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Certificate Awarded For
+            </label>
+            <select
+              name="certificateRule"
+              className="input w-full"
+              value={formData.certificateRule}
+              onChange={handleInputChange}
+            >
+              <option value="both">Completing all lessons and required quizzes</option>
+              <option value="lessons">Completing all lessons</option>
+              <option value="quiz">Passing the required quizzes</option>
+            </select>
+            <p className="text-xs text-gray-500 mt-1">
+              Required quizzes are those marked as counting toward completion
+            </p>
+          </div>
+
+          {/* Departments field - only show to admins or trainers who created the course */}
+          {(isAdmin || (isTrainer && course.instructor_id === user?.id)) && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Departments
+              </label>
+              <CourseDepartmentsField
+                value={formData.departmentIds}
+                onChange={(departmentIds) => setFormData(prev => ({ ...prev, departmentIds }))}
+              />
+            </div>
+          )}
+
+          {(isAdmin || (isTrainer && course.instructor_id === user?.id)) && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Prerequisite Courses
+              </label>
+              <CoursePrerequisitesField
+                courseId={course.id}
+                value={formData.prerequisiteCourseIds}
+                onChange={(prerequisiteCourseIds) => setFormData(prev => ({ ...prev, prerequisiteCourseIds }))}
+              />
+            </div>
           )}
 
           {isAdmin && (
@@ -266,6 +315,10 @@ export default function EditCourse() {
           </div>
         </form>
       </div>
+
+      {isAdmin && (
+        <CourseCertificateTemplate courseId={id} templateId={course.certificate_template_id} />
+      )}
     </div>
   )
 }
@@ -6,6 +6,7 @@ import toast from 'react-hot-toast'
 import { ArrowLeftIcon } from '@heroicons/react/24/outline'
 import FileUpload from '../components/FileUpload'
 import VideoUrlInput from '../components/VideoUrlInput'
+import LessonAuthoringFields from '../components/LessonAuthoringFields'
 
 
 export default function EditLesson() {
@@ -21,12 +22,18 @@ export default function EditLesson() {
     content: '',
     videoUrl: '',
     documentUrl: '',
+    captionUrl: '',
+    summary: '',
+    learningObjectives: [],
+    glossary: [],
     durationMinutes: 0,
     orderIndex: 1,
-    isPublished: true
+    isPublished: true,
+    requiresPreviousLesson: false
   })
   const [uploadedVideo, setUploadedVideo] = useState(null)
   const [uploadedDocument, setUploadedDocument] = useState(null)
+  const [uploadedCaption, setUploadedCaption] = useState(null)
 
   const [durationInfo, setDurationInfo] = useState({ type: '', message: '' })
 
@@ -53,12 +60,18 @@ export default function EditLesson() {
         content: lessonData.content || '',
         videoUrl: lessonData.video_url || '',
         documentUrl: lessonData.document_url || '',
+        captionUrl: lessonData.caption_url || '',
+        summary: lessonData.summary || '',
+        learningObjectives: lessonData.learning_objectives || [],
+        glossary: lessonData.glossary || [],
         durationMinutes: lessonData.duration_minutes || 0,
         orderIndex: lessonData.order_index || 1,
-        isPublished: lessonData.is_published !== undefined ? lessonData.is_published : true
+        isPublished: lessonData.is_published !== undefined ? lessonData.is_published : true,
+        requiresPreviousLesson: lessonData.requires_previous_lesson
       })
       setUploadedVideo(lessonData.video_url || null)
       setUploadedDocument(lessonData.document_url || null)
+      setUploadedCaption(lessonData.caption_url || null)
     } catch (error) {
       console.error('Failed to fetch lesson:', error)
       toast.error('Failed to load lesson details')
@@ -102,6 +115,16 @@ export default function EditLesson() {
     setUploadedDocument(null)
   }
 
+  const handleCaptionUpload = (url, filename) => {
+    setFormData(prev => ({ ...prev, captionUrl: url }))
+    setUploadedCaption(url)
+  }
+
+  const handleCaptionRemove = () => {
+    setFormData(prev => ({ ...prev, captionUrl: '' }))
+    setUploadedCaption(null)
+  }
+
 
 
 
@@ -339,6 +362,27 @@ export default function EditLesson() {
             </div>
           </div>
 
+          <div className="grid grid-cols-1 gap-6 sm:grid-cols-2">
+            <FileUpload
+              type="caption"
+              onUpload={handleCaptionUpload}
+              onRemove={handleCaptionRemove}
+              currentFile={uploadedCaption}
+            />
+
+            <div className="flex items-end">
+              <p className="text-xs text-gray-500">
+                Attach the video's captions or transcript so AI quiz generation can use what is said in the video.
+              </p>
+            </div>
+          </div>
+
+          <LessonAuthoringFields
+            courseId={lesson?.course_id}
+            value={formData}
+            onChange={(changes) => setFormData(prev => ({ ...prev, ...changes }))}
+          />
+
 
 
           <div className="grid grid-cols-1 gap-6 sm:grid-cols-3">
@@ -396,6 +440,20 @@ export default function EditLesson() {
                 Publish lesson
               </label>
             </div>
+
+            <div className="flex items-center pt-6">
+              <input
+                type="checkbox"
+                name="requiresPreviousLesson"
+                id="requiresPreviousLesson"
+                className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                checked={formData.requiresPreviousLesson}
+                onChange={handleInputChange}
+              />
+              <label htmlFor="requiresPreviousLesson" className="ml-2 block text-sm text-gray-900">
+                Locked until the previous lesson is completed
+              </label>
+            </div>
           </div>
 
           <div className="flex justify-end space-x-3 pt-6">
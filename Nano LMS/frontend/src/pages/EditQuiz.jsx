@@ -3,6 +3,9 @@ import { useParams, useNavigate } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
 import { api } from '../services/api'
 import toast from 'react-hot-toast'
+import QuizPlacementFields, { SHOW_CORRECT_ANSWERS_LABELS } from '../components/QuizPlacementFields'
+import QuestionPoolFields from '../components/QuestionPoolFields'
+import QuestionAnswerFields, { QUESTION_TYPE_LABELS, answerDefaultsFor, hasEmptyOptions } from '../components/QuestionAnswerFields'
 import { 
   PlusIcon, 
   TrashIcon, 
@@ -11,7 +14,7 @@ import {
 } from '@heroicons/react/24/outline'
 
 export default function EditQuiz() {
-  const { id: courseId } = useParams()
+  const { id: courseId, quizId } = useParams()
   const { user, isAdmin, isTrainer } = useAuth()
   const navigate = useNavigate()
   const [loading, setLoading] = useState(true)
@@ -22,8 +25,17 @@ export default function EditQuiz() {
   const [formData, setFormData] = useState({
     title: '',
     description: '',
+    kind: 'final',
+    lesson_id: '',
+    counts_toward_completion: true,
+    requires_all_lessons: false,
     passing_percentage: 40,
     time_limit_minutes: 10,
+    max_attempts: '',
+    cooldown_minutes: 0,
+    shuffle_options: true,
+    show_correct_answers: 'after_pass',
+    question_pools: [],
     questions: [
       {
         question_text: '',
@@ -36,13 +48,13 @@ export default function EditQuiz() {
 
   useEffect(() => {
     fetchCourseAndQuiz()
-  }, [courseId])
+  }, [courseId, quizId])
 
   const fetchCourseAndQuiz = async () => {
     try {
       const [courseResponse, quizResponse] = await Promise.all([
         api.get(`/courses/${courseId}`),
-        api.get(`/quizzes/courses/${courseId}`)
+        api.get(`/quizzes/${quizId}`)
       ])
       
       setCourse(courseResponse.data.course)
@@ -52,17 +64,33 @@ export default function EditQuiz() {
         setFormData({
           title: quizResponse.data.quiz.title,
           description: quizResponse.data.quiz.description || '',
+          kind: quizResponse.data.quiz.kind,
+          lesson_id: quizResponse.data.quiz.lesson_id ? String(quizResponse.data.quiz.lesson_id) : '',
+          counts_toward_completion: quizResponse.data.quiz.counts_toward_completion,
+          requires_all_lessons: quizResponse.data.quiz.requires_all_lessons,
+          shuffle_options: quizResponse.data.quiz.shuffle_options,
+          show_correct_answers: quizResponse.data.quiz.show_correct_answers,
+          question_pools: (quizResponse.data.quiz.question_pools || []).map(pool => ({
+            tag: pool.tag || '',
+            draw_count: pool.draw_count
+          })),
           passing_percentage: quizResponse.data.quiz.passing_percentage,
           time_limit_minutes: quizResponse.data.quiz.time_limit_minutes,
+          max_attempts: quizResponse.data.quiz.max_attempts || '',
+          cooldown_minutes: quizResponse.data.quiz.cooldown_minutes,
           questions: (quizResponse.data.questions || quizResponse.data.quiz.questions || []).map(q => ({
             question_text: q.question_text,
             question_type: q.question_type,
             options: q.options,
-            correct_answer: q.correct_answer
+            correct_answer: q.correct_answer,
+            explanation: q.explanation || '',
+            option_feedback: q.option_feedback,
+            points: q.points,
+            source_lesson_id: q.source_lesson_id
           }))
         })
       } else {
-        toast.error('No quiz found for this course')
+        toast.error('Quiz not found')
         navigate(`/courses/${courseId}`)
       }
     } catch (error) {
@@ -91,22 +119,22 @@ export default function EditQuiz() {
     }))
   }
 
-  const handleOptionChange = (questionIndex, optionIndex, value) => {
+  const handleQuestionTypeChange = (index, questionType) => {
     setFormData(prev => ({
       ...prev,
       questions: prev.questions.map((q, i) => 
-        i === questionIndex 
-          ? { 
-              ...q, 
-              options: q.options.map((opt, j) => 
-                j === optionIndex ? value : opt
-              )
-            }
-          : q
+        i === index ? { ...q, question_type: questionType, ...answerDefaultsFor(questionType) } : q
       )
     }))
   }
 
+  const handleQuestionReplace = (index, updated) => {
+    setFormData(prev => ({
+      ...prev,
+      questions: prev.questions.map((q, i) => i === index ? updated : q)
+    }))
+  }
+
   const addQuestion = () => {
     setFormData(prev => ({
       ...prev,
@@ -123,7 +151,7 @@ export default function EditQuiz() {
   }
 
   const removeQuestion = (index) => {
-    if (formData.questions.length <= 1) {
+    if (formData.questions.length <= 1 && formData.question_pools.length === 0) {
       toast.error('Quiz must have at least one question')
       return
     }
@@ -134,37 +162,6 @@ export default function EditQuiz() {
     }))
   }
 
-  const addOption = (questionIndex) => {
-    setFormData(prev => ({
-      ...prev,
-      questions: prev.questions.map((q, i) => 
-        i === questionIndex 
-          ? { ...q, options: [...q.options, ''] }
-          : q
-      )
-    }))
-  }
-
-  const removeOption = (questionIndex, optionIndex) => {
-    if (formData.questions[questionIndex].options.length <= 2) {
-      toast.error('Question must have at least 2 options')
-      return
-    }
-    
-    setFormData(prev => ({
-      ...prev,
-      questions: prev.questions.map((q, i) => 
-        i === questionIndex 
-          ? { 
-              ...q, 
-              options: q.options.filter((_, j) => j !== optionIndex),
-              correct_answer: Math.min(q.correct_answer, q.options.length - 2)
-            }
-          : q
-      )
-    }))
-  }
-
   const handleSubmit = async (e) => {
     e.preventDefault()
     
@@ -174,19 +171,33 @@ export default function EditQuiz() {
       return
     }
     
+    if (formData.questions.length === 0 && formData.question_pools.length === 0) {
+      toast.error('Add at least one question or draw questions from the question bank')
+      return
+    }
+
     if (formData.questions.some(q => !q.question_text.trim())) {
       toast.error('All questions must have text')
       return
     }
     
-    if (formData.questions.some(q => q.options.some(opt => !opt.trim()))) {
+    if (formData.questions.some(hasEmptyOptions)) {
       toast.error('All options must have text')
       return
     }
 
     setSaving(true)
     try {
-      await api.put(`/quizzes/${quiz.id}`, formData)
+      await api.put(`/quizzes/${quiz.id}`, {
+        ...formData,
+        lesson_id: formData.lesson_id ? parseInt(formData.lesson_id) : null,
+        max_attempts: formData.max_attempts ? parseInt(formData.max_attempts) : null,
+        cooldown_minutes: parseInt(formData.cooldown_minutes) || 0,
+        question_pools: formData.question_pools.map(pool => ({
+          tag: pool.tag || null,
+          draw_count: pool.draw_count
+        }))
+      })
       
       toast.success('Quiz updated successfully!')
       navigate(`/courses/${courseId}`)
@@ -210,7 +221,7 @@ export default function EditQuiz() {
     return (
       <div className="text-center py-12">
         <h3 className="text-lg font-medium text-gray-900">Quiz not found</h3>
-        <p className="text-sm text-gray-500">The quiz for this course doesn't exist.</p>
+        <p className="text-sm text-gray-500">This quiz doesn't exist or has been deleted.</p>
         <button
           onClick={() => navigate(`/courses/${courseId}`)}
           className="btn btn-primary mt-4"
@@ -311,6 +322,71 @@ export default function EditQuiz() {
                   required
                 />
               </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Max Attempts
+                </label>
+                <input
+                  type="number"
+                  name="max_attempts"
+                  value={formData.max_attempts}
+                  onChange={handleInputChange}
+                  className="input w-full"
+                  min="1"
+                  max="100"
+                  placeholder="Unlimited"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Cooldown Between Attempts (minutes)
+                </label>
+                <input
+                  type="number"
+                  name="cooldown_minutes"
+                  value={formData.cooldown_minutes}
+                  onChange={handleInputChange}
+                  className="input w-full"
+                  min="0"
+                  max="10080"
+                />
+              </div>
+            </div>
+
+            <QuizPlacementFields
+              lessons={course.lessons}
+              value={formData}
+              onChange={(placement) => setFormData(prev => ({ ...prev, ...placement }))}
+            />
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Show Correct Answers and Explanations
+              </label>
+              <select
+                value={formData.show_correct_answers}
+                onChange={(e) => setFormData(prev => ({ ...prev, show_correct_answers: e.target.value }))}
+                className="select w-full"
+              >
+                {Object.entries(SHOW_CORRECT_ANSWERS_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="flex items-center">
+              <input
+                type="checkbox"
+                id="shuffle_options"
+                className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                checked={formData.shuffle_options}
+                onChange={(e) => setFormData(prev => ({ ...prev, shuffle_options: e.target.checked }))}
+              />
+              <label htmlFor="shuffle_options" className="ml-2 block text-sm text-gray-900">
+                Shuffle answer options on every attempt
+              </label>
             </div>
           </div>
 
@@ -363,60 +439,31 @@ export default function EditQuiz() {
                   </label>
                   <select
                     value={question.question_type}
-                    onChange={(e) => handleQuestionChange(questionIndex, 'question_type', e.target.value)}
+                    onChange={(e) => handleQuestionTypeChange(questionIndex, e.target.value)}
                     className="select w-full"
                   >
-                    <option value="multiple_choice">Multiple Choice</option>
-                    <option value="checkbox">Checkbox</option>
+                    {Object.entries(QUESTION_TYPE_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
                   </select>
                 </div>
                 
-                <div className="space-y-3">
-                  <div className="flex items-center justify-between">
-                    <label className="block text-sm font-medium text-gray-700">
-                      Options *
-                    </label>
-                    <button
-                      type="button"
-                      onClick={() => addOption(questionIndex)}
-                      className="btn btn-outline btn-sm"
-                    >
-                      <PlusIcon className="h-3 w-3 mr-1" />
-                      Add Option
-                    </button>
-                  </div>
-                  
-                  {question.options.map((option, optionIndex) => (
-                    <div key={optionIndex} className="flex items-center space-x-2">
-                      <input
-                        type="radio"
-                        name={`correct_${questionIndex}`}
-                        checked={question.correct_answer === optionIndex}
-                        onChange={() => handleQuestionChange(questionIndex, 'correct_answer', optionIndex)}
-                        className="radio"
-                      />
-                      <input
-                        type="text"
-                        value={option}
-                        onChange={(e) => handleOptionChange(questionIndex, optionIndex, e.target.value)}
-                        className="input flex-1"
-                        placeholder={`Option ${optionIndex + 1}`}
-                        required
-                      />
-                      <button
-                        type="button"
-                        onClick={() => removeOption(questionIndex, optionIndex)}
-                        className="btn btn-outline btn-danger btn-sm"
-                      >
-                        <TrashIcon className="h-3 w-3" />
-                      </button>
-                    </div>
-                  ))}
-                </div>
+                <QuestionAnswerFields
+                  question={question}
+                  name={`correct_${questionIndex}`}
+                  onChange={(updated) => handleQuestionReplace(questionIndex, updated)}
+                />
               </div>
             ))}
           </div>
 
+          {/* Question Bank Draws */}
+          <QuestionPoolFields
+            courseId={courseId}
+            pools={formData.question_pools}
+            onChange={(question_pools) => setFormData(prev => ({ ...prev, question_pools }))}
+          />
+
           {/* Submit Button */}
           <div className="flex justify-end space-x-3 pt-6 border-t">
             <button
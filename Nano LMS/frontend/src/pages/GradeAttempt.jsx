@@ -0,0 +1,176 @@
+import { useState, useEffect } from 'react'
+import { useParams, useNavigate } from 'react-router-dom'
+import { api } from '../services/api'
+import toast from 'react-hot-toast'
+import QuestionReview from '../components/QuestionReview'
+import { ArrowLeftIcon } from '@heroicons/react/24/outline'
+
+export default function GradeAttempt() {
+  const { attemptId } = useParams()
+  const navigate = useNavigate()
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [attempt, setAttempt] = useState(null)
+  const [questions, setQuestions] = useState([])
+  const [grades, setGrades] = useState({})
+
+  useEffect(() => {
+    fetchAttempt()
+  }, [attemptId])
+
+  const fetchAttempt = async () => {
+    try {
+      const response = await api.get(`/grading-queue/${attemptId}`)
+      setAttempt(response.data.attempt)
+      setQuestions(response.data.questions)
+      setGrades(Object.fromEntries(
+        response.data.questions
+          .filter(question => question.manual)
+          .map(question => [question.id, {
+            score: question.earned_points ?? '',
+            feedback: question.feedback || ''
+          }])
+      ))
+    } catch (error) {
+      console.error('Failed to fetch attempt:', error)
+      toast.error(error.response?.data?.message || 'Failed to load attempt')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const updateGrade = (questionId, changes) => {
+    setGrades(prev => ({ ...prev, [questionId]: { ...prev[questionId], ...changes } }))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    if (Object.values(grades).some(grade => grade.score === '')) {
+      toast.error('Score every written answer before releasing the result')
+      return
+    }
+
+    setSaving(true)
+    try {
+      const response = await api.put(`/grading-queue/${attemptId}`, {
+        grades: Object.fromEntries(
+          Object.entries(grades).map(([questionId, grade]) => [questionId, {
+            score: parseFloat(grade.score),
+            feedback: grade.feedback
+          }])
+        )
+      })
+      toast.success(`Graded: ${response.data.score}% (${response.data.passed ? 'passed' : 'not passed'})`)
+      navigate('/grading')
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to grade attempt'
+      toast.error(message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    )
+  }
+
+  if (!attempt) {
+    return (
+      <div className="text-center py-12">
+        <h3 className="text-lg font-medium text-gray-900">Attempt not found</h3>
+        <button onClick={() => navigate('/grading')} className="btn btn-primary mt-4">
+          Back to Grading Queue
+        </button>
+      </div>
+    )
+  }
+
+  const isPending = attempt.status === 'pending_review'
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      {/* Header */}
+      <div className="flex items-center space-x-3">
+        <button onClick={() => navigate('/grading')} className="btn btn-outline btn-sm">
+          <ArrowLeftIcon className="h-4 w-4 mr-1" />
+          Back to Queue
+        </button>
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">{attempt.quiz_title}</h1>
+          <p className="text-sm text-gray-600">
+            {attempt.first_name} {attempt.last_name} • {attempt.course_title} • Passing score {attempt.passing_percentage}%
+          </p>
+        </div>
+      </div>
+
+      {!isPending && (
+        <div className="bg-green-50 border border-green-200 rounded-lg p-4 text-sm text-green-800">
+          This attempt has already been graded: {attempt.score}%.
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        {questions.map((question, index) => (
+          <div key={question.id} className="bg-white shadow rounded-lg p-4 space-y-3">
+            <QuestionReview question={question} number={index + 1} />
+
+            {question.manual && isPending && (
+              <div className="space-y-3 border-t pt-3">
+                {question.guidance && (
+                  <p className="text-sm text-gray-600 whitespace-pre-wrap">
+                    <span className="font-medium">Grading notes: </span>{question.guidance}
+                  </p>
+                )}
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Score (of {question.points}) *
+                    </label>
+                    <input
+                      type="number"
+                      value={grades[question.id]?.score ?? ''}
+                      onChange={(e) => updateGrade(question.id, { score: e.target.value })}
+                      className="input w-full"
+                      min="0"
+                      max={question.points}
+                      step="0.5"
+                      required
+                    />
+                  </div>
+                  <div className="md:col-span-3">
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Feedback for the learner
+                    </label>
+                    <textarea
+                      value={grades[question.id]?.feedback || ''}
+                      onChange={(e) => updateGrade(question.id, { feedback: e.target.value })}
+                      className="textarea w-full"
+                      rows="2"
+                      maxLength={2000}
+                    />
+                  </div>
+                </div>
+              </div>
+            )}
+          </div>
+        ))}
+
+        {isPending && (
+          <div className="flex justify-end space-x-3 pt-4 border-t">
+            <button type="button" onClick={() => navigate('/grading')} className="btn btn-outline">
+              Cancel
+            </button>
+            <button type="submit" disabled={saving} className="btn btn-primary">
+              {saving ? 'Saving...' : 'Release Result'}
+            </button>
+          </div>
+        )}
+      </form>
+    </div>
+  )
+}
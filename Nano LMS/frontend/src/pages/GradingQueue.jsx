@@ -0,0 +1,77 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { api } from '../services/api'
+import toast from 'react-hot-toast'
+import { ClipboardDocumentCheckIcon } from '@heroicons/react/24/outline'
+
+export default function GradingQueue() {
+  const [loading, setLoading] = useState(true)
+  const [attempts, setAttempts] = useState([])
+
+  useEffect(() => {
+    fetchQueue()
+  }, [])
+
+  const fetchQueue = async () => {
+    try {
+      const response = await api.get('/grading-queue')
+      setAttempts(response.data.attempts)
+    } catch (error) {
+      console.error('Failed to fetch grading queue:', error)
+      toast.error(error.response?.data?.message || 'Failed to load grading queue')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Grading Queue</h1>
+        <p className="text-sm text-gray-600">
+          Quiz attempts with written answers waiting for a score, oldest first.
+        </p>
+      </div>
+
+      <div className="bg-white shadow rounded-lg divide-y divide-gray-200">
+        {attempts.length > 0 ? (
+          attempts.map((attempt) => (
+            <div key={attempt.id} className="p-4 flex items-center justify-between">
+              <div>
+                <p className="font-medium text-gray-900">
+                  {attempt.first_name} {attempt.last_name}
+                  <span className="ml-2 text-sm font-normal text-gray-500">{attempt.email}</span>
+                </p>
+                <p className="text-sm text-gray-600">
+                  {attempt.quiz_title} • {attempt.course_title}
+                </p>
+                <p className="text-xs text-gray-500 mt-1">
+                  Submitted {new Date(attempt.completed_at).toLocaleString()} • {attempt.questions_to_grade} to grade
+                </p>
+              </div>
+              <Link to={`/grading/${attempt.id}`} className="btn btn-primary btn-sm">
+                Grade
+              </Link>
+            </div>
+          ))
+        ) : (
+          <div className="p-6 text-center">
+            <ClipboardDocumentCheckIcon className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">Nothing to grade</h3>
+            <p className="mt-1 text-sm text-gray-500">
+              Attempts with essay questions appear here once learners submit them.
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
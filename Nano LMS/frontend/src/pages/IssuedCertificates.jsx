@@ -0,0 +1,219 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { useAuth } from '../contexts/AuthContext'
+import { api } from '../services/api'
+import toast from 'react-hot-toast'
+import CertificateStatusBadge from '../components/CertificateStatusBadge'
+
+const FILTERS = [
+  { value: '', label: 'All' },
+  { value: 'expiring', label: 'Expiring soon' },
+  { value: 'valid', label: 'Valid' },
+  { value: 'expired', label: 'Expired' },
+  { value: 'revoked', label: 'Revoked' }
+]
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—')
+
+export default function IssuedCertificates() {
+  const { isAdmin } = useAuth()
+  const [loading, setLoading] = useState(true)
+  const [filter, setFilter] = useState('')
+  const [certificates, setCertificates] = useState([])
+  const [summary, setSummary] = useState(null)
+  const [revoking, setRevoking] = useState(null)
+  const [reason, setReason] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    if (isAdmin) fetchCertificates()
+  }, [filter, isAdmin])
+
+  const fetchCertificates = async () => {
+    try {
+      const params = filter === 'expiring' ? { expiring: true } : filter ? { status: filter } : {}
+      const response = await api.get('/certificates', { params })
+      setCertificates(response.data.certificates)
+      setSummary(response.data.summary)
+    } catch (error) {
+      console.error('Failed to fetch certificates:', error)
+      toast.error(error.response?.data?.message || 'Failed to load certificates')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleRevoke = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    try {
+      await api.post(`/certificates/${revoking.id}/revoke`, { reason })
+      toast.success('Certificate revoked')
+      setRevoking(null)
+      setReason('')
+      fetchCertificates()
+    } catch (error) {
+      console.error('Failed to revoke certificate:', error)
+      toast.error(error.response?.data?.details?.[0]?.msg || error.response?.data?.message || 'Failed to revoke certificate')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleReinstate = async (certificate) => {
+    if (!window.confirm(`Reinstate certificate ${certificate.certificate_number}?`)) return
+
+    try {
+      await api.post(`/certificates/${certificate.id}/reinstate`)
+      toast.success('Certificate reinstated')
+      fetchCertificates()
+    } catch (error) {
+      console.error('Failed to reinstate certificate:', error)
+      toast.error(error.response?.data?.message || 'Failed to reinstate certificate')
+    }
+  }
+
+  if (!isAdmin) {
+    return (
+      <div className="text-center py-12">
+        <h3 className="text-lg font-medium text-gray-900">Access Denied</h3>
+        <p className="text-sm text-gray-500">Only administrators can manage issued certificates.</p>
+      </div>
+    )
+  }
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="max-w-6xl mx-auto space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Issued Certificates</h1>
+        <p className="text-sm text-gray-600">
+          Every learner's current certificate, with upcoming expiries. Revoked certificates fail public verification.
+        </p>
+      </div>
+
+      {summary && (
+        <div className="grid grid-cols-2 gap-4 lg:grid-cols-4">
+          {[
+            { label: 'Valid', value: summary.valid },
+            { label: `Expiring in ${summary.expiringSoonDays} days`, value: summary.expiringSoon },
+            { label: 'Expired', value: summary.expired },
+            { label: 'Revoked', value: summary.revoked }
+          ].map(card => (
+            <div key={card.label} className="bg-white shadow rounded-lg p-4">
+              <p className="text-sm text-gray-500">{card.label}</p>
+              <p className="text-2xl font-semibold text-gray-900">{card.value}</p>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-2">
+        {FILTERS.map(option => (
+          <button
+            key={option.value}
+            type="button"
+            onClick={() => setFilter(option.value)}
+            className={`btn btn-sm ${filter === option.value ? 'btn-primary' : 'btn-outline'}`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="bg-white shadow rounded-lg overflow-x-auto">
+        {certificates.length > 0 ? (
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Learner</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Course</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Number</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Issued</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Expires</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Status</th>
+                <th className="px-4 py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {certificates.map(certificate => (
+                <tr key={certificate.id}>
+                  <td className="px-4 py-2">
+                    <p className="text-gray-900">{certificate.first_name} {certificate.last_name}</p>
+                    <p className="text-xs text-gray-500">{certificate.email}</p>
+                  </td>
+                  <td className="px-4 py-2">
+                    <Link to={`/courses/${certificate.course_id}`} className="text-primary-600 hover:text-primary-800">
+                      {certificate.course_title}
+                    </Link>
+                  </td>
+                  <td className="px-4 py-2 text-gray-500">{certificate.certificate_number}</td>
+                  <td className="px-4 py-2 text-gray-500">{formatDate(certificate.issued_at)}</td>
+                  <td className="px-4 py-2 text-gray-500">{certificate.expires_at ? formatDate(certificate.expires_at) : 'Never'}</td>
+                  <td className="px-4 py-2">
+                    <CertificateStatusBadge certificate={certificate} />
+                    {certificate.revocation_reason && (
+                      <p className="text-xs text-gray-500 mt-1">{certificate.revocation_reason}</p>
+                    )}
+                  </td>
+                  <td className="px-4 py-2 text-right whitespace-nowrap">
+                    {certificate.status === 'revoked' ? (
+                      <button type="button" onClick={() => handleReinstate(certificate)} className="btn btn-outline btn-sm">
+                        Reinstate
+                      </button>
+                    ) : (
+                      <button type="button" onClick={() => setRevoking(certificate)} className="btn btn-outline btn-danger btn-sm">
+                        Revoke
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p className="p-6 text-sm text-gray-500">No certificates match this filter.</p>
+        )}
+      </div>
+
+      {revoking && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-gray-900 bg-opacity-50 p-4">
+          <form onSubmit={handleRevoke} className="bg-white rounded-lg shadow-xl w-full max-w-md p-6 space-y-4">
+            <div>
+              <h2 className="text-lg font-medium text-gray-900">Revoke certificate</h2>
+              <p className="text-sm text-gray-500">
+                {revoking.certificate_number} — {revoking.first_name} {revoking.last_name}, {revoking.course_title}
+              </p>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+              <textarea
+                rows={3}
+                className="input w-full"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                placeholder="Shown to the learner and recorded with the certificate"
+                required
+              />
+            </div>
+            <div className="flex justify-end space-x-3">
+              <button type="button" onClick={() => { setRevoking(null); setReason('') }} className="btn btn-outline">
+                Cancel
+              </button>
+              <button type="submit" disabled={saving} className="btn btn-danger">
+                {saving ? 'Revoking...' : 'Revoke'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,212 @@
+import { useState, useEffect } from 'react'
+import { Link, useParams, useNavigate } from 'react-router-dom'
+import { useAuth } from '../contexts/AuthContext'
+import { api } from '../services/api'
+import toast from 'react-hot-toast'
+import { ArrowLeftIcon, CheckCircleIcon, LockClosedIcon, PencilIcon, TrashIcon } from '@heroicons/react/24/outline'
+
+const STEP_STYLES = {
+  completed: 'bg-green-100 text-green-800',
+  in_progress: 'bg-blue-100 text-blue-800',
+  not_started: 'bg-gray-100 text-gray-700',
+  locked: 'bg-yellow-100 text-yellow-800'
+}
+
+const STEP_LABELS = {
+  completed: 'Completed',
+  in_progress: 'In progress',
+  not_started: 'Not started',
+  locked: 'Locked'
+}
+
+export default function LearningPathDetail() {
+  const { id } = useParams()
+  const navigate = useNavigate()
+  const { user, isAdmin, isTrainer } = useAuth()
+  const [loading, setLoading] = useState(true)
+  const [data, setData] = useState(null)
+  const [enrolling, setEnrolling] = useState(false)
+
+  useEffect(() => {
+    fetchLearningPath()
+  }, [id])
+
+  const fetchLearningPath = async () => {
+    try {
+      const response = await api.get(`/learning-paths/${id}`)
+      setData(response.data)
+    } catch (error) {
+      console.error('Failed to fetch learning path:', error)
+      toast.error(error.response?.data?.message || 'Failed to load learning path')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleEnroll = async () => {
+    setEnrolling(true)
+    try {
+      const response = await api.post(`/learning-paths/${id}/enroll`)
+      toast.success(response.data.pathCompleted
+        ? 'Enrolled. You have already completed every course, so your path certificate is ready.'
+        : response.data.message)
+      fetchLearningPath()
+    } catch (error) {
+      console.error('Failed to enroll in learning path:', error)
+      toast.error(error.response?.data?.message || 'Failed to enroll')
+    } finally {
+      setEnrolling(false)
+    }
+  }
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the learning path "${data.learningPath.title}"? Learners keep their course enrollments.`)) return
+
+    try {
+      await api.delete(`/learning-paths/${id}`)
+      toast.success('Learning path deleted')
+      navigate('/learning-paths')
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete learning path')
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    )
+  }
+
+  if (!data) {
+    return (
+      <div className="text-center py-12">
+        <h3 className="text-lg font-medium text-gray-900">Learning path not found</h3>
+        <Link to="/learning-paths" className="text-sm text-primary-600 hover:text-primary-800">Back to learning paths</Link>
+      </div>
+    )
+  }
+
+  const { learningPath, steps, certificate } = data
+  const enrolled = Boolean(learningPath.enrolled_at)
+  const progress = learningPath.course_count > 0
+    ? Math.round((learningPath.completed_courses / learningPath.course_count) * 100)
+    : 0
+  const canManage = isAdmin || (isTrainer && learningPath.created_by === user?.id && !learningPath.is_published)
+  const stepTitles = Object.fromEntries(steps.map(step => [step.course_id, step.title]))
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <div>
+        <Link to="/learning-paths" className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700 mb-2">
+          <ArrowLeftIcon className="h-4 w-4 mr-1" />
+          Learning Paths
+        </Link>
+        <div className="flex items-start justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">{learningPath.title}</h1>
+            {learningPath.description && (
+              <p className="mt-1 text-sm text-gray-600 whitespace-pre-line">{learningPath.description}</p>
+            )}
+          </div>
+          {canManage && (
+            <div className="flex items-center space-x-2">
+              <Link to={`/learning-paths/${id}/edit`} className="btn btn-outline btn-sm">
+                <PencilIcon className="h-4 w-4 mr-1" />
+                Edit
+              </Link>
+              <button type="button" onClick={handleDelete} className="btn btn-danger btn-sm">
+                <TrashIcon className="h-4 w-4 mr-1" />
+                Delete
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-white shadow rounded-lg p-6">
+        {enrolled ? (
+          <>
+            <div className="flex items-center justify-between mb-2">
+              <span className="text-sm text-gray-600">
+                {learningPath.completed_courses} of {learningPath.course_count} courses completed
+              </span>
+              <span className="text-sm font-bold text-primary-600">{progress}%</span>
+            </div>
+            <div className="w-full bg-gray-200 rounded-full h-2">
+              <div
+                className={`h-2 rounded-full ${certificate ? 'bg-green-500' : 'bg-primary-600'}`}
+                style={{ width: `${progress}%` }}
+              ></div>
+            </div>
+            {certificate && (
+              <div className="mt-4 flex items-center justify-between">
+                <p className="text-sm text-green-700">
+                  Path completed — certificate {certificate.certificate_number} issued {new Date(certificate.issued_at).toLocaleDateString()}
+                </p>
+                <Link to="/certificates" className="btn btn-primary btn-sm">View Certificate</Link>
+              </div>
+            )}
+          </>
+        ) : learningPath.is_published ? (
+          <div className="flex items-center justify-between">
+            <p className="text-sm text-gray-600">
+              Enroll once to be enrolled in each course as you reach it, and earn a certificate when you finish the path.
+            </p>
+            <button type="button" onClick={handleEnroll} disabled={enrolling} className="btn btn-primary ml-4">
+              {enrolling ? 'Enrolling...' : 'Enroll in Path'}
+            </button>
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500">This learning path is a draft. Publish it to let learners enroll.</p>
+        )}
+      </div>
+
+      <ol className="space-y-3">
+        {steps.map(step => (
+          <li key={step.course_id} className="bg-white shadow rounded-lg p-4 flex items-start space-x-4">
+            <div className="flex-shrink-0 h-8 w-8 rounded-full flex items-center justify-center bg-primary-100 text-primary-700 font-semibold">
+              {step.status === 'completed'
+                ? <CheckCircleIcon className="h-5 w-5 text-green-600" />
+                : step.status === 'locked'
+                  ? <LockClosedIcon className="h-4 w-4 text-yellow-700" />
+                  : step.position}
+            </div>
+            <div className="flex-1 min-w-0">
+              <div className="flex items-center justify-between">
+                <h3 className="text-sm font-medium text-gray-900">{step.title}</h3>
+                {enrolled && (
+                  <span className={`inline-flex items-center px-2 py-0.5 rounded text-xs font-medium ${STEP_STYLES[step.status]}`}>
+                    {STEP_LABELS[step.status]}
+                  </span>
+                )}
+              </div>
+              {step.prerequisite_course_ids.length > 0 && (
+                <p className="text-xs text-gray-500 mt-1">
+                  Requires: {step.prerequisite_course_ids.map(courseId => stepTitles[courseId]).join(', ')}
+                </p>
+              )}
+              {enrolled && step.status !== 'locked' && step.status !== 'completed' && step.enrolled && (
+                <div className="mt-2 flex items-center space-x-2">
+                  <div className="w-32 bg-gray-200 rounded-full h-1.5">
+                    <div className="bg-primary-600 h-1.5 rounded-full" style={{ width: `${step.overallProgress}%` }}></div>
+                  </div>
+                  <span className="text-xs text-gray-500">{step.overallProgress}%</span>
+                </div>
+              )}
+              {step.status !== 'locked' && (
+                <Link
+                  to={`/courses/${step.course_id}`}
+                  className="inline-block mt-2 text-sm text-primary-600 hover:text-primary-500 font-medium"
+                >
+                  {step.status === 'completed' ? 'Review course' : enrolled ? 'Continue Learning' : 'View course'} →
+                </Link>
+              )}
+            </div>
+          </li>
+        ))}
+      </ol>
+    </div>
+  )
+}
@@ -0,0 +1,292 @@
+import { useState, useEffect } from 'react'
+import { Link, useParams, useNavigate } from 'react-router-dom'
+import { useAuth } from '../contexts/AuthContext'
+import { api } from '../services/api'
+import toast from 'react-hot-toast'
+import { ArrowUpIcon, ArrowDownIcon, XMarkIcon } from '@heroicons/react/24/outline'
+
+// Keeps each step's prerequisites to courses that still come before it
+const withValidPrerequisites = (steps) => steps.map((step, index) => {
+  const earlier = steps.slice(0, index).map(s => s.courseId)
+  return { ...step, prerequisiteCourseIds: step.prerequisiteCourseIds.filter(id => earlier.includes(id)) }
+})
+
+export default function LearningPathForm() {
+  const { id } = useParams()
+  const isEdit = Boolean(id)
+  const navigate = useNavigate()
+  const { isTrainer } = useAuth()
+  const [loading, setLoading] = useState(isEdit)
+  const [saving, setSaving] = useState(false)
+  const [courses, setCourses] = useState([])
+  const [courseToAdd, setCourseToAdd] = useState('')
+  const [formData, setFormData] = useState({
+    title: '',
+    description: '',
+    isPublished: false
+  })
+  const [steps, setSteps] = useState([])
+
+  useEffect(() => {
+    fetchCourses()
+    if (isEdit) fetchLearningPath()
+  }, [id])
+
+  const fetchCourses = async () => {
+    try {
+      const response = await api.get('/courses', { params: { limit: 1000 } })
+      setCourses(response.data.courses)
+    } catch (error) {
+      console.error('Failed to fetch courses:', error)
+      toast.error('Failed to load courses')
+    }
+  }
+
+  const fetchLearningPath = async () => {
+    try {
+      const response = await api.get(`/learning-paths/${id}`)
+      const { learningPath, steps: pathSteps } = response.data
+      setFormData({
+        title: learningPath.title,
+        description: learningPath.description || '',
+        isPublished: learningPath.is_published
+      })
+      setSteps(pathSteps.map(step => ({
+        courseId: step.course_id,
+        prerequisiteCourseIds: step.prerequisite_course_ids
+      })))
+    } catch (error) {
+      console.error('Failed to fetch learning path:', error)
+      toast.error(error.response?.data?.message || 'Failed to load learning path')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  if (!isTrainer) {
+    return (
+      <div className="text-center py-12">
+        <h3 className="text-lg font-medium text-gray-900">Access Denied</h3>
+        <p className="text-sm text-gray-500">You need trainer privileges to manage learning paths.</p>
+      </div>
+    )
+  }
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    )
+  }
+
+  const courseTitle = (courseId) => courses.find(course => course.id === courseId)?.title || `Course #${courseId}`
+  const availableCourses = courses.filter(course => !steps.some(step => step.courseId === course.id))
+
+  const handleInputChange = (e) => {
+    const { name, value, type, checked } = e.target
+    setFormData(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }))
+  }
+
+  const addStep = () => {
+    if (!courseToAdd) return
+    setSteps(prev => [...prev, { courseId: parseInt(courseToAdd), prerequisiteCourseIds: [] }])
+    setCourseToAdd('')
+  }
+
+  const moveStep = (index, offset) => {
+    const target = index + offset
+    if (target < 0 || target >= steps.length) return
+    const reordered = [...steps]
+    ;[reordered[index], reordered[target]] = [reordered[target], reordered[index]]
+    setSteps(withValidPrerequisites(reordered))
+  }
+
+  const removeStep = (index) => {
+    setSteps(prev => withValidPrerequisites(prev.filter((_, i) => i !== index)))
+  }
+
+  const togglePrerequisite = (index, courseId) => {
+    setSteps(prev => prev.map((step, i) => {
+      if (i !== index) return step
+      const prerequisiteCourseIds = step.prerequisiteCourseIds.includes(courseId)
+        ? step.prerequisiteCourseIds.filter(id => id !== courseId)
+        : [...step.prerequisiteCourseIds, courseId]
+      return { ...step, prerequisiteCourseIds }
+    }))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (steps.length === 0) {
+      toast.error('Add at least one course to the learning path')
+      return
+    }
+
+    setSaving(true)
+    try {
+      const payload = { ...formData, steps }
+      const response = isEdit
+        ? await api.put(`/learning-paths/${id}`, payload)
+        : await api.post('/learning-paths', payload)
+      toast.success(response.data.message)
+      navigate(`/learning-paths/${response.data.learningPath.id}`)
+    } catch (error) {
+      console.error('Failed to save learning path:', error)
+      const data = error.response?.data
+      toast.error(data?.details?.[0]?.msg || data?.message || 'Failed to save learning path')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">{isEdit ? 'Edit Learning Path' : 'Create Learning Path'}</h1>
+        <p className="mt-1 text-sm text-gray-500">
+          Put courses in the order learners should take them. A step can require earlier steps to be completed first.
+        </p>
+      </div>
+
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <div className="bg-white shadow rounded-lg p-6 space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">
+              Title *
+            </label>
+            <input
+              type="text"
+              name="title"
+              required
+              className="input w-full mt-1"
+              value={formData.title}
+              onChange={handleInputChange}
+              placeholder="e.g., New Starter Program"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700">
+              Description
+            </label>
+            <textarea
+              name="description"
+              rows={3}
+              className="input w-full mt-1"
+              value={formData.description}
+              onChange={handleInputChange}
+            />
+          </div>
+
+          <label className="flex items-center">
+            <input
+              type="checkbox"
+              name="isPublished"
+              className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+              checked={formData.isPublished}
+              onChange={handleInputChange}
+            />
+            <span className="ml-2 text-sm text-gray-700">Publish learning path (every course in it must be published)</span>
+          </label>
+        </div>
+
+        <div className="bg-white shadow rounded-lg p-6">
+          <h3 className="text-lg font-medium text-gray-900 mb-4">Courses</h3>
+
+          {steps.length === 0 ? (
+            <p className="text-sm text-gray-500 mb-4">No courses added yet.</p>
+          ) : (
+            <ol className="space-y-3 mb-4">
+              {steps.map((step, index) => (
+                <li key={step.courseId} className="border border-gray-200 rounded-lg p-4">
+                  <div className="flex items-center justify-between">
+                    <span className="text-sm font-medium text-gray-900">
+                      {index + 1}. {courseTitle(step.courseId)}
+                    </span>
+                    <div className="flex items-center space-x-1">
+                      <button
+                        type="button"
+                        onClick={() => moveStep(index, -1)}
+                        disabled={index === 0}
+                        className="p-1 text-gray-400 hover:text-gray-600 disabled:opacity-30"
+                        title="Move up"
+                      >
+                        <ArrowUpIcon className="h-4 w-4" />
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => moveStep(index, 1)}
+                        disabled={index === steps.length - 1}
+                        className="p-1 text-gray-400 hover:text-gray-600 disabled:opacity-30"
+                        title="Move down"
+                      >
+                        <ArrowDownIcon className="h-4 w-4" />
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => removeStep(index)}
+                        className="p-1 text-red-400 hover:text-red-600"
+                        title="Remove"
+                      >
+                        <XMarkIcon className="h-4 w-4" />
+                      </button>
+                    </div>
+                  </div>
+                  {index > 0 && (
+                    <div className="mt-2">
+                      <p className="text-xs text-gray-500 mb-1">Requires completing:</p>
+                      <div className="flex flex-wrap gap-x-4 gap-y-1">
+                        {steps.slice(0, index).map(earlier => (
+                          <label key={earlier.courseId} className="flex items-center text-sm text-gray-700">
+                            <input
+                              type="checkbox"
+                              className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                              checked={step.prerequisiteCourseIds.includes(earlier.courseId)}
+                              onChange={() => togglePrerequisite(index, earlier.courseId)}
+                            />
+                            <span className="ml-1">{courseTitle(earlier.courseId)}</span>
+                          </label>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ol>
+          )}
+
+          <div className="flex items-center space-x-2">
+            <select
+              className="input flex-1"
+              value={courseToAdd}
+              onChange={(e) => setCourseToAdd(e.target.value)}
+            >
+              <option value="">Select a course to add...</option>
+              {availableCourses.map(course => (
+                <option key={course.id} value={course.id}>
+                  {course.title}{course.is_published ? '' : ' (draft)'}
+                </option>
+              ))}
+            </select>
+            <button type="button" onClick={addStep} disabled={!courseToAdd} className="btn btn-outline">
+              Add Course
+            </button>
+          </div>
+        </div>
+
+        <div className="flex justify-end space-x-3">
+          <Link to={isEdit ? `/learning-paths/${id}` : '/learning-paths'} className="btn btn-outline">
+            Cancel
+          </Link>
+          <button type="submit" disabled={saving} className="btn btn-primary">
+            {saving ? 'Saving...' : isEdit ? 'Save Changes' : 'Create Learning Path'}
+          </button>
+        </div>
+      </form>
+    </div>
+  )
+}
@@ -0,0 +1,109 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { useAuth } from '../contexts/AuthContext'
+import { api } from '../services/api'
+import toast from 'react-hot-toast'
+import { PlusIcon, MapIcon } from '@heroicons/react/24/outline'
+
+export default function LearningPaths() {
+  const { isTrainer } = useAuth()
+  const [loading, setLoading] = useState(true)
+  const [learningPaths, setLearningPaths] = useState([])
+
+  useEffect(() => {
+    fetchLearningPaths()
+  }, [])
+
+  const fetchLearningPaths = async () => {
+    try {
+      const response = await api.get('/learning-paths')
+      setLearningPaths(response.data.learningPaths)
+    } catch (error) {
+      console.error('Failed to fetch learning paths:', error)
+      toast.error(error.response?.data?.message || 'Failed to load learning paths')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Learning Paths</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            Programs of courses taken in order, with a certificate for completing the whole path
+          </p>
+        </div>
+        {isTrainer && (
+          <Link to="/learning-paths/create" className="btn btn-primary">
+            <PlusIcon className="h-4 w-4 mr-2" />
+            Create Learning Path
+          </Link>
+        )}
+      </div>
+
+      {learningPaths.length === 0 ? (
+        <div className="text-center py-12 bg-white shadow rounded-lg">
+          <MapIcon className="mx-auto h-12 w-12 text-gray-400" />
+          <h3 className="mt-2 text-sm font-medium text-gray-900">No learning paths yet</h3>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 gap-6 sm:grid-cols-2 lg:grid-cols-3">
+          {learningPaths.map(learningPath => {
+            const progress = learningPath.course_count > 0
+              ? Math.round((learningPath.completed_courses / learningPath.course_count) * 100)
+              : 0
+
+            return (
+              <Link
+                key={learningPath.id}
+                to={`/learning-paths/${learningPath.id}`}
+                className="bg-white rounded-lg shadow p-6 hover:shadow-md transition-shadow"
+              >
+                <div className="flex items-start justify-between mb-2">
+                  <h3 className="text-lg font-semibold text-gray-900">{learningPath.title}</h3>
+                  {!learningPath.is_published && (
+                    <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-gray-100 text-gray-700">
+                      Draft
+                    </span>
+                  )}
+                </div>
+                {learningPath.description && (
+                  <p className="text-sm text-gray-600 mb-4 line-clamp-3">{learningPath.description}</p>
+                )}
+                <p className="text-xs text-gray-500 mb-3">{learningPath.course_count} course(s)</p>
+
+                {learningPath.completed_at ? (
+                  <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                    ✓ Completed
+                  </span>
+                ) : learningPath.enrolled_at ? (
+                  <div>
+                    <div className="flex items-center justify-between mb-1 text-xs">
+                      <span className="text-gray-600">{learningPath.completed_courses} of {learningPath.course_count} completed</span>
+                      <span className="font-bold text-primary-600">{progress}%</span>
+                    </div>
+                    <div className="w-full bg-gray-200 rounded-full h-1.5">
+                      <div className="bg-primary-600 h-1.5 rounded-full" style={{ width: `${progress}%` }}></div>
+                    </div>
+                  </div>
+                ) : (
+                  <span className="text-sm text-primary-600 font-medium">View path →</span>
+                )}
+              </Link>
+            )
+          })}
+        </div>
+      )}
+    </div>
+  )
+}
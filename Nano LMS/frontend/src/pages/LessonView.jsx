@@ -5,6 +5,7 @@ import { api } from '../services/api'
 import toast from 'react-hot-toast'
 import PDFViewer from '../components/PDFViewer'
 import VideoEmbed from '../components/VideoEmbed'
+import LockNotice from '../components/LockNotice'
 import { 
   PlayIcon, 
   PauseIcon,
@@ -13,7 +14,9 @@ import {
   CheckCircleIcon,
   ClockIcon,
   DocumentTextIcon,
-  EyeIcon
+  EyeIcon,
+  AcademicCapIcon,
+  LightBulbIcon
 } from '@heroicons/react/24/outline'
 
 export default function LessonView() {
@@ -31,6 +34,7 @@ export default function LessonView() {
   const [videoLoading, setVideoLoading] = useState(true)
   const [documentError, setDocumentError] = useState(false)
   const [courseProgress, setCourseProgress] = useState(null)
+  const [locked, setLocked] = useState(null)
 
   useEffect(() => {
     fetchLesson()
@@ -90,6 +94,7 @@ export default function LessonView() {
   }
 
   const fetchLesson = async () => {
+    setLocked(null)
     try {
       const response = await api.get(`/lessons/${id}`)
 
@@ -146,6 +151,12 @@ export default function LessonView() {
       // Check if lesson is completed
       checkLessonCompletion()
     } catch (error) {
+      // A locked lesson comes back with the reason instead of its content
+      if (error.response?.status === 403 && error.response.data?.lock) {
+        setLesson(null)
+        setLocked(error.response.data)
+        return
+      }
       console.error('Failed to fetch lesson:', error)
       toast.error('Failed to load lesson')
     } finally {
@@ -256,6 +267,22 @@ export default function LessonView() {
     )
   }
 
+  if (locked) {
+    return (
+      <div className="max-w-3xl mx-auto space-y-6">
+        <div className="bg-white shadow rounded-lg p-6">
+          <h1 className="text-2xl font-bold text-gray-900">{locked.lesson.title}</h1>
+          <p className="mt-2 text-sm text-gray-600">Course: {locked.lesson.course_title}</p>
+          <LockNotice lock={locked.lock} className="mt-4" />
+        </div>
+        <Link to={`/courses/${locked.lesson.course_id}`} className="btn btn-outline">
+          <ArrowLeftIcon className="h-4 w-4 mr-2" />
+          Back to Course
+        </Link>
+      </div>
+    )
+  }
+
   if (!lesson) {
     return (
       <div className="text-center py-12">
@@ -515,6 +542,88 @@ export default function LessonView() {
         </div>
       )}
 
+      {/* Summary, Objectives & Glossary */}
+      {(lesson.summary || lesson.learning_objectives?.length > 0 || lesson.glossary?.length > 0) && (
+        <div className="bg-white shadow rounded-lg p-6 space-y-6">
+          <div className="flex items-center">
+            <LightBulbIcon className="h-5 w-5 text-gray-400 mr-2" />
+            <h2 className="text-lg font-semibold text-gray-900">Key Points</h2>
+          </div>
+
+          {lesson.learning_objectives?.length > 0 && (
+            <div>
+              <h3 className="text-sm font-medium text-gray-900 mb-2">By the end of this lesson you will be able to:</h3>
+              <ul className="list-disc list-inside space-y-1 text-gray-700">
+                {lesson.learning_objectives.map((objective, index) => (
+                  <li key={index}>{objective}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {lesson.summary && (
+            <div>
+              <h3 className="text-sm font-medium text-gray-900 mb-2">Summary</h3>
+              <p className="text-gray-700 whitespace-pre-line">{lesson.summary}</p>
+            </div>
+          )}
+
+          {lesson.glossary?.length > 0 && (
+            <div>
+              <h3 className="text-sm font-medium text-gray-900 mb-2">Glossary</h3>
+              <dl className="divide-y divide-gray-100">
+                {lesson.glossary.map((entry) => (
+                  <div key={entry.term} className="py-2 sm:grid sm:grid-cols-3 sm:gap-4">
+                    <dt className="font-medium text-gray-900">{entry.term}</dt>
+                    <dd className="text-gray-700 sm:col-span-2">{entry.definition}</dd>
+                  </div>
+                ))}
+              </dl>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Knowledge Checks attached to this lesson */}
+      {course?.quizzes?.some(q => q.lesson_id === lesson.id) && (
+        <div className="bg-white shadow rounded-lg p-6">
+          <div className="flex items-center mb-4">
+            <AcademicCapIcon className="h-5 w-5 text-gray-400 mr-2" />
+            <h2 className="text-lg font-semibold text-gray-900">Check Your Knowledge</h2>
+          </div>
+
+          <div className="space-y-3">
+            {course.quizzes.filter(q => q.lesson_id === lesson.id).map((quiz) => {
+              const passed = courseProgress?.quizProgress?.find(q => q.id === quiz.id)?.passed
+
+              return (
+                <div key={quiz.id} className="flex items-center justify-between">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">{quiz.title}</p>
+                    <p className="text-xs text-gray-500">
+                      {quiz.total_questions} questions • {quiz.counts_toward_completion ? 'Required' : 'Optional'}
+                    </p>
+                  </div>
+                  {passed ? (
+                    <span className="flex items-center text-sm text-green-600">
+                      <CheckCircleIcon className="h-4 w-4 mr-1" />
+                      Passed
+                    </span>
+                  ) : (
+                    <Link
+                      to={`/courses/${course.id}/quizzes/${quiz.id}`}
+                      className="btn btn-primary btn-sm"
+                    >
+                      Take Quiz
+                    </Link>
+                  )}
+                </div>
+              )
+            })}
+          </div>
+        </div>
+      )}
+
       {/* Navigation */}
       <div className="flex justify-between items-center">
         <div className="flex items-center space-x-4">
@@ -551,7 +660,11 @@ export default function LessonView() {
             <div className="text-center">
               <CheckCircleIcon className="h-8 w-8 text-green-600 mx-auto mb-2" />
               <p className="text-sm text-gray-600">All lessons completed!</p>
-              <p className="text-xs text-gray-500 mt-1">Take the quiz to get your certificate</p>
+              <p className="text-xs text-gray-500 mt-1">
+                {course?.quizzes?.some(q => q.kind === 'final')
+                  ? 'Take the final exam to get your certificate'
+                  : 'Complete the required quizzes to get your certificate'}
+              </p>
             </div>
           )}
         </div>
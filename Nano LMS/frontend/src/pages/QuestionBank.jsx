@@ -0,0 +1,332 @@
+import { useState, useEffect } from 'react'
+import { useParams, useNavigate } from 'react-router-dom'
+import { api } from '../services/api'
+import toast from 'react-hot-toast'
+import QuestionAnswerFields, { QUESTION_TYPE_LABELS, answerDefaultsFor, hasEmptyOptions } from '../components/QuestionAnswerFields'
+import {
+  PlusIcon,
+  TrashIcon,
+  PencilIcon,
+  ArrowLeftIcon,
+  RectangleStackIcon
+} from '@heroicons/react/24/outline'
+
+const emptyQuestion = {
+  question_text: '',
+  question_type: 'multiple_choice',
+  options: ['', '', '', ''],
+  correct_answer: 0,
+  points: 1,
+  tags: ''
+}
+
+export default function QuestionBank() {
+  const { id: courseId } = useParams()
+  const navigate = useNavigate()
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [course, setCourse] = useState(null)
+  const [questions, setQuestions] = useState([])
+  const [tags, setTags] = useState([])
+  const [tagFilter, setTagFilter] = useState('')
+  const [editingId, setEditingId] = useState(null)
+  const [showForm, setShowForm] = useState(false)
+  const [formData, setFormData] = useState(emptyQuestion)
+
+  useEffect(() => {
+    fetchCourse()
+  }, [courseId])
+
+  useEffect(() => {
+    fetchQuestions()
+  }, [courseId, tagFilter])
+
+  const fetchCourse = async () => {
+    try {
+      const response = await api.get(`/courses/${courseId}`)
+      setCourse(response.data.course)
+    } catch (error) {
+      console.error('Failed to fetch course:', error)
+      toast.error('Failed to load course details')
+    }
+  }
+
+  const fetchQuestions = async () => {
+    try {
+      const [questionsResponse, tagsResponse] = await Promise.all([
+        api.get(`/question-bank/courses/${courseId}`, { params: tagFilter ? { tag: tagFilter } : {} }),
+        api.get(`/question-bank/courses/${courseId}/tags`)
+      ])
+      setQuestions(questionsResponse.data.questions)
+      setTags(tagsResponse.data.tags)
+    } catch (error) {
+      console.error('Failed to fetch question bank:', error)
+      toast.error(error.response?.data?.message || 'Failed to load question bank')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const openNewQuestion = () => {
+    setEditingId(null)
+    setFormData(emptyQuestion)
+    setShowForm(true)
+  }
+
+  const openEditQuestion = (question) => {
+    setEditingId(question.id)
+    setFormData({
+      question_text: question.question_text,
+      question_type: question.question_type,
+      options: question.options || [],
+      correct_answer: question.correct_answer,
+      explanation: question.explanation || '',
+      option_feedback: question.option_feedback,
+      points: question.points,
+      tags: question.tags.join(', ')
+    })
+    setShowForm(true)
+  }
+
+  const handleTypeChange = (questionType) => {
+    setFormData(prev => ({
+      ...prev,
+      question_type: questionType,
+      ...answerDefaultsFor(questionType)
+    }))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    if (!formData.question_text.trim()) {
+      toast.error('Question text is required')
+      return
+    }
+
+    if (hasEmptyOptions(formData)) {
+      toast.error('All options must have text')
+      return
+    }
+
+    const payload = {
+      question_text: formData.question_text,
+      question_type: formData.question_type,
+      options: formData.options,
+      correct_answer: formData.correct_answer,
+      explanation: formData.explanation,
+      option_feedback: formData.option_feedback,
+      points: parseInt(formData.points) || 1,
+      tags: formData.tags.split(',').map(tag => tag.trim()).filter(Boolean)
+    }
+
+    setSaving(true)
+    try {
+      if (editingId) {
+        await api.put(`/question-bank/${editingId}`, payload)
+        toast.success('Question updated successfully!')
+      } else {
+        await api.post('/question-bank', { course_id: parseInt(courseId), ...payload })
+        toast.success('Question added to bank!')
+      }
+      setShowForm(false)
+      fetchQuestions()
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to save question'
+      toast.error(message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDelete = async (questionId) => {
+    if (!confirm('Are you sure you want to delete this question? Quizzes drawing from its tags will have one fewer question to choose from.')) {
+      return
+    }
+
+    try {
+      await api.delete(`/question-bank/${questionId}`)
+      toast.success('Question deleted successfully!')
+      fetchQuestions()
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to delete question'
+      toast.error(message)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-3">
+          <button
+            onClick={() => navigate(`/courses/${courseId}`)}
+            className="btn btn-outline btn-sm"
+          >
+            <ArrowLeftIcon className="h-4 w-4 mr-1" />
+            Back to Course
+          </button>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Question Bank</h1>
+            <p className="text-sm text-gray-600">for {course?.title}</p>
+          </div>
+        </div>
+        <button onClick={openNewQuestion} className="btn btn-primary btn-sm">
+          <PlusIcon className="h-4 w-4 mr-1" />
+          Add Question
+        </button>
+      </div>
+
+      {/* Tag filter */}
+      <div className="bg-white shadow rounded-lg p-4 flex flex-wrap items-center gap-2">
+        <span className="text-sm font-medium text-gray-700 mr-2">Filter by tag:</span>
+        <button
+          onClick={() => setTagFilter('')}
+          className={`btn btn-sm ${tagFilter === '' ? 'btn-primary' : 'btn-outline'}`}
+        >
+          All
+        </button>
+        {tags.map(({ tag, question_count }) => (
+          <button
+            key={tag}
+            onClick={() => setTagFilter(tag)}
+            className={`btn btn-sm ${tagFilter === tag ? 'btn-primary' : 'btn-outline'}`}
+          >
+            {tag} ({question_count})
+          </button>
+        ))}
+      </div>
+
+      {/* Question form */}
+      {showForm && (
+        <div className="bg-white shadow rounded-lg">
+          <form onSubmit={handleSubmit} className="space-y-4 p-6">
+            <h2 className="text-lg font-semibold text-gray-900">
+              {editingId ? 'Edit Question' : 'New Question'}
+            </h2>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Question Text *
+              </label>
+              <textarea
+                value={formData.question_text}
+                onChange={(e) => setFormData(prev => ({ ...prev, question_text: e.target.value }))}
+                className="textarea w-full"
+                rows="2"
+                placeholder="Enter your question"
+                required
+              />
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Question Type
+                </label>
+                <select
+                  value={formData.question_type}
+                  onChange={(e) => handleTypeChange(e.target.value)}
+                  className="select w-full"
+                >
+                  {Object.entries(QUESTION_TYPE_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Points
+                </label>
+                <input
+                  type="number"
+                  value={formData.points}
+                  onChange={(e) => setFormData(prev => ({ ...prev, points: e.target.value }))}
+                  className="input w-full"
+                  min="1"
+                  max="100"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Tags
+                </label>
+                <input
+                  type="text"
+                  value={formData.tags}
+                  onChange={(e) => setFormData(prev => ({ ...prev, tags: e.target.value }))}
+                  className="input w-full"
+                  placeholder="e.g. safety, module-1"
+                />
+              </div>
+            </div>
+
+            <QuestionAnswerFields
+              question={formData}
+              name="correct_answer"
+              onChange={(updated) => setFormData(updated)}
+            />
+
+            <div className="flex justify-end space-x-3 pt-4 border-t">
+              <button type="button" onClick={() => setShowForm(false)} className="btn btn-outline">
+                Cancel
+              </button>
+              <button type="submit" disabled={saving} className="btn btn-primary">
+                {saving ? 'Saving...' : editingId ? 'Save Question' : 'Add Question'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* Question list */}
+      <div className="bg-white shadow rounded-lg divide-y divide-gray-200">
+        {questions.length > 0 ? (
+          questions.map((question) => (
+            <div key={question.id} className="p-4 flex items-start justify-between">
+              <div className="flex-1 mr-4">
+                <p className="text-gray-900">{question.question_text}</p>
+                <div className="flex flex-wrap items-center gap-2 mt-2">
+                  <span className="text-xs text-gray-500">
+                    {QUESTION_TYPE_LABELS[question.question_type]} • {question.points} pt
+                  </span>
+                  {question.tags.map(tag => (
+                    <span key={tag} className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-primary-100 text-primary-800">
+                      {tag}
+                    </span>
+                  ))}
+                </div>
+              </div>
+              <div className="flex space-x-1">
+                <button onClick={() => openEditQuestion(question)} className="btn btn-outline btn-sm">
+                  <PencilIcon className="h-3 w-3" />
+                </button>
+                <button onClick={() => handleDelete(question.id)} className="btn btn-outline btn-danger btn-sm">
+                  <TrashIcon className="h-3 w-3" />
+                </button>
+              </div>
+            </div>
+          ))
+        ) : (
+          <div className="p-6 text-center">
+            <RectangleStackIcon className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">No questions yet</h3>
+            <p className="mt-1 text-sm text-gray-500">
+              Add tagged questions here, then let quizzes draw a random set from them on every attempt.
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -3,15 +3,17 @@ import { useParams, useNavigate } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
 import { api } from '../services/api'
 import toast from 'react-hot-toast'
+import QuestionReview from '../components/QuestionReview'
 import { 
   ArrowLeftIcon,
   AcademicCapIcon,
   ArrowDownTrayIcon,
-  CheckCircleIcon
+  CheckCircleIcon,
+  ClockIcon
 } from '@heroicons/react/24/outline'
 
 export default function QuizResults() {
-  const { id: courseId } = useParams()
+  const { id: courseId, quizId } = useParams()
   const { user } = useAuth()
   const navigate = useNavigate()
   const [loading, setLoading] = useState(true)
@@ -19,16 +21,18 @@ export default function QuizResults() {
   const [quiz, setQuiz] = useState(null)
   const [latestAttempt, setLatestAttempt] = useState(null)
   const [certificate, setCertificate] = useState(null)
+  const [review, setReview] = useState([])
+  const [answersRevealed, setAnswersRevealed] = useState(false)
 
   useEffect(() => {
     fetchData()
-  }, [courseId])
+  }, [courseId, quizId])
 
   const fetchData = async () => {
     try {
       const [courseResponse, quizResponse] = await Promise.all([
         api.get(`/courses/${courseId}`),
-        api.get(`/quizzes/courses/${courseId}`)
+        api.get(`/quizzes/${quizId}`)
       ])
       
       setCourse(courseResponse.data.course)
@@ -40,14 +44,22 @@ export default function QuizResults() {
         if (attemptsResponse.data.attempts.length > 0) {
           const latest = attemptsResponse.data.attempts[0]
           setLatestAttempt(latest)
+
+          try {
+            const reviewResponse = await api.get(`/quizzes/${quizResponse.data.quiz.id}/attempts/${latest.id}`)
+            setReview(reviewResponse.data.questions)
+            setAnswersRevealed(reviewResponse.data.answers_revealed)
+          } catch (error) {
+            console.error('Failed to fetch attempt review:', error)
+          }
           
-          // Get certificate if passed
-          if (latest.is_passed) {
+          // Passing a counted quiz may have completed the course
+          if (latest.is_passed && quizResponse.data.quiz.counts_toward_completion) {
             try {
               const certResponse = await api.get(`/certificates/user/${user.id}`)
               console.log('Certificates response:', certResponse.data);
               const userCert = certResponse.data.certificates.find(
-                cert => cert.quiz_id === quizResponse.data.quiz.id
+                cert => cert.course_id === parseInt(courseId)
               )
               console.log('Found certificate:', userCert);
               setCertificate(userCert)
@@ -147,30 +159,42 @@ export default function QuizResults() {
 
       {/* Results Summary */}
       <div className="bg-white shadow rounded-lg p-6">
-        <div className="text-center mb-6">
-          <div className={`w-16 h-16 rounded-full flex items-center justify-center mx-auto mb-4 ${
-            latestAttempt.is_passed ? 'bg-green-100' : 'bg-red-100'
-          }`}>
-            {latestAttempt.is_passed ? (
-              <CheckCircleIcon className="h-8 w-8 text-green-600" />
-            ) : (
-              <AcademicCapIcon className="h-8 w-8 text-red-600" />
-            )}
+        {latestAttempt.status === 'pending_review' ? (
+          <div className="text-center mb-6">
+            <div className="w-16 h-16 rounded-full flex items-center justify-center mx-auto mb-4 bg-yellow-100">
+              <ClockIcon className="h-8 w-8 text-yellow-600" />
+            </div>
+            <h2 className="text-2xl font-bold mb-2 text-yellow-600">Awaiting Review</h2>
+            <p className="text-gray-600">
+              A trainer is grading your written answers. Your final score will appear here once they are done.
+            </p>
           </div>
+        ) : (
+          <div className="text-center mb-6">
+            <div className={`w-16 h-16 rounded-full flex items-center justify-center mx-auto mb-4 ${
+              latestAttempt.is_passed ? 'bg-green-100' : 'bg-red-100'
+            }`}>
+              {latestAttempt.is_passed ? (
+                <CheckCircleIcon className="h-8 w-8 text-green-600" />
+              ) : (
+                <AcademicCapIcon className="h-8 w-8 text-red-600" />
+              )}
+            </div>
           
-          <h2 className={`text-2xl font-bold mb-2 ${
-            latestAttempt.is_passed ? 'text-green-600' : 'text-red-600'
-          }`}>
-            {latestAttempt.is_passed ? 'Quiz Passed!' : 'Quiz Failed'}
-          </h2>
+            <h2 className={`text-2xl font-bold mb-2 ${
+              latestAttempt.is_passed ? 'text-green-600' : 'text-red-600'
+            }`}>
+              {latestAttempt.is_passed ? 'Quiz Passed!' : 'Quiz Failed'}
+            </h2>
           
-          <p className="text-gray-600">
-            {latestAttempt.is_passed 
-              ? 'Congratulations! You have successfully completed this quiz.' 
-              : 'Keep practicing and try again to improve your score.'
-            }
-          </p>
-        </div>
+            <p className="text-gray-600">
+              {latestAttempt.is_passed 
+                ? 'Congratulations! You have successfully completed this quiz.' 
+                : 'Keep practicing and try again to improve your score.'
+              }
+            </p>
+          </div>
+        )}
 
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
           <div className="bg-gray-50 rounded-lg p-4 text-center">
@@ -198,11 +222,33 @@ export default function QuizResults() {
         <div className="text-center space-y-2 text-sm text-gray-600">
           <p>Passing score: {quiz.passing_percentage}%</p>
           <p>Attempt date: {new Date(latestAttempt.completed_at).toLocaleDateString()}</p>
+          {latestAttempt.status === 'expired' && (
+            <p className="text-red-600">Time limit reached: only answers saved before the deadline were graded.</p>
+          )}
         </div>
       </div>
 
+      {/* Answer Review */}
+      {review.length > 0 && (
+        <div className="bg-white shadow rounded-lg p-6">
+          <h3 className="text-lg font-semibold text-gray-900">Review Your Answers</h3>
+          <p className="text-sm text-gray-600 mb-4">
+            {answersRevealed
+              ? 'Correct answers and explanations are shown below.'
+              : quiz.show_correct_answers === 'after_pass'
+                ? 'Correct answers and explanations are shown once you pass this quiz.'
+                : 'Correct answers are not shown for this quiz.'}
+          </p>
+          <div className="space-y-4">
+            {review.map((question, index) => (
+              <QuestionReview key={question.id} question={question} number={index + 1} />
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Certificate Section */}
-      {latestAttempt.is_passed && (
+      {certificate && (
         <div className="bg-white shadow rounded-lg p-6">
           <div className="flex items-center justify-between">
             <div>
@@ -228,9 +274,9 @@ export default function QuizResults() {
 
       {/* Action Buttons */}
       <div className="flex justify-center space-x-3">
-        {!latestAttempt.is_passed && (
+        {latestAttempt.is_passed === false && (
           <button
-            onClick={() => navigate(`/courses/${courseId}/quiz`)}
+            onClick={() => navigate(`/courses/${courseId}/quizzes/${quiz.id}`)}
             className="btn btn-primary"
           >
             Retake Quiz
@@ -3,16 +3,19 @@ import { useParams, useNavigate } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
 import { api } from '../services/api'
 import toast from 'react-hot-toast'
+import QuestionInput from '../components/QuestionInput'
+import LockNotice from '../components/LockNotice'
 import { 
   ArrowLeftIcon,
   ClockIcon,
   AcademicCapIcon,
   CheckCircleIcon,
-  XCircleIcon
+  XCircleIcon,
+  LockClosedIcon
 } from '@heroicons/react/24/outline'
 
 export default function TakeQuiz() {
-  const { id: courseId } = useParams()
+  const { id: courseId, quizId } = useParams()
   const { user } = useAuth()
   const navigate = useNavigate()
   const [loading, setLoading] = useState(true)
@@ -20,44 +23,72 @@ export default function TakeQuiz() {
   const [course, setCourse] = useState(null)
   const [quiz, setQuiz] = useState(null)
   const [questions, setQuestions] = useState([])
+  const [attemptId, setAttemptId] = useState(null)
   const [answers, setAnswers] = useState({})
-  const [timeLeft, setTimeLeft] = useState(0)
+  const [timeLeft, setTimeLeft] = useState(null)
   const [results, setResults] = useState(null)
+  const [startError, setStartError] = useState(null)
 
   useEffect(() => {
     fetchQuiz()
-  }, [courseId])
+  }, [courseId, quizId])
 
   useEffect(() => {
     if (timeLeft > 0) {
       const timer = setTimeout(() => setTimeLeft(timeLeft - 1), 1000)
       return () => clearTimeout(timer)
-    } else if (timeLeft === 0 && quiz && !results) {
-      handleSubmit()
+    } else if (timeLeft === 0 && quiz && !results && !submitting) {
+      handleSubmit(true)
     }
   }, [timeLeft, quiz, results])
 
+  // Save answers as they change so they still count if the time limit is reached
+  useEffect(() => {
+    if (!attemptId || results || Object.keys(answers).length === 0) return
+
+    const timer = setTimeout(() => {
+      api.put(`/quizzes/${quizId}/attempts/${attemptId}/answers`, { answers })
+        .catch(error => console.error('Failed to save answers:', error))
+    }, 1000)
+    return () => clearTimeout(timer)
+  }, [answers, attemptId, results])
+
   const fetchQuiz = async () => {
     try {
       const [courseResponse, quizResponse] = await Promise.all([
         api.get(`/courses/${courseId}`),
-        api.get(`/quizzes/courses/${courseId}?t=${Date.now()}`)
+        api.get(`/quizzes/${quizId}?t=${Date.now()}`)
       ])
       
       setCourse(courseResponse.data.course)
       
       if (quizResponse.data.quiz) {
+        // The server opens (or resumes) a timed attempt, draws its questions and shuffles their options
+        const attemptResponse = await api.post(`/quizzes/${quizId}/attempt`)
+        const { attempt } = attemptResponse.data
+        setAttemptId(attempt.id)
+        setAnswers(attempt.answers)
+        setQuestions(attemptResponse.data.questions)
         setQuiz(quizResponse.data.quiz)
-        setQuestions(quizResponse.data.questions || [])
-        setTimeLeft(quizResponse.data.quiz.time_limit_minutes * 60)
+
+        // Measure the remaining time against the server clock, not the browser's
+        if (attempt.expires_at) {
+          const remaining = new Date(attempt.expires_at) - new Date(attempt.server_time)
+          setTimeLeft(Math.max(Math.floor(remaining / 1000), 0))
+        }
       } else {
-        toast.error('No quiz found for this course')
+        toast.error('Quiz not found')
         navigate(`/courses/${courseId}`)
       }
     } catch (error) {
       console.error('Failed to fetch quiz:', error)
-      toast.error('Failed to load quiz')
-      navigate(`/courses/${courseId}`)
+      if ([403, 429].includes(error.response?.status)) {
+        // Quiz locked, attempt limit reached or cooldown still running
+        setStartError(error.response.data)
+      } else {
+        toast.error(error.response?.data?.message || 'Failed to load quiz')
+        navigate(`/courses/${courseId}`)
+      }
     } finally {
       setLoading(false)
     }
@@ -70,8 +101,8 @@ export default function TakeQuiz() {
     }))
   }
 
-  const handleSubmit = async () => {
-    if (Object.keys(answers).length === 0) {
+  const handleSubmit = async (timeUp = false) => {
+    if (!timeUp && Object.keys(answers).length === 0) {
       toast.error('Please answer at least one question')
       return
     }
@@ -79,15 +110,19 @@ export default function TakeQuiz() {
     setSubmitting(true)
     try {
       const response = await api.post(`/quizzes/${quiz.id}/submit`, {
-        answers,
-        time_taken_seconds: (quiz.time_limit_minutes * 60) - timeLeft
+        attempt_id: attemptId,
+        answers
       })
       
       setResults(response.data)
-      toast.success('Quiz submitted successfully!')
+      toast.success(timeUp ? 'Time is up! Your quiz was submitted.' : 'Quiz submitted successfully!')
     } catch (error) {
       const message = error.response?.data?.message || 'Failed to submit quiz'
       toast.error(message)
+      // A late submission is still graded from the answers saved before the deadline
+      if (error.response?.data?.score !== undefined) {
+        setResults(error.response.data)
+      }
     } finally {
       setSubmitting(false)
     }
@@ -107,11 +142,33 @@ export default function TakeQuiz() {
     )
   }
 
+  if (startError) {
+    const StartErrorIcon = startError.lock ? LockClosedIcon : ClockIcon
+
+    return (
+      <div className="text-center py-12">
+        <StartErrorIcon className="mx-auto h-12 w-12 text-gray-400" />
+        <h3 className="mt-2 text-lg font-medium text-gray-900">{startError.error}</h3>
+        {startError.lock ? (
+          <LockNotice lock={startError.lock} className="max-w-md mx-auto mt-4 text-left" />
+        ) : (
+          <p className="text-sm text-gray-500">{startError.message}</p>
+        )}
+        <button
+          onClick={() => navigate(`/courses/${courseId}`)}
+          className="btn btn-primary mt-4"
+        >
+          Back to Course
+        </button>
+      </div>
+    )
+  }
+
   if (!quiz) {
     return (
       <div className="text-center py-12">
         <h3 className="text-lg font-medium text-gray-900">Quiz not found</h3>
-        <p className="text-sm text-gray-500">The quiz for this course doesn't exist.</p>
+        <p className="text-sm text-gray-500">This quiz doesn't exist or has been deleted.</p>
         <button
           onClick={() => navigate(`/courses/${courseId}`)}
           className="btn btn-primary mt-4"
@@ -142,30 +199,44 @@ export default function TakeQuiz() {
 
         {/* Results */}
         <div className="bg-white shadow rounded-lg p-6 space-y-6">
-          <div className="text-center">
-            <div className={`w-16 h-16 rounded-full flex items-center justify-center mx-auto mb-4 ${
-              results.passed ? 'bg-green-100' : 'bg-red-100'
-            }`}>
-              {results.passed ? (
-                <CheckCircleIcon className="h-8 w-8 text-green-600" />
-              ) : (
-                <XCircleIcon className="h-8 w-8 text-red-600" />
-              )}
+          {results.status === 'pending_review' ? (
+            <div className="text-center">
+              <div className="w-16 h-16 rounded-full flex items-center justify-center mx-auto mb-4 bg-yellow-100">
+                <ClockIcon className="h-8 w-8 text-yellow-600" />
+              </div>
+              <h2 className="text-2xl font-bold mb-2 text-yellow-600">Awaiting Review</h2>
+              <p className="text-gray-600 mb-4">
+                A trainer will grade your written answers. The score below covers the other questions only.
+              </p>
             </div>
-            
-            <h2 className={`text-2xl font-bold mb-2 ${
-              results.passed ? 'text-green-600' : 'text-red-600'
-            }`}>
-              {results.passed ? 'Congratulations!' : 'Try Again'}
-            </h2>
-            
-            <p className="text-gray-600 mb-4">
-              {results.passed 
-                ? 'You passed the quiz and earned a certificate!' 
-                : 'You need to score higher to pass this quiz.'
-              }
-            </p>
-          </div>
+          ) : (
+            <div className="text-center">
+              <div className={`w-16 h-16 rounded-full flex items-center justify-center mx-auto mb-4 ${
+                results.passed ? 'bg-green-100' : 'bg-red-100'
+              }`}>
+                {results.passed ? (
+                  <CheckCircleIcon className="h-8 w-8 text-green-600" />
+                ) : (
+                  <XCircleIcon className="h-8 w-8 text-red-600" />
+                )}
+              </div>
+              
+              <h2 className={`text-2xl font-bold mb-2 ${
+                results.passed ? 'text-green-600' : 'text-red-600'
+              }`}>
+                {results.passed ? 'Congratulations!' : 'Try Again'}
+              </h2>
+              
+              <p className="text-gray-600 mb-4">
+                {!results.passed
+                  ? 'You need to score higher to pass this quiz.'
+                  : results.course_completed
+                    ? 'You passed the quiz and earned a certificate!'
+                    : 'You passed the quiz!'
+                }
+              </p>
+            </div>
+          )}
 
           <div className="grid grid-cols-2 gap-4 text-center">
             <div className="bg-gray-50 rounded-lg p-4">
@@ -193,14 +264,12 @@ export default function TakeQuiz() {
           </div>
 
           <div className="flex justify-center space-x-3">
-            {results.passed && (
-              <button
-                onClick={() => navigate(`/courses/${courseId}/quiz-results`)}
-                className="btn btn-primary"
-              >
-                View Certificate
-              </button>
-            )}
+            <button
+              onClick={() => navigate(`/courses/${courseId}/quizzes/${quiz.id}/results`)}
+              className="btn btn-primary"
+            >
+              {results.course_completed ? 'View Certificate' : 'View Results'}
+            </button>
             <button
               onClick={() => navigate(`/courses/${courseId}`)}
               className="btn btn-outline"
@@ -232,10 +301,12 @@ export default function TakeQuiz() {
         </div>
         
         <div className="flex items-center space-x-4">
-          <div className="flex items-center space-x-2 text-sm text-gray-600">
-            <ClockIcon className="h-4 w-4" />
-            <span className="font-mono">{formatTime(timeLeft)}</span>
-          </div>
+          {timeLeft !== null && (
+            <div className={`flex items-center space-x-2 text-sm ${timeLeft < 60 ? 'text-red-600' : 'text-gray-600'}`}>
+              <ClockIcon className="h-4 w-4" />
+              <span className="font-mono">{formatTime(timeLeft)}</span>
+            </div>
+          )}
           
           <div className="text-sm text-gray-600">
             {questions.length} questions
@@ -248,9 +319,18 @@ export default function TakeQuiz() {
         <h3 className="font-medium text-blue-900 mb-2">Instructions:</h3>
         <ul className="text-sm text-blue-800 space-y-1">
           <li>• Answer all questions to the best of your ability</li>
-          <li>• You have {quiz.time_limit_minutes} minutes to complete the quiz</li>
+          {quiz.time_limit_minutes && (
+            <li>• You have {quiz.time_limit_minutes} minutes to complete the quiz. The timer keeps running if you leave this page.</li>
+          )}
           <li>• You need {quiz.passing_percentage}% to pass</li>
-          <li>• You can retake the quiz if you don't pass</li>
+          {quiz.max_attempts ? (
+            <li>• You can attempt this quiz {quiz.max_attempts} time(s) in total</li>
+          ) : (
+            <li>• You can retake the quiz if you don't pass</li>
+          )}
+          {quiz.cooldown_minutes > 0 && (
+            <li>• You must wait {quiz.cooldown_minutes} minutes between attempts</li>
+          )}
         </ul>
       </div>
 
@@ -265,35 +345,11 @@ export default function TakeQuiz() {
               <p className="text-gray-700">{question.question_text}</p>
             </div>
             
-            <div className="space-y-2">
-              {question.options.map((option, optionIndex) => (
-                <label key={optionIndex} className="flex items-center space-x-3 cursor-pointer">
-                  <input
-                    type={question.question_type === 'checkbox' ? 'checkbox' : 'radio'}
-                    name={`question_${question.id}`}
-                    value={optionIndex}
-                    checked={
-                      question.question_type === 'checkbox'
-                        ? answers[question.id]?.includes(optionIndex) || false
-                        : answers[question.id] === optionIndex
-                    }
-                    onChange={(e) => {
-                      if (question.question_type === 'checkbox') {
-                        const currentAnswers = answers[question.id] || []
-                        const newAnswers = e.target.checked
-                          ? [...currentAnswers, optionIndex]
-                          : currentAnswers.filter(a => a !== optionIndex)
-                        handleAnswerChange(question.id, newAnswers)
-                      } else {
-                        handleAnswerChange(question.id, parseInt(e.target.value))
-                      }
-                    }}
-                    className="radio"
-                  />
-                  <span className="text-gray-700">{option}</span>
-                </label>
-              ))}
-            </div>
+            <QuestionInput
+              question={question}
+              value={answers[question.id]}
+              onChange={(answer) => handleAnswerChange(question.id, answer)}
+            />
           </div>
         ))}
       </div>
@@ -307,7 +363,7 @@ export default function TakeQuiz() {
           Cancel
         </button>
         <button
-          onClick={handleSubmit}
+          onClick={() => handleSubmit()}
           disabled={submitting}
           className="btn btn-primary"
         >
@@ -0,0 +1,28 @@
+import { useAuth } from '../contexts/AuthContext'
+import TeamOverview from '../components/TeamOverview'
+
+export default function Team() {
+  const { isManager } = useAuth()
+
+  if (!isManager) {
+    return (
+      <div className="text-center py-12">
+        <h3 className="text-lg font-medium text-gray-900">Access Denied</h3>
+        <p className="text-sm text-gray-500">Only managers can view team progress.</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="max-w-6xl mx-auto space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">My Team</h1>
+        <p className="text-sm text-gray-600">
+          Course enrollments, completion and certificates for the people who report to you.
+        </p>
+      </div>
+
+      <TeamOverview />
+    </div>
+  )
+}
@@ -0,0 +1,174 @@
+import { useState, useEffect } from 'react'
+import { Link, useParams } from 'react-router-dom'
+import { useAuth } from '../contexts/AuthContext'
+import { api } from '../services/api'
+import toast from 'react-hot-toast'
+import { ArrowLeftIcon } from '@heroicons/react/24/outline'
+import CertificateStatusBadge from '../components/CertificateStatusBadge'
+import AssignmentStatusBadge, { formatDueDate } from '../components/AssignmentStatusBadge'
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—')
+
+export default function TeamMember() {
+  const { userId } = useParams()
+  const { isManager, isAdmin } = useAuth()
+  const [loading, setLoading] = useState(true)
+  const [data, setData] = useState(null)
+
+  useEffect(() => {
+    if (isManager || isAdmin) fetchMember()
+  }, [userId, isManager, isAdmin])
+
+  const fetchMember = async () => {
+    try {
+      const response = await api.get(`/team/members/${userId}`)
+      setData(response.data)
+    } catch (error) {
+      console.error('Failed to fetch team member:', error)
+      toast.error(error.response?.data?.message || 'Failed to load team member')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  if (!isManager && !isAdmin) {
+    return (
+      <div className="text-center py-12">
+        <h3 className="text-lg font-medium text-gray-900">Access Denied</h3>
+        <p className="text-sm text-gray-500">Only managers can view team progress.</p>
+      </div>
+    )
+  }
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    )
+  }
+
+  if (!data) {
+    return (
+      <div className="text-center py-12">
+        <h3 className="text-lg font-medium text-gray-900">Team member not found</h3>
+        <Link to="/team" className="text-sm text-primary-600 hover:text-primary-800">Back to my team</Link>
+      </div>
+    )
+  }
+
+  const { member, courses, assignments, certificates } = data
+
+  return (
+    <div className="max-w-6xl mx-auto space-y-6">
+      <div>
+        <Link to="/team" className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700 mb-2">
+          <ArrowLeftIcon className="h-4 w-4 mr-1" />
+          My Team
+        </Link>
+        <h1 className="text-2xl font-bold text-gray-900">{member.first_name} {member.last_name}</h1>
+        <p className="text-sm text-gray-600">
+          {member.email}{member.department_name ? ` · ${member.department_name}` : ''}
+        </p>
+      </div>
+
+      <div className="bg-white shadow rounded-lg overflow-x-auto">
+        <h2 className="px-4 pt-4 text-lg font-medium text-gray-900">Assigned courses</h2>
+        {assignments.length > 0 ? (
+          <table className="min-w-full divide-y divide-gray-200 text-sm mt-2">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Course</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Due</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Status</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {assignments.map(assignment => (
+                <tr key={assignment.assignment_id}>
+                  <td className="px-4 py-2 text-gray-900">{assignment.course_title}</td>
+                  <td className="px-4 py-2 text-gray-500">{formatDueDate(assignment.due_date)}</td>
+                  <td className="px-4 py-2"><AssignmentStatusBadge status={assignment.status} /></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p className="p-4 text-sm text-gray-500">No courses assigned.</p>
+        )}
+      </div>
+
+      <div className="bg-white shadow rounded-lg overflow-x-auto">
+        <h2 className="px-4 pt-4 text-lg font-medium text-gray-900">Courses</h2>
+        {courses.length > 0 ? (
+          <table className="min-w-full divide-y divide-gray-200 text-sm mt-2">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Course</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Enrolled</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Lessons</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Required quizzes</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Progress</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {courses.map(course => (
+                <tr key={course.courseId}>
+                  <td className="px-4 py-2 text-gray-900">{course.title}</td>
+                  <td className="px-4 py-2 text-gray-500">{formatDate(course.enrolledAt)}</td>
+                  <td className="px-4 py-2 text-gray-500">{course.completedLessons} / {course.totalLessons}</td>
+                  <td className="px-4 py-2 text-gray-500">
+                    {course.hasQuiz ? `${course.passedQuizzes} / ${course.totalQuizzes}` : '—'}
+                  </td>
+                  <td className="px-4 py-2">
+                    <div className="flex items-center space-x-2">
+                      <div className="w-24 bg-gray-200 rounded-full h-2">
+                        <div
+                          className={`h-2 rounded-full ${course.courseCompleted ? 'bg-green-500' : 'bg-primary-600'}`}
+                          style={{ width: `${course.overallProgress}%` }}
+                        ></div>
+                      </div>
+                      <span className="text-gray-500">{course.overallProgress}%</span>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p className="p-4 text-sm text-gray-500">Not enrolled in any courses.</p>
+        )}
+      </div>
+
+      <div className="bg-white shadow rounded-lg overflow-x-auto">
+        <h2 className="px-4 pt-4 text-lg font-medium text-gray-900">Certificates</h2>
+        {certificates.length > 0 ? (
+          <table className="min-w-full divide-y divide-gray-200 text-sm mt-2">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Course</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Number</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Issued</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Expires</th>
+                <th className="px-4 py-2 text-left font-medium text-gray-500">Status</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {certificates.map(certificate => (
+                <tr key={certificate.id}>
+                  <td className="px-4 py-2 text-gray-900">{certificate.course_title}</td>
+                  <td className="px-4 py-2 text-gray-500">{certificate.certificate_number}</td>
+                  <td className="px-4 py-2 text-gray-500">{formatDate(certificate.issued_at)}</td>
+                  <td className="px-4 py-2 text-gray-500">{certificate.expires_at ? formatDate(certificate.expires_at) : 'Never'}</td>
+                  <td className="px-4 py-2"><CertificateStatusBadge certificate={certificate} /></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p className="p-4 text-sm text-gray-500">No certificates yet.</p>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -24,13 +24,18 @@ export default function UserManagement() {
     email: '',
     password: '',
     role: 'learner',
-    work_type: 'Operations'
+    department_id: '',
+    manager_id: ''
   })
+  const [departments, setDepartments] = useState([])
+  const [managers, setManagers] = useState([])
   const [showPassword, setShowPassword] = useState(false)
 
   useEffect(() => {
     fetchUsers()
     fetchPendingUsers()
+    fetchDepartments()
+    fetchManagers()
   }, [])
 
   const fetchUsers = async () => {
@@ -45,6 +50,24 @@ export default function UserManagement() {
     }
   }
 
+  const fetchDepartments = async () => {
+    try {
+      const response = await api.get('/departments')
+      setDepartments(response.data.departments || [])
+    } catch (error) {
+      console.error('Failed to fetch departments:', error)
+    }
+  }
+
+  const fetchManagers = async () => {
+    try {
+      const response = await api.get('/users', { params: { role: 'manager', limit: 1000 } })
+      setManagers(response.data.users || [])
+    } catch (error) {
+      console.error('Failed to fetch managers:', error)
+    }
+  }
+
   const fetchPendingUsers = async () => {
     try {
       const response = await api.get('/users/pending-approval')
@@ -94,7 +117,8 @@ export default function UserManagement() {
       email: '',
       password: '',
       role: 'learner',
-      work_type: 'Operations'
+      department_id: '',
+      manager_id: ''
     })
     setEditingUser(null)
     setShowCreateForm(false)
@@ -164,6 +188,7 @@ export default function UserManagement() {
       
       resetForm()
       fetchUsers()
+      fetchManagers()
     } catch (error) {
       const message = error.response?.data?.message || 'Failed to save user'
       toast.error(message)
@@ -177,7 +202,9 @@ export default function UserManagement() {
       last_name: user.last_name,
       email: user.email,
       password: '',
-      role: user.role
+      role: user.role,
+      department_id: user.department_id || '',
+      manager_id: user.manager_id || ''
     })
     setShowCreateForm(true)
   }
@@ -198,6 +225,7 @@ export default function UserManagement() {
     const colors = {
       admin: 'bg-red-100 text-red-800',
       trainer: 'bg-blue-100 text-blue-800',
+      manager: 'bg-purple-100 text-purple-800',
       learner: 'bg-green-100 text-green-800'
     }
     return (
@@ -340,6 +368,7 @@ export default function UserManagement() {
                 onChange={handleInputChange}
               >
                 <option value="learner">Learner</option>
+                <option value="manager">Manager</option>
                 <option value="trainer">Trainer</option>
                 <option value="admin">Admin</option>
               </select>
@@ -347,20 +376,39 @@ export default function UserManagement() {
             
             <div>
               <label className="block text-sm font-medium text-gray-700">
-                Work Type *
+                Department
               </label>
               <select
-                name="work_type"
-                required
+                name="department_id"
+                className="input mt-1"
+                value={formData.department_id}
+                onChange={handleInputChange}
+              >
+                <option value="">No department</option>
+                {departments.map(department => (
+                  <option key={department.id} value={department.id}>{department.name}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700">
+                Manager
+              </label>
+              <select
+                name="manager_id"
                 className="input mt-1"
-                value={formData.work_type}
+                value={formData.manager_id}
                 onChange={handleInputChange}
               >
-                          <option value="Operations">Operations</option>
-          <option value="Sales">Sales</option>
-          <option value="Marketing">Marketing</option>
-          <option value="Tech">Tech</option>
+                <option value="">No manager</option>
+                {managers.filter(manager => manager.id !== editingUser?.id).map(manager => (
+                  <option key={manager.id} value={manager.id}>{manager.first_name} {manager.last_name}</option>
+                ))}
               </select>
+              <p className="text-xs text-gray-500 mt-1">
+                Users with the manager role can follow their direct reports' progress
+              </p>
             </div>
             
             <div className="flex justify-end space-x-3 pt-4">
@@ -525,6 +573,9 @@ export default function UserManagement() {
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                       Role
                     </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Department
+                    </th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                       Status
                     </th>
@@ -561,6 +612,12 @@ export default function UserManagement() {
                       <td className="px-6 py-4 whitespace-nowrap">
                         {getRoleBadge(user.role)}
                       </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {user.department_name || '—'}
+                        {user.manager_id && (
+                          <div className="text-xs">Reports to {user.manager_first_name} {user.manager_last_name}</div>
+                        )}
+                      </td>
                       <td className="px-6 py-4 whitespace-nowrap">
                         {user.approval_status === 'pending' ? (
                           <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
@@ -0,0 +1,143 @@
+import { useState, useEffect } from 'react'
+import { useParams, useNavigate, Link } from 'react-router-dom'
+import { api } from '../services/api'
+import { CheckBadgeIcon, XCircleIcon, MagnifyingGlassIcon } from '@heroicons/react/24/outline'
+
+// Public page: anyone with a certificate number (or the QR code on the PDF) can check it
+export default function VerifyCertificate() {
+  const { certificateNumber } = useParams()
+  const navigate = useNavigate()
+  const [input, setInput] = useState(certificateNumber || '')
+  const [loading, setLoading] = useState(false)
+  const [certificate, setCertificate] = useState(null)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    setInput(certificateNumber || '')
+    if (certificateNumber) {
+      verifyCertificate(certificateNumber)
+    } else {
+      setCertificate(null)
+      setError('')
+    }
+  }, [certificateNumber])
+
+  const verifyCertificate = async (number) => {
+    setLoading(true)
+    setCertificate(null)
+    setError('')
+    try {
+      const response = await api.get(`/certificates/verify/${encodeURIComponent(number)}`)
+      setCertificate(response.data.certificate)
+    } catch (error) {
+      setError(error.response?.status === 404
+        ? 'No certificate with this number has been issued.'
+        : error.response?.data?.message || 'The certificate could not be checked. Please try again later.')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (input.trim()) {
+      navigate(`/verify/${encodeURIComponent(input.trim())}`)
+    }
+  }
+
+  const isValid = certificate?.status === 'valid'
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-lg mx-auto space-y-8">
+        <div className="text-center">
+          <h2 className="text-3xl font-extrabold text-gray-900">Verify a Certificate</h2>
+          <p className="mt-2 text-sm text-gray-600">
+            Enter the certificate number printed on a Nano LMS certificate, or scan its QR code.
+          </p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="flex space-x-2">
+          <input
+            type="text"
+            className="input flex-1"
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            placeholder="e.g. CERT-1A2B3C4D"
+          />
+          <button type="submit" className="btn btn-primary flex items-center" disabled={loading || !input.trim()}>
+            <MagnifyingGlassIcon className="h-4 w-4 mr-1" />
+            Verify
+          </button>
+        </form>
+
+        {loading && (
+          <div className="flex justify-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+          </div>
+        )}
+
+        {error && (
+          <div className="bg-white shadow rounded-lg p-6 flex items-start">
+            <XCircleIcon className="h-6 w-6 text-red-500 mr-3 flex-shrink-0" />
+            <div>
+              <p className="font-medium text-gray-900">Certificate not verified</p>
+              <p className="text-sm text-gray-600 mt-1">{error}</p>
+            </div>
+          </div>
+        )}
+
+        {certificate && (
+          <div className={`bg-white shadow rounded-lg p-6 border-t-4 ${isValid ? 'border-green-500' : 'border-red-500'}`}>
+            <div className="flex items-center mb-4">
+              {isValid
+                ? <CheckBadgeIcon className="h-8 w-8 text-green-600 mr-3" />
+                : <XCircleIcon className="h-8 w-8 text-red-600 mr-3" />}
+              <div>
+                <p className={`text-lg font-semibold ${isValid ? 'text-green-700' : 'text-red-700'}`}>
+                  {isValid
+                    ? 'Valid certificate'
+                    : certificate.status === 'expired' ? 'This certificate has expired' : 'This certificate has been revoked'}
+                </p>
+                <p className="text-sm text-gray-500">{certificate.certificateNumber}</p>
+              </div>
+            </div>
+
+            <dl className="divide-y divide-gray-100 text-sm">
+              <div className="py-2 flex justify-between">
+                <dt className="text-gray-500">Awarded to</dt>
+                <dd className="font-medium text-gray-900">{certificate.holderName}</dd>
+              </div>
+              <div className="py-2 flex justify-between">
+                <dt className="text-gray-500">{certificate.isLearningPath ? 'Learning path' : 'Course'}</dt>
+                <dd className="font-medium text-gray-900">{certificate.courseTitle}</dd>
+              </div>
+              <div className="py-2 flex justify-between">
+                <dt className="text-gray-500">Issued on</dt>
+                <dd className="font-medium text-gray-900">{new Date(certificate.issuedAt).toLocaleDateString()}</dd>
+              </div>
+              {certificate.expiresAt && (
+                <div className="py-2 flex justify-between">
+                  <dt className="text-gray-500">{certificate.status === 'expired' ? 'Expired on' : 'Valid until'}</dt>
+                  <dd className="font-medium text-gray-900">{new Date(certificate.expiresAt).toLocaleDateString()}</dd>
+                </div>
+              )}
+              {certificate.revokedAt && (
+                <div className="py-2 flex justify-between">
+                  <dt className="text-gray-500">Revoked on</dt>
+                  <dd className="font-medium text-red-700">{new Date(certificate.revokedAt).toLocaleDateString()}</dd>
+                </div>
+              )}
+            </dl>
+          </div>
+        )}
+
+        <p className="text-center text-sm">
+          <Link to="/login" className="font-medium text-primary-600 hover:text-primary-500">
+            Go to Nano LMS
+          </Link>
+        </p>
+      </div>
+    </div>
+  )
+}